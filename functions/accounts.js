@@ -0,0 +1,89 @@
+// Recuperação de conta no servidor: a conta verificada reivindica a transferência da conta anônima com o código
+// que só o navegador de origem conhece, e o perfil, o crédito, os carimbos e os agendamentos mudam de conta numa
+// transação. As regras do Firestore não deixam o cliente mexer no crédito nem nos carimbos de outra conta.
+
+import { toMillis } from '../src/policy.js';
+
+// Prazo para a conta verificada reivindicar a transferência, contado do `createdAt` (horário do servidor na gravação)
+const ACCOUNT_TRANSFER_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Perfis depois da migração. Os dados da conta verificada prevalecem; o crédito e os carimbos das duas contas
+ * são somados e a conta anônima fica zerada. Cada conta anônima entra uma única vez (`mergedFrom`).
+ * @param {object|null} oldProfile Perfil da conta anônima
+ * @param {object|null} newProfile Perfil da conta verificada
+ * @param {string} fromUid
+ * @param {string} toUid
+ * @returns {{ profile: object, oldProfileUpdate: object|null }} `oldProfileUpdate` é null quando não há o que zerar
+ */
+const buildProfileMerge = (oldProfile, newProfile, fromUid, toUid) => {
+    const current = newProfile || {};
+    const mergedFrom = current.mergedFrom || [];
+    if (mergedFrom.includes(fromUid)) return { profile: current, oldProfileUpdate: null };
+
+    const previous = oldProfile || {};
+    return {
+        profile: {
+            ...previous,
+            ...current,
+            credit: (previous.credit || 0) + (current.credit || 0),
+            loyaltyStamps: [...(previous.loyaltyStamps || []), ...(current.loyaltyStamps || [])],
+            profileComplete: Boolean(previous.profileComplete || current.profileComplete),
+            mergedFrom: [...mergedFrom, fromUid],
+        },
+        oldProfileUpdate: oldProfile ? { credit: 0, loyaltyStamps: [], mergedInto: toUid } : null,
+    };
+};
+
+/**
+ * Erro de uma reivindicação recusada; o código vira o código do HttpsError devolvido ao app.
+ * @param {'not-found'|'permission-denied'} code
+ * @param {string} message
+ * @returns {Error}
+ */
+const createTransferError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Reivindica a transferência `fromUid` para a conta `toUid` e migra os dados, numa transação.
+ * Chamadas repetidas pela mesma conta não têm efeito.
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {string} root Raiz da unidade (artifacts/...)
+ * @param {{ fromUid: string, claimCode: string }} claim
+ * @param {string} toUid Conta autenticada que chamou a função
+ * @returns {Promise<'completed'|'expired'>}
+ */
+export const completeAccountTransfer = (db, root, { fromUid, claimCode }, toUid) => db.runTransaction(async (transaction) => {
+    const transferRef = db.doc(`${root}/private/data/accountTransfers/${fromUid}`);
+    const transferSnap = await transaction.get(transferRef);
+    if (!transferSnap.exists) throw createTransferError('not-found', 'Transferência de conta não encontrada.');
+
+    const transfer = transferSnap.data();
+    if (transfer.claimCode !== claimCode || (transfer.toUid && transfer.toUid !== toUid) || fromUid === toUid) {
+        throw createTransferError('permission-denied', 'Transferência de conta reivindicada por outra conta.');
+    }
+    if (transfer.status === 'completed') return 'completed';
+    if (!(Date.now() - toMillis(transfer.createdAt) < ACCOUNT_TRANSFER_TTL_MS)) return 'expired';
+
+    const oldProfileRef = db.doc(`${root}/users/${fromUid}/profiles/data`);
+    const newProfileRef = db.doc(`${root}/users/${toUid}/profiles/data`);
+    const oldProfileSnap = await transaction.get(oldProfileRef);
+    const newProfileSnap = await transaction.get(newProfileRef);
+    const appointmentsSnap = await transaction.get(
+        db.collection(`${root}/private/data/appointments`).where('userId', '==', fromUid)
+    );
+
+    const { profile, oldProfileUpdate } = buildProfileMerge(
+        oldProfileSnap.exists ? oldProfileSnap.data() : null,
+        newProfileSnap.exists ? newProfileSnap.data() : null,
+        fromUid,
+        toUid
+    );
+    const now = Date.now();
+    transaction.set(newProfileRef, profile);
+    if (oldProfileUpdate) transaction.update(oldProfileRef, oldProfileUpdate);
+    appointmentsSnap.docs.forEach(appointmentDoc => {
+        transaction.update(appointmentDoc.ref, { userId: toUid, migratedFrom: fromUid });
+    });
+    transaction.update(transferRef, { toUid, claimedAt: now, status: 'completed', completedAt: now });
+    return 'completed';
+});
@@ -0,0 +1,199 @@
+// Agendamentos no servidor: confere o preço que o cliente gravou ao agendar, monta a fila de mensagens (os clientes
+// não gravam `messages`), corrige o instante do horário (`startsAt`) gravado pelo app, que as regras do Firestore
+// usam para o prazo de cancelamento e remarcação, e lança a devolução dos cancelamentos feitos pelo cliente,
+// que não grava `refund` nem o próprio crédito. A devolução segue a mesma conta que o app mostra antes de cancelar
+// (src/policy.js) e o preço, a mesma conta da tela de agendamento (src/pricing.js).
+
+import { FieldValue } from 'firebase-admin/firestore';
+import { getAppointmentStartMs } from '../src/timezone.js';
+import { DEFAULT_CANCELLATION_POLICY, getCancellationRefund, toMillis } from '../src/policy.js';
+import { DEFAULT_PRICING_SETTINGS, getPriceQuote, getCouponDiscount } from '../src/pricing.js';
+import { DEFAULT_SERVICES } from '../src/catalog.js';
+import { syncMessageQueue } from '../src/messaging.js';
+
+/**
+ * Serviço e configuração de preços da unidade, lidos na transação de quem chama. Sem serviços cadastrados,
+ * vale o catálogo padrão, como no app.
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {string} root Raiz da unidade (artifacts/...)
+ * @param {import('firebase-admin/firestore').Transaction} transaction
+ * @param {string} serviceId
+ * @returns {Promise<{ service: object|null, pricingSettings: object }>} `service` é null quando o serviço não existe ou está inativo
+ */
+export const readServicePricing = async (db, root, transaction, serviceId) => {
+    const serviceSnap = await transaction.get(db.doc(`${root}/public/data/services/${serviceId}`));
+    const catalogSnap = serviceSnap.exists ? null : await transaction.get(db.collection(`${root}/public/data/services`));
+    const pricingSnap = await transaction.get(db.doc(`${root}/public/data/settings/pricing`));
+
+    const service = serviceSnap.exists
+        ? { id: serviceSnap.id, ...serviceSnap.data() }
+        : (catalogSnap.empty && DEFAULT_SERVICES.find(item => item.id === serviceId)) || null;
+    return {
+        service: service && service.active !== false ? service : null,
+        pricingSettings: { ...DEFAULT_PRICING_SETTINGS, ...(pricingSnap.exists ? pricingSnap.data() : {}) },
+    };
+};
+
+/**
+ * Preço que o agendamento deveria ter, refeito com o catálogo, as promoções de horário e o cupom atuais (ver getPriceQuote).
+ * As repetições de uma série não levam o cupom nem o corte grátis (ver getRepeatPricing). Só lê, na transação de quem chama.
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {string} root Raiz da unidade (artifacts/...)
+ * @param {import('firebase-admin/firestore').Transaction} transaction
+ * @param {object} appointment
+ * @returns {Promise<number|null>} null quando o serviço ou o cupom do agendamento não existe
+ */
+export const getExpectedPrice = async (db, root, transaction, appointment) => {
+    const isRepeat = Boolean(appointment.series && appointment.series.index >= 1);
+    const couponDiscount = isRepeat ? null : getCouponDiscount(appointment.pricing);
+    const { service, pricingSettings } = await readServicePricing(db, root, transaction, appointment.serviceId);
+    const couponSnap = couponDiscount ? await transaction.get(db.doc(`${root}/public/data/coupons/${couponDiscount.id}`)) : null;
+    if (!service || (couponSnap && !couponSnap.exists)) return null;
+
+    const quote = getPriceQuote(service, appointment, pricingSettings, {
+        coupon: couponSnap ? { ...couponSnap.data(), code: couponDiscount.id } : null,
+        loyaltyReward: !isRepeat && appointment.paymentMethod === 'loyalty',
+    });
+    return quote.finalPrice;
+};
+
+/**
+ * Cancela, numa transação, o agendamento recém-criado pelo cliente cujo preço não confere com o do servidor
+ * (ver getExpectedPrice): libera os slots, devolve o crédito gasto, os carimbos do corte grátis e o uso do cupom.
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {string} root Raiz da unidade (artifacts/...)
+ * @param {import('firebase-admin/firestore').DocumentReference} appointmentRef
+ * @returns {Promise<boolean>} true se o agendamento foi cancelado
+ */
+export const rejectMispricedAppointment = (db, root, appointmentRef) => db.runTransaction(async (transaction) => {
+    const appointmentSnap = await transaction.get(appointmentRef);
+    if (!appointmentSnap.exists || appointmentSnap.data().status === 'cancelled') return false;
+
+    const appointment = appointmentSnap.data();
+    const expectedPrice = await getExpectedPrice(db, root, transaction, appointment);
+    if (appointment.price === expectedPrice) return false;
+
+    const appointmentId = appointmentRef.id;
+    const couponDiscount = getCouponDiscount(appointment.pricing);
+    const slotRefs = (appointment.slotIds || []).map(slotId => db.doc(`${root}/public/data/slots/${slotId}`));
+    const profileRef = db.doc(`${root}/users/${appointment.userId}/profiles/data`);
+    const redemptionRef = db.doc(`${root}/private/data/loyaltyRedemptions/${appointmentId}`);
+    const couponUseRef = couponDiscount ? db.doc(`${root}/private/data/couponUses/${couponDiscount.id}_${appointment.userId}`) : null;
+    const slotSnaps = await Promise.all(slotRefs.map(slotRef => transaction.get(slotRef)));
+    const profileSnap = await transaction.get(profileRef);
+    const redemptionSnap = await transaction.get(redemptionRef);
+    const couponUseSnap = couponUseRef ? await transaction.get(couponUseRef) : null;
+
+    const now = Date.now();
+    const refund = appointment.paid ? { type: 'credit', amount: appointment.price } : { type: 'none', amount: 0 };
+    transaction.update(appointmentRef, {
+        status: 'cancelled',
+        cancelledAt: now,
+        cancelledBy: 'server',
+        refund,
+        statusHistory: [...(appointment.statusHistory || []), { status: 'cancelled', at: now, by: 'server' }],
+    });
+    slotSnaps.forEach((slotSnap, index) => {
+        if (slotSnap.exists && slotSnap.data().appointmentId === appointmentId) transaction.delete(slotRefs[index]);
+    });
+
+    const profileUpdate = {};
+    if (refund.amount > 0) profileUpdate.credit = FieldValue.increment(refund.amount);
+    if (redemptionSnap.exists && redemptionSnap.data().status === 'redeemed') {
+        transaction.update(redemptionRef, { status: 'restored', restoredAt: now });
+        const stamps = (profileSnap.exists && profileSnap.data().loyaltyStamps) || [];
+        profileUpdate.loyaltyStamps = [...stamps, ...redemptionSnap.data().stamps];
+    }
+    if (Object.keys(profileUpdate).length > 0 && profileSnap.exists) transaction.update(profileRef, profileUpdate);
+    if (couponUseSnap && couponUseSnap.exists && couponUseSnap.data().appointmentIds.includes(appointmentId)) {
+        transaction.update(couponUseRef, {
+            appointmentIds: couponUseSnap.data().appointmentIds.filter(id => id !== appointmentId),
+            updatedAt: FieldValue.serverTimestamp(),
+        });
+        transaction.update(db.doc(`${root}/public/data/coupons/${couponDiscount.id}`), { usedCount: FieldValue.increment(-1) });
+    }
+    return true;
+});
+
+/**
+ * Lança a devolução de um cancelamento que chegou sem `refund`, numa transação que lê os outros agendamentos
+ * do cliente: cancelamentos seguidos (série inteira) respeitam o limite de devoluções em 30 dias.
+ * Cancelamentos da equipe e estornos de PIX pago fora do prazo já chegam com `refund` e não passam por aqui.
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {string} root Raiz da unidade (artifacts/...)
+ * @param {import('firebase-admin/firestore').DocumentReference} appointmentRef
+ * @returns {Promise<{ type: string, amount: number }|null>} Devolução lançada, ou null se não havia o que lançar
+ */
+export const applyCancellationRefund = (db, root, appointmentRef) => db.runTransaction(async (transaction) => {
+    const appointmentSnap = await transaction.get(appointmentRef);
+    if (!appointmentSnap.exists) return null;
+
+    const appointment = appointmentSnap.data();
+    if (appointment.status !== 'cancelled' || appointment.refund) return null;
+
+    const profileRef = db.doc(`${root}/users/${appointment.userId}/profiles/data`);
+    const policySnap = await transaction.get(db.doc(`${root}/public/data/settings/policy`));
+    const userAppointmentsSnap = await transaction.get(
+        db.collection(`${root}/private/data/appointments`).where('userId', '==', appointment.userId)
+    );
+    const profileSnap = await transaction.get(profileRef);
+
+    const policy = { ...DEFAULT_CANCELLATION_POLICY, ...(policySnap.exists ? policySnap.data() : {}) };
+    const userAppointments = userAppointmentsSnap.docs.map(appointmentDoc => appointmentDoc.data());
+    const refund = getCancellationRefund(appointment, policy, userAppointments, toMillis(appointment.cancelledAt) || Date.now());
+
+    transaction.update(appointmentRef, { refund });
+    if (refund.type === 'credit' && refund.amount > 0 && profileSnap.exists) {
+        transaction.update(profileRef, { credit: FieldValue.increment(refund.amount) });
+    }
+    return refund;
+});
+
+/**
+ * Atualiza a fila de mensagens pela mudança entre as duas versões do agendamento (ver syncMessageQueue), numa transação
+ * sobre a fila atual, que o despachante pode ter alterado depois da gravação. Se o status já mudou de novo,
+ * a fila fica para o evento dessa outra gravação.
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {import('firebase-admin/firestore').DocumentSnapshot} before
+ * @param {import('firebase-admin/firestore').DocumentSnapshot} after
+ * @returns {Promise<void>}
+ */
+const applyMessageQueueChange = (db, before, after) => db.runTransaction(async (transaction) => {
+    const currentSnap = await transaction.get(after.ref);
+    if (!currentSnap.exists || currentSnap.data().status !== after.data().status) return;
+
+    const messages = syncMessageQueue(
+        before.exists ? before.data() : null,
+        { ...after.data(), messages: currentSnap.data().messages },
+        Date.now()
+    );
+    if (messages) transaction.update(after.ref, { messages });
+});
+
+/**
+ * Trata a gravação de um agendamento: cancela o agendamento novo com preço que não confere, monta a fila de mensagens,
+ * corrige `startsAt` (as regras só o conferem com folga de fuso) e lança a devolução dos cancelamentos sem `refund`.
+ * Os migrados da coleção antiga, gravados pela equipe, não passam pela conferência do preço nem ganham mensagens.
+ * As próprias gravações disparam o gatilho de novo, sem efeito.
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {string} root Raiz da unidade (artifacts/...)
+ * @param {{ before: import('firebase-admin/firestore').DocumentSnapshot, after: import('firebase-admin/firestore').DocumentSnapshot }} change
+ *        Agendamento antes e depois da gravação
+ * @returns {Promise<void>}
+ */
+export const handleAppointmentWrite = async (db, root, { before, after: snapshot }) => {
+    if (!snapshot.exists) return;
+
+    const appointment = snapshot.data();
+    const isMigration = !before.exists && Boolean(appointment.migratedAt);
+    if (!before.exists && !isMigration && await rejectMispricedAppointment(db, root, snapshot.ref)) return;
+    if (!isMigration) await applyMessageQueueChange(db, before, snapshot);
+
+    const startsAt = getAppointmentStartMs(appointment);
+    if (Number.isFinite(startsAt) && appointment.startsAt !== startsAt) {
+        await snapshot.ref.update({ startsAt });
+    }
+    if (appointment.status === 'cancelled' && !appointment.refund) {
+        await applyCancellationRefund(db, root, snapshot.ref);
+    }
+};
@@ -0,0 +1,151 @@
+// Funções do servidor (Firebase Cloud Functions): o que precisa de credenciais ou não pode ficar nas mãos do cliente.
+// O código compartilhado com o app (modelos e fila de mensagens, fusos horários, idiomas) vem de ../src
+// e entra no pacote pelo esbuild (npm run build, executado antes de cada deploy, ver firebase.json).
+
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { timingSafeEqual } from 'node:crypto';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { onCall, onRequest, HttpsError } from 'firebase-functions/v2/https';
+import { onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { defineString, defineSecret } from 'firebase-functions/params';
+import { logger } from 'firebase-functions/v2';
+import { createMessagingProvider } from './providers.js';
+import { dispatchDueMessages } from './messages.js';
+import { handleAppointmentWrite } from './appointments.js';
+import { bookSeriesRepeats } from './series.js';
+import { processWaitlists } from './waitlist.js';
+import { handlePixWebhook } from './payments.js';
+import { completeAccountTransfer } from './accounts.js';
+import { getShopRoot, isShopRootId } from './shops.js';
+
+initializeApp();
+const db = getFirestore();
+
+// Mesmo appId do app (__app_id): os dados ficam em artifacts/{APP_ID}
+const APP_ID = defineString('APP_ID', { default: 'default-app-id' });
+
+// Provedor de WhatsApp dos lembretes ('mock', 'twilio' ou 'zapi'). O simulado só escreve as mensagens no log
+const MESSAGING_PROVIDER = defineString('MESSAGING_PROVIDER', { default: 'mock' });
+const TWILIO_ACCOUNT_SID = defineString('TWILIO_ACCOUNT_SID', { default: '' });
+const TWILIO_WHATSAPP_FROM = defineString('TWILIO_WHATSAPP_FROM', { default: '' });
+const ZAPI_INSTANCE_ID = defineString('ZAPI_INSTANCE_ID', { default: '' });
+const TWILIO_AUTH_TOKEN = defineSecret('TWILIO_AUTH_TOKEN');
+const ZAPI_TOKEN = defineSecret('ZAPI_TOKEN');
+const ZAPI_CLIENT_TOKEN = defineSecret('ZAPI_CLIENT_TOKEN');
+
+// Token do endereço do webhook do PIX cadastrado no PSP (...pixWebhook?token=...): sem ele, a notificação é recusada
+const PIX_WEBHOOK_TOKEN = defineSecret('PIX_WEBHOOK_TOKEN');
+
+/**
+ * Compara dois textos em tempo constante.
+ * @param {string} received
+ * @param {string} expected
+ * @returns {boolean}
+ */
+const isSameToken = (received, expected) => {
+    const receivedBuffer = Buffer.from(String(received || ''));
+    const expectedBuffer = Buffer.from(expected);
+    return expected.length > 0 && receivedBuffer.length === expectedBuffer.length && timingSafeEqual(receivedBuffer, expectedBuffer);
+};
+
+// --- AGENDAMENTOS ---
+
+/**
+ * A cada gravação de agendamento (em qualquer unidade): preço dos agendamentos novos, fila de mensagens,
+ * instante do horário, devolução dos cancelamentos do cliente e as repetições da série com a primeira ocorrência confirmada.
+ */
+export const onAppointmentWritten = onDocumentWritten('artifacts/{rootId}/private/data/appointments/{appointmentId}', async (event) => {
+    const { rootId } = event.params;
+    if (!isShopRootId(APP_ID.value(), rootId) || !event.data) return;
+
+    await handleAppointmentWrite(db, `artifacts/${rootId}`, event.data);
+    if (event.data.after.exists) await bookSeriesRepeats(db, `artifacts/${rootId}`, event.data.after.ref);
+});
+
+// --- CONTAS ---
+
+// IDs recebidos do app viram caminhos de documento: só letras, números, "_" e "-"
+const DOCUMENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * Recuperação de conta: a conta verificada (autenticada) reivindica a transferência da conta anônima
+ * `{ shopId, fromUid, claimCode }` e recebe o perfil, o crédito, os carimbos e os agendamentos dela.
+ * Devolve `{ status: 'completed'|'expired' }`.
+ */
+export const claimAccountTransfer = onCall(async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Entre na conta verificada para migrar os dados.');
+    const { shopId, fromUid, claimCode } = request.data || {};
+    if (![shopId, fromUid, claimCode].every(value => typeof value === 'string' && DOCUMENT_ID_PATTERN.test(value))) {
+        throw new HttpsError('invalid-argument', 'Transferência de conta inválida.');
+    }
+
+    try {
+        const status = await completeAccountTransfer(db, getShopRoot(APP_ID.value(), shopId), { fromUid, claimCode }, request.auth.uid);
+        return { status };
+    } catch (err) {
+        if (err.code === 'not-found' || err.code === 'permission-denied') throw new HttpsError(err.code, err.message);
+        throw err;
+    }
+});
+
+// --- PAGAMENTOS ---
+
+/**
+ * Webhook da API Pix: o PSP avisa os PIX recebidos e os agendamentos correspondentes são confirmados.
+ * O PSP acrescenta "/pix" ao endereço cadastrado; qualquer caminho abaixo da função é aceito.
+ */
+export const pixWebhook = onRequest({ secrets: [PIX_WEBHOOK_TOKEN] }, async (req, res) => {
+    if (req.method !== 'POST') {
+        res.status(405).send('Método não permitido.');
+        return;
+    }
+    if (!isSameToken(req.query.token, PIX_WEBHOOK_TOKEN.value())) {
+        res.status(401).send('Token inválido.');
+        return;
+    }
+
+    try {
+        const results = await handlePixWebhook(db, APP_ID.value(), req.body);
+        res.status(200).json({ results });
+    } catch (err) {
+        logger.error('Erro ao tratar a notificação do PIX:', err);
+        res.status(500).send('Erro ao confirmar o pagamento.');
+    }
+});
+
+// --- LEMBRETES ---
+
+/**
+ * Despacha a cada minuto as mensagens vencidas das filas dos agendamentos e da lista de espera.
+ */
+export const dispatchMessages = onSchedule({
+    schedule: 'every 1 minutes',
+    secrets: [TWILIO_AUTH_TOKEN, ZAPI_TOKEN, ZAPI_CLIENT_TOKEN],
+}, async () => {
+    const provider = createMessagingProvider({
+        provider: MESSAGING_PROVIDER.value(),
+        mock: { log: (text) => logger.info(text) },
+        twilio: {
+            accountSid: TWILIO_ACCOUNT_SID.value(),
+            authToken: TWILIO_AUTH_TOKEN.value(),
+            from: TWILIO_WHATSAPP_FROM.value(),
+        },
+        zapi: {
+            instanceId: ZAPI_INSTANCE_ID.value(),
+            token: ZAPI_TOKEN.value(),
+            clientToken: ZAPI_CLIENT_TOKEN.value(),
+        },
+    });
+    await dispatchDueMessages(db, APP_ID.value(), provider);
+});
+
+// --- LISTA DE ESPERA ---
+
+/**
+ * A cada minuto, em todas as unidades: encerra as ofertas da lista de espera não aceitas a tempo e oferece as vagas
+ * livres ao próximo da fila. O aviso entra na fila de mensagens da inscrição e sai pelo dispatchMessages.
+ */
+export const processWaitlist = onSchedule('every 1 minutes', async () => {
+    await processWaitlists(db, APP_ID.value());
+});
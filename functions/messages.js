@@ -0,0 +1,95 @@
+// Despacho da fila de mensagens (confirmações, lembretes e avisos por WhatsApp) pelo servidor, em todas as unidades.
+// A mensagem é reservada ('sending') numa transação antes do envio, como no despachante do modo local (App.jsx),
+// então duas execuções sobrepostas não mandam a mesma mensagem duas vezes.
+
+import { logger } from 'firebase-functions/v2';
+import { isMessageDue, claimMessage, applySendResult, renderMessage, toWhatsappAddress } from '../src/messaging.js';
+import { DEFAULT_TIMEZONE, getTodayDateString, addDays } from '../src/timezone.js';
+import { getShops } from './shops.js';
+
+// Coleções com fila de mensagens: agendamentos e inscrições na lista de espera
+const QUEUE_COLLECTIONS = ['appointments', 'waitlist'];
+
+/**
+ * Atualiza uma mensagem da fila do documento dentro de uma transação.
+ * `update` recebe a mensagem e o documento e devolve a nova mensagem (ou a mesma, para não alterar nada).
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {import('firebase-admin/firestore').DocumentReference} ref Agendamento ou inscrição na lista de espera
+ * @param {string} messageId
+ * @param {(message: object, appointment: object) => object} update
+ * @returns {Promise<{ appointment: object, message: object }|null>} Documento e mensagem atualizada, ou null se nada mudou
+ */
+const updateQueuedMessage = (db, ref, messageId, update) => db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists) return null;
+
+    const appointment = { id: snapshot.id, ...snapshot.data() };
+    const messages = appointment.messages || [];
+    const message = messages.find(item => item.id === messageId);
+    if (!message) return null;
+
+    const updated = update(message, appointment);
+    if (updated === message) return null;
+
+    transaction.update(ref, { messages: messages.map(item => item.id === messageId ? updated : item) });
+    return { appointment, message: updated };
+});
+
+/**
+ * Envia uma mensagem da fila pelo provedor e registra o resultado (com novas tentativas em caso de falha).
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {object} provider Ver createMessagingProvider
+ * @param {import('firebase-admin/firestore').DocumentReference} ref
+ * @param {string} messageId
+ * @param {object} shop Unidade (nome e endereço entram no texto)
+ * @returns {Promise<void>}
+ */
+const dispatchMessage = async (db, provider, ref, messageId, shop) => {
+    const claimed = await updateQueuedMessage(db, ref, messageId, (message, appointment) => (
+        isMessageDue(message) ? claimMessage(message, appointment) : message
+    ));
+    if (!claimed || claimed.message.status !== 'sending') return;
+
+    let result;
+    try {
+        const { id } = await provider.send({
+            to: toWhatsappAddress(claimed.appointment.whatsapp),
+            text: renderMessage(claimed.message.type, claimed.appointment, shop),
+        });
+        result = { providerMessageId: id };
+    } catch (err) {
+        logger.error(`Erro ao enviar mensagem ${messageId} de ${ref.path}:`, err);
+        result = { error: err.message || String(err) };
+    }
+
+    await updateQueuedMessage(db, ref, messageId, (message) => (
+        message.status === 'sending' && message.claimedAt === claimed.message.claimedAt ? applySendResult(message, result) : message
+    ));
+};
+
+/**
+ * Envia as mensagens vencidas de todas as unidades. Só olha documentos a partir de ontem: confirmações e avisos
+ * saem na hora, e lembretes de horários que já passaram são descartados de qualquer jeito (ver claimMessage).
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {string} appId
+ * @param {object} provider Ver createMessagingProvider
+ * @param {number} [now]
+ * @returns {Promise<void>}
+ */
+export const dispatchDueMessages = async (db, appId, provider, now = Date.now()) => {
+    const since = addDays(getTodayDateString(DEFAULT_TIMEZONE, now), -1);
+    const shops = await getShops(db, appId);
+
+    for (const shop of shops) {
+        for (const collectionName of QUEUE_COLLECTIONS) {
+            const snapshot = await db.collection(`${shop.root}/private/data/${collectionName}`).where('date', '>=', since).get();
+            for (const queueDoc of snapshot.docs) {
+                const dueMessages = (queueDoc.data().messages || []).filter(message => isMessageDue(message, now));
+                for (const message of dueMessages) {
+                    await dispatchMessage(db, provider, queueDoc.ref, message.id, shop)
+                        .catch(err => logger.error(`Erro no despacho de mensagens de ${queueDoc.ref.path}:`, err));
+                }
+            }
+        }
+    }
+};
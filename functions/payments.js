@@ -0,0 +1,93 @@
+// Confirmação do PIX no servidor: o PSP avisa pelo webhook da API Pix e o pagamento é gravado com as credenciais
+// do servidor (as regras do Firestore não deixam o cliente confirmar o próprio agendamento).
+// As alterações gravadas são as mesmas da confirmação manual da equipe no app (src/payments.js), e o preço cobrado
+// é conferido de novo com o do servidor (functions/appointments.js).
+
+import { FieldValue } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions/v2';
+import { parsePixWebhook, isPaymentShort, getSlotTimesFromIds, buildPaymentConfirmation } from '../src/payments.js';
+import { getShops } from './shops.js';
+import { isSlotOccupied } from '../src/schedule.js';
+import { getExpectedPrice } from './appointments.js';
+
+/**
+ * Confirma o pagamento de um agendamento aguardando PIX, numa transação: ocupa de vez os slots, ou, se outro
+ * cliente já tomou o horário ou o preço não confere, cancela e devolve o valor como crédito.
+ * Notificações repetidas não têm efeito.
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {string} root Raiz da unidade (artifacts/...)
+ * @param {string} appointmentId ID do agendamento (é o txid da cobrança)
+ * @param {{ method: string, amount: number, endToEndId: string|null, paidAt: number }} received
+ * @returns {Promise<'confirmed'|'refunded'|'ignored'|'short'>} 'short': valor menor que o cobrado, o agendamento continua aguardando
+ */
+export const confirmPayment = (db, root, appointmentId, received) => db.runTransaction(async (transaction) => {
+    const appointmentRef = db.doc(`${root}/private/data/appointments/${appointmentId}`);
+    const appointmentSnap = await transaction.get(appointmentRef);
+    if (!appointmentSnap.exists || appointmentSnap.data().status !== 'pending_payment') return 'ignored';
+
+    const appointment = appointmentSnap.data();
+    if (isPaymentShort(appointment, received.amount)) return 'short';
+
+    const slotRefs = appointment.slotIds.map(slotId => db.doc(`${root}/public/data/slots/${slotId}`));
+    const slotSnaps = await Promise.all(slotRefs.map(slotRef => transaction.get(slotRef)));
+    const expectedPrice = await getExpectedPrice(db, root, transaction, appointment);
+
+    const now = Date.now();
+    const isTaken = slotSnaps.some(slotSnap =>
+        slotSnap.exists && slotSnap.data().appointmentId !== appointmentId && isSlotOccupied(slotSnap.data(), now)
+    );
+    const isRejected = isTaken || appointment.price !== expectedPrice;
+    const { result, update, refund } = buildPaymentConfirmation(appointment, { ...received, confirmedBy: 'pix-webhook' }, isRejected, now);
+    transaction.update(appointmentRef, update);
+
+    if (refund) {
+        slotSnaps.forEach((slotSnap, index) => {
+            if (slotSnap.exists && slotSnap.data().appointmentId === appointmentId) {
+                transaction.delete(slotRefs[index]);
+            }
+        });
+        const profileRef = db.doc(`${root}/users/${appointment.userId}/profiles/data`);
+        transaction.set(profileRef, { credit: FieldValue.increment(refund.amount) }, { merge: true });
+        return result;
+    }
+
+    const times = getSlotTimesFromIds(appointment);
+    slotRefs.forEach((slotRef, index) => {
+        transaction.set(slotRef, {
+            barberId: appointment.barberId,
+            date: appointment.date,
+            time: times[index],
+            status: 'booked',
+            appointmentId,
+            createdAt: FieldValue.serverTimestamp(),
+        });
+    });
+    return result;
+});
+
+/**
+ * Trata a notificação do webhook da API Pix (`{ pix: [{ txid, valor, endToEndId, horario }] }`).
+ * O txid é o ID do agendamento; como o PSP não diz a unidade, ele é procurado em todas.
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {string} appId
+ * @param {object} body
+ * @returns {Promise<string[]>} Resultado de cada PIX ('unknown' quando o txid não é de nenhum agendamento)
+ */
+export const handlePixWebhook = async (db, appId, body) => {
+    const received = parsePixWebhook(body);
+    if (received.length === 0) return [];
+
+    const shops = await getShops(db, appId);
+    return Promise.all(received.map(async ({ txid, ...payment }) => {
+        for (const shop of shops) {
+            const appointmentSnap = await db.doc(`${shop.root}/private/data/appointments/${txid}`).get();
+            if (!appointmentSnap.exists) continue;
+
+            const result = await confirmPayment(db, shop.root, txid, payment);
+            if (result === 'short') logger.warn(`PIX ${txid}: valor recebido (${payment.amount}) menor que o cobrado.`);
+            return result;
+        }
+        logger.warn(`PIX ${txid}: nenhum agendamento com este txid.`);
+        return 'unknown';
+    }));
+};
@@ -0,0 +1,67 @@
+// Provedores reais de WhatsApp (Twilio e Z-API). Ficam só no servidor: as credenciais vêm dos segredos
+// das Cloud Functions e nunca chegam ao navegador. O simulado é o mesmo do app (src/messaging.js).
+
+import { createMockProvider } from '../src/messaging.js';
+
+/**
+ * Provedor Twilio (API de WhatsApp).
+ * @param {{ accountSid: string, authToken: string, from: string }} config `from`: número remetente com "+" e DDI
+ * @returns {object}
+ */
+export const createTwilioProvider = ({ accountSid, authToken, from }) => ({
+    name: 'twilio',
+    send: async ({ to, text }) => {
+        const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+            method: 'POST',
+            headers: {
+                Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+            body: new URLSearchParams({ From: `whatsapp:${from}`, To: `whatsapp:+${to}`, Body: text }),
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) throw new Error(data.message || `Twilio respondeu com status ${response.status}.`);
+        return { id: data.sid };
+    },
+});
+
+/**
+ * Provedor Z-API.
+ * @param {{ instanceId: string, token: string, clientToken?: string }} config
+ * @returns {object}
+ */
+export const createZApiProvider = ({ instanceId, token, clientToken }) => ({
+    name: 'zapi',
+    send: async ({ to, text }) => {
+        const response = await fetch(`https://api.z-api.io/instances/${instanceId}/token/${token}/send-text`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(clientToken ? { 'Client-Token': clientToken } : {}),
+            },
+            body: JSON.stringify({ phone: to, message: text }),
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) throw new Error(data.error || data.message || `Z-API respondeu com status ${response.status}.`);
+        return { id: data.messageId || data.zaapId };
+    },
+});
+
+/**
+ * Cria o provedor configurado. Sem configuração, usa o simulado (as mensagens vão para o log das funções).
+ * @param {{ provider?: 'mock'|'twilio'|'zapi', mock?: object, twilio?: object, zapi?: object }} config
+ * @returns {object}
+ */
+export const createMessagingProvider = (config = {}) => {
+    switch (config.provider) {
+        case 'twilio':
+            return createTwilioProvider(config.twilio);
+        case 'zapi':
+            return createZApiProvider(config.zapi);
+        case 'mock':
+        default:
+            return createMockProvider(config.mock);
+    }
+};
@@ -0,0 +1,88 @@
+// Séries no servidor: as repetições pedidas na primeira ocorrência (`series.repeats`) são agendadas quando ela fica
+// confirmada, no mesmo horário, com o mesmo barbeiro e o mesmo serviço, pelas regras de agenda do app (src/schedule.js).
+// As regras do Firestore não deixam o cliente criar as repetições nem mudar `series` depois de agendar.
+
+import { FieldValue } from 'firebase-admin/firestore';
+import { getAppointmentStartMs } from '../src/timezone.js';
+import { getPriceQuote } from '../src/pricing.js';
+import { DEFAULT_SCHEDULE, getSlotId, getSlotTimes, getSeriesDates, getSeriesConflict, buildSeriesRepeat } from '../src/schedule.js';
+import { readServicePricing } from './appointments.js';
+
+/**
+ * Agenda uma repetição numa transação, se o horário estiver livre (ver getSeriesConflict). O preço é o do catálogo
+ * na data da repetição, com as promoções de horário, a mesma conta que o servidor confere em todo agendamento novo.
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {string} root Raiz da unidade (artifacts/...)
+ * @param {object} repeat Ver buildSeriesRepeat
+ * @param {object} schedule
+ * @returns {Promise<{ date: string, appointmentId: string|null, conflict: string|null, reason: string|null }>}
+ */
+const bookSeriesRepeat = (db, root, repeat, schedule) => db.runTransaction(async (transaction) => {
+    const times = getSlotTimes(repeat.time, repeat.durationMinutes, schedule.slotMinutes);
+    const slotRefs = times.map(time => db.doc(`${root}/public/data/slots/${getSlotId(repeat.barberId, repeat.date, time)}`));
+    const slotSnaps = await Promise.all(slotRefs.map(slotRef => transaction.get(slotRef)));
+    const { service, pricingSettings } = await readServicePricing(db, root, transaction, repeat.serviceId);
+
+    const slotsById = new Map(slotSnaps.filter(slotSnap => slotSnap.exists).map(slotSnap => [slotSnap.id, slotSnap.data()]));
+    const found = service
+        ? getSeriesConflict(schedule, repeat, slotsById, Date.now())
+        : { conflict: 'serviceUnavailable', reason: null };
+    if (found) return { date: repeat.date, appointmentId: null, ...found };
+
+    const pricing = getPriceQuote(service, repeat, pricingSettings);
+    const appointmentRef = db.collection(`${root}/private/data/appointments`).doc();
+    transaction.set(appointmentRef, {
+        ...repeat,
+        price: pricing.finalPrice,
+        pricing,
+        startsAt: getAppointmentStartMs(repeat),
+        slotIds: slotRefs.map(slotRef => slotRef.id),
+        createdAt: FieldValue.serverTimestamp(),
+    });
+    slotRefs.forEach((slotRef, index) => {
+        transaction.set(slotRef, {
+            barberId: repeat.barberId,
+            date: repeat.date,
+            time: times[index],
+            status: 'booked',
+            appointmentId: appointmentRef.id,
+            createdAt: FieldValue.serverTimestamp(),
+        });
+    });
+    return { date: repeat.date, appointmentId: appointmentRef.id, conflict: null, reason: null };
+});
+
+/**
+ * Agenda as repetições pedidas na primeira ocorrência de uma série, depois que ela está confirmada (grátis, paga
+ * com crédito ou com o PIX confirmado). O pedido é retirado numa transação antes de agendar, então gravações
+ * seguidas não agendam a mesma série duas vezes; as repetições que conflitarem ficam de fora e o resultado
+ * de cada uma vai para `series.results`.
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {string} root Raiz da unidade (artifacts/...)
+ * @param {import('firebase-admin/firestore').DocumentReference} appointmentRef Primeira ocorrência
+ * @returns {Promise<object[]|null>} Resultado de cada repetição, ou null se não havia o que agendar
+ */
+export const bookSeriesRepeats = async (db, root, appointmentRef) => {
+    const claimed = await db.runTransaction(async (transaction) => {
+        const appointmentSnap = await transaction.get(appointmentRef);
+        if (!appointmentSnap.exists) return null;
+
+        const appointment = { id: appointmentSnap.id, ...appointmentSnap.data() };
+        if (appointment.status !== 'confirmed' || !appointment.series || !appointment.series.repeats) return null;
+
+        transaction.update(appointmentRef, { series: { ...appointment.series, repeats: null } });
+        return appointment;
+    });
+    if (!claimed) return null;
+
+    const scheduleSnap = await db.doc(`${root}/public/data/settings/schedule`).get();
+    const schedule = { ...DEFAULT_SCHEDULE, ...(scheduleSnap.exists ? scheduleSnap.data() : {}) };
+    const { repeats, ...series } = claimed.series;
+    const results = [];
+    for (const [index, date] of getSeriesDates(claimed.date, series.intervalWeeks, repeats.occurrences).entries()) {
+        results.push(await bookSeriesRepeat(db, root, buildSeriesRepeat({ ...claimed, series }, date, index + 1), schedule));
+    }
+
+    await appointmentRef.update({ series: { ...series, repeats: null, results } });
+    return results;
+};
@@ -0,0 +1,36 @@
+// Unidades da rede no servidor: as mesmas raízes de dados do app (ver getShopRoot no App.jsx).
+
+// Unidade padrão: os dados dela ficam na raiz original do app
+export const DEFAULT_SHOP_ID = 'principal';
+
+/**
+ * Documento raiz dos dados de uma unidade.
+ * @param {string} appId
+ * @param {string} shopId
+ * @returns {string}
+ */
+export const getShopRoot = (appId, shopId) => shopId === DEFAULT_SHOP_ID ? `artifacts/${appId}` : `artifacts/${appId}--${shopId}`;
+
+/**
+ * Indica se o documento `artifacts/{rootId}` é a raiz de uma unidade deste app (o mesmo projeto pode guardar outros apps).
+ * @param {string} appId
+ * @param {string} rootId
+ * @returns {boolean}
+ */
+export const isShopRootId = (appId, rootId) => rootId === appId || rootId.startsWith(`${appId}--`);
+
+/**
+ * Unidades ativas, com a raiz dos dados de cada uma em `root`. Sem unidades cadastradas, só a padrão
+ * (como no app, ver DEFAULT_SHOPS).
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {string} appId
+ * @returns {Promise<object[]>}
+ */
+export const getShops = async (db, appId) => {
+    const snapshot = await db.collection(`artifacts/${appId}/public/data/shops`).get();
+    const shops = snapshot.docs
+        .map(shopDoc => ({ id: shopDoc.id, ...shopDoc.data() }))
+        .filter(shop => shop.active !== false);
+    const activeShops = shops.length > 0 ? shops : [{ id: DEFAULT_SHOP_ID, name: 'Barbearia', address: '' }];
+    return activeShops.map(shop => ({ ...shop, root: getShopRoot(appId, shop.id) }));
+};
@@ -0,0 +1,141 @@
+// Lista de espera no servidor, em todas as unidades: encerra as ofertas não aceitas a tempo e as inscrições de datas
+// que já passaram e oferece as vagas livres na ordem de inscrição, pelas mesmas regras do app (src/waitlist.js).
+// Cada oferta confere de novo a inscrição e os slots na transação que grava a reserva e o aviso por WhatsApp,
+// então rodadas sobrepostas não oferecem a mesma vaga duas vezes.
+
+import { FieldValue } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions/v2';
+import { waitlistOfferMessageQueue } from '../src/messaging.js';
+import { DEFAULT_TIMEZONE, getTodayDateString, isValidTimeZone } from '../src/timezone.js';
+import { DEFAULT_BARBERS, DEFAULT_SCHEDULE, getSlotId, isSlotOccupied } from '../src/schedule.js';
+import {
+    WAITLIST_OFFER_MINUTES, ACTIVE_WAITLIST_STATUSES, isWaitlistEntryStale, getWaitingEntries, findWaitlistOffer,
+} from '../src/waitlist.js';
+import { getShops } from './shops.js';
+
+/**
+ * Encerra a inscrição vencida (ver isWaitlistEntryStale), numa transação.
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {import('firebase-admin/firestore').DocumentReference} entryRef
+ * @param {string} today
+ * @param {number} now
+ * @returns {Promise<void>}
+ */
+const expireWaitlistEntry = (db, entryRef, today, now) => db.runTransaction(async (transaction) => {
+    const entrySnap = await transaction.get(entryRef);
+    if (!entrySnap.exists) return;
+
+    const entry = entrySnap.data();
+    if (ACTIVE_WAITLIST_STATUSES.includes(entry.status) && isWaitlistEntryStale(entry, today, now)) {
+        transaction.update(entryRef, { status: 'expired', expiredAt: now });
+    }
+});
+
+/**
+ * Oferece uma vaga à inscrição: reserva os slots em nome do cliente por WAITLIST_OFFER_MINUTES e agenda o aviso
+ * pela fila de mensagens da inscrição, tudo na mesma transação. Se a inscrição não estiver mais esperando
+ * ou a vaga foi ocupada, nada é feito.
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {string} root Raiz da unidade (artifacts/...)
+ * @param {import('firebase-admin/firestore').DocumentReference} entryRef
+ * @param {{ barberId: string, barberName: string, time: string, times: string[] }} offer Ver findWaitlistOffer
+ * @returns {Promise<boolean>} true se a vaga foi oferecida
+ */
+const offerWaitlistSlot = (db, root, entryRef, { barberId, barberName, time, times }) => db.runTransaction(async (transaction) => {
+    const entrySnap = await transaction.get(entryRef);
+    if (!entrySnap.exists || entrySnap.data().status !== 'waiting') return false;
+
+    const entry = entrySnap.data();
+    const slotRefs = times.map(slotTime => db.doc(`${root}/public/data/slots/${getSlotId(barberId, entry.date, slotTime)}`));
+    const slotSnaps = await Promise.all(slotRefs.map(slotRef => transaction.get(slotRef)));
+    const now = Date.now();
+    if (slotSnaps.some(slotSnap => slotSnap.exists && isSlotOccupied(slotSnap.data(), now))) return false;
+
+    const expiresAt = now + WAITLIST_OFFER_MINUTES * 60 * 1000;
+    const holdRef = db.collection(`${root}/private/data/holds`).doc();
+    transaction.set(holdRef, {
+        userId: entry.userId,
+        waitlistEntryId: entryRef.id,
+        barberId,
+        date: entry.date,
+        times,
+        expiresAt,
+        createdAt: FieldValue.serverTimestamp(),
+    });
+    slotRefs.forEach((slotRef, index) => {
+        transaction.set(slotRef, {
+            barberId,
+            date: entry.date,
+            time: times[index],
+            status: 'held',
+            holdId: holdRef.id,
+            expiresAt,
+            createdAt: FieldValue.serverTimestamp(),
+        });
+    });
+    transaction.update(entryRef, {
+        status: 'offered',
+        offer: { barberId, barberName, time, times, holdId: holdRef.id, expiresAt, offeredAt: now },
+        messages: waitlistOfferMessageQueue(entry.messages || [], now),
+    });
+    return true;
+});
+
+/**
+ * Uma rodada da lista de espera de uma unidade, com a agenda e os barbeiros ativos dela (os padrões do app
+ * enquanto não houver cadastro).
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {string} root Raiz da unidade (artifacts/...)
+ * @param {number} [now]
+ * @returns {Promise<void>}
+ */
+export const processShopWaitlist = async (db, root, now = Date.now()) => {
+    const entriesSnap = await db.collection(`${root}/private/data/waitlist`).where('status', 'in', ACTIVE_WAITLIST_STATUSES).get();
+    if (entriesSnap.empty) return;
+
+    const scheduleSnap = await db.doc(`${root}/public/data/settings/schedule`).get();
+    const barbersSnap = await db.collection(`${root}/public/data/barbers`).get();
+    const scheduleSettings = { ...DEFAULT_SCHEDULE, ...(scheduleSnap.exists ? scheduleSnap.data() : {}) };
+    // Um fuso inválido no documento vale o padrão, como no app
+    const schedule = isValidTimeZone(scheduleSettings.timeZone) ? scheduleSettings : { ...scheduleSettings, timeZone: DEFAULT_TIMEZONE };
+    const barbers = barbersSnap.empty ? DEFAULT_BARBERS : barbersSnap.docs
+        .map(barberDoc => ({ id: barberDoc.id, ...barberDoc.data() }))
+        .filter(barber => barber.active !== false)
+        .sort((a, b) => (a.order || 0) - (b.order || 0));
+
+    const today = getTodayDateString(schedule.timeZone, now);
+    const entries = entriesSnap.docs.map(entryDoc => ({ id: entryDoc.id, ref: entryDoc.ref, ...entryDoc.data() }));
+    for (const entry of entries.filter(item => isWaitlistEntryStale(item, today, now))) {
+        await expireWaitlistEntry(db, entry.ref, today, now);
+    }
+
+    const waiting = getWaitingEntries(entries, today, now);
+    for (const date of new Set(waiting.map(entry => entry.date))) {
+        const slotsSnap = await db.collection(`${root}/public/data/slots`).where('date', '==', date).get();
+        const slotsById = new Map(slotsSnap.docs.map(slotDoc => [slotDoc.id, slotDoc.data()]));
+        const claimedSlotIds = new Set();
+
+        for (const entry of waiting.filter(item => item.date === date)) {
+            const offer = findWaitlistOffer(entry, slotsById, claimedSlotIds, { schedule, barbers }, now);
+            if (!offer) continue;
+
+            offer.times.forEach(time => claimedSlotIds.add(getSlotId(offer.barberId, date, time)));
+            await offerWaitlistSlot(db, root, entry.ref, offer);
+        }
+    }
+};
+
+/**
+ * Uma rodada da lista de espera em todas as unidades. O erro de uma unidade não impede as outras.
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @param {string} appId
+ * @param {number} [now]
+ * @returns {Promise<void>}
+ */
+export const processWaitlists = async (db, appId, now = Date.now()) => {
+    const shops = await getShops(db, appId);
+    for (const shop of shops) {
+        await processShopWaitlist(db, shop.root, now)
+            .catch(err => logger.error(`Erro ao processar a lista de espera de ${shop.root}:`, err));
+    }
+};
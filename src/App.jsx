@@ -1,7 +1,53 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useCallback, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, getDoc, collection, query, where, onSnapshot, updateDoc, deleteDoc, addDoc, serverTimestamp, orderBy } from 'firebase/firestore';
+import {
+    getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, connectAuthEmulator, RecaptchaVerifier,
+    linkWithPhoneNumber, linkWithCredential, signInWithCredential, sendSignInLinkToEmail, isSignInWithEmailLink,
+    PhoneAuthProvider, EmailAuthProvider, deleteUser, signOut,
+} from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import { getFunctions, connectFunctionsEmulator, httpsCallable } from 'firebase/functions';
+import {
+    createMemoryStore, doc, setDoc, getDoc, getDocs, collection, query, where, onSnapshot, updateDoc, addDoc,
+    serverTimestamp, orderBy, runTransaction, writeBatch,
+} from './dataStore.js';
+import {
+    MESSAGE_TYPES, MESSAGE_STATUSES, renderMessage, toWhatsappAddress, waitlistOfferMessageQueue, isMessageDue, claimMessage,
+    applySendResult, retryMessage, createMockProvider, syncMessageQueue,
+} from './messaging.js';
+import { buildPixPayload } from './pix.js';
+import { describePayment, downloadReceipt } from './receipt.js';
+import { buildAppointmentIcs, buildAgendaIcs, getGoogleCalendarUrl, downloadIcs } from './calendar.js';
+import { buildCsv, downloadCsv } from './csv.js';
+import { parseLocation, buildPath } from './router.js';
+import { DEFAULT_SHOP_THEME, applyShopTheme, getShopSlug, findShopBySlug } from './shops.js';
+import { PHONE_COUNTRIES, parsePhone, formatPhone, splitPhone, getCountryName } from './phone.js';
+import {
+    createDeletedUserId, getAnonymizedFields, getAnonymizedCouponUse, getAnonymizedTransfer, buildDataExport, downloadJson,
+} from './privacy.js';
+import { DEFAULT_CANCELLATION_POLICY, getCancellationRefund } from './policy.js';
+import { parsePixWebhook, isPaymentShort, getSlotTimesFromIds, buildPaymentConfirmation } from './payments.js';
+import {
+    LOCALES, isSupportedLocale, matchLocale, setActiveLocale, getActiveLocale, t, formatCurrency,
+} from './i18n.js';
+import {
+    DEFAULT_PRICING_SETTINGS, normalizeCouponCode, getCouponError, getPriceQuote, getCouponDiscount,
+    isCouponDiscountCurrent, getRepeatPricing, getDiscountLabel,
+} from './pricing.js';
+import { DEFAULT_SERVICES } from './catalog.js';
+import {
+    DEFAULT_TIMEZONE, zonedTimeToMs, getTodayDateString, addDays, getWeekday, formatDateString,
+    getAppointmentStartMs, isValidTimeZone, isValidDateString, formatZonedDateTime, formatTimeString,
+} from './timezone.js';
+import {
+    LEGACY_BARBER_ID, DEFAULT_SLOT_MINUTES, getSlotId, timeToMinutes, minutesToTime, getSlotTimes, isSlotOccupied,
+    DEFAULT_BARBERS, ANY_BARBER, MIN_BOOKING_LEAD_MS, DEFAULT_SCHEDULE, getDayHours, getStartTimes,
+    MAX_SERIES_OCCURRENCES, getSeriesDates, getSeriesConflict, buildSeriesRepeat,
+} from './schedule.js';
+import {
+    WAITLIST_OFFER_MINUTES, ACTIVE_WAITLIST_STATUSES, isWaitlistEntryStale, getWaitingEntries, findWaitlistOffer,
+} from './waitlist.js';
+import QRCode from 'qrcode';
 
 // Variáveis de configuração (necessárias para o ambiente Canvas)
 const rawAppId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
@@ -10,624 +56,5810 @@ const appId = rawAppId.split('/')[0];
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
 
+// Sem configuração do Firebase (ou com VITE_DATA_BACKEND="local"), os dados ficam no localStorage deste navegador
+const USE_LOCAL_BACKEND = !firebaseConfig || import.meta.env.VITE_DATA_BACKEND === 'local';
+const LOCAL_DATA_STORAGE_KEY = 'barbearia:localData';
+const LOCAL_USER_STORAGE_KEY = 'barbearia:localUserId';
+
+// Os lembretes por WhatsApp saem pelo servidor (functions/, com as credenciais do provedor), que também monta a fila
+// de cada agendamento. No modo local, o navegador monta a fila e a despacha pelo provedor simulado
+const MESSAGING_SIMULATION = USE_LOCAL_BACKEND;
+const messagingProvider = createMockProvider({ failRate: Number(import.meta.env.VITE_MESSAGING_MOCK_FAIL_RATE) || 0 });
+
+// Mostra o botão que simula a notificação (webhook) de PIX recebido. Só no modo local: com o Firestore, quem confirma
+// o PIX é o servidor (função pixWebhook) e as regras não deixam o cliente confirmar o próprio pagamento
+const PIX_WEBHOOK_SIMULATION = USE_LOCAL_BACKEND;
+
+// Conecta aos emuladores locais do Firebase (Auth na porta 9099, Firestore na 8080, funções na 5001, ver firebase.json)
+const USE_FIREBASE_EMULATORS = import.meta.env.VITE_FIREBASE_EMULATORS === 'true';
+const FIREBASE_EMULATOR_HOST = import.meta.env.VITE_FIREBASE_EMULATOR_HOST || '127.0.0.1';
+
 // --- UTILS ---
 
 /**
- * Formata um número de WhatsApp (simplesmente remove não-dígitos)
- * @param {string} num 
+ * Formata um valor em reais no idioma da interface (ex.: 10 => "R$ 10,00")
+ * @param {number} value
+ * @returns {string}
+ */
+const formatPrice = (value) => formatCurrency(value);
+
+/**
+ * Nome abreviado do dia da semana no idioma da interface (0 = domingo).
+ * @param {number} weekday
+ * @returns {string}
+ */
+const formatWeekday = (weekday) => formatDateString(addDays('2023-01-01', weekday), { weekday: 'short' }); // 01/01/2023 foi um domingo
+
+/**
+ * Formata uma duração em ms como contagem regressiva (mm:ss)
+ * @param {number} ms 
+ * @returns {string}
+ */
+const formatCountdown = (ms) => {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+};
+
+// Unidade padrão: os dados dela ficam na raiz original do app (instalações de uma unidade só não mudam nada)
+const DEFAULT_SHOP_ID = 'principal';
+
+/**
+ * Retorna o documento raiz dos dados de uma unidade. Cada unidade tem as mesmas coleções na própria raiz,
+ * e as regras do Firestore (match /artifacts/{appId}) valem para todas, com equipe própria.
+ * Os caminhos de dados sempre recebem a unidade: trabalho assíncrono que termina depois de uma troca de
+ * unidade continua gravando na unidade em que começou.
+ * @param {string} shopId
+ * @returns {string}
+ */
+const getShopRoot = (shopId) => shopId === DEFAULT_SHOP_ID ? `artifacts/${appId}` : `artifacts/${appId}--${shopId}`;
+
+/**
+ * Retorna o caminho da coleção de unidades (público). Fica sempre na raiz da unidade padrão,
+ * e só os administradores dela cadastram unidades.
  * @returns {string}
  */
-const formatWhatsapp = (num) => num.replace(/\D/g, '');
+const getShopsCollectionPath = () => `artifacts/${appId}/public/data/shops`;
 
 /**
  * Retorna o caminho da COLEÇÃO de perfis do usuário (privado).
  * O documento individual dentro desta coleção terá o ID 'data'.
  * @param {string} userId 
+ * @param {string} shopId Cada unidade tem o próprio perfil do cliente
  * @returns {string}
  */
-const getUserProfileCollectionPath = (userId) => `artifacts/${appId}/users/${userId}/profiles`;
+const getUserProfileCollectionPath = (userId, shopId) => `${getShopRoot(shopId)}/users/${userId}/profiles`;
 
 /**
- * Retorna o caminho da coleção de agendamentos (público)
+ * Retorna o caminho da coleção de agendamentos (privado: só o próprio cliente e a equipe leem).
+ * Os agendamentos guardam nome e WhatsApp do cliente; a disponibilidade pública vem dos slots.
+ * @param {string} shopId
  * @returns {string}
  */
-const getAppointmentsCollectionPath = () => `artifacts/${appId}/public/data/appointments`;
+const getAppointmentsCollectionPath = (shopId) => `${getShopRoot(shopId)}/private/data/appointments`;
 
-// --- COMPONENTES ---
+/**
+ * Retorna o caminho da antiga coleção pública de agendamentos (só lida pela migração).
+ * @param {string} shopId
+ * @returns {string}
+ */
+const getLegacyAppointmentsCollectionPath = (shopId) => `${getShopRoot(shopId)}/public/data/appointments`;
 
-const LoadingScreen = ({ message }) => (
-    <div className="flex items-center justify-center min-h-screen bg-gray-900 text-white p-4">
-        <div className="text-center">
-            <svg className="animate-spin h-8 w-8 text-indigo-400 mx-auto mb-3" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-            </svg>
-            <p className="text-lg font-medium">{message}</p>
-        </div>
-    </div>
+/**
+ * Retorna o caminho da coleção de reservas temporárias (privado). Cada reserva liga o `holdId`
+ * gravado nos slots ao cliente que a fez, sem expor o UID na agenda pública.
+ * @param {string} shopId
+ * @returns {string}
+ */
+const getHoldsCollectionPath = (shopId) => `${getShopRoot(shopId)}/private/data/holds`;
+
+/**
+ * Retorna o caminho da coleção de bloqueios manuais da equipe (privado: o motivo pode citar clientes).
+ * @param {string} shopId
+ * @returns {string}
+ */
+const getBlocksCollectionPath = (shopId) => `${getShopRoot(shopId)}/private/data/blocks`;
+
+/**
+ * Retorna o caminho da coleção da lista de espera (privado: nome e WhatsApp de quem espera a vaga).
+ * @param {string} shopId
+ * @returns {string}
+ */
+const getWaitlistCollectionPath = (shopId) => `${getShopRoot(shopId)}/private/data/waitlist`;
+
+/**
+ * Retorna o caminho da coleção de transferências de conta (privado). Cada documento, com o UID da conta
+ * anônima como ID, autoriza a conta verificada a assumir o perfil e os agendamentos dela.
+ * @param {string} shopId
+ * @returns {string}
+ */
+const getAccountTransfersCollectionPath = (shopId) => `${getShopRoot(shopId)}/private/data/accountTransfers`;
+
+/**
+ * Retorna o caminho da coleção de resgates do programa de fidelidade (privado). Cada resgate tem o ID
+ * do agendamento grátis e registra os carimbos gastos, que só voltam ao perfil se ele for cancelado.
+ * @param {string} shopId
+ * @returns {string}
+ */
+const getLoyaltyRedemptionsCollectionPath = (shopId) => `${getShopRoot(shopId)}/private/data/loyaltyRedemptions`;
+
+/**
+ * Retorna o caminho da coleção de usos de cupom por cliente (privado). O ID é getCouponUseId(código, UID)
+ * e o documento lista os agendamentos do cliente que usam o cupom.
+ * @param {string} shopId
+ * @returns {string}
+ */
+const getCouponUsesCollectionPath = (shopId) => `${getShopRoot(shopId)}/private/data/couponUses`;
+
+/**
+ * ID do documento de usos de um cupom por um cliente.
+ * @param {string} code Código normalizado (ver normalizeCouponCode)
+ * @param {string} userId
+ * @returns {string}
+ */
+const getCouponUseId = (code, userId) => `${code}_${userId}`;
+
+/**
+ * Retorna o caminho da coleção de slots ocupados (público e anônimo: só diz que o horário está tomado).
+ * Cada horário reservado tem um documento com ID determinístico (ver getSlotId),
+ * o que permite reservar o horário de forma atômica dentro de uma transação.
+ * @param {string} shopId
+ * @returns {string}
+ */
+const getSlotsCollectionPath = (shopId) => `${getShopRoot(shopId)}/public/data/slots`;
+
+/**
+ * Retorna o caminho da coleção do catálogo de serviços (público)
+ * @param {string} shopId
+ * @returns {string}
+ */
+const getServicesCollectionPath = (shopId) => `${getShopRoot(shopId)}/public/data/services`;
+
+/**
+ * Retorna o caminho da coleção de barbeiros (público)
+ * @param {string} shopId
+ * @returns {string}
+ */
+const getBarbersCollectionPath = (shopId) => `${getShopRoot(shopId)}/public/data/barbers`;
+
+/**
+ * Retorna o caminho da coleção da equipe. O ID de cada documento é o UID do membro,
+ * com { role: 'admin' | 'barber', barberId?, name }. Só a barbearia cadastra membros.
+ * @param {string} shopId
+ * @returns {string}
+ */
+const getStaffCollectionPath = (shopId) => `${getShopRoot(shopId)}/public/data/staff`;
+
+/**
+ * Retorna o caminho da coleção de configurações da barbearia (público, somente leitura para clientes).
+ * Cada documento é um grupo de configurações (ex.: 'policy').
+ * @param {string} shopId
+ * @returns {string}
+ */
+const getSettingsCollectionPath = (shopId) => `${getShopRoot(shopId)}/public/data/settings`;
+
+/**
+ * Retorna o caminho da coleção de cupons de desconto (público para leitura pelo código, que é o ID do documento).
+ * @param {string} shopId
+ * @returns {string}
+ */
+const getCouponsCollectionPath = (shopId) => `${getShopRoot(shopId)}/public/data/coupons`;
+
+// Duração assumida para agendamentos criados antes do catálogo de serviços
+const LEGACY_DURATION_MINUTES = 60;
+
+/**
+ * IDs dos slots que o agendamento ocupa na agenda do seu barbeiro, calculados a partir de data, hora e duração.
+ * @param {object} appointment
+ * @param {number} [slotMinutes] Granularidade da agenda
+ * @returns {string[]}
+ */
+const getAppointmentUnitIds = (appointment, slotMinutes = DEFAULT_SLOT_MINUTES) => {
+    const barberId = appointment.barberId || LEGACY_BARBER_ID;
+    return getSlotTimes(appointment.time, appointment.durationMinutes || LEGACY_DURATION_MINUTES, slotMinutes)
+        .map(time => getSlotId(barberId, appointment.date, time));
+};
+
+/**
+ * IDs dos documentos de slot gravados para um agendamento (inclui agendamentos antigos, com um único `slotId`).
+ * @param {object} appointment
+ * @returns {string[]}
+ */
+const getAppointmentSlotIds = (appointment) => {
+    if (appointment.slotIds) return appointment.slotIds;
+    if (appointment.slotId) return [appointment.slotId];
+    return getAppointmentUnitIds(appointment);
+};
+
+// Código do erro lançado quando outro cliente reservou o slot primeiro
+const SLOT_TAKEN_ERROR = 'slot-taken';
+
+// Código do erro lançado quando o crédito do perfil não cobre o valor do agendamento
+const INSUFFICIENT_CREDIT_ERROR = 'insufficient-credit';
+
+// Código do erro lançado quando o valor do PIX recebido é menor que o cobrado
+const PAYMENT_AMOUNT_ERROR = 'payment-amount';
+
+// Código do erro lançado quando o cliente não tem mais carimbos para o corte grátis
+const LOYALTY_REWARD_ERROR = 'loyalty-reward';
+
+// Código do erro lançado quando o cupom não vale (mais) para o agendamento; a mensagem diz o motivo
+const COUPON_ERROR = 'coupon';
+
+// Por quantos minutos um horário fica reservado enquanto o cliente paga
+const HOLD_MINUTES = 10;
+
+// Prazo máximo de uma reserva gravada pelo cliente, contado do horário do servidor (o mesmo limite de firestore.rules).
+// O relógio do navegador pode estar adiantado; a folga em relação a HOLD_MINUTES absorve essa diferença
+const MAX_HOLD_MINUTES = 30;
+
+/**
+ * Cria um erro com o código informado (mesmo padrão de `err.code` dos erros do Firebase).
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+const createBookingError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Indica se o slot está na reserva temporária ativa informada (o cliente conhece o `holdId` da própria reserva).
+ * Slots de um agendamento aguardando pagamento PIX não contam: já pertencem àquele agendamento.
+ * @param {object} slot
+ * @param {string|null} holdId
+ * @param {number} now
+ * @returns {boolean}
+ */
+const isOwnHold = (slot, holdId, now = Date.now()) =>
+    Boolean(holdId) && slot.status === 'held' && slot.holdId === holdId && slot.expiresAt > now;
+
+/**
+ * Indica se algum dos slots lidos na transação está ocupado por outro cliente.
+ * @param {import('firebase/firestore').DocumentSnapshot[]} slotSnaps
+ * @param {string|null} holdId Reserva temporária de quem está reservando (os próprios slots não contam)
+ * @param {number} now
+ * @returns {boolean}
+ */
+const isAnySlotTaken = (slotSnaps, holdId, now) => slotSnaps.some(slotSnap =>
+    slotSnap.exists() && isSlotOccupied(slotSnap.data(), now) && !isOwnHold(slotSnap.data(), holdId, now)
 );
 
-const NotificationDisplay = ({ appointment, onClose }) => {
-    if (!appointment) return null;
+/**
+ * Grava, dentro de uma transação já validada, o documento privado da reserva temporária e os slots
+ * públicos que ela ocupa.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {object} transaction
+ * @param {{ barberId: string, date: string, times: string[], userId: string, expiresAt: number }} hold
+ *        Campos extras (ex.: `waitlistEntryId`) vão só para o documento privado
+ * @param {string[]} [skipTimes] Horários do `times` cujos slots não são gravados
+ * @returns {string} ID da reserva
+ */
+const writeHold = (db, shopId, transaction, { barberId, date, times, expiresAt, ...holdData }, skipTimes = []) => {
+    const holdRef = doc(collection(db, getHoldsCollectionPath(shopId)));
+    transaction.set(holdRef, { ...holdData, barberId, date, times, expiresAt, createdAt: serverTimestamp() });
+    times.filter(time => !skipTimes.includes(time)).forEach(time => {
+        transaction.set(doc(db, getSlotsCollectionPath(shopId), getSlotId(barberId, date, time)), {
+            barberId,
+            date,
+            time,
+            status: 'held',
+            holdId: holdRef.id,
+            expiresAt,
+            createdAt: serverTimestamp(),
+        });
+    });
+    return holdRef.id;
+};
+
+/**
+ * Reserva temporariamente os slots de um serviço na agenda do barbeiro enquanto o cliente paga.
+ * Falha com SLOT_TAKEN_ERROR se algum slot estiver confirmado ou em reserva ativa de outro cliente.
+ * Na remarcação, `ignoreAppointmentId` permite sobrepor o horário atual do próprio agendamento
+ * (esses slots continuam confirmados e não são reservados de novo).
+ * Os slots públicos guardam só o `holdId`; quem fez a reserva fica no documento privado da reserva.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {{ barberId: string, date: string, times: string[], userId: string, ignoreAppointmentId?: string }} hold
+ * @returns {Promise<{ holdId: string, expiresAt: number }>} ID da reserva e momento (ms) em que ela expira
+ */
+const holdSlot = (db, shopId, { barberId, date, times, userId, ignoreAppointmentId }) => runTransaction(db, async (transaction) => {
+    const slotRefs = times.map(time => doc(db, getSlotsCollectionPath(shopId), getSlotId(barberId, date, time)));
+    const slotSnaps = await Promise.all(slotRefs.map(slotRef => transaction.get(slotRef)));
+    const now = Date.now();
+    const isIgnored = (slotSnap) => Boolean(ignoreAppointmentId) && slotSnap.exists() && slotSnap.data().appointmentId === ignoreAppointmentId;
+
+    if (isAnySlotTaken(slotSnaps.filter(slotSnap => !isIgnored(slotSnap)), null, now)) {
+        throw createBookingError(SLOT_TAKEN_ERROR, t('errors.slotTaken'));
+    }
+
+    const expiresAt = now + HOLD_MINUTES * 60 * 1000;
+    const holdId = writeHold(db, shopId, transaction, { userId, barberId, date, times, expiresAt }, times.filter((time, index) => isIgnored(slotSnaps[index])));
+
+    return { holdId, expiresAt };
+});
+
+/**
+ * Libera a reserva temporária do usuário (ao trocar de horário ou sair da tela).
+ * Não mexe em slots já confirmados ou que pertencem a outra reserva.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {{ barberId: string, date: string, times: string[], holdId: string }} hold
+ * @returns {Promise<void>}
+ */
+const releaseHold = (db, shopId, { barberId, date, times, holdId }) => runTransaction(db, async (transaction) => {
+    const slotRefs = times.map(time => doc(db, getSlotsCollectionPath(shopId), getSlotId(barberId, date, time)));
+    const slotSnaps = await Promise.all(slotRefs.map(slotRef => transaction.get(slotRef)));
+
+    slotSnaps.forEach((slotSnap, index) => {
+        if (slotSnap.exists() && slotSnap.data().status === 'held' && slotSnap.data().holdId === holdId) {
+            transaction.delete(slotRefs[index]);
+        }
+    });
+    transaction.delete(doc(db, getHoldsCollectionPath(shopId), holdId));
+});
+
+/**
+ * Remove uma reserva temporária expirada. A transação confere de novo a expiração,
+ * então vários clientes podem tentar limpar o mesmo slot sem conflito.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {string} slotId
+ * @returns {Promise<void>}
+ */
+const sweepExpiredHold = (db, shopId, slotId) => runTransaction(db, async (transaction) => {
+    const slotRef = doc(db, getSlotsCollectionPath(shopId), slotId);
+    const slotSnap = await transaction.get(slotRef);
+
+    if (slotSnap.exists() && !isSlotOccupied(slotSnap.data())) {
+        transaction.delete(slotRef);
+    }
+});
+
+/**
+ * Fila de mensagens a gravar junto com uma alteração do agendamento (ver syncMessageQueue). No deploy quem monta a fila
+ * é o servidor, a cada gravação, e as regras não deixam o app gravar `messages`; só no modo local o app a monta.
+ * @param {object|null} before Agendamento antes da alteração (null na criação)
+ * @param {object} after Agendamento com a alteração
+ * @param {number} now
+ * @returns {{ messages?: object[] }} Campos a acrescentar à gravação
+ */
+const getQueueUpdate = (before, after, now) => {
+    const messages = MESSAGING_SIMULATION ? syncMessageQueue(before, after, now) : null;
+    return messages ? { messages } : {};
+};
+
+/**
+ * Converte a reserva temporária do cliente em agendamento confirmado, na mesma transação,
+ * ocupando todos os slots da duração do serviço.
+ * Se a reserva expirou mas ninguém tomou o horário, o agendamento ainda é confirmado.
+ * Se outro cliente tomou algum slot, a transação é abortada com um erro de código SLOT_TAKEN_ERROR.
+ * Com `useCredit`, o valor é descontado do crédito do perfil (gerado por cancelamentos).
+ * Com `useReward`, é o corte grátis do cartão fidelidade: os carimbos mais antigos são gastos e o resgate
+ * fica registrado com o ID do agendamento; sem carimbos suficientes, falha com LOYALTY_REWARD_ERROR.
+ * Com um cupom no detalhamento do preço (`appointment.pricing`), o cupom é validado de novo e o uso é contado
+ * no cupom e no documento de usos do cliente; se não vale mais, falha com COUPON_ERROR.
+ * A fila de mensagens (confirmação e lembretes) fica com o servidor (ver getQueueUpdate).
+ * Com `paymentExpiresAt`, o agendamento fica aguardando o PIX: os slots continuam em reserva até esse momento,
+ * a cobrança usa o ID do agendamento como txid e a confirmação fica para confirmPayment.
+ * O documento privado da reserva temporária (`holdId`) é apagado: daqui em diante os slots apontam para o agendamento.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {object} appointment Dados do agendamento (precisa de userId, barberId, date e price)
+ * @param {{ times: string[], holdId?: string, useCredit?: boolean, useReward?: boolean, loyalty?: object, paymentExpiresAt?: number }} options
+ *        `times`: horários dos slots ocupados (ver getSlotTimes); `holdId`: reserva temporária do cliente (ver holdSlot);
+ *        `loyalty`: regras do cartão fidelidade, obrigatórias com `useReward`
+ * @returns {Promise<string>} ID do agendamento criado
+ */
+const bookSlot = (db, shopId, appointment, { times, holdId = null, useCredit = false, useReward = false, loyalty = null, paymentExpiresAt = null }) => runTransaction(db, async (transaction) => {
+    const slotIds = times.map(time => getSlotId(appointment.barberId, appointment.date, time));
+    const slotRefs = slotIds.map(slotId => doc(db, getSlotsCollectionPath(shopId), slotId));
+    const profileRef = doc(db, getUserProfileCollectionPath(appointment.userId, shopId), 'data');
+    const appointmentRef = doc(collection(db, getAppointmentsCollectionPath(shopId)));
+    const couponDiscount = getCouponDiscount(appointment.pricing);
+    const couponRef = couponDiscount ? doc(db, getCouponsCollectionPath(shopId), couponDiscount.id) : null;
+    const couponUseRef = couponDiscount ? doc(db, getCouponUsesCollectionPath(shopId), getCouponUseId(couponDiscount.id, appointment.userId)) : null;
+    const slotSnaps = await Promise.all(slotRefs.map(slotRef => transaction.get(slotRef)));
+    const profileSnap = useCredit || useReward ? await transaction.get(profileRef) : null;
+    const couponSnap = couponRef ? await transaction.get(couponRef) : null;
+    const couponUseSnap = couponUseRef ? await transaction.get(couponUseRef) : null;
+    const now = Date.now();
+
+    if (isAnySlotTaken(slotSnaps, holdId, now)) {
+        throw createBookingError(SLOT_TAKEN_ERROR, t('errors.slotTaken'));
+    }
+
+    if (couponDiscount) {
+        const coupon = couponSnap.exists() ? { ...couponSnap.data(), code: couponDiscount.id } : null;
+        const appointmentIds = couponUseSnap.exists() ? couponUseSnap.data().appointmentIds : [];
+        const reason = getCouponError(coupon, {
+            serviceId: appointment.serviceId,
+            today: getTodayDateString(appointment.timeZone, now),
+            customerUses: appointmentIds.length,
+        });
+        if (reason) throw createBookingError(COUPON_ERROR, reason);
+        if (!isCouponDiscountCurrent(appointment.pricing, coupon)) {
+            throw createBookingError(COUPON_ERROR, t('errors.couponChanged'));
+        }
+        transaction.update(couponRef, { usedCount: (coupon.usedCount || 0) + 1 });
+        transaction.set(couponUseRef, {
+            code: couponDiscount.id,
+            userId: appointment.userId,
+            appointmentIds: [...appointmentIds, appointmentRef.id],
+            updatedAt: serverTimestamp(),
+        });
+    }
+
+    if (useCredit) {
+        const credit = profileSnap.exists() ? profileSnap.data().credit || 0 : 0;
+        if (credit < appointment.price) {
+            throw createBookingError(INSUFFICIENT_CREDIT_ERROR, t('errors.insufficientCredit'));
+        }
+        // `lastCreditAppointmentId`: as regras só aceitam o débito ligado ao agendamento criado na mesma transação
+        transaction.update(profileRef, { credit: credit - appointment.price, lastCreditAppointmentId: appointmentRef.id });
+    }
+
+    if (useReward) {
+        const stamps = getValidStamps(profileSnap.exists() ? profileSnap.data() : {}, loyalty, now);
+        if (!isLoyaltyService(appointment.serviceId, loyalty) || stamps.length < loyalty.stampsRequired) {
+            throw createBookingError(LOYALTY_REWARD_ERROR, t('errors.insufficientStamps'));
+        }
+        // Os carimbos gastos saem do perfil na mesma transação: o mesmo cartão não vale dois cortes
+        transaction.update(profileRef, {
+            loyaltyStamps: stamps.slice(loyalty.stampsRequired),
+            lastLoyaltyRedemptionId: appointmentRef.id,
+        });
+        transaction.set(doc(db, getLoyaltyRedemptionsCollectionPath(shopId), appointmentRef.id), {
+            userId: appointment.userId,
+            appointmentId: appointmentRef.id,
+            serviceId: appointment.serviceId,
+            stamps: stamps.slice(0, loyalty.stampsRequired),
+            status: 'redeemed',
+            redeemedAt: now,
+        });
+    }
+
+    // `startsAt`: o instante do horário, que as regras usam para o prazo de cancelamento (o servidor confere o valor)
+    const startsAt = getAppointmentStartMs(appointment);
+    const created = paymentExpiresAt
+        ? { ...appointment, startsAt, slotIds, payment: { txid: appointmentRef.id, amount: appointment.price, expiresAt: paymentExpiresAt, status: 'pending' } }
+        : { ...appointment, startsAt, slotIds };
+    transaction.set(appointmentRef, { ...created, ...getQueueUpdate(null, created, now) });
+    slotRefs.forEach((slotRef, index) => {
+        const slot = {
+            barberId: appointment.barberId,
+            date: appointment.date,
+            time: times[index],
+            status: 'booked',
+            appointmentId: appointmentRef.id,
+            createdAt: serverTimestamp(),
+        };
+        transaction.set(slotRef, paymentExpiresAt
+            ? { ...slot, status: 'held', expiresAt: paymentExpiresAt }
+            : slot);
+    });
+    if (holdId) transaction.delete(doc(db, getHoldsCollectionPath(shopId), holdId));
+
+    return appointmentRef.id;
+});
+
+// --- UNIDADES (VÁRIAS BARBEARIAS) ---
+
+// Última unidade aberta neste navegador: é a que abre em "/", sem o slug no endereço
+const LAST_SHOP_STORAGE_KEY = 'barbearia:lastShop';
+
+/**
+ * Unidades usadas enquanto a coleção de unidades do Firestore estiver vazia: só a unidade padrão,
+ * com os dados da raiz original do app.
+ */
+const DEFAULT_SHOPS = [
+    { id: DEFAULT_SHOP_ID, name: 'Barbearia', logoUrl: '', theme: DEFAULT_SHOP_THEME, address: '', order: 1 },
+];
+
+/**
+ * Unidade a abrir: a do slug do endereço; sem slug (ou com um desconhecido), a última aberta neste navegador,
+ * ou a primeira da lista.
+ * @param {object[]} shops Unidades ativas
+ * @param {string|null} shopSlug
+ * @returns {object}
+ */
+const resolveShop = (shops, shopSlug) => {
+    const lastShopId = localStorage.getItem(LAST_SHOP_STORAGE_KEY);
+    return findShopBySlug(shops, shopSlug) || shops.find(shop => shop.id === lastShopId) || shops[0];
+};
+
+/**
+ * Slug da unidade no endereço. A unidade padrão sem slug próprio fica sem prefixo (/agendar),
+ * como antes das várias unidades.
+ * @param {object} shop
+ * @returns {string|null}
+ */
+const getShopRouteSlug = (shop) => shop.id === DEFAULT_SHOP_ID && !shop.slug ? null : getShopSlug(shop);
+
+// --- CATÁLOGO DE SERVIÇOS ---
+
+/**
+ * Serviço pré-selecionado de um link direto ou do "Agendar de novo": pelo ID ou, para links escritos
+ * à mão e agendamentos antigos sem `serviceId`, pelo nome (sem diferenciar maiúsculas).
+ * @param {object[]} services Catálogo ativo
+ * @param {{ service?: string|null }} preset
+ * @returns {object|null}
+ */
+const findPresetService = (services, { service }) => {
+    if (!service) return null;
+    return services.find(item => item.id === service)
+        || services.find(item => item.name.toLowerCase() === service.toLowerCase())
+        || null;
+};
+
+// --- HORÁRIO DE FUNCIONAMENTO ---
+
+// Até quantos dias à frente o seletor de data procura o próximo dia de funcionamento
+const MAX_DAYS_TO_SEARCH = 60;
+
+/**
+ * Leitor do estado dos slots para quem está agendando: 'free', 'held' (reserva temporária de outro cliente)
+ * ou 'taken'. A reserva do próprio cliente e, na remarcação, os slots do agendamento remarcado contam como livres.
+ * @param {Map<string, object>} slotsById Índice dos slots gravados, por ID (ver getSlotId)
+ * @param {{ holdId?: string|null, rescheduleAppointmentId?: string|null }} viewer
+ * @param {number} now
+ * @returns {(slotId: string) => 'free'|'held'|'taken'}
+ */
+const createSlotStateReader = (slotsById, { holdId = null, rescheduleAppointmentId = null }, now) => (slotId) => {
+    const slot = slotsById.get(slotId);
+    if (slot && rescheduleAppointmentId && slot.appointmentId === rescheduleAppointmentId) return 'free';
+    if (slot && isSlotOccupied(slot, now) && !isOwnHold(slot, holdId, now)) {
+        return slot.status === 'held' ? 'held' : 'taken';
+    }
+    return 'free';
+};
+
+/**
+ * Horários de início em que o serviço cabe inteiro na agenda de algum dos barbeiros candidatos.
+ * `barberIds` lista, em ordem de preferência, os barbeiros livres no horário. Horários cujos barbeiros
+ * só estão em reserva temporária de outro cliente também voltam, marcados com `isHeld`.
+ * Dias fechados e horários a menos de MIN_BOOKING_LEAD_MS de agora não têm horários.
+ * @param {{ schedule: object, date: string, durationMinutes: number, barbers: object[], getSlotState: Function, now: number }} params
+ *        `barbers`: candidatos; `getSlotState`: ver createSlotStateReader
+ * @returns {{ time: string, isHeld: boolean, barberIds: string[] }[]}
+ */
+const getAvailableStartTimes = ({ schedule, date, durationMinutes, barbers, getSlotState, now }) => {
+    const dayHours = getDayHours(schedule, date);
+    if (dayHours.closed) return [];
+
+    return getStartTimes(dayHours, durationMinutes, schedule.slotMinutes)
+        .map(time => {
+            const barberStates = barbers.map(barber => {
+                const states = getSlotTimes(time, durationMinutes, schedule.slotMinutes)
+                    .map(slotTime => getSlotState(getSlotId(barber.id, date, slotTime)));
+                if (states.includes('taken')) return { barberId: barber.id, state: 'taken' };
+                return { barberId: barber.id, state: states.includes('held') ? 'held' : 'free' };
+            });
+            const barberIds = barberStates.filter(({ state }) => state === 'free').map(({ barberId }) => barberId);
+            const isHeld = barberIds.length === 0 && barberStates.some(({ state }) => state === 'held');
+            return { time, isHeld, barberIds };
+        })
+        .filter(({ time, isHeld, barberIds }) => {
+            if (barberIds.length === 0 && !isHeld) return false;
+
+            // Bloquear horários passados: o slot deve ser pelo menos 1 hora no futuro
+            return zonedTimeToMs(date, time, schedule.timeZone) > now + MIN_BOOKING_LEAD_MS;
+        });
+};
+
+// Dias com até esta quantidade de horários livres aparecem como "poucos horários" no calendário do mês
+const FEW_SLOTS_THRESHOLD = 3;
+
+/**
+ * Níveis de disponibilidade de um dia no calendário do mês, com a chave do rótulo da legenda (ver i18n.js) e as cores.
+ */
+const DAY_AVAILABILITY = {
+    plenty: { labelKey: 'availability.plenty', className: 'bg-green-700 text-white hover:bg-green-600' },
+    few: { labelKey: 'availability.few', className: 'bg-yellow-600 text-white hover:bg-yellow-500' },
+    full: { labelKey: 'availability.full', className: 'bg-red-900 text-red-200 hover:bg-red-800' },
+    closed: { labelKey: 'availability.closed', className: 'bg-gray-900 text-gray-600' },
+};
+
+/**
+ * Disponibilidade de um dia, com as mesmas regras do grid (ver getAvailableStartTimes).
+ * Só contam os horários livres de verdade; os em reserva temporária de outro cliente não.
+ * @param {object} params Mesmos parâmetros de getAvailableStartTimes
+ * @returns {{ level: 'plenty'|'few'|'full'|'closed', freeCount: number }}
+ */
+const getDayAvailability = (params) => {
+    if (getDayHours(params.schedule, params.date).closed) return { level: 'closed', freeCount: 0 };
+
+    const freeCount = getAvailableStartTimes(params).filter(({ barberIds }) => barberIds.length > 0).length;
+    if (freeCount === 0) return { level: 'full', freeCount };
+    return { level: freeCount <= FEW_SLOTS_THRESHOLD ? 'few' : 'plenty', freeCount };
+};
+
+/**
+ * Datas (YYYY-MM-DD) de um mês do calendário.
+ * @param {string} month YYYY-MM
+ * @returns {string[]}
+ */
+const getMonthDates = (month) => {
+    const dates = [];
+    for (let date = `${month}-01`; date.startsWith(month); date = addDays(date, 1)) dates.push(date);
+    return dates;
+};
+
+// --- POLÍTICA DE CANCELAMENTO E REMARCAÇÃO ---
+
+// No Firebase, a devolução do cancelamento feito pelo cliente é calculada e lançada pelo servidor
+// (functions/appointments.js): as regras não deixam o cliente gravar `refund` nem o próprio crédito.
+// No modo local, sem servidor, o navegador lança a devolução
+const CUSTOMER_REFUNDS_ON_SERVER = !USE_LOCAL_BACKEND;
+
+/**
+ * Verifica se o agendamento ainda pode ser cancelado/remarcado segundo a política.
+ * As regras do Firestore conferem o mesmo prazo e o mesmo limite de remarcações.
+ * @param {object} appointment
+ * @param {object} policy
+ * @param {'cancel'|'reschedule'} action
+ * @param {number} now
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+const checkChangeAllowed = (appointment, policy, action, now = Date.now()) => {
+    if (getAppointmentStatus(appointment) !== 'confirmed') {
+        return { allowed: false, reason: t('policy.statusLocked', { status: t(APPOINTMENT_STATUSES[getAppointmentStatus(appointment)].labelKey) }) };
+    }
+    const hoursLeft = (getAppointmentStartMs(appointment) - now) / (60 * 60 * 1000);
+    if (hoursLeft < policy.minHoursBeforeChange) {
+        return { allowed: false, reason: t('policy.tooLate', { hours: policy.minHoursBeforeChange }) };
+    }
+    if (action === 'reschedule' && (appointment.rescheduleCount || 0) >= policy.maxReschedules) {
+        return { allowed: false, reason: t('policy.rescheduleLimit', { count: policy.maxReschedules }) };
+    }
+    return { allowed: true };
+};
+
+/**
+ * Cancela o agendamento, libera o slot e, se houver, lança o crédito no perfil — tudo na mesma transação.
+ * No corte grátis do cartão fidelidade, os carimbos gastos voltam ao perfil (uma única vez: o resgate passa a 'restored').
+ * Um cupom usado no agendamento volta a valer: o uso sai do cupom e do documento de usos do cliente.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {object} appointment
+ * @param {{ type: string, amount: number }|null} refund Resultado de getCancellationRefund; null quando a devolução
+ *        fica para o servidor (ver CUSTOMER_REFUNDS_ON_SERVER)
+ * @param {string} [cancelledBy] UID de quem cancelou (cliente ou equipe)
+ * @returns {Promise<void>}
+ */
+const cancelAppointment = (db, shopId, appointment, refund, cancelledBy = appointment.userId) => runTransaction(db, async (transaction) => {
+    const appointmentRef = doc(db, getAppointmentsCollectionPath(shopId), appointment.id);
+    const profileRef = doc(db, getUserProfileCollectionPath(appointment.userId, shopId), 'data');
+    const slotRefs = getAppointmentSlotIds(appointment).map(slotId => doc(db, getSlotsCollectionPath(shopId), slotId));
+
+    const redemptionRef = appointment.paymentMethod === 'loyalty' ? doc(db, getLoyaltyRedemptionsCollectionPath(shopId), appointment.id) : null;
+    const couponDiscount = getCouponDiscount(appointment.pricing);
+    const couponRef = couponDiscount ? doc(db, getCouponsCollectionPath(shopId), couponDiscount.id) : null;
+    const couponUseRef = couponDiscount ? doc(db, getCouponUsesCollectionPath(shopId), getCouponUseId(couponDiscount.id, appointment.userId)) : null;
+
+    const appointmentSnap = await transaction.get(appointmentRef);
+    const slotSnaps = await Promise.all(slotRefs.map(slotRef => transaction.get(slotRef)));
+    const redemptionSnap = redemptionRef ? await transaction.get(redemptionRef) : null;
+    const couponSnap = couponRef ? await transaction.get(couponRef) : null;
+    const couponUseSnap = couponUseRef ? await transaction.get(couponUseRef) : null;
+    const profileSnap = (refund && refund.type === 'credit') || redemptionRef ? await transaction.get(profileRef) : null;
+
+    if (!appointmentSnap.exists() || appointmentSnap.data().status === 'cancelled') {
+        throw new Error(t('errors.appointmentGone'));
+    }
+
+    const cancelledAt = Date.now();
+    const current = appointmentSnap.data();
+    const changes = {
+        status: 'cancelled',
+        cancelledAt,
+        cancelledBy,
+        ...(refund ? { refund } : {}),
+        statusHistory: [...(current.statusHistory || []), { status: 'cancelled', at: cancelledAt, by: cancelledBy }],
+    };
+    transaction.update(appointmentRef, { ...changes, ...getQueueUpdate(current, { ...current, ...changes }, cancelledAt) });
+    slotSnaps.forEach((slotSnap, index) => {
+        if (slotSnap.exists() && slotSnap.data().appointmentId === appointment.id) {
+            transaction.delete(slotRefs[index]);
+        }
+    });
+    const profileUpdate = {};
+    if (refund && refund.type === 'credit' && refund.amount > 0) {
+        profileUpdate.credit = (profileSnap.exists() ? profileSnap.data().credit || 0 : 0) + refund.amount;
+    }
+    if (redemptionSnap && redemptionSnap.exists() && redemptionSnap.data().status === 'redeemed') {
+        transaction.update(redemptionRef, { status: 'restored', restoredAt: cancelledAt });
+        profileUpdate.loyaltyStamps = [...((profileSnap.exists() && profileSnap.data().loyaltyStamps) || []), ...redemptionSnap.data().stamps];
+        profileUpdate.lastLoyaltyRedemptionId = appointment.id;
+    }
+    if (Object.keys(profileUpdate).length > 0) transaction.update(profileRef, profileUpdate);
+    if (couponUseSnap && couponUseSnap.exists() && couponUseSnap.data().appointmentIds.includes(appointment.id)) {
+        transaction.update(couponUseRef, {
+            appointmentIds: couponUseSnap.data().appointmentIds.filter(appointmentId => appointmentId !== appointment.id),
+            updatedAt: serverTimestamp(),
+        });
+        if (couponSnap.exists()) transaction.update(couponRef, { usedCount: Math.max(0, (couponSnap.data().usedCount || 0) - 1) });
+    }
+});
+
+/**
+ * Move o agendamento para outro horário (e possivelmente outro barbeiro): ocupa os novos slots,
+ * libera os antigos e atualiza data/hora mantendo o serviço e o status de pagamento.
+ * Os lembretes pendentes são refeitos para o novo horário.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {object} appointment Agendamento atual
+ * @param {{ barberId: string, barberName: string, date: string, time: string, times: string[], timeZone: string, holdId?: string }} target Novo horário
+ *        (normalmente já em reserva temporária do cliente, `holdId`); `times` são os horários dos slots ocupados
+ * @returns {Promise<object>} Agendamento atualizado
+ */
+const rescheduleAppointment = (db, shopId, appointment, { barberId, barberName, date, time, times: newTimes, timeZone, holdId = null }) => runTransaction(db, async (transaction) => {
+    const appointmentRef = doc(db, getAppointmentsCollectionPath(shopId), appointment.id);
+    const newSlotIds = newTimes.map(slotTime => getSlotId(barberId, date, slotTime));
+    const newSlotRefs = newSlotIds.map(slotId => doc(db, getSlotsCollectionPath(shopId), slotId));
+    // Slots antigos que também fazem parte do novo horário não devem ser apagados
+    const oldSlotRefs = getAppointmentSlotIds(appointment)
+        .filter(slotId => !newSlotIds.includes(slotId))
+        .map(slotId => doc(db, getSlotsCollectionPath(shopId), slotId));
+
+    const appointmentSnap = await transaction.get(appointmentRef);
+    const newSlotSnaps = await Promise.all(newSlotRefs.map(slotRef => transaction.get(slotRef)));
+    const oldSlotSnaps = await Promise.all(oldSlotRefs.map(slotRef => transaction.get(slotRef)));
+    const now = Date.now();
+
+    if (!appointmentSnap.exists() || appointmentSnap.data().status === 'cancelled') {
+        throw new Error(t('errors.appointmentGone'));
+    }
+    const isTaken = newSlotSnaps.some(slotSnap =>
+        slotSnap.exists()
+        && slotSnap.data().appointmentId !== appointment.id
+        && isSlotOccupied(slotSnap.data(), now)
+        && !isOwnHold(slotSnap.data(), holdId, now)
+    );
+    if (isTaken) {
+        throw createBookingError(SLOT_TAKEN_ERROR, t('errors.slotTaken'));
+    }
+
+    const current = appointmentSnap.data();
+    const changes = {
+        barberId,
+        barberName,
+        date,
+        time,
+        timeZone,
+        startsAt: getAppointmentStartMs({ date, time, timeZone }),
+        slotIds: newSlotIds,
+        rescheduleCount: (current.rescheduleCount || 0) + 1,
+        rescheduledFrom: { barberId: current.barberId || LEGACY_BARBER_ID, date: current.date, time: current.time },
+    };
+
+    transaction.update(appointmentRef, { ...changes, ...getQueueUpdate(current, { ...current, ...changes }, now) });
+    newSlotRefs.forEach((slotRef, index) => {
+        transaction.set(slotRef, {
+            barberId,
+            date,
+            time: newTimes[index],
+            status: 'booked',
+            appointmentId: appointment.id,
+            createdAt: serverTimestamp(),
+        });
+    });
+    oldSlotSnaps.forEach((slotSnap, index) => {
+        if (slotSnap.exists() && slotSnap.data().appointmentId === appointment.id) {
+            transaction.delete(oldSlotRefs[index]);
+        }
+    });
+    if (holdId) transaction.delete(doc(db, getHoldsCollectionPath(shopId), holdId));
+
+    return { ...current, ...changes, id: appointment.id };
+});
+
+// --- PROGRAMA DE FIDELIDADE ---
+
+/**
+ * Regras padrão do cartão fidelidade. Podem ser sobrescritas campo a campo no documento `settings/loyalty`.
+ */
+const DEFAULT_LOYALTY_SETTINGS = {
+    enabled: true,
+    stampsRequired: 9, // Carimbos para um corte grátis: com 9, o 10º corte sai de graça
+    serviceIds: [], // Serviços que ganham carimbo e podem ser resgatados; vazio = todos
+    stampExpiryDays: 365, // Validade de cada carimbo, contada do atendimento; 0 = não vencem
+};
+
+/**
+ * Indica se o serviço participa do programa (ganha carimbo e pode ser o corte grátis).
+ * @param {string} serviceId
+ * @param {object} loyalty
+ * @returns {boolean}
+ */
+const isLoyaltyService = (serviceId, loyalty) =>
+    Boolean(loyalty.enabled) && (loyalty.serviceIds.length === 0 || loyalty.serviceIds.includes(serviceId));
+
+/**
+ * Momento (ms) em que o carimbo vence, ou null se os carimbos não vencem.
+ * @param {{ earnedAt: number }} stamp
+ * @param {object} loyalty
+ * @returns {number|null}
+ */
+const getStampExpiresAt = (stamp, loyalty) =>
+    loyalty.stampExpiryDays ? stamp.earnedAt + loyalty.stampExpiryDays * 24 * 60 * 60 * 1000 : null;
 
-    const appointmentDate = new Date(appointment.date + 'T' + appointment.time + ':00');
-    const formattedDate = appointmentDate.toLocaleDateString('pt-BR', { weekday: 'long', day: '2-digit', month: 'long' });
-    const formattedTime = appointmentDate.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+/**
+ * Carimbos ainda válidos do perfil (`loyaltyStamps`), do mais antigo para o mais novo.
+ * @param {object} profile
+ * @param {object} loyalty
+ * @param {number} [now]
+ * @returns {{ appointmentId: string, earnedAt: number }[]}
+ */
+const getValidStamps = (profile, loyalty, now = Date.now()) => (profile.loyaltyStamps || [])
+    .filter(stamp => !loyalty.stampExpiryDays || getStampExpiresAt(stamp, loyalty) > now)
+    .sort((a, b) => a.earnedAt - b.earnedAt);
+
+/**
+ * Progresso do cliente no cartão fidelidade.
+ * @param {object} profile
+ * @param {object} loyalty
+ * @param {number} [now]
+ * @returns {{ rewards: number, cardStamps: number, nextExpiresAt: number|null }}
+ *          Cortes grátis disponíveis, carimbos do cartão em andamento e vencimento do carimbo mais antigo
+ */
+const getLoyaltyProgress = (profile, loyalty, now = Date.now()) => {
+    const stamps = getValidStamps(profile, loyalty, now);
+    return {
+        rewards: Math.floor(stamps.length / loyalty.stampsRequired),
+        cardStamps: stamps.length % loyalty.stampsRequired,
+        nextExpiresAt: stamps.length > 0 ? getStampExpiresAt(stamps[0], loyalty) : null,
+    };
+};
+
+/**
+ * Carimbos do perfil depois de concluir o atendimento. O corte grátis não ganha carimbo,
+ * e o mesmo agendamento nunca carimba duas vezes. Carimbos vencidos saem da lista.
+ * @param {object} profile
+ * @param {object} appointment Agendamento concluído (com `id`)
+ * @param {object} loyalty
+ * @param {number} now
+ * @returns {object[]|null} Nova lista de carimbos, ou null se o atendimento não ganha carimbo
+ */
+const addLoyaltyStamp = (profile, appointment, loyalty, now) => {
+    if (appointment.paymentMethod === 'loyalty' || !isLoyaltyService(appointment.serviceId, loyalty)) return null;
+
+    const stamps = getValidStamps(profile, loyalty, now);
+    if (stamps.some(stamp => stamp.appointmentId === appointment.id)) return null;
+    return [...stamps, { appointmentId: appointment.id, earnedAt: now }];
+};
+
+// --- PROMOÇÕES E CUPONS ---
+
+/**
+ * Busca o cupom pelo código digitado e confere se vale para o cliente e o serviço.
+ * É só uma prévia: bookSlot valida de novo e conta o uso na mesma transação do agendamento.
+ * Falha com COUPON_ERROR, com o motivo na mensagem.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {string} code Código como o cliente digitou
+ * @param {{ userId: string, serviceId: string, timeZone: string }} booking
+ * @returns {Promise<object>} Cupom (com `code` normalizado)
+ */
+const fetchCoupon = async (db, shopId, code, { userId, serviceId, timeZone }) => {
+    const normalizedCode = normalizeCouponCode(code);
+    if (!normalizedCode) throw createBookingError(COUPON_ERROR, t('errors.couponEmpty'));
+
+    const [couponSnap, couponUseSnap] = await Promise.all([
+        getDoc(doc(db, getCouponsCollectionPath(shopId), normalizedCode)),
+        getDoc(doc(db, getCouponUsesCollectionPath(shopId), getCouponUseId(normalizedCode, userId))),
+    ]);
+    const coupon = couponSnap.exists() ? { ...couponSnap.data(), code: normalizedCode } : null;
+    const reason = getCouponError(coupon, {
+        serviceId,
+        today: getTodayDateString(timeZone),
+        customerUses: couponUseSnap.exists() ? couponUseSnap.data().appointmentIds.length : 0,
+    });
+    if (reason) throw createBookingError(COUPON_ERROR, reason);
+    return coupon;
+};
+
+// --- STATUS DO AGENDAMENTO E AGENDA DA EQUIPE ---
+
+/**
+ * Status de um agendamento, com as chaves do rótulo e da ação da equipe (ver i18n.js) e a cor do badge exibidos nas telas.
+ */
+const APPOINTMENT_STATUSES = {
+    pending_payment: { labelKey: 'appointmentStatuses.pending_payment', badgeClass: 'bg-yellow-700' },
+    expired: { labelKey: 'appointmentStatuses.expired', badgeClass: 'bg-gray-700' },
+    confirmed: { labelKey: 'appointmentStatuses.confirmed', actionKey: 'appointmentActions.confirmed', badgeClass: 'bg-indigo-600' },
+    checked_in: { labelKey: 'appointmentStatuses.checked_in', actionKey: 'appointmentActions.checked_in', badgeClass: 'bg-yellow-600' },
+    completed: { labelKey: 'appointmentStatuses.completed', actionKey: 'appointmentActions.completed', badgeClass: 'bg-green-600' },
+    no_show: { labelKey: 'appointmentStatuses.no_show', actionKey: 'appointmentActions.no_show', badgeClass: 'bg-red-700' },
+    cancelled: { labelKey: 'appointmentStatuses.cancelled', actionKey: 'appointmentActions.cancelled', badgeClass: 'bg-gray-600' },
+};
+
+// Transições permitidas à equipe a partir de cada status
+const STATUS_TRANSITIONS = {
+    pending_payment: ['confirmed', 'cancelled'],
+    expired: [],
+    confirmed: ['checked_in', 'no_show', 'cancelled'],
+    checked_in: ['completed', 'cancelled'],
+    completed: [],
+    no_show: [],
+    cancelled: [],
+};
+
+/**
+ * Status do agendamento (agendamentos antigos, sem status, contam como confirmados).
+ * Uma cobrança PIX vencida aparece como 'expired' (o status gravado continua 'pending_payment',
+ * então um pagamento que chegue atrasado ainda pode ser confirmado).
+ * @param {object} appointment
+ * @param {number} [now]
+ * @returns {string}
+ */
+const getAppointmentStatus = (appointment, now = Date.now()) => {
+    const status = appointment.status || 'confirmed';
+    if (status === 'pending_payment' && appointment.payment && appointment.payment.expiresAt <= now) return 'expired';
+    return status;
+};
+
+/**
+ * Indica se o agendamento ocupa a agenda (cancelados e cobranças PIX vencidas não ocupam).
+ * @param {object} appointment
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+const isAppointmentActive = (appointment, now = Date.now()) => !['cancelled', 'expired'].includes(getAppointmentStatus(appointment, now));
+
+const HISTORY_PAGE_SIZE = 5; // Agendamentos do histórico exibidos por vez no painel do cliente
+
+/**
+ * Move o agendamento para o próximo status do fluxo, registrando quem fez a alteração.
+ * Cancelamentos passam por cancelAppointment para liberar os slots, e a confirmação de um agendamento
+ * aguardando pagamento (PIX recebido por fora) passa por confirmPayment.
+ * Ao concluir o atendimento, o cliente ganha um carimbo no cartão fidelidade (ver addLoyaltyStamp).
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {object} appointment
+ * @param {string} status Novo status (ver STATUS_TRANSITIONS)
+ * @param {string} staffUserId UID do membro da equipe
+ * @param {object} [loyalty] Regras do cartão fidelidade
+ * @returns {Promise<void>}
+ */
+const updateAppointmentStatus = (db, shopId, appointment, status, staffUserId, loyalty = DEFAULT_LOYALTY_SETTINGS) => {
+    if (status === 'cancelled') {
+        // Cancelamento pela barbearia: o valor pago volta integralmente como crédito
+        const refund = { type: 'credit', amount: appointment.paid ? appointment.price : 0 };
+        return cancelAppointment(db, shopId, appointment, refund, staffUserId);
+    }
+    if (status === 'confirmed') {
+        const amount = appointment.payment ? appointment.payment.amount : appointment.price;
+        return confirmPayment(db, shopId, appointment.id, { method: 'manual', amount, confirmedBy: staffUserId });
+    }
+
+    return runTransaction(db, async (transaction) => {
+        const appointmentRef = doc(db, getAppointmentsCollectionPath(shopId), appointment.id);
+        const profileRef = doc(db, getUserProfileCollectionPath(appointment.userId, shopId), 'data');
+        const appointmentSnap = await transaction.get(appointmentRef);
+        const profileSnap = status === 'completed' ? await transaction.get(profileRef) : null;
+        if (!appointmentSnap.exists()) throw new Error(t('errors.appointmentNotFound'));
+
+        const current = getAppointmentStatus(appointmentSnap.data());
+        if (!STATUS_TRANSITIONS[current].includes(status)) {
+            throw new Error(t('errors.statusTransition', { from: t(APPOINTMENT_STATUSES[current].labelKey), to: t(APPOINTMENT_STATUSES[status].labelKey) }));
+        }
+
+        // Depois do atendimento (ou da falta), os lembretes pendentes não fazem mais sentido (ver syncMessageQueue)
+        const now = Date.now();
+        const changes = {
+            status,
+            statusHistory: [...(appointmentSnap.data().statusHistory || []), { status, at: now, by: staffUserId }],
+        };
+        transaction.update(appointmentRef, { ...changes, ...getQueueUpdate(appointmentSnap.data(), { ...appointmentSnap.data(), ...changes }, now) });
+        const stamps = profileSnap && profileSnap.exists()
+            ? addLoyaltyStamp(profileSnap.data(), { ...appointmentSnap.data(), id: appointment.id }, loyalty, now)
+            : null;
+        if (stamps) transaction.update(profileRef, { loyaltyStamps: stamps });
+    });
+};
+
+/**
+ * Bloqueia manualmente slots da agenda de um barbeiro (ex.: cliente que chegou sem agendar).
+ * O motivo e quem bloqueou ficam no documento privado do bloqueio; os slots públicos só guardam o `blockId`.
+ * Falha com SLOT_TAKEN_ERROR se algum slot já estiver ocupado.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {{ barberId: string, date: string, times: string[], reason: string, userId: string }} block
+ * @returns {Promise<string>} ID do bloqueio (compartilhado pelos slots bloqueados)
+ */
+const blockSlots = (db, shopId, { barberId, date, times, reason, userId }) => runTransaction(db, async (transaction) => {
+    const slotIds = times.map(time => getSlotId(barberId, date, time));
+    const slotRefs = slotIds.map(slotId => doc(db, getSlotsCollectionPath(shopId), slotId));
+    const slotSnaps = await Promise.all(slotRefs.map(slotRef => transaction.get(slotRef)));
+
+    if (isAnySlotTaken(slotSnaps, null, Date.now())) {
+        throw createBookingError(SLOT_TAKEN_ERROR, t('errors.someSlotsTaken'));
+    }
+
+    const blockRef = doc(collection(db, getBlocksCollectionPath(shopId)));
+    transaction.set(blockRef, {
+        barberId,
+        date,
+        times,
+        slotIds,
+        reason,
+        createdBy: userId,
+        createdAt: serverTimestamp(),
+    });
+    slotRefs.forEach((slotRef, index) => {
+        transaction.set(slotRef, {
+            barberId,
+            date,
+            time: times[index],
+            status: 'blocked',
+            blockId: blockRef.id,
+            createdAt: serverTimestamp(),
+        });
+    });
+
+    return blockRef.id;
+});
+
+/**
+ * Remove um bloqueio manual, liberando os slots que ainda pertencem a ele.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {{ blockId: string, slotIds: string[] }} block
+ * @returns {Promise<void>}
+ */
+const unblockSlots = (db, shopId, { blockId, slotIds }) => runTransaction(db, async (transaction) => {
+    const slotRefs = slotIds.map(slotId => doc(db, getSlotsCollectionPath(shopId), slotId));
+    const slotSnaps = await Promise.all(slotRefs.map(slotRef => transaction.get(slotRef)));
+
+    slotSnaps.forEach((slotSnap, index) => {
+        if (slotSnap.exists() && slotSnap.data().blockId === blockId) {
+            transaction.delete(slotRefs[index]);
+        }
+    });
+    transaction.delete(doc(db, getBlocksCollectionPath(shopId), blockId));
+});
+
+// --- LISTA DE ESPERA ---
+
+// Intervalo em que o navegador procura vagas para oferecer à lista de espera (só no modo local, ver useWaitlistProcessor)
+const WAITLIST_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Status de uma inscrição na lista de espera. Só 'waiting' e 'offered' continuam na fila.
+ */
+const WAITLIST_STATUSES = {
+    waiting: { labelKey: 'waitlistStatuses.waiting' },
+    offered: { labelKey: 'waitlistStatuses.offered' },
+    accepted: { labelKey: 'waitlistStatuses.accepted' },
+    declined: { labelKey: 'waitlistStatuses.declined' },
+    expired: { labelKey: 'waitlistStatuses.expired' },
+    left: { labelKey: 'waitlistStatuses.left' },
+};
+
+/**
+ * Inscreve o cliente na lista de espera de uma data.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {object} entry userId, userName, whatsapp, barberId (ou ANY_BARBER), date, timeZone, dados do serviço
+ *        e, opcionalmente, a janela de horário (`windowStart` e `windowEnd`, HH:MM)
+ * @returns {Promise<string>} ID da inscrição
+ */
+const joinWaitlist = async (db, shopId, entry) => {
+    const entryRef = await addDoc(collection(db, getWaitlistCollectionPath(shopId)), {
+        ...entry,
+        status: 'waiting',
+        offer: null,
+        messages: [],
+        createdAt: serverTimestamp(),
+    });
+    return entryRef.id;
+};
+
+/**
+ * Atualiza uma inscrição dentro de uma transação. `update` recebe a inscrição e devolve os campos
+ * a gravar, ou null para não alterar nada (ex.: a inscrição mudou de status enquanto isso).
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {string} entryId
+ * @param {(entry: object) => object|null} update
+ * @returns {Promise<object|null>} Inscrição atualizada, ou null se nada mudou
+ */
+const updateWaitlistEntry = (db, shopId, entryId, update) => runTransaction(db, async (transaction) => {
+    const entryRef = doc(db, getWaitlistCollectionPath(shopId), entryId);
+    const entrySnap = await transaction.get(entryRef);
+    if (!entrySnap.exists()) return null;
+
+    const entry = { id: entrySnap.id, ...entrySnap.data() };
+    const changes = update(entry);
+    if (!changes) return null;
+
+    transaction.update(entryRef, changes);
+    return { ...entry, ...changes };
+});
+
+/**
+ * Oferece uma vaga à inscrição: reserva os slots em nome do cliente por WAITLIST_OFFER_MINUTES
+ * e agenda o aviso pela fila de mensagens da inscrição, tudo na mesma transação.
+ * Se a inscrição não estiver mais esperando, nada é feito; se a vaga foi ocupada, falha com SLOT_TAKEN_ERROR.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {string} entryId
+ * @param {{ barberId: string, barberName: string, time: string, times: string[] }} offer Ver findWaitlistOffer
+ * @returns {Promise<object|null>} Oferta gravada (com `holdId` e `expiresAt`), ou null
+ */
+const offerWaitlistSlot = (db, shopId, entryId, { barberId, barberName, time, times }) => runTransaction(db, async (transaction) => {
+    const entryRef = doc(db, getWaitlistCollectionPath(shopId), entryId);
+    const entrySnap = await transaction.get(entryRef);
+    if (!entrySnap.exists() || entrySnap.data().status !== 'waiting') return null;
+
+    const entry = entrySnap.data();
+    const slotRefs = times.map(slotTime => doc(db, getSlotsCollectionPath(shopId), getSlotId(barberId, entry.date, slotTime)));
+    const slotSnaps = await Promise.all(slotRefs.map(slotRef => transaction.get(slotRef)));
+    const now = Date.now();
+
+    if (isAnySlotTaken(slotSnaps, null, now)) {
+        throw createBookingError(SLOT_TAKEN_ERROR, t('errors.waitlistSlotTaken'));
+    }
+
+    const expiresAt = now + WAITLIST_OFFER_MINUTES * 60 * 1000;
+    const holdId = writeHold(db, shopId, transaction, { userId: entry.userId, barberId, date: entry.date, times, expiresAt, waitlistEntryId: entryId });
+    const offer = { barberId, barberName, time, times, holdId, expiresAt, offeredAt: now };
+    transaction.update(entryRef, {
+        status: 'offered',
+        offer,
+        messages: waitlistOfferMessageQueue(entry.messages || [], now),
+    });
+
+    return offer;
+});
+
+/**
+ * Detalhamento do preço da vaga oferecida: o preço do serviço na inscrição com a promoção do horário oferecido.
+ * @param {object} entry Inscrição com status 'offered'
+ * @param {object} pricingSettings
+ * @returns {object} Ver buildPriceBreakdown
+ */
+const getWaitlistOfferPricing = (entry, pricingSettings) =>
+    getPriceQuote({ id: entry.serviceId, price: entry.price }, { date: entry.date, time: entry.offer.time }, pricingSettings);
+
+/**
+ * Aceita a vaga oferecida: cria o agendamento sobre a reserva da oferta (ver bookSlot) e fecha a inscrição.
+ * Falha com SLOT_TAKEN_ERROR se a oferta expirou e outro cliente tomou o horário.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {object} entry Inscrição com status 'offered'
+ * @param {{ pricing: object, useCredit: boolean, paymentExpiresAt: number|null }} payment
+ *        `pricing`: detalhamento do preço no horário oferecido (ver getWaitlistOfferPricing); o resto, ver bookSlot
+ * @returns {Promise<string>} ID do agendamento criado
+ */
+const acceptWaitlistOffer = async (db, shopId, entry, { pricing, useCredit, paymentExpiresAt }) => {
+    const { offer } = entry;
+    const appointment = {
+        userId: entry.userId,
+        userName: entry.userName,
+        whatsapp: entry.whatsapp,
+        barberId: offer.barberId,
+        barberName: offer.barberName,
+        date: entry.date,
+        time: offer.time,
+        timeZone: entry.timeZone,
+        serviceId: entry.serviceId,
+        service: entry.service,
+        durationMinutes: entry.durationMinutes,
+        price: pricing.finalPrice,
+        pricing,
+        paid: useCredit,
+        paymentMethod: useCredit ? 'credit' : 'pix',
+        status: useCredit ? 'confirmed' : 'pending_payment',
+        waitlistEntryId: entry.id,
+        locale: entry.locale || getActiveLocale(), // Inscrições antigas não guardam o idioma
+        reminderConsent: entry.reminderConsent !== false,
+        createdAt: serverTimestamp(),
+    };
+
+    const appointmentId = await bookSlot(db, shopId, appointment, { times: offer.times, holdId: offer.holdId, useCredit, paymentExpiresAt });
+    await updateWaitlistEntry(db, shopId, entry.id, () => ({ status: 'accepted', appointmentId, respondedAt: Date.now() }));
+    return appointmentId;
+};
+
+/**
+ * O cliente sai da lista de espera. Com uma vaga oferecida, a recusa devolve o horário na hora,
+ * e ele passa para o próximo da fila na rodada seguinte.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {object} entry
+ * @returns {Promise<void>}
+ */
+const leaveWaitlist = async (db, shopId, entry) => {
+    const updated = await updateWaitlistEntry(db, shopId, entry.id, (current) => {
+        if (current.status === 'waiting') return { status: 'left', respondedAt: Date.now() };
+        if (current.status === 'offered') return { status: 'declined', respondedAt: Date.now() };
+        return null;
+    });
+    if (updated && updated.status === 'declined') {
+        await releaseHold(db, shopId, { ...updated.offer, date: updated.date });
+    }
+};
+
+/**
+ * Uma rodada da lista de espera no modo local (no deploy, quem faz é o servidor, em functions/waitlist.js): encerra
+ * as ofertas não aceitas a tempo e as inscrições de datas que já passaram e, para cada data, oferece as vagas livres
+ * na ordem de inscrição. Quem tem uma janela de horário que não bate com a vaga não a recebe, e a vaga vai para o próximo da fila.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {object[]} entries Inscrições ativas (status 'waiting' ou 'offered')
+ * @param {{ schedule: object, barbers: object[] }} context
+ * @returns {Promise<void>}
+ */
+const processWaitlist = async (db, shopId, entries, { schedule, barbers }) => {
+    const now = Date.now();
+    const today = getTodayDateString(schedule.timeZone, now);
+
+    const isStale = (entry) => isWaitlistEntryStale(entry, today, now);
+    await Promise.all(entries.filter(isStale).map(entry => updateWaitlistEntry(db, shopId, entry.id, (current) =>
+        ACTIVE_WAITLIST_STATUSES.includes(current.status) && isStale(current) ? { status: 'expired', expiredAt: now } : null
+    )));
+
+    const waiting = getWaitingEntries(entries, today, now);
+
+    for (const date of new Set(waiting.map(entry => entry.date))) {
+        const slotsSnapshot = await getDocs(query(collection(db, getSlotsCollectionPath(shopId)), where('date', '==', date)));
+        const slotsById = new Map(slotsSnapshot.docs.map(slotDoc => [slotDoc.id, slotDoc.data()]));
+        const claimedSlotIds = new Set();
+
+        for (const entry of waiting.filter(item => item.date === date)) {
+            const offer = findWaitlistOffer(entry, slotsById, claimedSlotIds, { schedule, barbers }, now);
+            if (!offer) continue;
+
+            offer.times.forEach(time => claimedSlotIds.add(getSlotId(offer.barberId, date, time)));
+            try {
+                await offerWaitlistSlot(db, shopId, entry.id, offer);
+            } catch (err) {
+                if (err.code !== SLOT_TAKEN_ERROR) throw err;
+            }
+        }
+    }
+};
+
+// --- AGENDAMENTOS RECORRENTES ---
+
+// Opções de repetição do agendamento (intervalo em semanas; 0 = não repete)
+const RECURRENCE_OPTIONS = [0, 1, 2, 4];
+
+/**
+ * Rótulo do intervalo de uma série (ex.: "A cada 2 semanas").
+ * @param {number} intervalWeeks
+ * @returns {string}
+ */
+const getRecurrenceLabel = (intervalWeeks) => (intervalWeeks ? t('recurrence.every', { count: intervalWeeks }) : t('recurrence.none'));
+
+// Quantos horários vêm sugeridos numa série (o máximo é MAX_SERIES_OCCURRENCES)
+const DEFAULT_SERIES_OCCURRENCES = 4;
+
+/**
+ * Texto do conflito de uma repetição de série (ver getSeriesConflict).
+ * @param {{ conflict: string, reason: string|null }} occurrence
+ * @returns {string}
+ */
+const getSeriesConflictLabel = ({ conflict, reason }) => {
+    if (conflict === 'closed' && reason) return t('series.closedWithReason', { reason });
+    return t(`series.${conflict}`);
+};
+
+/**
+ * Verifica as repetições de uma série (a primeira ocorrência é o horário já reservado no grid): barbearia aberta,
+ * horário dentro do expediente e slots livres na agenda do mesmo barbeiro (ver getSeriesConflict).
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {{ barberId: string, date: string, time: string, durationMinutes: number, intervalWeeks: number, occurrences: number }} series
+ * @param {object} schedule Configuração da agenda (ver DEFAULT_SCHEDULE)
+ * @returns {Promise<{ date: string, conflict: string|null, reason: string|null }[]>}
+ */
+const checkSeriesOccurrences = async (db, shopId, { barberId, date, time, durationMinutes, intervalWeeks, occurrences }, schedule) => {
+    const dates = getSeriesDates(date, intervalWeeks, occurrences);
+    if (dates.length === 0) return [];
+
+    const snapshot = await getDocs(query(collection(db, getSlotsCollectionPath(shopId)), where('date', 'in', dates)));
+    const slotsById = new Map(snapshot.docs.map(slotDoc => [slotDoc.id, slotDoc.data()]));
+    const now = Date.now();
+
+    return dates.map(occurrenceDate => ({
+        date: occurrenceDate,
+        conflict: null,
+        reason: null,
+        ...getSeriesConflict(schedule, { barberId, date: occurrenceDate, time, durationMinutes }, slotsById, now),
+    }));
+};
+
+/**
+ * Agenda as repetições livres de uma série (ver buildSeriesRepeat). Conflitos (verificados de novo aqui)
+ * não impedem as outras ocorrências e voltam no resultado.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {object} appointment Primeira ocorrência, já confirmada (com `id` e `series`)
+ * @param {number} occurrences Horários da série, contando o primeiro
+ * @param {object} schedule
+ * @returns {Promise<{ date: string, appointmentId: string|null, conflict: string|null, reason: string|null }[]>}
+ */
+const bookSeriesOccurrences = async (db, shopId, appointment, occurrences, schedule) => {
+    const checked = await checkSeriesOccurrences(db, shopId, {
+        barberId: appointment.barberId,
+        date: appointment.date,
+        time: appointment.time,
+        durationMinutes: appointment.durationMinutes,
+        intervalWeeks: appointment.series.intervalWeeks,
+        occurrences,
+    }, schedule);
+    const times = getSlotTimes(appointment.time, appointment.durationMinutes, schedule.slotMinutes);
+    // O cupom e o corte grátis valem só para o primeiro horário; as promoções de horário valem para todos
+    const pricing = appointment.pricing ? getRepeatPricing(appointment.pricing) : null;
+    const results = [];
+
+    for (const [index, occurrence] of checked.entries()) {
+        if (occurrence.conflict) {
+            results.push({ ...occurrence, appointmentId: null });
+            continue;
+        }
+
+        try {
+            const appointmentId = await bookSlot(db, shopId, {
+                ...buildSeriesRepeat(appointment, occurrence.date, index + 1),
+                price: pricing ? pricing.finalPrice : appointment.price,
+                pricing,
+                createdAt: serverTimestamp(),
+            }, { times });
+            results.push({ ...occurrence, appointmentId });
+        } catch (err) {
+            if (err.code !== SLOT_TAKEN_ERROR) throw err;
+            results.push({ date: occurrence.date, appointmentId: null, conflict: 'slotTaken', reason: null });
+        }
+    }
+    return results;
+};
+
+/**
+ * Agenda as repetições pedidas na primeira ocorrência de uma série (`series.repeats`), só depois que ela
+ * está confirmada (grátis, paga com crédito ou com o PIX confirmado): se o PIX vencer, nenhuma repetição chega a ser reservada.
+ * No deploy quem agenda é o servidor (functions/series.js); no modo local, o navegador (ver useSeriesRepeatsBooking).
+ * O pedido é retirado numa transação antes de agendar, então a mesma série não é agendada duas vezes.
+ * O resultado fica em `series.results`.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {string} appointmentId Primeira ocorrência
+ * @param {object} schedule
+ * @returns {Promise<object[]|null>} Resultado de cada repetição (ver bookSeriesOccurrences), ou null se não havia o que agendar
+ */
+const bookSeriesRepeats = async (db, shopId, appointmentId, schedule) => {
+    const appointmentRef = doc(db, getAppointmentsCollectionPath(shopId), appointmentId);
+    const claimed = await runTransaction(db, async (transaction) => {
+        const appointmentSnap = await transaction.get(appointmentRef);
+        if (!appointmentSnap.exists()) return null;
+
+        const appointment = { id: appointmentSnap.id, ...appointmentSnap.data() };
+        if (appointment.status !== 'confirmed' || !appointment.series || !appointment.series.repeats) return null;
+
+        transaction.update(appointmentRef, { series: { ...appointment.series, repeats: null } });
+        return appointment;
+    });
+    if (!claimed) return null;
+
+    const { repeats, ...series } = claimed.series;
+    const results = await bookSeriesOccurrences(db, shopId, { ...claimed, series }, repeats.occurrences, schedule);
+    await updateDoc(appointmentRef, { series: { ...series, repeats: null, results } });
+    return results;
+};
+
+/**
+ * Cancela as ocorrências de uma série a partir de uma delas, cada uma segundo a política de cancelamento.
+ * Ocorrências que a política não deixa mais cancelar (muito próximas) ficam de fora.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {object[]} occurrences Ocorrências ativas a cancelar
+ * @param {object} policy
+ * @param {object[]} userAppointments Agendamentos do cliente (ver getCancellationRefund)
+ * @returns {Promise<{ cancelled: number, refunded: number, kept: object[] }>}
+ */
+const cancelSeries = async (db, shopId, occurrences, policy, userAppointments) => {
+    const result = { cancelled: 0, refunded: 0, kept: [] };
+
+    for (const occurrence of occurrences) {
+        const isPending = occurrence.status === 'pending_payment';
+        if (!isPending && !checkChangeAllowed(occurrence, policy, 'cancel').allowed) {
+            result.kept.push(occurrence);
+            continue;
+        }
+
+        const refund = isPending ? { type: 'none', amount: 0 } : getCancellationRefund(occurrence, policy, userAppointments);
+        await cancelAppointment(db, shopId, occurrence, CUSTOMER_REFUNDS_ON_SERVER ? null : refund);
+        result.cancelled += 1;
+        result.refunded += refund.amount;
+    }
+    return result;
+};
+
+// --- RELATÓRIOS DA BARBEARIA ---
+
+/**
+ * Agrupamentos de tempo dos relatórios. A semana começa na segunda-feira e é identificada por essa data.
+ */
+const REPORT_PERIODS = {
+    day: { labelKey: 'reports.periods.day', getKey: (date) => date },
+    week: { labelKey: 'reports.periods.week', getKey: (date) => addDays(date, -((getWeekday(date) + 6) % 7)) },
+    month: { labelKey: 'reports.periods.month', getKey: (date) => date.slice(0, 7) },
+};
+
+/**
+ * Valor que ficou com a barbearia pelo agendamento: o preço dos atendimentos concluídos (o pagamento na
+ * barbearia é recebido no atendimento) e, nos cancelamentos e faltas já pagos, o que não foi devolvido.
+ * Agendamentos ainda por acontecer não contam.
+ * @param {object} appointment
+ * @param {number} [now]
+ * @returns {number}
+ */
+const getAppointmentRevenue = (appointment, now = Date.now()) => {
+    const status = getAppointmentStatus(appointment, now);
+    if (status === 'completed') return appointment.price;
+    if (!appointment.paid) return 0;
+    if (status === 'no_show') return appointment.price;
+    if (status === 'cancelled') return Math.round((appointment.price - (appointment.refund ? appointment.refund.amount : 0)) * 100) / 100;
+    return 0;
+};
+
+// Minutos em comum entre dois intervalos [início, fim)
+const getOverlapMinutes = (startA, endA, startB, endB) => Math.max(0, Math.min(endA, endB) - Math.max(startA, startB));
+
+/**
+ * Intervalos de atendimento de um dia (expediente menos os intervalos), em minutos desde a meia-noite.
+ * @param {object} dayHours Resultado de getDayHours
+ * @returns {{ start: number, end: number }[]}
+ */
+const getWorkingIntervals = (dayHours) => {
+    if (dayHours.closed) return [];
+    const breaks = dayHours.breaks
+        .map(({ start, end }) => ({ start: timeToMinutes(start), end: timeToMinutes(end) }))
+        .sort((a, b) => a.start - b.start);
+    const intervals = [];
+    let start = timeToMinutes(dayHours.open);
+    breaks.forEach(interval => {
+        if (interval.start > start) intervals.push({ start, end: interval.start });
+        start = Math.max(start, interval.end);
+    });
+    const close = timeToMinutes(dayHours.close);
+    if (close > start) intervals.push({ start, end: close });
+    return intervals;
+};
+
+const getRate = (part, total) => (total > 0 ? part / total : null);
+
+/**
+ * Faixas de ocupação do mapa de calor, da menor para a maior (`min` = ocupação mínima da faixa).
+ */
+const OCCUPANCY_LEVELS = [
+    { min: 0, labelKey: 'occupancy.below25', className: 'bg-gray-700 text-gray-300' },
+    { min: 0.25, labelKey: 'occupancy.25to50', className: 'bg-indigo-900 text-indigo-100' },
+    { min: 0.5, labelKey: 'occupancy.50to75', className: 'bg-indigo-700 text-white' },
+    { min: 0.75, labelKey: 'occupancy.75plus', className: 'bg-indigo-500 text-white' },
+];
+
+const getOccupancyLevel = (rate) => [...OCCUPANCY_LEVELS].reverse().find(level => rate >= level.min);
+
+// Soma receita e quantidade em um índice { chave -> { label, count, revenue } }
+const addToGroup = (groups, key, label, revenue) => {
+    const group = groups.get(key) || { key, label, count: 0, revenue: 0 };
+    group.count += 1;
+    group.revenue = Math.round((group.revenue + revenue) * 100) / 100;
+    groups.set(key, group);
+};
+
+/**
+ * Relatórios do período [from, to], a partir dos agendamentos (todos os da barbearia).
+ * - Receita (ver getAppointmentRevenue) por dia, semana e mês, por serviço e por barbeiro.
+ * - Ocupação: minutos agendados sobre os minutos de atendimento (expediente menos intervalos, vezes os
+ *   barbeiros ativos), por data e por dia da semana e hora. Bloqueios manuais não entram.
+ * - Clientes: novo é quem teve o primeiro agendamento (não cancelado) no período; os demais são recorrentes.
+ * - Faltas sobre os atendimentos com desfecho (concluídos e faltas); cancelamentos sobre todos os
+ *   agendamentos, menos as cobranças PIX vencidas (que nunca foram confirmadas).
+ * @param {object[]} appointments
+ * @param {{ from: string, to: string, schedule: object, barbers: object[], now?: number }} options
+ * @returns {object}
+ */
+const buildReports = (appointments, { from, to, schedule, barbers, now = Date.now() }) => {
+    const firstVisitByUser = new Map();
+    appointments.forEach(app => {
+        if (!isAppointmentActive(app, now)) return;
+        const first = firstVisitByUser.get(app.userId);
+        if (!first || app.date < first) firstVisitByUser.set(app.userId, app.date);
+    });
+
+    const inRange = appointments.filter(app => app.date >= from && app.date <= to && getAppointmentStatus(app, now) !== 'expired');
+
+    // Receita e clientes por período
+    const periods = Object.fromEntries(Object.keys(REPORT_PERIODS).map(period => [period, new Map()]));
+    const byService = new Map();
+    const byBarber = new Map();
+    const customers = new Map(); // userId -> 'new' | 'returning'
+    const statusCounts = { total: inRange.length, completed: 0, no_show: 0, cancelled: 0 };
+    inRange.forEach(app => {
+        const status = getAppointmentStatus(app, now);
+        if (statusCounts[status] !== undefined) statusCounts[status] += 1;
+
+        const revenue = getAppointmentRevenue(app, now);
+        Object.entries(REPORT_PERIODS).forEach(([period, { getKey }]) => {
+            const key = getKey(app.date);
+            const row = periods[period].get(key) || { key, revenue: 0, appointments: 0, newCustomers: new Set(), returningCustomers: new Set() };
+            row.revenue = Math.round((row.revenue + revenue) * 100) / 100;
+            if (isAppointmentActive(app, now)) {
+                row.appointments += 1;
+                const isNew = getKey(firstVisitByUser.get(app.userId)) === key;
+                (isNew ? row.newCustomers : row.returningCustomers).add(app.userId);
+            }
+            periods[period].set(key, row);
+        });
+        if (revenue > 0 || status === 'completed') {
+            addToGroup(byService, app.serviceId || app.service, app.service, revenue);
+            addToGroup(byBarber, app.barberId || LEGACY_BARBER_ID, app.barberName || t('reports.noBarber'), revenue);
+        }
+        if (isAppointmentActive(app, now)) {
+            customers.set(app.userId, firstVisitByUser.get(app.userId) >= from ? 'new' : 'returning');
+        }
+    });
+
+    // Ocupação por data e por dia da semana e hora
+    const occupancyByDate = [];
+    const heatmap = new Map(); // 'dia-hora' -> { weekday, hour, capacityMinutes, bookedMinutes }
+    const appointmentsByDate = new Map();
+    inRange.filter(app => isAppointmentActive(app, now)).forEach(app => {
+        appointmentsByDate.set(app.date, [...(appointmentsByDate.get(app.date) || []), app]);
+    });
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        const intervals = getWorkingIntervals(getDayHours(schedule, date));
+        if (intervals.length === 0) continue;
+
+        const weekday = getWeekday(date);
+        const bookings = (appointmentsByDate.get(date) || []).map(app => {
+            const start = timeToMinutes(app.time);
+            return { start, end: start + (app.durationMinutes || LEGACY_DURATION_MINUTES) };
+        });
+        let capacityMinutes = 0;
+        let bookedMinutes = 0;
+        intervals.forEach(interval => {
+            for (let hour = Math.floor(interval.start / 60); hour * 60 < interval.end; hour += 1) {
+                const cellStart = Math.max(interval.start, hour * 60);
+                const cellEnd = Math.min(interval.end, hour * 60 + 60);
+                const cellCapacity = (cellEnd - cellStart) * barbers.length;
+                // Agendamentos fora do expediente (ex.: horário mudou depois) não passam de 100%
+                const cellBooked = Math.min(cellCapacity, bookings.reduce((sum, booking) => sum + getOverlapMinutes(booking.start, booking.end, cellStart, cellEnd), 0));
+                const cell = heatmap.get(`${weekday}-${hour}`) || { weekday, hour, capacityMinutes: 0, bookedMinutes: 0 };
+                cell.capacityMinutes += cellCapacity;
+                cell.bookedMinutes += cellBooked;
+                heatmap.set(`${weekday}-${hour}`, cell);
+                capacityMinutes += cellCapacity;
+                bookedMinutes += cellBooked;
+            }
+        });
+        occupancyByDate.push({ date, capacityMinutes, bookedMinutes, rate: getRate(bookedMinutes, capacityMinutes) });
+    }
+    const totalCapacity = occupancyByDate.reduce((sum, day) => sum + day.capacityMinutes, 0);
+    const totalBooked = occupancyByDate.reduce((sum, day) => sum + day.bookedMinutes, 0);
+    const byRevenue = (a, b) => b.revenue - a.revenue;
+
+    return {
+        revenue: {
+            total: Math.round(inRange.reduce((sum, app) => sum + getAppointmentRevenue(app, now), 0) * 100) / 100,
+            byPeriod: Object.fromEntries(Object.entries(periods).map(([period, rows]) => [period, [...rows.values()]
+                .sort((a, b) => a.key.localeCompare(b.key))
+                .map(({ newCustomers, returningCustomers, ...row }) => ({ ...row, newCustomers: newCustomers.size, returningCustomers: returningCustomers.size }))])),
+            byService: [...byService.values()].sort(byRevenue),
+            byBarber: [...byBarber.values()].sort(byRevenue),
+        },
+        occupancy: {
+            rate: getRate(totalBooked, totalCapacity),
+            byDate: occupancyByDate,
+            heatmap: [...heatmap.values()].map(cell => ({ ...cell, rate: getRate(cell.bookedMinutes, cell.capacityMinutes) })),
+        },
+        customers: {
+            newCount: [...customers.values()].filter(type => type === 'new').length,
+            returningCount: [...customers.values()].filter(type => type === 'returning').length,
+        },
+        attendance: {
+            ...statusCounts,
+            noShowRate: getRate(statusCounts.no_show, statusCounts.completed + statusCounts.no_show),
+            cancellationRate: getRate(statusCounts.cancelled, statusCounts.total),
+        },
+    };
+};
+
+// --- MIGRAÇÃO DOS AGENDAMENTOS PÚBLICOS ---
+
+/**
+ * Move um agendamento da coleção pública antiga para a privada, com o mesmo ID.
+ * Como a disponibilidade agora só enxerga os slots, agendamentos ativos e futuros sem documento
+ * de slot (feitos antes da agenda por slots) ganham os slots que ocupam.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {string} appointmentId
+ * @param {{ slotMinutes: number, timeZone: string }} schedule Configuração da agenda (ver DEFAULT_SCHEDULE)
+ * @returns {Promise<void>}
+ */
+const migrateLegacyAppointment = (db, shopId, appointmentId, schedule) => runTransaction(db, async (transaction) => {
+    const legacyRef = doc(db, getLegacyAppointmentsCollectionPath(shopId), appointmentId);
+    const legacySnap = await transaction.get(legacyRef);
+    if (!legacySnap.exists()) return;
+
+    const legacy = legacySnap.data();
+    const barberId = legacy.barberId || LEGACY_BARBER_ID;
+    const slotIds = legacy.slotIds || getAppointmentUnitIds(legacy, schedule.slotMinutes);
+    const now = Date.now();
+    const needsSlots = isAppointmentActive(legacy, now) && getAppointmentStartMs(legacy, schedule.timeZone) > now;
+
+    const slotRefs = slotIds.map(slotId => doc(db, getSlotsCollectionPath(shopId), slotId));
+    const slotSnaps = needsSlots ? await Promise.all(slotRefs.map(slotRef => transaction.get(slotRef))) : [];
+
+    transaction.set(doc(db, getAppointmentsCollectionPath(shopId), appointmentId), { ...legacy, barberId, slotIds, migratedAt: now });
+    const slotIdPrefix = getSlotId(barberId, legacy.date, '');
+    slotSnaps.forEach((slotSnap, index) => {
+        if (slotSnap.exists()) return;
+        transaction.set(slotRefs[index], {
+            barberId,
+            date: legacy.date,
+            time: slotIds[index].slice(slotIdPrefix.length),
+            status: 'booked',
+            appointmentId,
+            createdAt: serverTimestamp(),
+        });
+    });
+    transaction.delete(legacyRef);
+});
+
+/**
+ * Migra todos os agendamentos da coleção pública antiga (rodado pela equipe, uma vez).
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {{ slotMinutes: number, timeZone: string }} schedule
+ * @returns {Promise<number>} Quantidade de agendamentos migrados
+ */
+const migrateLegacyAppointments = async (db, shopId, schedule) => {
+    const snapshot = await getDocs(collection(db, getLegacyAppointmentsCollectionPath(shopId)));
+    for (const legacyDoc of snapshot.docs) {
+        await migrateLegacyAppointment(db, shopId, legacyDoc.id, schedule);
+    }
+    return snapshot.size;
+};
+
+// --- PAGAMENTO PIX ---
+
+/**
+ * Dados do recebedor usados no BR Code (documento `settings/pix`). Sem chave, o PIX fica indisponível.
+ */
+const DEFAULT_PIX_SETTINGS = {
+    key: '',
+    merchantName: 'Barbearia',
+    merchantCity: 'Sao Paulo',
+    expirationMinutes: 15, // Prazo para pagar; os slots ficam reservados até lá
+};
+
+/**
+ * Momento (ms) em que vence o PIX de um agendamento feito agora. O prazo configurado é limitado a MAX_HOLD_MINUTES,
+ * senão as regras recusam os slots reservados.
+ * @param {object} pixSettings
+ * @param {number} now
+ * @returns {number}
+ */
+const getPaymentExpiresAt = (pixSettings, now = Date.now()) =>
+    now + Math.min(pixSettings.expirationMinutes, MAX_HOLD_MINUTES) * 60 * 1000;
+
+/**
+ * Confirma o pagamento de um agendamento aguardando PIX: ocupa de vez os slots, marca como pago
+ * e agenda as mensagens. Chamadas repetidas (webhook reenviado) não têm efeito.
+ * Se o pagamento chegou depois do prazo e outro cliente já tomou o horário, o agendamento é
+ * cancelado e o valor volta como crédito (ver buildPaymentConfirmation).
+ * As regras só deixam a equipe confirmar (pagamento recebido por fora); o PIX do cliente é confirmado pelo
+ * servidor (functions/payments.js), e por aqui só no modo local.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {string} appointmentId ID do agendamento (é o txid da cobrança)
+ * @param {{ method: string, amount: number, endToEndId?: string, paidAt?: number, confirmedBy?: string }} payment
+ * @returns {Promise<'confirmed'|'refunded'|'ignored'>}
+ */
+const confirmPayment = (db, shopId, appointmentId, { method, amount, endToEndId = null, paidAt = Date.now(), confirmedBy = 'pix-webhook' }) => runTransaction(db, async (transaction) => {
+    const appointmentRef = doc(db, getAppointmentsCollectionPath(shopId), appointmentId);
+    const appointmentSnap = await transaction.get(appointmentRef);
+    if (!appointmentSnap.exists() || appointmentSnap.data().status !== 'pending_payment') return 'ignored';
+
+    const appointment = appointmentSnap.data();
+    if (isPaymentShort(appointment, amount)) {
+        throw createBookingError(PAYMENT_AMOUNT_ERROR, t('errors.paymentShort', { amount: formatPrice(amount), price: formatPrice(appointment.payment.amount) }));
+    }
+
+    const slotRefs = appointment.slotIds.map(slotId => doc(db, getSlotsCollectionPath(shopId), slotId));
+    const profileRef = doc(db, getUserProfileCollectionPath(appointment.userId, shopId), 'data');
+    const slotSnaps = await Promise.all(slotRefs.map(slotRef => transaction.get(slotRef)));
+    const profileSnap = await transaction.get(profileRef);
+
+    const now = Date.now();
+    const isTaken = slotSnaps.some(slotSnap =>
+        slotSnap.exists() && slotSnap.data().appointmentId !== appointmentId && isSlotOccupied(slotSnap.data(), now)
+    );
+    const { result, update, refund } = buildPaymentConfirmation(appointment, { method, amount, endToEndId, paidAt, confirmedBy }, isTaken, now);
+    transaction.update(appointmentRef, { ...update, ...getQueueUpdate(appointment, { ...appointment, ...update }, now) });
+
+    if (refund) {
+        slotSnaps.forEach((slotSnap, index) => {
+            if (slotSnap.exists() && slotSnap.data().appointmentId === appointmentId) {
+                transaction.delete(slotRefs[index]);
+            }
+        });
+        const credit = profileSnap.exists() ? profileSnap.data().credit || 0 : 0;
+        transaction.update(profileRef, { credit: credit + refund.amount });
+        return result;
+    }
+
+    const times = getSlotTimesFromIds(appointment);
+    slotRefs.forEach((slotRef, index) => {
+        transaction.set(slotRef, {
+            barberId: appointment.barberId,
+            date: appointment.date,
+            time: times[index],
+            status: 'booked',
+            appointmentId,
+            createdAt: serverTimestamp(),
+        });
+    });
+    return result;
+});
+
+/**
+ * Simula o PSP avisando que o PIX do agendamento foi pago (modo local): a mesma notificação que o servidor
+ * recebe no webhook (ver parsePixWebhook), confirmada pelo próprio app.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {object} appointment Agendamento aguardando pagamento
+ * @returns {Promise<string[]>} Resultado de confirmPayment para cada PIX
+ */
+const simulatePixPayment = (db, shopId, appointment) => {
+    const body = {
+        pix: [{
+            endToEndId: `E00000000${Date.now()}SIMULADO`,
+            txid: appointment.payment.txid,
+            valor: appointment.payment.amount.toFixed(2),
+            horario: new Date().toISOString(),
+        }],
+    };
+    return Promise.all(parsePixWebhook(body).map(({ txid, ...received }) => confirmPayment(db, shopId, txid, received)));
+};
+
+// --- CONTA VERIFICADA (TELEFONE OU E-MAIL) ---
+
+// Transferência de conta aguardando o login na conta verificada. Fica no localStorage porque o
+// login por link de e-mail recarrega a página no meio do caminho.
+const PENDING_TRANSFER_STORAGE_KEY = 'barbearia:pendingAccountTransfer';
+// E-mail para o qual o link foi enviado: o Firebase exige o mesmo e-mail ao abrir o link
+const EMAIL_LINK_STORAGE_KEY = 'barbearia:emailForSignIn';
+// Elemento onde o reCAPTCHA invisível do login por SMS é montado
+const RECAPTCHA_CONTAINER_ID = 'recaptcha-container';
+// Erros da função claimAccountTransfer que não mudam numa nova tentativa (transferência inexistente ou de outra conta)
+const TRANSFER_REJECTED_ERRORS = ['functions/not-found', 'functions/permission-denied', 'functions/invalid-argument'];
+
+// Erros do Firebase Auth quando o telefone/e-mail já pertence a outra conta (cliente recuperando o acesso)
+const ACCOUNT_IN_USE_ERRORS = ['auth/credential-already-in-use', 'auth/email-already-in-use', 'auth/account-exists-with-different-credential'];
+
+/**
+ * Lê a transferência de conta pendente salva neste navegador.
+ * @returns {{ fromUid: string, claimCode: string, shopId?: string }|null}
+ */
+const readPendingTransfer = () => {
+    try {
+        return JSON.parse(localStorage.getItem(PENDING_TRANSFER_STORAGE_KEY));
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Registra, ainda autenticado com a conta anônima, que o perfil e os agendamentos dela vão para a conta
+ * verificada em que o cliente vai entrar. O `claimCode` só fica neste navegador: o servidor exige o
+ * mesmo código para reivindicar a transferência, até 30 minutos depois de criada. Vale só para a unidade `shopId`, que é onde ela é reivindicada.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {string} fromUid UID da conta anônima
+ * @returns {Promise<{ fromUid: string, claimCode: string, shopId: string }>}
+ */
+const createAccountTransfer = async (db, shopId, fromUid) => {
+    const claimCode = crypto.randomUUID();
+
+    await setDoc(doc(db, getAccountTransfersCollectionPath(shopId), fromUid), {
+        fromUid,
+        claimCode,
+        toUid: null,
+        status: 'pending',
+        createdAt: serverTimestamp(),
+    });
+
+    const pending = { fromUid, claimCode, shopId };
+    localStorage.setItem(PENDING_TRANSFER_STORAGE_KEY, JSON.stringify(pending));
+    return pending;
+};
+
+/**
+ * Move perfil, crédito, carimbos e agendamentos da conta anônima para a conta verificada em que o cliente
+ * acabou de entrar. Quem migra é o servidor (função claimAccountTransfer, functions/accounts.js), que confere
+ * o `claimCode` e o prazo; pode ser chamada de novo depois de uma falha, sem refazer a migração.
+ * @param {import('firebase/auth').Auth} auth Autenticado com a conta verificada
+ * @param {string} shopId
+ * @param {{ fromUid: string, claimCode: string }} pending Ver createAccountTransfer
+ * @returns {Promise<boolean>} false se a transferência expirou antes de ser concluída
+ */
+const claimAccountTransfer = async (auth, shopId, { fromUid, claimCode }) => {
+    const claim = httpsCallable(getFunctions(auth.app), 'claimAccountTransfer');
+    const { data } = await claim({ shopId, fromUid, claimCode });
+    return data.status === 'completed';
+};
+
+/**
+ * Conclui a verificação de identidade da conta atual.
+ * Se o telefone/e-mail é novo, ele é vinculado à conta anônima: o UID não muda e não há o que migrar.
+ * Se já pertence a outra conta (cliente que trocou de aparelho ou limpou o navegador), registra a
+ * transferência e entra nessa conta; a migração termina em App, assim que o novo UID é autenticado.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {import('firebase/auth').Auth} auth
+ * @param {{ link: () => Promise<*>, credentialFromError: (err: Error) => object|null, identity: object }} verification
+ *        `link` vincula a identidade à conta atual; `identity` são os campos gravados no perfil
+ * @returns {Promise<'linked'|'recovered'>}
+ */
+const completeVerification = async (db, shopId, auth, { link, credentialFromError, identity }) => {
+    const fromUid = auth.currentUser.uid;
+    try {
+        await link();
+        const profileRef = doc(db, getUserProfileCollectionPath(fromUid, shopId), 'data');
+        await setDoc(profileRef, { ...identity, identityVerifiedAt: Date.now() }, { merge: true });
+        return 'linked';
+    } catch (err) {
+        const credential = ACCOUNT_IN_USE_ERRORS.includes(err.code) ? credentialFromError(err) : null;
+        if (!credential) throw err;
+
+        await createAccountTransfer(db, shopId, fromUid);
+        await signInWithCredential(auth, credential);
+        return 'recovered';
+    }
+};
+
+/**
+ * Envia o código por SMS para o telefone (primeira etapa da verificação por telefone).
+ * @param {import('firebase/auth').Auth} auth
+ * @param {string} phone Número em E.164 (ver phone.js)
+ * @returns {Promise<import('firebase/auth').ConfirmationResult>}
+ */
+const sendPhoneCode = (auth, phone) => {
+    const verifier = new RecaptchaVerifier(auth, RECAPTCHA_CONTAINER_ID, { size: 'invisible' });
+    return linkWithPhoneNumber(auth.currentUser, phone, verifier)
+        .finally(() => verifier.clear());
+};
+
+/**
+ * Confirma o código recebido por SMS.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {import('firebase/auth').Auth} auth
+ * @param {import('firebase/auth').ConfirmationResult} confirmation Resultado de sendPhoneCode
+ * @param {string} code
+ * @param {string} phone Número em E.164, o mesmo de sendPhoneCode
+ * @returns {Promise<'linked'|'recovered'>}
+ */
+const confirmPhoneCode = (db, shopId, auth, confirmation, code, phone) => completeVerification(db, shopId, auth, {
+    link: () => confirmation.confirm(code.trim()),
+    credentialFromError: (err) => PhoneAuthProvider.credentialFromError(err),
+    identity: { verifiedPhone: phone },
+});
+
+/**
+ * Envia o link de acesso por e-mail. O cliente conclui abrindo o link neste navegador.
+ * @param {import('firebase/auth').Auth} auth
+ * @param {string} email
+ * @returns {Promise<void>}
+ */
+const sendEmailLink = async (auth, email) => {
+    await sendSignInLinkToEmail(auth, email, { url: window.location.href.split('?')[0], handleCodeInApp: true });
+    localStorage.setItem(EMAIL_LINK_STORAGE_KEY, email);
+};
+
+/**
+ * Conclui a verificação por e-mail se a página foi aberta pelo link enviado. Retorna null se não foi.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {import('firebase/auth').Auth} auth
+ * @returns {Promise<'linked'|'recovered'|null>}
+ */
+const completeEmailLinkVerification = async (db, shopId, auth) => {
+    const emailLink = window.location.href;
+    const email = localStorage.getItem(EMAIL_LINK_STORAGE_KEY);
+    if (!isSignInWithEmailLink(auth, emailLink) || !email) return null;
+
+    const result = await completeVerification(db, shopId, auth, {
+        link: () => linkWithCredential(auth.currentUser, EmailAuthProvider.credentialWithLink(email, emailLink)),
+        credentialFromError: () => EmailAuthProvider.credentialWithLink(email, emailLink),
+        identity: { verifiedEmail: email },
+    });
+    localStorage.removeItem(EMAIL_LINK_STORAGE_KEY);
+    // Tira o código de uso único da barra de endereço
+    window.history.replaceState(null, '', emailLink.split('?')[0]);
+    return result;
+};
+
+// --- LEMBRETES (FILA DE MENSAGENS) ---
+
+// Intervalo em que o despachante procura mensagens vencidas
+const DISPATCH_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Atualiza uma mensagem da fila do agendamento dentro de uma transação.
+ * `update` recebe a mensagem e o agendamento e devolve a nova mensagem (ou a mesma, para não alterar nada).
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appointmentId
+ * @param {string} messageId
+ * @param {(message: object, appointment: object) => object} update
+ * @param {string} collectionPath Coleção do documento dono da fila (agendamentos ou inscrições da lista de espera, da unidade)
+ * @returns {Promise<{ appointment: object, message: object }|null>} Agendamento e mensagem atualizada, ou null se nada mudou
+ */
+const updateQueuedMessage = (db, appointmentId, messageId, update, collectionPath) => runTransaction(db, async (transaction) => {
+    const appointmentRef = doc(db, collectionPath, appointmentId);
+    const appointmentSnap = await transaction.get(appointmentRef);
+    if (!appointmentSnap.exists()) return null;
+
+    const appointment = { id: appointmentSnap.id, ...appointmentSnap.data() };
+    const messages = appointment.messages || [];
+    const message = messages.find(item => item.id === messageId);
+    if (!message) return null;
+
+    const updated = update(message, appointment);
+    if (updated === message) return null;
+
+    transaction.update(appointmentRef, { messages: messages.map(item => item.id === messageId ? updated : item) });
+    return { appointment, message: updated };
+});
+
+/**
+ * Envia uma mensagem da fila pelo provedor simulado (MESSAGING_SIMULATION; no deploy, quem envia é o servidor,
+ * ver functions/messages.js). A mensagem é reservada ('sending') numa transação antes do envio, então várias abas
+ * podem despachar a mesma fila sem mandar a mensagem duas vezes.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {object} provider Ver createMockProvider
+ * @param {string} appointmentId
+ * @param {string} messageId
+ * @param {object} shop Unidade (nome e endereço entram no texto)
+ * @param {string} collectionPath Ver updateQueuedMessage
+ * @returns {Promise<void>}
+ */
+const dispatchMessage = async (db, provider, appointmentId, messageId, shop, collectionPath) => {
+    const claimed = await updateQueuedMessage(db, appointmentId, messageId, (message, appointment) => (
+        isMessageDue(message) ? claimMessage(message, appointment) : message
+    ), collectionPath);
+    if (!claimed || claimed.message.status !== 'sending') return;
+
+    let result;
+    try {
+        const { id } = await provider.send({
+            to: toWhatsappAddress(claimed.appointment.whatsapp),
+            text: renderMessage(claimed.message.type, claimed.appointment, shop),
+        });
+        result = { providerMessageId: id };
+    } catch (err) {
+        console.error(`Erro ao enviar mensagem ${messageId}:`, err);
+        result = { error: err.message || String(err) };
+    }
+
+    await updateQueuedMessage(db, appointmentId, messageId, (message) => (
+        message.status === 'sending' && message.claimedAt === claimed.message.claimedAt ? applySendResult(message, result) : message
+    ), collectionPath);
+};
+
+/**
+ * Recoloca na fila uma mensagem que falhou (reenvio manual pela equipe).
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {string} appointmentId
+ * @param {string} messageId
+ * @returns {Promise<void>}
+ */
+const retryQueuedMessage = (db, shopId, appointmentId, messageId) => updateQueuedMessage(db, appointmentId, messageId, (message) => (
+    message.status === 'failed' ? retryMessage(message) : message
+), getAppointmentsCollectionPath(shopId)).then(() => undefined);
+
+// --- IDIOMA ---
+
+// Idioma escolhido neste navegador; sem escolha, o mais próximo das preferências do aparelho
+const LOCALE_STORAGE_KEY = 'barbearia:locale';
+
+/**
+ * Idioma com que o app abre: o escolhido neste navegador ou o mais próximo do aparelho.
+ * @returns {string}
+ */
+const getInitialLocale = () => {
+    const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+    return isSupportedLocale(stored) ? stored : matchLocale(navigator.languages || [navigator.language]);
+};
+
+// --- PERFIL DO CLIENTE E DADOS PESSOAIS (LGPD) ---
+
+// Conta com agendamentos futuros ou inscrições ativas na lista de espera não pode ser excluída
+const ACCOUNT_HAS_BOOKINGS_ERROR = 'account-has-bookings';
+
+/**
+ * Nome completo: pelo menos nome e sobrenome.
+ * @param {string} name
+ * @returns {boolean}
+ */
+const isFullName = (name) => name.trim().split(/\s+/).length >= 2;
+
+/**
+ * O cliente aceita lembretes pelo WhatsApp? Perfis anteriores ao consentimento continuam recebendo.
+ * @param {object} profile
+ * @returns {boolean}
+ */
+const getReminderConsent = (profile) => profile.reminderConsent !== false;
+
+/**
+ * Campos do perfil que registram o consentimento dos lembretes, com o histórico de cada mudança
+ * (quando e em que tela o cliente aceitou ou recusou).
+ * @param {object} profile Perfil atual ({} no cadastro)
+ * @param {boolean} granted
+ * @param {'signup'|'profile'} source
+ * @param {number} [now]
+ * @returns {{ reminderConsent: boolean, reminderConsentAt: number, consentHistory: object[] }}
+ */
+const buildReminderConsent = (profile, granted, source, now = Date.now()) => ({
+    reminderConsent: granted,
+    reminderConsentAt: now,
+    consentHistory: [...(profile.consentHistory || []), { purpose: 'whatsapp_reminders', granted, source, at: now }],
+});
+
+/**
+ * Salva alterações do perfil e leva para os agendamentos futuros e as inscrições ativas na lista de espera
+ * o que as mensagens de WhatsApp usam: nome, número, idioma e consentimento dos lembretes.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {string} userId
+ * @param {{ name?: string, whatsapp?: string, locale?: string, reminderConsent?: boolean }} changes
+ *        Campos do perfil (outros campos, como o histórico de consentimento, só vão para o perfil)
+ * @param {object[]} appointments Agendamentos do cliente
+ * @param {object[]} waitlist Inscrições do cliente
+ * @returns {Promise<void>}
+ */
+const saveCustomerProfile = async (db, shopId, userId, changes, appointments, waitlist) => {
+    const now = Date.now();
+    const bookingChanges = {};
+    if ('name' in changes) bookingChanges.userName = changes.name;
+    if ('whatsapp' in changes) bookingChanges.whatsapp = changes.whatsapp;
+    if ('locale' in changes) bookingChanges.locale = changes.locale;
+    // Inscrições guardam o consentimento para o agendamento criado quando a vaga é aceita
+    const waitlistChanges = 'reminderConsent' in changes ? { ...bookingChanges, reminderConsent: changes.reminderConsent } : bookingChanges;
+
+    const getAppointmentChanges = (appointment) => {
+        if (!('reminderConsent' in changes) || appointment.reminderConsent === changes.reminderConsent) return bookingChanges;
+        const fields = { ...bookingChanges, reminderConsent: changes.reminderConsent };
+        return { ...fields, ...getQueueUpdate(appointment, { ...appointment, ...fields }, now) };
+    };
+    const isChanged = (document, fields) => Object.entries(fields).some(([key, value]) => document[key] !== value);
+
+    const upcoming = appointments
+        .filter(appointment => isAppointmentActive(appointment, now) && getAppointmentStartMs(appointment) > now)
+        .map(appointment => ({ appointment, fields: getAppointmentChanges(appointment) }))
+        .filter(({ appointment, fields }) => isChanged(appointment, fields));
+    const waiting = waitlist.filter(entry => ACTIVE_WAITLIST_STATUSES.includes(entry.status) && isChanged(entry, waitlistChanges));
+
+    await Promise.all([
+        setDoc(doc(db, getUserProfileCollectionPath(userId, shopId), 'data'), changes, { merge: true }),
+        ...upcoming.map(({ appointment, fields }) => updateDoc(doc(db, getAppointmentsCollectionPath(shopId), appointment.id), fields)),
+        ...waiting.map(entry => updateDoc(doc(db, getWaitlistCollectionPath(shopId), entry.id), waitlistChanges)),
+    ]);
+};
+
+/**
+ * Dados do cliente em todas as unidades: perfil, agendamentos e inscrições na lista de espera.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} userId
+ * @param {object[]} shops
+ * @returns {Promise<{ shop: object, profile: object|null, appointments: object[], waitlist: object[] }[]>}
+ */
+const fetchCustomerData = (db, userId, shops) => Promise.all(shops.map(async (shop) => {
+    const [profileSnap, appointmentsSnap, waitlistSnap] = await Promise.all([
+        getDoc(doc(db, getUserProfileCollectionPath(userId, shop.id), 'data')),
+        getDocs(query(collection(db, getAppointmentsCollectionPath(shop.id)), where('userId', '==', userId))),
+        getDocs(query(collection(db, getWaitlistCollectionPath(shop.id)), where('userId', '==', userId))),
+    ]);
+    return {
+        shop,
+        profile: profileSnap.exists() ? profileSnap.data() : null,
+        appointments: appointmentsSnap.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() })),
+        waitlist: waitlistSnap.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() })),
+    };
+}));
+
+/**
+ * Baixa a cópia dos dados do cliente em todas as unidades (LGPD).
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} userId
+ * @param {object[]} shops
+ * @returns {Promise<void>}
+ */
+const exportCustomerData = async (db, userId, shops) => {
+    const exportedAt = Date.now();
+    const records = await fetchCustomerData(db, userId, shops);
+    downloadJson(buildDataExport(records, { userId, exportedAt }), `meus-dados-${new Date(exportedAt).toISOString().split('T')[0]}.json`);
+};
+
+/**
+ * Documentos do cliente numa unidade que só a exclusão da conta usa: resgates do cartão fidelidade, usos de cupom
+ * e transferências de conta (a da própria conta anônima, com o UID como ID, e as que a conta verificada reivindicou).
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} userId
+ * @param {string} shopId
+ * @returns {Promise<{ redemptions: object[], couponUses: object[], transfers: object[] }>}
+ */
+const fetchAccountRecords = async (db, userId, shopId) => {
+    const [redemptionsSnap, couponUsesSnap, ownTransferSnap, claimedTransfersSnap] = await Promise.all([
+        getDocs(query(collection(db, getLoyaltyRedemptionsCollectionPath(shopId)), where('userId', '==', userId))),
+        getDocs(query(collection(db, getCouponUsesCollectionPath(shopId)), where('userId', '==', userId))),
+        getDoc(doc(db, getAccountTransfersCollectionPath(shopId), userId)),
+        getDocs(query(collection(db, getAccountTransfersCollectionPath(shopId)), where('toUid', '==', userId))),
+    ]);
+    const toRecord = (docSnap) => ({ id: docSnap.id, ...docSnap.data() });
+    return {
+        redemptions: redemptionsSnap.docs.map(toRecord),
+        couponUses: couponUsesSnap.docs.map(toRecord),
+        transfers: [...(ownTransferSnap.exists() ? [toRecord(ownTransferSnap)] : []), ...claimedTransfersSnap.docs.map(toRecord)],
+    };
+};
+
+// Escritas por lote no Firestore
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * Grava as escritas de uma unidade num lote só (tudo ou nada). Acima do limite do lote, `writes` vai em
+ * vários lotes e `finalWrites` no último: as regras só aceitam essas escritas junto com a exclusão do perfil,
+ * e, se algum lote falhar, o perfil continua e a exclusão pode ser repetida (o que já ficou anônimo não volta).
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {((batch: object) => void)[]} writes
+ * @param {((batch: object) => void)[]} finalWrites
+ * @returns {Promise<void>}
+ */
+const commitInBatches = async (db, writes, finalWrites) => {
+    const groups = writes.length + finalWrites.length <= MAX_BATCH_WRITES
+        ? [[...writes, ...finalWrites]]
+        : [
+            ...Array.from({ length: Math.ceil(writes.length / MAX_BATCH_WRITES) }, (_, index) =>
+                writes.slice(index * MAX_BATCH_WRITES, (index + 1) * MAX_BATCH_WRITES)),
+            finalWrites,
+        ];
+    for (const group of groups.filter(item => item.length > 0)) {
+        const batch = writeBatch(db);
+        group.forEach(write => write(batch));
+        await batch.commit();
+    }
+};
+
+/**
+ * Exclui a conta do cliente em todas as unidades (LGPD): os perfis são apagados e os agendamentos,
+ * inscrições, resgates do cartão fidelidade, usos de cupom e transferências de conta ficam anônimos
+ * (ver getAnonymizedFields), para a agenda e os relatórios da barbearia. Cada unidade é gravada num lote
+ * (ver commitInBatches). Horários futuros e inscrições ativas precisam ser cancelados antes
+ * (ACCOUNT_HAS_BOOKINGS_ERROR), para que cancelamento, devolução e vaga liberada sigam as regras de sempre.
+ * Por último sai a conta do Firebase Auth; se ela pedir um login recente, a sessão só é encerrada.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {import('firebase/auth').Auth|null} auth Null no modo local
+ * @param {string} userId
+ * @param {object[]} shops
+ * @returns {Promise<void>}
+ */
+const deleteCustomerAccount = async (db, auth, userId, shops) => {
+    const now = Date.now();
+    const records = await fetchCustomerData(db, userId, shops);
+    const hasBookings = records.some(({ appointments, waitlist }) =>
+        appointments.some(appointment => isAppointmentActive(appointment, now) && getAppointmentStartMs(appointment) > now)
+        || waitlist.some(entry => ACTIVE_WAITLIST_STATUSES.includes(entry.status)));
+    if (hasBookings) throw createBookingError(ACCOUNT_HAS_BOOKINGS_ERROR, t('profile.deleteHasBookings'));
+
+    const deletedUserId = createDeletedUserId();
+    await Promise.all(records.map(async ({ shop, profile, appointments, waitlist }) => {
+        const { redemptions, couponUses, transfers } = await fetchAccountRecords(db, userId, shop.id);
+        const couponUsesPath = getCouponUsesCollectionPath(shop.id);
+        const transfersPath = getAccountTransfersCollectionPath(shop.id);
+
+        const writes = [
+            ...appointments.map(appointment => (batch) =>
+                batch.update(doc(db, getAppointmentsCollectionPath(shop.id), appointment.id), getAnonymizedFields(appointment, deletedUserId, now))),
+            ...waitlist.map(entry => (batch) =>
+                batch.update(doc(db, getWaitlistCollectionPath(shop.id), entry.id), getAnonymizedFields(entry, deletedUserId, now))),
+            ...redemptions.map(redemption => (batch) =>
+                batch.update(doc(db, getLoyaltyRedemptionsCollectionPath(shop.id), redemption.id), { userId: deletedUserId, anonymizedAt: now })),
+        ];
+        // Documentos com o UID no ID: gravados de novo com outro ID, e o antigo sai
+        const finalWrites = [
+            ...couponUses.flatMap(({ id, ...couponUse }) => [
+                (batch) => batch.set(doc(db, couponUsesPath, getCouponUseId(couponUse.code, deletedUserId)), getAnonymizedCouponUse(couponUse, deletedUserId, now)),
+                (batch) => batch.delete(doc(db, couponUsesPath, id)),
+            ]),
+            ...transfers.flatMap(({ id, ...transfer }, index) => [
+                (batch) => batch.set(doc(db, transfersPath, `${deletedUserId}-${index + 1}`), getAnonymizedTransfer(transfer, deletedUserId, now)),
+                (batch) => batch.delete(doc(db, transfersPath, id)),
+            ]),
+            ...(profile ? [(batch) => batch.delete(doc(db, getUserProfileCollectionPath(userId, shop.id), 'data'))] : []),
+        ];
+        await commitInBatches(db, writes, finalWrites);
+    }));
+
+    if (!auth || !auth.currentUser) return;
+    try {
+        await deleteUser(auth.currentUser);
+    } catch {
+        // Login antigo demais para excluir a conta do Firebase Auth: os dados já foram apagados, só encerra a sessão
+        await signOut(auth);
+    }
+};
+
+// --- HOOKS ---
+
+/**
+ * Rota atual (tela, unidade e parâmetros da URL), sincronizada com o histórico do navegador.
+ * @returns {[{ page: string, shopSlug: string|null, params: Object<string, string> }, (page: string, params?: object, options?: { shopSlug?: string|null, replace?: boolean }) => void]}
+ *          A rota e a função que navega para outra tela (empilhando no histórico, ou trocando
+ *          o endereço atual com `replace`). Sem `shopSlug`, continua na mesma unidade
+ */
+const useRoute = () => {
+    const [route, setRoute] = useState(() => parseLocation(window.location));
+
+    useEffect(() => {
+        // Botões voltar e avançar do navegador
+        const handlePopState = () => setRoute(parseLocation(window.location));
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    const navigate = useCallback((page, params = {}, { shopSlug = parseLocation(window.location).shopSlug, replace = false } = {}) => {
+        const path = buildPath(page, params, shopSlug);
+        if (replace) window.history.replaceState(null, '', path);
+        else if (path !== `${window.location.pathname}${window.location.search}`) window.history.pushState(null, '', path);
+        setRoute(parseLocation(window.location));
+    }, []);
+
+    return [route, navigate];
+};
+
+/**
+ * Escuta um documento de configuração (`settings/{name}`) e completa os campos ausentes com os padrões.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {string} name ID do documento de configuração
+ * @param {object} defaults Valores padrão (constante do módulo)
+ * @returns {object}
+ */
+const useSettingsDoc = (db, shopId, name, defaults) => {
+    const [settings, setSettings] = useState(defaults);
+
+    useEffect(() => {
+        if (!db) return;
+
+        const settingsRef = doc(db, getSettingsCollectionPath(shopId), name);
+        const unsubscribe = onSnapshot(settingsRef, (docSnap) => {
+            setSettings(docSnap.exists() ? { ...defaults, ...docSnap.data() } : defaults);
+        }, (err) => {
+            console.error(`Erro ao carregar configuração "${name}":`, err);
+        });
+
+        return () => unsubscribe();
+    }, [db, shopId, name, defaults]);
+
+    return settings;
+};
+
+/**
+ * Escuta uma coleção de cadastro (serviços, barbeiros), devolvendo só os itens ativos ordenados por `order`.
+ * Com a coleção vazia, usa os itens padrão.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} collectionPath
+ * @param {object[]} defaults Itens padrão (constante do módulo)
+ * @returns {object[]}
+ */
+const useActiveCollection = (db, collectionPath, defaults) => {
+    const [items, setItems] = useState(defaults);
+
+    useEffect(() => {
+        if (!db) return;
+
+        const itemsRef = collection(db, collectionPath);
+        const unsubscribe = onSnapshot(query(itemsRef), (snapshot) => {
+            const fetchedItems = snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .filter(item => item.active !== false)
+                .sort((a, b) => (a.order || 0) - (b.order || 0));
+            setItems(snapshot.empty ? defaults : fetchedItems);
+        }, (err) => {
+            console.error(`Erro ao carregar ${collectionPath}:`, err);
+        });
+
+        return () => unsubscribe();
+    }, [db, collectionPath, defaults]);
+
+    return items;
+};
+
+/**
+ * Catálogo de serviços ativos. Sem serviços cadastrados, usa DEFAULT_SERVICES.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @returns {object[]}
+ */
+const useServices = (db, shopId) => useActiveCollection(db, getServicesCollectionPath(shopId), DEFAULT_SERVICES);
+
+/**
+ * Barbeiros ativos. Sem barbeiros cadastrados, usa DEFAULT_BARBERS.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @returns {object[]}
+ */
+const useBarbers = (db, shopId) => useActiveCollection(db, getBarbersCollectionPath(shopId), DEFAULT_BARBERS);
+
+/**
+ * Unidades ativas, ordenadas por `order`. Sem unidades cadastradas, usa DEFAULT_SHOPS.
+ * Diferente de useActiveCollection, retorna null até a primeira leitura: abrir a unidade padrão
+ * e trocar em seguida mostraria os dados de outra barbearia por um instante.
+ * @param {import('firebase/firestore').Firestore} db
+ * @returns {object[]|null}
+ */
+const useShops = (db) => {
+    const [shops, setShops] = useState(null);
+
+    useEffect(() => {
+        if (!db) return;
+
+        const unsubscribe = onSnapshot(query(collection(db, getShopsCollectionPath())), (snapshot) => {
+            const fetchedShops = snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .filter(shop => shop.active !== false)
+                .sort((a, b) => (a.order || 0) - (b.order || 0));
+            setShops(fetchedShops.length > 0 ? fetchedShops : DEFAULT_SHOPS);
+        }, (err) => {
+            console.error("Erro ao carregar unidades:", err);
+            setShops(DEFAULT_SHOPS);
+        });
+
+        return () => unsubscribe();
+    }, [db]);
+
+    return shops;
+};
+
+/**
+ * Escuta o cadastro do usuário na equipe. Retorna null para clientes.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {string} userId
+ * @returns {{ role: string, barberId?: string, name?: string }|null}
+ */
+const useStaffMember = (db, shopId, userId) => {
+    const [staffMember, setStaffMember] = useState(null);
+
+    useEffect(() => {
+        if (!db || !userId) return;
+
+        const staffRef = doc(db, getStaffCollectionPath(shopId), userId);
+        const unsubscribe = onSnapshot(staffRef, (docSnap) => {
+            setStaffMember(docSnap.exists() ? docSnap.data() : null);
+        }, (err) => {
+            console.error("Erro ao carregar cadastro da equipe:", err);
+            setStaffMember(null);
+        });
+
+        return () => unsubscribe();
+    }, [db, shopId, userId]);
+
+    return staffMember;
+};
+
+/**
+ * Escuta agendamentos da coleção privada. Com `userId`, só os do cliente (é o que as regras
+ * permitem a um cliente ler); com null, todos (só a equipe tem acesso).
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {string|null} userId
+ * @param {boolean} enabled
+ * @returns {object[]}
+ */
+const useAppointments = (db, shopId, userId, enabled) => {
+    const [appointments, setAppointments] = useState([]);
+
+    useEffect(() => {
+        if (!db || !enabled) {
+            setAppointments([]);
+            return;
+        }
+
+        // Não usamos orderBy para evitar a necessidade de índice, e ordenamos no cliente
+        const appointmentsRef = collection(db, getAppointmentsCollectionPath(shopId));
+        const q = userId ? query(appointmentsRef, where('userId', '==', userId)) : query(appointmentsRef);
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setAppointments(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => {
+            console.error("Erro ao carregar agendamentos:", err);
+        });
+
+        return () => unsubscribe();
+    }, [db, shopId, userId, enabled]);
+
+    return appointments;
+};
+
+/**
+ * Escuta os agendamentos do cliente nas outras unidades (cada uma tem a própria coleção).
+ * Cada agendamento volta com o `shopId` da unidade.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} userId
+ * @param {object[]} shops Unidades além da aberta
+ * @param {boolean} enabled
+ * @returns {object[]}
+ */
+const useOtherShopsAppointments = (db, userId, shops, enabled) => {
+    const [appointmentsByShop, setAppointmentsByShop] = useState({});
+    const shopIds = shops.map(shop => shop.id).join(',');
+
+    useEffect(() => {
+        setAppointmentsByShop({});
+        if (!db || !userId || !enabled || !shopIds) return;
+
+        const unsubscribes = shopIds.split(',').map(shopId => {
+            const appointmentsRef = collection(db, getAppointmentsCollectionPath(shopId));
+            return onSnapshot(query(appointmentsRef, where('userId', '==', userId)), (snapshot) => {
+                const shopAppointments = snapshot.docs.map(doc => ({ id: doc.id, shopId, ...doc.data() }));
+                setAppointmentsByShop(current => ({ ...current, [shopId]: shopAppointments }));
+            }, (err) => {
+                console.error(`Erro ao carregar agendamentos da unidade ${shopId}:`, err);
+            });
+        });
+
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [db, userId, shopIds, enabled]);
+
+    return useMemo(() => Object.values(appointmentsByShop).flat(), [appointmentsByShop]);
+};
+
+/**
+ * Despacha periodicamente as mensagens vencidas das filas dos agendamentos recebidos (só na simulação, ver MESSAGING_SIMULATION).
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {object} provider Ver createMockProvider
+ * @param {object[]} appointments Documentos com fila de mensagens (agendamentos ou inscrições na lista de espera)
+ * @param {boolean} enabled
+ * @param {object} shop Unidade aberta
+ * @param {string} collectionPath Coleção dos documentos (agendamentos ou lista de espera da unidade)
+ */
+const useMessageDispatcher = (db, provider, appointments, enabled, shop, collectionPath) => {
+    // Mensagens em envio nesta aba (evita abrir uma transação por mensagem a cada snapshot)
+    const inFlightRef = useRef(new Set());
+
+    useEffect(() => {
+        if (!db || !enabled) return;
+
+        const dispatchDue = () => {
+            const now = Date.now();
+            appointments.forEach(app => {
+                (app.messages || []).filter(message => isMessageDue(message, now)).forEach(message => {
+                    const key = `${app.id}/${message.id}`;
+                    if (inFlightRef.current.has(key)) return;
+
+                    inFlightRef.current.add(key);
+                    dispatchMessage(db, provider, app.id, message.id, shop, collectionPath)
+                        .catch(err => console.error("Erro no despacho de mensagens:", err))
+                        .finally(() => inFlightRef.current.delete(key));
+                });
+            });
+        };
+
+        dispatchDue();
+        const interval = setInterval(dispatchDue, DISPATCH_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [db, provider, appointments, enabled, shop, collectionPath]);
+};
+
+/**
+ * Escuta as inscrições ativas da lista de espera. Com `userId`, só as do cliente; com null, todas (só a equipe).
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {string|null} userId
+ * @param {boolean} enabled
+ * @returns {object[]}
+ */
+const useWaitlist = (db, shopId, userId, enabled) => {
+    const [entries, setEntries] = useState([]);
+
+    useEffect(() => {
+        if (!db || !enabled) {
+            setEntries([]);
+            return;
+        }
+
+        const waitlistRef = collection(db, getWaitlistCollectionPath(shopId));
+        const constraints = [where('status', 'in', ACTIVE_WAITLIST_STATUSES)];
+        if (userId) constraints.push(where('userId', '==', userId));
+        const unsubscribe = onSnapshot(query(waitlistRef, ...constraints), (snapshot) => {
+            setEntries(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => {
+            console.error("Erro ao carregar lista de espera:", err);
+        });
+
+        return () => unsubscribe();
+    }, [db, shopId, userId, enabled]);
+
+    return entries;
+};
+
+/**
+ * Roda periodicamente a lista de espera no modo local (ver processWaitlist): vagas abertas por cancelamentos,
+ * remarcações, bloqueios removidos ou reservas expiradas são oferecidas ao próximo da fila.
+ * No deploy, quem oferece as vagas é a função processWaitlist do servidor, a cada minuto.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {object[]} entries Inscrições ativas
+ * @param {object} schedule
+ * @param {object[]} barbers
+ * @param {boolean} enabled
+ */
+const useWaitlistProcessor = (db, shopId, entries, schedule, barbers, enabled) => {
+    const isRunningRef = useRef(false);
+
+    useEffect(() => {
+        if (!db || !enabled || entries.length === 0) return;
+
+        const run = () => {
+            if (isRunningRef.current) return;
+
+            isRunningRef.current = true;
+            processWaitlist(db, shopId, entries, { schedule, barbers })
+                .catch(err => console.error("Erro ao processar a lista de espera:", err))
+                .finally(() => { isRunningRef.current = false; });
+        };
+
+        run();
+        const interval = setInterval(run, WAITLIST_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [db, shopId, entries, schedule, barbers, enabled]);
+};
+
+/**
+ * Agenda as repetições das séries cuja primeira ocorrência foi confirmada (ver bookSeriesRepeats). Só no modo local:
+ * no deploy, o servidor agenda as repetições assim que a primeira ocorrência é confirmada.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} shopId
+ * @param {object[]} appointments
+ * @param {object} schedule
+ * @param {boolean} enabled
+ */
+const useSeriesRepeatsBooking = (db, shopId, appointments, schedule, enabled) => {
+    // Séries sendo agendadas nesta aba (evita abrir uma transação por série a cada snapshot)
+    const inFlightRef = useRef(new Set());
+
+    useEffect(() => {
+        if (!db || !enabled) return;
+
+        appointments
+            .filter(app => app.status === 'confirmed' && app.series && app.series.repeats)
+            .forEach(app => {
+                if (inFlightRef.current.has(app.id)) return;
+
+                inFlightRef.current.add(app.id);
+                bookSeriesRepeats(db, shopId, app.id, schedule)
+                    .catch(err => console.error("Erro ao agendar as repetições da série:", err))
+                    .finally(() => inFlightRef.current.delete(app.id));
+            });
+    }, [db, shopId, appointments, schedule, enabled]);
+};
+
+// --- COMPONENTES ---
+
+const LoadingScreen = ({ message }) => (
+    <div className="flex items-center justify-center min-h-screen bg-gray-900 text-white p-4">
+        <div className="text-center">
+            <svg className="animate-spin h-8 w-8 text-indigo-400 mx-auto mb-3" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+            <p className="text-lg font-medium">{message}</p>
+        </div>
+    </div>
+);
+
+// Seletor de idioma, presente em todas as telas
+const LanguageSwitcher = ({ locale, onChange }) => (
+    <select
+        value={locale}
+        onChange={(e) => onChange(e.target.value)}
+        aria-label={t('common.language')}
+        className="fixed bottom-3 left-3 z-40 p-2 rounded-lg bg-gray-800 border border-gray-600 text-gray-200 text-sm focus:ring-indigo-500 focus:border-indigo-500"
+    >
+        {Object.entries(LOCALES).map(([code, { label }]) => (
+            <option key={code} value={code}>{label}</option>
+        ))}
+    </select>
+);
+
+// Telefone com seletor de país. `value` é { country, number }: o número sem o DDI
+// (ou, para países fora da lista, com "+" e o DDI); ver parsePhone
+const PhoneInput = ({ id, value, onChange }) => (
+    <div className="mt-1 flex space-x-2">
+        <select
+            value={value.country}
+            onChange={(e) => onChange({ ...value, country: e.target.value })}
+            aria-label={t('phone.country')}
+            className="w-32 px-2 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm focus:ring-indigo-500 focus:border-indigo-500"
+        >
+            {Object.keys(PHONE_COUNTRIES)
+                .map(country => ({ country, name: getCountryName(country) }))
+                .sort((a, b) => a.name.localeCompare(b.name, getActiveLocale()))
+                .map(({ country, name }) => (
+                    <option key={country} value={country}>{name} (+{PHONE_COUNTRIES[country].dialCode})</option>
+                ))}
+        </select>
+        <input
+            id={id}
+            type="tel"
+            autoComplete="tel"
+            value={value.number}
+            onChange={(e) => onChange({ ...value, number: e.target.value })}
+            placeholder={t('phone.placeholder')}
+            className="flex-1 min-w-0 px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white focus:ring-indigo-500 focus:border-indigo-500 transition duration-150"
+            required
+        />
+    </div>
+);
+
+// "Adicionar ao calendário": arquivo .ics (Apple, Outlook, Google) ou link direto do Google Agenda
+const AddToCalendarLinks = ({ appointment, shopName, className = 'text-sm' }) => {
+    const handleDownloadIcs = () => {
+        const ics = buildAppointmentIcs(appointment, { shopName, fallbackDurationMinutes: LEGACY_DURATION_MINUTES });
+        downloadIcs(ics, `agendamento-${appointment.date}-${appointment.id}.ics`);
+    };
+
+    return (
+        <div className={`flex items-center space-x-3 ${className}`}>
+            <span className="text-gray-400">📅 {t('calendar.addTo')}</span>
+            <button onClick={handleDownloadIcs} className="text-indigo-300 hover:text-indigo-200">
+                {t('calendar.icsFile')}
+            </button>
+            <a
+                href={getGoogleCalendarUrl(appointment, { shopName, fallbackDurationMinutes: LEGACY_DURATION_MINUTES })}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-indigo-300 hover:text-indigo-200"
+            >
+                {t('calendar.google')}
+            </a>
+        </div>
+    );
+};
+
+const NotificationDisplay = ({ appointment, shop, onClose }) => {
+    if (!appointment) return null;
+
+    // Mesma mensagem que a fila envia para o WhatsApp do cliente
+    const whatsappMessage = renderMessage('confirmation', appointment, shop);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-50">
+            <div className="bg-gray-800 p-6 rounded-xl shadow-2xl max-w-lg w-full transform transition-all border border-indigo-500">
+                <h3 className="text-2xl font-bold mb-4 text-indigo-400">🔔 {t('notification.title')}</h3>
+                <p className="text-gray-300 mb-6">{t('notification.intro')}</p>
+
+                <div className="bg-green-800 p-4 rounded-lg shadow-md mb-6 border border-green-600">
+                    <h4 className="font-semibold text-lg text-white mb-2 flex items-center">
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 mr-2 text-green-300" viewBox="0 0 0 0" fill="currentColor">
+                            <path d="M2 5a2 2 0 012-2h7a2 2 0 012 2v4a2 2 0 01-2 2H9l-3 4v-4H4a2 2 0 01-2-2V5z" />
+                        </svg>
+                        {MESSAGING_SIMULATION ? t('notification.whatsappMock') : t('notification.whatsapp')}
+                    </h4>
+                    <pre className="text-sm whitespace-pre-wrap text-green-100 bg-green-900 p-3 rounded">{whatsappMessage}</pre>
+                    {MESSAGING_SIMULATION && (
+                        <p className="mt-2 text-xs text-green-200 italic">{t('notification.mockProvider')}</p>
+                    )}
+                </div>
+
+                {/* Série: resultado de cada repetição (as que conflitaram não foram agendadas) */}
+                {appointment.seriesResults && (
+                    <div className="mb-6">
+                        <h4 className="font-semibold text-white mb-2">🔁 {t('notification.series')}</h4>
+                        <ul className="text-sm space-y-1">
+                            {appointment.seriesResults.map(result => (
+                                <li key={result.date} className={result.conflict ? 'text-red-300' : 'text-green-300'}>
+                                    {result.conflict ? '⚠️' : '✅'} {formatDateString(result.date, { weekday: 'short', day: '2-digit', month: 'short' })}
+                                    {' · '}{result.conflict ? t('notification.seriesConflict', { reason: getSeriesConflictLabel(result) }) : t('notification.seriesBooked', { time: formatTimeString(appointment.time) })}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                <AddToCalendarLinks appointment={appointment} shopName={shop.name} className="text-sm mb-6" />
+
+                <button
+                    onClick={onClose}
+                    className="w-full bg-indigo-600 text-white py-3 rounded-lg font-semibold hover:bg-indigo-500 transition duration-200 shadow-lg shadow-indigo-500/50"
+                >
+                    {t('notification.close')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const PixCheckout = ({ db, shopId, appointment, pixSettings, onClose }) => {
+    const [qrCodeUrl, setQrCodeUrl] = useState('');
+    const [copied, setCopied] = useState(false);
+    const [isSimulating, setIsSimulating] = useState(false);
+    const [error, setError] = useState('');
+    const [now, setNow] = useState(Date.now());
+
+    const { txid, amount, expiresAt } = appointment.payment;
+    const payload = useMemo(() => buildPixPayload({
+        key: pixSettings.key,
+        merchantName: pixSettings.merchantName,
+        merchantCity: pixSettings.merchantCity,
+        amount,
+        txid,
+        description: appointment.service,
+    }), [pixSettings, amount, txid, appointment.service]);
+    const isExpired = now >= expiresAt;
+
+    useEffect(() => {
+        QRCode.toDataURL(payload, { width: 240, margin: 1 })
+            .then(setQrCodeUrl)
+            .catch(err => console.error("Erro ao gerar QR Code:", err));
+    }, [payload]);
+
+    // Contagem regressiva do prazo de pagamento
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, []);
+
+    const handleCopy = () => {
+        navigator.clipboard.writeText(payload)
+            .then(() => setCopied(true))
+            .catch(() => setError(t('pix.copyFailed')));
+    };
+
+    const handleSimulatePayment = async () => {
+        setIsSimulating(true);
+        setError('');
+        try {
+            await simulatePixPayment(db, shopId, appointment);
+        } catch (err) {
+            console.error('Erro ao simular pagamento:', err);
+            setError(t('pix.simulateFailed'));
+        } finally {
+            setIsSimulating(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-50">
+            <div className="bg-gray-800 p-6 rounded-xl shadow-2xl max-w-md w-full border border-green-600 text-white">
+                <h3 className="text-2xl font-bold mb-2 text-green-400">{t('pix.title')}</h3>
+                <p className="text-gray-300 mb-4">
+                    {appointment.service} · {formatPrice(amount)}
+                </p>
+
+                {isExpired ? (
+                    <p className="text-yellow-300 mb-6">{t('pix.expired')}</p>
+                ) : (
+                    <>
+                        <div className="bg-white p-3 rounded-lg w-fit mx-auto mb-4">
+                            {qrCodeUrl
+                                ? <img src={qrCodeUrl} alt={t('pix.qrCodeAlt')} className="w-60 h-60" />
+                                : <div className="w-60 h-60" />}
+                        </div>
+                        <label className="block text-sm font-medium text-gray-300 mb-1">{t('pix.copyPaste')}</label>
+                        <textarea
+                            readOnly
+                            value={payload}
+                            onFocus={(e) => e.target.select()}
+                            rows={3}
+                            className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-xs text-gray-200 font-mono break-all"
+                        />
+                        <button
+                            onClick={handleCopy}
+                            className="mt-2 w-full bg-green-600 py-2 rounded-lg font-semibold hover:bg-green-500 transition duration-200"
+                        >
+                            {copied ? t('pix.copied') : t('pix.copy')}
+                        </button>
+                        <p className="text-yellow-300 text-sm mt-4 text-center">
+                            {t('pix.countdown', { time: formatCountdown(expiresAt - now) })}
+                        </p>
+                        <p className="text-gray-400 text-sm mt-1 text-center animate-pulse">{t('pix.waiting')}</p>
+                    </>
+                )}
+
+                {PIX_WEBHOOK_SIMULATION && (
+                    <button
+                        onClick={handleSimulatePayment}
+                        disabled={isSimulating}
+                        className="mt-4 w-full border border-dashed border-green-500 text-green-300 py-2 rounded-lg text-sm hover:bg-green-900 disabled:opacity-50"
+                    >
+                        {isSimulating ? t('pix.simulating') : t('pix.simulate')}
+                    </button>
+                )}
+                {error && <p className="text-red-400 text-sm text-center mt-2">{error}</p>}
+
+                <button
+                    onClick={onClose}
+                    className="mt-4 w-full py-2 text-indigo-400 hover:text-indigo-300 transition duration-150"
+                >
+                    {isExpired ? t('common.close') : t('pix.payLater')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const AccountVerification = ({ db, shopId, auth, defaultPhone, isRecovery, onClose }) => {
+    const [method, setMethod] = useState('phone'); // 'phone' ou 'email'
+    const [phoneFields, setPhoneFields] = useState(() => splitPhone(defaultPhone));
+    const [codePhone, setCodePhone] = useState(null); // Número (E.164) para onde o código foi enviado
+    const [email, setEmail] = useState('');
+    const [code, setCode] = useState('');
+    const [confirmation, setConfirmation] = useState(null); // Código SMS enviado, aguardando confirmação
+    const [emailSent, setEmailSent] = useState(false);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const handleResult = (result) => {
+        // Na recuperação, App troca de conta e conclui a migração; aqui só fechamos
+        if (result === 'recovered') {
+            onClose();
+            return;
+        }
+        setSuccess(t('verification.success'));
+    };
+
+    const run = async (action, fallbackMessage) => {
+        setIsLoading(true);
+        setError('');
+        try {
+            await action();
+        } catch (err) {
+            console.error('Erro na verificação de conta:', err);
+            setError(err.code === 'auth/invalid-verification-code' ? t('verification.wrongCode') : fallbackMessage);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleSendCode = (e) => {
+        e.preventDefault();
+        const parsed = parsePhone(phoneFields.number, phoneFields.country);
+        if (!parsed) {
+            setError(t('verification.phoneRequired'));
+            return;
+        }
+        run(async () => {
+            setConfirmation(await sendPhoneCode(auth, parsed.e164));
+            setCodePhone(parsed.e164);
+        }, t('verification.sendCodeFailed'));
+    };
+
+    const handleConfirmCode = (e) => {
+        e.preventDefault();
+        run(async () => handleResult(await confirmPhoneCode(db, shopId, auth, confirmation, code, codePhone)), t('verification.confirmCodeFailed'));
+    };
+
+    const handleSendEmail = (e) => {
+        e.preventDefault();
+        run(async () => {
+            await sendEmailLink(auth, email.trim());
+            setEmailSent(true);
+        }, t('verification.sendLinkFailed'));
+    };
+
+    const inputClass = "mt-1 block w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white focus:ring-indigo-500 focus:border-indigo-500";
+    const buttonClass = "w-full py-3 rounded-lg font-semibold bg-indigo-600 hover:bg-indigo-500 transition duration-200 disabled:opacity-50";
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-50">
+            <div className="bg-gray-800 p-6 rounded-xl shadow-2xl max-w-md w-full border border-indigo-600 text-white">
+                <h3 className="text-2xl font-bold mb-2 text-indigo-400">{isRecovery ? t('verification.recoverTitle') : t('verification.protectTitle')}</h3>
+                <p className="text-gray-300 text-sm mb-4">
+                    {isRecovery ? t('verification.recoverIntro') : t('verification.protectIntro')}
+                </p>
+
+                {success ? (
+                    <p className="text-green-400 mb-4">{success}</p>
+                ) : (
+                    <>
+                        <div className="flex space-x-2 mb-4">
+                            {[['phone', t('verification.methodPhone')], ['email', t('verification.methodEmail')]].map(([value, label]) => (
+                                <button
+                                    key={value}
+                                    onClick={() => { setMethod(value); setError(''); }}
+                                    className={`flex-1 py-2 rounded-lg text-sm ${method === value ? 'bg-indigo-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+
+                        {method === 'phone' && !confirmation && (
+                            <form onSubmit={handleSendCode} className="space-y-3">
+                                <div>
+                                    <label htmlFor="verification-phone" className="block text-sm font-medium text-gray-300">{t('verification.phoneLabel')}</label>
+                                    <PhoneInput id="verification-phone" value={phoneFields} onChange={setPhoneFields} />
+                                </div>
+                                <button type="submit" disabled={isLoading} className={buttonClass}>{isLoading ? t('common.sending') : t('verification.sendCode')}</button>
+                            </form>
+                        )}
+                        {method === 'phone' && confirmation && (
+                            <form onSubmit={handleConfirmCode} className="space-y-3">
+                                <label className="block text-sm font-medium text-gray-300">
+                                    {t('verification.codeLabel', { phone: formatPhone(codePhone) })}
+                                    <input inputMode="numeric" value={code} onChange={(e) => setCode(e.target.value)} placeholder="123456" className={inputClass} required />
+                                </label>
+                                <button type="submit" disabled={isLoading} className={buttonClass}>{isLoading ? t('verification.confirming') : t('verification.confirmCode')}</button>
+                                <button type="button" onClick={() => { setConfirmation(null); setCode(''); }} className="w-full text-sm text-indigo-400 hover:text-indigo-300">
+                                    {t('verification.changeNumber')}
+                                </button>
+                            </form>
+                        )}
+                        {method === 'email' && (emailSent ? (
+                            <p className="text-gray-300 text-sm">
+                                {t('verification.linkSentPrefix')} <span className="font-semibold">{email}</span>. {t('verification.linkSentSuffix')}
+                            </p>
+                        ) : (
+                            <form onSubmit={handleSendEmail} className="space-y-3">
+                                <label className="block text-sm font-medium text-gray-300">
+                                    {t('verification.emailLabel')}
+                                    <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder={t('verification.emailPlaceholder')} className={inputClass} required />
+                                </label>
+                                <button type="submit" disabled={isLoading} className={buttonClass}>{isLoading ? t('common.sending') : t('verification.sendLink')}</button>
+                            </form>
+                        ))}
+                    </>
+                )}
+
+                {error && <p className="text-red-400 text-sm text-center mt-3">{error}</p>}
+                <div id={RECAPTCHA_CONTAINER_ID} />
+
+                <button
+                    onClick={onClose}
+                    className="mt-4 w-full py-2 text-indigo-400 hover:text-indigo-300 transition duration-150"
+                >
+                    {success ? t('common.close') : t('verification.notNow')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const AuthScreen = ({ db, auth, userId, shop, shops, onProfileComplete }) => {
+    const [name, setName] = useState('');
+    const [phoneFields, setPhoneFields] = useState(() => splitPhone(''));
+    const [reminderConsent, setReminderConsent] = useState(false); // Consentimento explícito (LGPD): começa desmarcado
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [showRecovery, setShowRecovery] = useState(false);
+    const [prefilledFrom, setPrefilledFrom] = useState(null); // Unidade de onde veio o cadastro sugerido
+
+    // Cliente de outra unidade: cada unidade tem o próprio perfil, mas o cadastro já feito vem preenchido
+    useEffect(() => {
+        if (!db || !userId) return;
+        let isCurrent = true;
+
+        const prefill = async () => {
+            for (const otherShop of shops.filter(item => item.id !== shop.id)) {
+                const profileSnap = await getDoc(doc(db, getUserProfileCollectionPath(userId, otherShop.id), 'data'));
+                if (!isCurrent) return;
+                if (profileSnap.exists() && profileSnap.data().profileComplete) {
+                    const profile = profileSnap.data();
+                    setName(current => current || profile.name);
+                    setPhoneFields(current => (current.number ? current : splitPhone(profile.whatsapp)));
+                    setPrefilledFrom(otherShop);
+                    return;
+                }
+            }
+        };
+        prefill().catch(err => console.error("Erro ao buscar cadastro de outra unidade:", err));
+
+        return () => { isCurrent = false; };
+    }, [db, userId, shop, shops]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setIsLoading(true);
+
+        const phone = parsePhone(phoneFields.number, phoneFields.country);
+
+        // 1. Validação de Nome: Requer pelo menos nome e sobrenome (2 palavras)
+        if (!isFullName(name)) {
+            setError(t('auth.nameRequired'));
+            setIsLoading(false);
+            return;
+        }
+
+        // 2. Validação de WhatsApp: número válido no país escolhido (ou com DDI), guardado em E.164
+        if (!phone) {
+            setError(t('auth.whatsappInvalid'));
+            setIsLoading(false);
+            return;
+        }
+
+        try {
+            const profile = {
+                name: name.trim(),
+                whatsapp: phone.e164,
+                locale: getActiveLocale(),
+                profileComplete: true,
+                ...buildReminderConsent({}, reminderConsent, 'signup'),
+            };
+            const userProfileRef = doc(db, getUserProfileCollectionPath(userId, shop.id), 'data');
+            await setDoc(userProfileRef, { ...profile, createdAt: serverTimestamp() }, { merge: true });
+
+            onProfileComplete(profile);
+
+        } catch (err) {
+            console.error('Erro ao salvar perfil:', err);
+            setError(t('auth.saveFailed'));
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen bg-gray-900 p-4">
+            <div className="bg-gray-800 p-8 rounded-xl shadow-2xl w-full max-w-md border border-indigo-700">
+                {shop.logoUrl && <img src={shop.logoUrl} alt={shop.name} className="h-20 w-20 mx-auto mb-4 rounded-full object-cover" />}
+                {/* Título sem "SaaS" */}
+                <h2 className="text-3xl font-extrabold text-white mb-2 text-center">💈 {t('auth.welcome', { shop: shop.name })}</h2>
+                {shop.address && <p className="text-sm text-gray-400 mb-4 text-center">📍 {shop.address}</p>}
+                <p className="text-gray-400 mb-6 text-center">{t('auth.intro')}</p>
+                {prefilledFrom && (
+                    <p className="text-sm text-indigo-300 mb-4 text-center">{t('auth.prefilled', { shop: prefilledFrom.name })}</p>
+                )}
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label htmlFor="name" className="block text-sm font-medium text-gray-300">{t('auth.nameLabel')}</label>
+                        <input
+                            id="name"
+                            type="text"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            placeholder={t('auth.namePlaceholder')}
+                            className="mt-1 block w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white focus:ring-indigo-500 focus:border-indigo-500 transition duration-150"
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="whatsapp" className="block text-sm font-medium text-gray-300">{t('auth.whatsappLabel')}</label>
+                        <PhoneInput id="whatsapp" value={phoneFields} onChange={setPhoneFields} />
+                    </div>
+                    <label className="flex items-start space-x-2 text-sm text-gray-300">
+                        <input
+                            type="checkbox"
+                            checked={reminderConsent}
+                            onChange={(e) => setReminderConsent(e.target.checked)}
+                            className="mt-1 rounded bg-gray-700 border-gray-600 text-indigo-600 focus:ring-indigo-500"
+                        />
+                        <span>{t('auth.reminderConsent')}</span>
+                    </label>
+
+                    {error && <p className="text-red-400 text-sm mt-3">{error}</p>}
+
+                    <button
+                        type="submit"
+                        disabled={isLoading}
+                        className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-lg font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        {isLoading ? (
+                            <>
+                                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                                </svg>
+                                {t('common.saving')}
+                            </>
+                        ) : t('auth.submit')}
+                    </button>
+                </form>
+
+                {/* No modo local (sem Firebase) não há login para recuperar */}
+                {auth && (
+                    <button
+                        onClick={() => setShowRecovery(true)}
+                        className="mt-6 w-full text-sm text-indigo-400 hover:text-indigo-300 transition duration-150"
+                    >
+                        {t('auth.recover')}
+                    </button>
+                )}
+            </div>
+            <p className="text-xs text-gray-500 mt-4">{t('common.userId', { id: userId })}</p>
+
+            {showRecovery && (
+                <AccountVerification db={db} shopId={shop.id} auth={auth} isRecovery onClose={() => setShowRecovery(false)} />
+            )}
+        </div>
+    );
+};
+
+const MonthCalendar = ({ db, shopId, schedule, barbers, durationMinutes, holdId, rescheduleAppointmentId, selectedDate, onSelectDate }) => {
+    const today = getTodayDateString(schedule.timeZone);
+    const [month, setMonth] = useState(selectedDate.slice(0, 7)); // YYYY-MM
+    const [slotsById, setSlotsById] = useState(() => new Map());
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        setIsLoading(true);
+        // Uma consulta por mês (datas YYYY-MM-DD em texto, o intervalo cobre o mês inteiro); os slots viram
+        // um índice por ID que cada dia consulta com as mesmas regras do grid
+        const slotsRef = collection(db, getSlotsCollectionPath(shopId));
+        const q = query(slotsRef, where('date', '>=', `${month}-01`), where('date', '<=', `${month}-31`));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setSlotsById(new Map(snapshot.docs.map(slotDoc => [slotDoc.id, slotDoc.data()])));
+            setIsLoading(false);
+        }, (err) => {
+            console.error("Erro ao carregar slots do mês:", err);
+        });
+
+        return () => unsubscribe();
+    }, [db, shopId, month]);
+
+    const monthDates = useMemo(() => getMonthDates(month), [month]);
+
+    const availabilityByDate = useMemo(() => {
+        const now = Date.now();
+        const getSlotState = createSlotStateReader(slotsById, { holdId, rescheduleAppointmentId }, now);
+        return new Map(monthDates
+            .filter(date => date >= today)
+            .map(date => [date, getDayAvailability({ schedule, date, durationMinutes, barbers, getSlotState, now })]));
+    }, [monthDates, today, slotsById, holdId, rescheduleAppointmentId, schedule, durationMinutes, barbers]);
+
+    const changeMonth = (step) => setMonth(addDays(`${month}-15`, step * 30).slice(0, 7));
+
+    return (
+        <div className="bg-gray-800 p-4 rounded-xl shadow-lg mb-6 border border-gray-700">
+            <div className="flex items-center justify-between mb-3">
+                <button
+                    onClick={() => changeMonth(-1)}
+                    disabled={month <= today.slice(0, 7)}
+                    className="px-3 py-1 rounded-lg bg-gray-700 text-white hover:bg-indigo-600 disabled:opacity-30 disabled:cursor-not-allowed"
+                >
+                    ‹
+                </button>
+                <h4 className="text-lg font-semibold text-white capitalize">
+                    {formatDateString(`${month}-01`, { month: 'long', year: 'numeric' })}
+                    {isLoading && <span className="ml-2 text-xs text-gray-400 normal-case">{t('common.loading')}</span>}
+                </h4>
+                <button
+                    onClick={() => changeMonth(1)}
+                    className="px-3 py-1 rounded-lg bg-gray-700 text-white hover:bg-indigo-600"
+                >
+                    ›
+                </button>
+            </div>
+            <div className="grid grid-cols-7 gap-1 text-center text-xs">
+                {Array.from({ length: 7 }, (_, weekday) => (
+                    <span key={weekday} className="text-gray-400 py-1">{formatWeekday(weekday)}</span>
+                ))}
+                {Array.from({ length: getWeekday(monthDates[0]) }, (_, index) => <span key={`blank-${index}`} />)}
+                {monthDates.map(date => {
+                    const availability = availabilityByDate.get(date);
+                    const isSelectable = availability && availability.level !== 'closed';
+                    return (
+                        <button
+                            key={date}
+                            onClick={() => onSelectDate(date)}
+                            disabled={!isSelectable}
+                            title={availability ? `${t(DAY_AVAILABILITY[availability.level].labelKey)}${isSelectable ? ` (${t('calendar.freeCount', { count: availability.freeCount })})` : ''}` : undefined}
+                            className={`py-2 rounded-lg text-sm font-medium transition duration-150 disabled:cursor-not-allowed
+                                ${availability ? DAY_AVAILABILITY[availability.level].className : 'text-gray-700'}
+                                ${date === selectedDate ? 'ring-2 ring-indigo-400' : ''}`}
+                        >
+                            {Number(date.slice(8))}
+                        </button>
+                    );
+                })}
+            </div>
+            <div className="flex flex-wrap justify-center gap-3 mt-3 text-xs text-gray-300">
+                {Object.entries(DAY_AVAILABILITY).map(([level, { labelKey, className }]) => (
+                    <span key={level} className="flex items-center">
+                        <span className={`inline-block w-3 h-3 rounded mr-1 ${className}`} />
+                        {t(labelKey)}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+const ScheduleGrid = ({ db, shopId, userId, userProfile, services, barbers, schedule, pixSettings, loyalty, pricingSettings, appointments, waitlist, setCurrentPage, onBookingConfirmed, rescheduleTarget, onRescheduled, preset }) => {
+    // Data selecionada (YYYY-MM-DD) no fuso da barbearia, não no do aparelho do cliente.
+    // Um link direto pode trazer a data; datas passadas ficam em hoje
+    const [selectedDate, setSelectedDate] = useState(() => {
+        const today = getTodayDateString(schedule.timeZone);
+        return !rescheduleTarget && preset && preset.date && preset.date > today ? preset.date : today;
+    });
+    const [selectedTime, setSelectedTime] = useState(null);
+    // Na remarcação o serviço é o do agendamento original; num novo agendamento o cliente escolhe primeiro.
+    // Num link direto ou no "Agendar de novo" vêm pré-selecionados o serviço e o barbeiro, se estiverem ativos
+    // (com o preço atual do catálogo, não o pago da outra vez)
+    const [selectedService, setSelectedService] = useState(() => {
+        if (rescheduleTarget) {
+            return {
+                id: rescheduleTarget.serviceId,
+                name: rescheduleTarget.service,
+                durationMinutes: rescheduleTarget.durationMinutes || LEGACY_DURATION_MINUTES,
+                price: rescheduleTarget.price,
+            };
+        }
+        return preset ? findPresetService(services, preset) : null;
+    });
+    const [selectedBarberId, setSelectedBarberId] = useState(() => {
+        if (rescheduleTarget) return rescheduleTarget.barberId || ANY_BARBER;
+        if (preset && barbers.some(barber => barber.id === preset.barberId)) return preset.barberId;
+        return ANY_BARBER;
+    });
+    const [slots, setSlots] = useState([]);
+    const [hold, setHold] = useState(null); // { holdId, barberId, date, time, times, expiresAt } da reserva temporária do cliente
+    const [now, setNow] = useState(Date.now());
+    const [isHolding, setIsHolding] = useState(false);
+    const [isBooking, setIsBooking] = useState(false);
+    const [error, setError] = useState('');
+    const [pendingAppointmentId, setPendingAppointmentId] = useState(null); // Agendamento aguardando o PIX
+    const [waitlistWindow, setWaitlistWindow] = useState({ start: '', end: '' }); // Janela de horário opcional da lista de espera
+    const [isUpdatingWaitlist, setIsUpdatingWaitlist] = useState(false);
+    const [recurrence, setRecurrence] = useState({ intervalWeeks: 0, occurrences: DEFAULT_SERIES_OCCURRENCES });
+    const [seriesPreview, setSeriesPreview] = useState(null); // Repetições verificadas para o horário reservado
+    const [showCalendar, setShowCalendar] = useState(false);
+    const [couponCode, setCouponCode] = useState('');
+    const [coupon, setCoupon] = useState(null); // Cupom aplicado (validado por fetchCoupon)
+    const [couponError, setCouponError] = useState('');
+    const [isApplyingCoupon, setIsApplyingCoupon] = useState(false);
+    const holdRef = useRef(null);
+
+    // Link direto aberto antes de o catálogo e a equipe carregarem: aplica a pré-seleção uma vez, quando
+    // o serviço ou o barbeiro aparecem (sem desfazer uma escolha que o cliente já tenha feito)
+    const pendingPresetRef = useRef(preset && !rescheduleTarget
+        ? { service: !selectedService && Boolean(preset.service), barber: selectedBarberId === ANY_BARBER && Boolean(preset.barberId) }
+        : { service: false, barber: false });
+    useEffect(() => {
+        const pending = pendingPresetRef.current;
+        const service = pending.service ? findPresetService(services, preset) : null;
+        if (service) {
+            pending.service = false;
+            setSelectedService(current => current || service);
+        }
+        if (pending.barber && barbers.some(barber => barber.id === preset.barberId)) {
+            pending.barber = false;
+            setSelectedBarberId(current => (current === ANY_BARBER ? preset.barberId : current));
+        }
+    }, [preset, services, barbers]);
+
+    useEffect(() => {
+        // Listener dos slots do dia selecionado: a projeção pública e anônima da agenda é a única
+        // fonte da disponibilidade (os agendamentos dos outros clientes são privados)
+        const slotsRef = collection(db, getSlotsCollectionPath(shopId));
+        const unsubscribe = onSnapshot(query(slotsRef, where('date', '==', selectedDate)), (snapshot) => {
+            const fetchedSlots = snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            }));
+            setSlots(fetchedSlots);
+
+            // Limpa reservas temporárias expiradas (elas já são ignoradas no cálculo de disponibilidade)
+            fetchedSlots
+                .filter(slot => !isSlotOccupied(slot))
+                .forEach(slot => sweepExpiredHold(db, shopId, slot.id).catch(err => console.error("Erro ao limpar reserva expirada:", err)));
+        }, (err) => {
+            console.error("Erro ao carregar slots:", err);
+        });
+
+        return () => unsubscribe();
+    }, [db, shopId, selectedDate]);
+
+    // Relógio para a contagem regressiva da reserva e para ignorar reservas que expiram
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, []);
+
+    // Mantém a reserva atual acessível na limpeza ao desmontar a tela
+    useEffect(() => {
+        holdRef.current = hold;
+    }, [hold]);
+
+    useEffect(() => () => {
+        // Ao sair da tela sem pagar, devolve o horário para os outros clientes
+        if (holdRef.current) {
+            releaseHold(db, shopId, holdRef.current).catch(err => console.error("Erro ao liberar reserva:", err));
+        }
+    }, [db, shopId]);
+
+    // Acompanha o agendamento aguardando PIX até o pagamento ser confirmado (ou estornado em crédito).
+    // Numa série, espera o resultado das repetições, que só são agendadas depois da confirmação (ver bookSeriesRepeats)
+    const pendingAppointment = appointments.find(app => app.id === pendingAppointmentId) || null;
+    useEffect(() => {
+        if (!pendingAppointment) return;
+        if (pendingAppointment.status === 'confirmed') {
+            const { series } = pendingAppointment;
+            if (series && !series.results) return;
+
+            setPendingAppointmentId(null);
+            onBookingConfirmed({ ...pendingAppointment, seriesResults: series ? series.results || null : null });
+        } else if (pendingAppointment.status === 'cancelled') {
+            setPendingAppointmentId(null);
+            setSelectedTime(null);
+            setError(pendingAppointment.refund && pendingAppointment.refund.amount > 0
+                ? t('booking.paidAfterTaken', { amount: formatPrice(pendingAppointment.refund.amount) })
+                : t('booking.pendingCancelled'));
+        }
+    }, [pendingAppointment, onBookingConfirmed]);
+
+    // Reserva expirada: o cliente precisa escolher o horário de novo
+    useEffect(() => {
+        if (hold && now >= hold.expiresAt) {
+            setHold(null);
+            setSelectedTime(null);
+            setError(t('booking.holdExpired', { minutes: HOLD_MINUTES }));
+        }
+    }, [hold, now]);
+
+    const getHoursForDate = useCallback((date) => getDayHours(schedule, date), [schedule]);
+
+    /**
+     * Próximo dia de funcionamento a partir de `date` (exclusive), andando `step` dias por vez.
+     * Não volta para antes de hoje nem avança mais que MAX_DAYS_TO_SEARCH dias.
+     * @returns {string|null}
+     */
+    const findOpenDate = useCallback((date, step) => {
+        const today = getTodayDateString(schedule.timeZone);
+        let candidate = date;
+        for (let i = 0; i < MAX_DAYS_TO_SEARCH; i++) {
+            candidate = addDays(candidate, step);
+            if (candidate < today) return null; // Não permitir voltar para o passado
+            if (!getHoursForDate(candidate).closed) return candidate;
+        }
+        return null;
+    }, [getHoursForDate, schedule.timeZone]);
+
+    const selectedDayHours = getHoursForDate(selectedDate);
+    const previousOpenDate = useMemo(() => findOpenDate(selectedDate, -1), [selectedDate, findOpenDate]);
+
+    // Se o dia selecionado estiver fechado (ex.: hoje é domingo), pula para o próximo dia de funcionamento
+    useEffect(() => {
+        if (!getHoursForDate(selectedDate).closed || hold) return;
+        const nextOpenDate = findOpenDate(selectedDate, 1);
+        if (nextOpenDate) setSelectedDate(nextOpenDate);
+    }, [selectedDate, hold, getHoursForDate, findOpenDate]);
+
+    const slotsById = useMemo(() => new Map(slots.map(slot => [slot.id, slot])), [slots]);
+
+    // Estado de cada slot para este cliente (ver createSlotStateReader)
+    const getSlotState = useMemo(() => createSlotStateReader(slotsById, {
+        holdId: hold && hold.holdId,
+        rescheduleAppointmentId: rescheduleTarget && rescheduleTarget.id,
+    }, now), [slotsById, rescheduleTarget, hold, now]);
+
+    /**
+     * Horários de início em que o serviço cabe inteiro na agenda do barbeiro escolhido
+     * (ou de algum barbeiro, em "qualquer disponível"). Horários só em reserva temporária de
+     * outro cliente aparecem no grid, mas bloqueados (`isHeld`).
+     * @returns {{ time: string, isHeld: boolean, barberIds: string[] }[]}
+     */
+    const getAvailableSlots = useCallback((dateString, service, barberId) => getAvailableStartTimes({
+        schedule,
+        date: dateString,
+        durationMinutes: service.durationMinutes,
+        barbers: barberId === ANY_BARBER ? barbers : barbers.filter(barber => barber.id === barberId),
+        getSlotState,
+        now,
+    }), [barbers, schedule, getSlotState, now]);
+
+    const availableSlots = useMemo(
+        () => selectedService ? getAvailableSlots(selectedDate, selectedService, selectedBarberId) : [],
+        [selectedDate, selectedService, selectedBarberId, getAvailableSlots]
+    );
+
+    // Barbeiros considerados no calendário do mês (memorizado: o grid re-renderiza a cada segundo pelo relógio)
+    const calendarBarbers = useMemo(
+        () => selectedBarberId === ANY_BARBER ? barbers : barbers.filter(barber => barber.id === selectedBarberId),
+        [barbers, selectedBarberId]
+    );
+
+    // Verifica as repetições assim que o cliente escolhe repetir (ou muda o horário)
+    useEffect(() => {
+        if (!hold || rescheduleTarget || recurrence.intervalWeeks === 0) {
+            setSeriesPreview(null);
+            return;
+        }
+
+        let isCurrent = true;
+        checkSeriesOccurrences(db, shopId, {
+            barberId: hold.barberId,
+            date: hold.date,
+            time: hold.time,
+            durationMinutes: selectedService.durationMinutes,
+            ...recurrence,
+        }, schedule)
+            .then(preview => { if (isCurrent) setSeriesPreview(preview); })
+            .catch(err => console.error("Erro ao verificar as repetições:", err));
+        return () => { isCurrent = false; };
+    }, [db, shopId, hold, rescheduleTarget, recurrence, selectedService, schedule]);
+
+    const getBarberName = (barberId) => {
+        const barber = barbers.find(b => b.id === barberId);
+        return barber ? barber.name : '';
+    };
+
+    // Inscrição do cliente na lista de espera do dia selecionado (uma por dia)
+    const waitlistEntry = waitlist.find(entry => entry.date === selectedDate) || null;
+
+    // Opções da janela de horário da lista de espera: do início ao fim do expediente
+    const waitlistWindowOptions = useMemo(() => {
+        if (selectedDayHours.closed) return [];
+        const options = [];
+        for (let minutes = timeToMinutes(selectedDayHours.open); minutes <= timeToMinutes(selectedDayHours.close); minutes += schedule.slotMinutes) {
+            options.push(minutesToTime(minutes));
+        }
+        return options;
+    }, [selectedDayHours.closed, selectedDayHours.open, selectedDayHours.close, schedule.slotMinutes]);
+
+    const handleJoinWaitlist = async () => {
+        if (waitlistWindow.start && waitlistWindow.end && timeToMinutes(waitlistWindow.end) - timeToMinutes(waitlistWindow.start) < selectedService.durationMinutes) {
+            setError(t('waitlist.windowTooShort', { minutes: selectedService.durationMinutes }));
+            return;
+        }
+
+        setIsUpdatingWaitlist(true);
+        setError('');
+        try {
+            await joinWaitlist(db, shopId, {
+                userId,
+                userName: userProfile.name,
+                whatsapp: userProfile.whatsapp,
+                barberId: selectedBarberId,
+                date: selectedDate,
+                timeZone: schedule.timeZone,
+                serviceId: selectedService.id,
+                service: selectedService.name,
+                durationMinutes: selectedService.durationMinutes,
+                price: selectedService.price,
+                windowStart: waitlistWindow.start || null,
+                windowEnd: waitlistWindow.end || null,
+                locale: getActiveLocale(),
+                reminderConsent: getReminderConsent(userProfile), // Vai para o agendamento se a vaga for aceita
+            });
+        } catch (err) {
+            console.error('Erro ao entrar na lista de espera:', err);
+            setError(t('waitlist.joinFailed'));
+        } finally {
+            setIsUpdatingWaitlist(false);
+        }
+    };
+
+    const handleLeaveWaitlist = async () => {
+        setIsUpdatingWaitlist(true);
+        setError('');
+        try {
+            await leaveWaitlist(db, shopId, waitlistEntry);
+        } catch (err) {
+            console.error('Erro ao sair da lista de espera:', err);
+            setError(t('waitlist.leaveFailed'));
+        } finally {
+            setIsUpdatingWaitlist(false);
+        }
+    };
+
+    const releaseCurrentHold = () => {
+        if (!hold) return;
+        releaseHold(db, shopId, hold).catch(err => console.error("Erro ao liberar reserva:", err));
+        setHold(null);
+    };
+
+    // Navega para o dia de funcionamento anterior/seguinte, pulando dias fechados
+    const handleDateChange = (step) => {
+        const newDate = findOpenDate(selectedDate, step);
+        if (!newDate) {
+            if (step > 0) setError(t('booking.noOpenDays', { days: MAX_DAYS_TO_SEARCH }));
+            return;
+        }
+
+        releaseCurrentHold();
+        setSelectedDate(newDate);
+        setSelectedTime(null);
+        setError('');
+    };
+
+    // Escolha de um dia no calendário do mês: abre o grid de horários daquele dia
+    const handleSelectDate = (date) => {
+        if (date !== selectedDate) {
+            releaseCurrentHold();
+            setSelectedDate(date);
+            setSelectedTime(null);
+        }
+        setError('');
+        setShowCalendar(false);
+    };
+
+    const handleSelectService = (service) => {
+        releaseCurrentHold();
+        setSelectedService(service);
+        setSelectedTime(null);
+        setError('');
+        // O cupom foi validado para o serviço anterior
+        setCoupon(null);
+        setCouponError('');
+    };
+
+    const handleApplyCoupon = async (e) => {
+        e.preventDefault();
+        setIsApplyingCoupon(true);
+        setCouponError('');
+        try {
+            setCoupon(await fetchCoupon(db, shopId, couponCode, { userId, serviceId: selectedService.id, timeZone: schedule.timeZone }));
+        } catch (err) {
+            if (err.code !== COUPON_ERROR) console.error('Erro ao validar cupom:', err);
+            setCoupon(null);
+            setCouponError(err.code === COUPON_ERROR ? err.message : t('booking.couponFailed'));
+        } finally {
+            setIsApplyingCoupon(false);
+        }
+    };
+
+    const handleRemoveCoupon = () => {
+        setCoupon(null);
+        setCouponCode('');
+        setCouponError('');
+    };
+
+    const handleSelectBarber = (barberId) => {
+        releaseCurrentHold();
+        setSelectedBarberId(barberId);
+        setSelectedTime(null);
+        setError('');
+    };
+
+    const handleSelectTime = async ({ time, barberIds }) => {
+        if (isHolding || isBooking || (hold && hold.time === time)) return;
+
+        const date = selectedDate;
+        const times = getSlotTimes(time, selectedService.durationMinutes, schedule.slotMinutes);
+        setError('');
+        setIsHolding(true);
+
+        try {
+            // Troca de horário: libera a reserva anterior antes de reservar a nova
+            if (hold) {
+                await releaseHold(db, shopId, hold);
+                setHold(null);
+            }
+            // Em "qualquer disponível", tenta os barbeiros livres em ordem até um dar certo
+            let newHold = null;
+            for (const barberId of barberIds) {
+                try {
+                    const { holdId, expiresAt } = await holdSlot(db, shopId, {
+                        barberId,
+                        date,
+                        times,
+                        userId,
+                        ignoreAppointmentId: rescheduleTarget ? rescheduleTarget.id : undefined,
+                    });
+                    newHold = { holdId, barberId, date, time, times, expiresAt };
+                    break;
+                } catch (err) {
+                    if (err.code !== SLOT_TAKEN_ERROR) throw err;
+                }
+            }
+            if (!newHold) {
+                throw createBookingError(SLOT_TAKEN_ERROR, t('errors.slotTaken'));
+            }
+            setHold(newHold);
+            setSelectedTime(time);
+        } catch (err) {
+            setSelectedTime(null);
+            if (err.code === SLOT_TAKEN_ERROR) {
+                setError(t('booking.slotTaken'));
+            } else {
+                console.error('Erro ao reservar horário:', err);
+                setError(t('booking.holdFailed'));
+            }
+        } finally {
+            setIsHolding(false);
+        }
+    };
+
+    const handlePaymentAndBooking = async () => {
+        if (!selectedTime || !hold) {
+            setError(t('booking.selectTime'));
+            return;
+        }
+
+        const credit = userProfile.credit || 0;
+        const { rewards } = getLoyaltyProgress(userProfile, loyalty);
+
+        // Cartão fidelidade completo: o cliente pode usar o corte grátis neste serviço (no lugar do cupom)
+        const useReward = rewards > 0 && isLoyaltyService(selectedService.id, loyalty)
+            && window.confirm(t('booking.confirmReward'));
+        const pricing = getPriceQuote(selectedService, hold, pricingSettings, useReward ? { loyaltyReward: true } : { coupon });
+        const price = pricing.finalPrice;
+        const isFree = price === 0;
+
+        // Crédito de cancelamentos anteriores cobre o valor: o cliente pode usá-lo no lugar do pagamento
+        const useCredit = !isFree && credit >= price
+            && window.confirm(t('booking.confirmCredit', { amount: formatPrice(credit) }));
+        const isPrepaid = isFree || useCredit;
+
+        // Sem crédito, o pagamento é por PIX: o agendamento fica aguardando até o PIX ser confirmado
+        if (!isPrepaid && !pixSettings.key) {
+            setError(t('booking.pixNotConfigured'));
+            return;
+        }
+
+        setIsBooking(true);
+        setError('');
+
+        const newAppointment = {
+            userId: userId,
+            userName: userProfile.name,
+            whatsapp: userProfile.whatsapp,
+            barberId: hold.barberId,
+            barberName: getBarberName(hold.barberId),
+            date: hold.date,
+            time: hold.time,
+            timeZone: schedule.timeZone,
+            serviceId: selectedService.id,
+            service: selectedService.name,
+            durationMinutes: selectedService.durationMinutes,
+            price,
+            pricing,
+            paid: isPrepaid,
+            // Cupom de 100% deixa o agendamento sem nada a pagar, como o corte grátis
+            paymentMethod: useReward ? 'loyalty' : isFree ? 'coupon' : useCredit ? 'credit' : 'pix',
+            status: isPrepaid ? 'confirmed' : 'pending_payment',
+            // Idioma das mensagens de WhatsApp do agendamento
+            locale: getActiveLocale(),
+            // Sem consentimento, o agendamento não recebe lembretes (ver buildReminders)
+            reminderConsent: getReminderConsent(userProfile),
+            createdAt: serverTimestamp(),
+        };
+        if (recurrence.intervalWeeks > 0) {
+            // As repetições pedidas ficam na primeira ocorrência até ela ser confirmada (ver bookSeriesRepeats)
+            newAppointment.series = {
+                id: crypto.randomUUID(),
+                index: 0,
+                intervalWeeks: recurrence.intervalWeeks,
+                repeats: { occurrences: recurrence.occurrences },
+            };
+        }
+
+        try {
+            const paymentExpiresAt = isPrepaid ? null : getPaymentExpiresAt(pixSettings);
+            const appointmentId = await bookSlot(db, shopId, newAppointment, { times: hold.times, holdId: hold.holdId, useCredit, useReward, loyalty, paymentExpiresAt });
+            setHold(null);
+
+            if (isPrepaid && !newAppointment.series) {
+                // Sucesso! Chamar a notificação e limpar o estado.
+                onBookingConfirmed({ ...newAppointment, id: appointmentId, seriesResults: null });
+            } else {
+                // Abre o checkout PIX, ou, na série já confirmada, espera as repetições (as que conflitarem são
+                // informadas); a confirmação chega pelo listener de agendamentos
+                setPendingAppointmentId(appointmentId);
+            }
+
+        } catch (err) {
+            if (err.code === SLOT_TAKEN_ERROR) {
+                // Outro cliente ganhou a corrida: o grid já é atualizado pelo listener de slots
+                setHold(null);
+                setSelectedTime(null);
+                setError(t('booking.slotTaken'));
+            } else if (err.code === INSUFFICIENT_CREDIT_ERROR) {
+                setError(t('booking.creditChanged'));
+            } else if (err.code === LOYALTY_REWARD_ERROR) {
+                setError(t('booking.rewardChanged'));
+            } else if (err.code === COUPON_ERROR) {
+                setCoupon(null);
+                setError(t('booking.couponRemoved', { reason: err.message }));
+            } else {
+                console.error('Erro ao salvar agendamento:', err);
+                setError(t('booking.saveFailed'));
+            }
+        } finally {
+            setIsBooking(false);
+        }
+    };
+
+    // Remarcação: move o agendamento existente para o horário reservado, sem novo pagamento
+    const handleReschedule = async () => {
+        if (!selectedTime || !hold) {
+            setError(t('booking.selectTime'));
+            return;
+        }
+
+        setIsBooking(true);
+        setError('');
+
+        try {
+            const updatedAppointment = await rescheduleAppointment(db, shopId, rescheduleTarget, {
+                ...hold,
+                barberName: getBarberName(hold.barberId),
+                timeZone: schedule.timeZone,
+            });
+            setHold(null);
+            onRescheduled(updatedAppointment);
+        } catch (err) {
+            if (err.code === SLOT_TAKEN_ERROR) {
+                setHold(null);
+                setSelectedTime(null);
+                setError(t('booking.slotTaken'));
+            } else {
+                console.error('Erro ao remarcar agendamento:', err);
+                setError(t('booking.rescheduleFailed'));
+            }
+        } finally {
+            setIsBooking(false);
+        }
+    };
+
+    const formattedDate = formatDateString(selectedDate, { weekday: 'long', day: '2-digit', month: 'long', year: 'numeric' });
+    // Cliente viajando (ou com o fuso do aparelho errado): avisa que os horários são os da barbearia
+    const isOtherTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone !== schedule.timeZone;
+    // Preço do horário escolhido com a promoção de horário e o cupom (a remarcação mantém o valor original)
+    const priceQuote = selectedTime && selectedService && !rescheduleTarget
+        ? getPriceQuote(selectedService, { date: selectedDate, time: selectedTime }, pricingSettings, { coupon })
+        : null;
+
+    return (
+        <div className="p-6 bg-gray-900 min-h-screen">
+            <h2 className="text-3xl font-extrabold text-white mb-6 border-b border-indigo-700 pb-2">
+                {rescheduleTarget ? `🔁 ${t('booking.rescheduleTitle')}` : `🗓️ ${t('booking.title')}`}
+            </h2>
+            <div className="max-w-4xl mx-auto">
+                {rescheduleTarget && (
+                    <p className="mb-6 p-4 bg-gray-800 rounded-xl border border-yellow-600 text-yellow-200">
+                        {t('booking.rescheduling', {
+                            time: formatTimeString(rescheduleTarget.time),
+                            date: formatDateString(rescheduleTarget.date, { day: '2-digit', month: 'long' }),
+                            payment: rescheduleTarget.paid ? t('payment.paid') : t('payment.pending'),
+                        })}
+                    </p>
+                )}
+                {/* Seletor de Data */}
+                <div className="flex items-center justify-between bg-gray-800 p-4 rounded-xl shadow-lg mb-6">
+                    <button
+                        onClick={() => handleDateChange(-1)}
+                        disabled={!previousOpenDate}
+                        className="p-2 rounded-full bg-indigo-600 hover:bg-indigo-500 disabled:bg-gray-700 disabled:cursor-not-allowed transition duration-150"
+                    >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" /></svg>
+                    </button>
+                    <div className="text-center flex-grow">
+                        <h3 className="text-xl font-semibold text-white">{formattedDate}</h3>
+                        <p className="text-sm text-gray-400">
+                            {selectedDayHours.closed
+                                ? `${t('availability.closed')}${selectedDayHours.reason ? ` (${selectedDayHours.reason})` : ''}`
+                                : `${t('booking.openingHours', { open: formatTimeString(selectedDayHours.open), close: formatTimeString(selectedDayHours.close) })}${selectedDayHours.breaks.map(({ start, end }) => ` · ${t('booking.break', { start: formatTimeString(start), end: formatTimeString(end) })}`).join('')}`}
+                        </p>
+                        {isOtherTimeZone && (
+                            <p className="text-xs text-yellow-300 mt-1">{t('booking.shopTimeZone', { timeZone: schedule.timeZone })}</p>
+                        )}
+                        <button
+                            onClick={() => setShowCalendar(current => !current)}
+                            className="mt-1 text-sm text-indigo-300 hover:text-indigo-200"
+                        >
+                            {showCalendar ? t('booking.closeCalendar') : `📅 ${t('booking.showMonth')}`}
+                        </button>
+                    </div>
+                    <button
+                        onClick={() => handleDateChange(1)}
+                        className="p-2 rounded-full bg-indigo-600 hover:bg-indigo-500 transition duration-150"
+                    >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" /></svg>
+                    </button>
+                </div>
+
+                {/* Calendário do mês: cores pela disponibilidade do serviço escolhido (ou do mais curto, antes da escolha) */}
+                {showCalendar && (
+                    <MonthCalendar
+                        db={db}
+                        shopId={shopId}
+                        schedule={schedule}
+                        barbers={calendarBarbers}
+                        durationMinutes={selectedService ? selectedService.durationMinutes : Math.min(...services.map(service => service.durationMinutes))}
+                        holdId={hold && hold.holdId}
+                        rescheduleAppointmentId={rescheduleTarget && rescheduleTarget.id}
+                        selectedDate={selectedDate}
+                        onSelectDate={handleSelectDate}
+                    />
+                )}
+
+                {/* Seleção de Serviço */}
+                {!selectedService ? (
+                    <div className="bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-700">
+                        <h4 className="text-xl font-bold text-indigo-400 mb-4">{t('booking.chooseService')}</h4>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                            {services.map(service => (
+                                <button
+                                    key={service.id}
+                                    onClick={() => handleSelectService(service)}
+                                    className="p-4 rounded-lg bg-gray-700 text-left hover:bg-indigo-600 transition duration-200"
+                                >
+                                    <p className="text-lg font-semibold text-white">{service.name}</p>
+                                    <p className="text-sm text-gray-300">{service.durationMinutes} min · {formatPrice(service.price)}</p>
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                ) : (
+                    <div className="bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-700">
+                        <div className="flex justify-between items-center mb-4">
+                            <h4 className="text-xl font-bold text-indigo-400">{t('booking.availableTimes', { service: selectedService.name, minutes: selectedService.durationMinutes })}</h4>
+                            {!rescheduleTarget && (
+                                <button
+                                    onClick={() => handleSelectService(null)}
+                                    className="text-sm text-indigo-300 hover:text-indigo-200"
+                                >
+                                    {t('booking.changeService')}
+                                </button>
+                            )}
+                        </div>
+                        {/* Seletor de Barbeiro */}
+                        {barbers.length > 1 && (
+                            <div className="flex flex-wrap gap-2 mb-4">
+                                {[{ id: ANY_BARBER, name: t('booking.anyBarber') }, ...barbers].map(barber => (
+                                    <button
+                                        key={barber.id}
+                                        onClick={() => handleSelectBarber(barber.id)}
+                                        disabled={isHolding}
+                                        className={`py-1 px-3 rounded-full text-sm font-medium transition duration-150 ${selectedBarberId === barber.id
+                                            ? 'bg-indigo-500 text-white'
+                                            : 'bg-gray-700 text-gray-300 hover:bg-indigo-600 hover:text-white'
+                                        }`}
+                                    >
+                                        {barber.name}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                        {availableSlots.length === 0 ? (
+                            <div className="text-center py-8">
+                                <p className="text-gray-400">{t('booking.noTimes')}</p>
+                                {/* Lista de espera: avisa quando um horário deste dia ficar livre */}
+                                {!rescheduleTarget && !selectedDayHours.closed && (waitlistEntry ? (
+                                    <div className="mt-4 p-4 bg-gray-700 rounded-lg text-sm text-gray-200">
+                                        <p>
+                                            ⏳ {waitlistEntry.windowStart || waitlistEntry.windowEnd
+                                                ? t('waitlist.joinedWindow', {
+                                                    service: waitlistEntry.service,
+                                                    start: formatTimeString(waitlistEntry.windowStart || selectedDayHours.open),
+                                                    end: formatTimeString(waitlistEntry.windowEnd || selectedDayHours.close),
+                                                })
+                                                : t('waitlist.joined', { service: waitlistEntry.service })}
+                                        </p>
+                                        <p className="text-gray-400 mt-1">{t('waitlist.offerInfo', { minutes: WAITLIST_OFFER_MINUTES })}</p>
+                                        <button
+                                            onClick={handleLeaveWaitlist}
+                                            disabled={isUpdatingWaitlist}
+                                            className="mt-3 text-red-400 hover:text-red-300 disabled:opacity-50"
+                                        >
+                                            {t('waitlist.leave')}
+                                        </button>
+                                    </div>
+                                ) : (
+                                    <div className="mt-4 p-4 bg-gray-700 rounded-lg text-sm text-gray-200">
+                                        <p className="mb-3">{t('waitlist.intro')}</p>
+                                        <div className="flex flex-wrap justify-center items-center gap-2 mb-3">
+                                            <label htmlFor="waitlist-start">{t('waitlist.from')}</label>
+                                            <select
+                                                id="waitlist-start"
+                                                value={waitlistWindow.start}
+                                                onChange={(e) => setWaitlistWindow(current => ({ ...current, start: e.target.value }))}
+                                                className="p-2 bg-gray-800 border border-gray-600 rounded-lg text-white"
+                                            >
+                                                <option value="">{t('waitlist.dayStart')}</option>
+                                                {waitlistWindowOptions.map(time => <option key={time} value={time}>{formatTimeString(time)}</option>)}
+                                            </select>
+                                            <label htmlFor="waitlist-end">{t('waitlist.to')}</label>
+                                            <select
+                                                id="waitlist-end"
+                                                value={waitlistWindow.end}
+                                                onChange={(e) => setWaitlistWindow(current => ({ ...current, end: e.target.value }))}
+                                                className="p-2 bg-gray-800 border border-gray-600 rounded-lg text-white"
+                                            >
+                                                <option value="">{t('waitlist.dayEnd')}</option>
+                                                {waitlistWindowOptions.map(time => <option key={time} value={time}>{formatTimeString(time)}</option>)}
+                                            </select>
+                                        </div>
+                                        <button
+                                            onClick={handleJoinWaitlist}
+                                            disabled={isUpdatingWaitlist}
+                                            className="py-2 px-4 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-500 disabled:bg-gray-600 transition duration-150"
+                                        >
+                                            {isUpdatingWaitlist ? t('waitlist.joining') : `⏳ ${t('waitlist.join')}`}
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                        ) : (
+                            <div className="grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 gap-3">
+                                {availableSlots.map(({ time, isHeld, barberIds }) => (
+                                    <button
+                                        key={time}
+                                        onClick={() => handleSelectTime({ time, barberIds })}
+                                        disabled={isHeld || isHolding}
+                                        title={isHeld ? t('booking.heldTitle') : undefined}
+                                        className={`py-3 px-2 rounded-lg text-sm font-medium transition duration-200 
+                                            ${isHeld
+                                                ? 'bg-gray-900 text-yellow-500 border border-yellow-700 cursor-not-allowed'
+                                                : selectedTime === time 
+                                                    ? 'bg-indigo-500 text-white shadow-lg shadow-indigo-500/50 transform scale-105' 
+                                                    : 'bg-gray-700 text-gray-300 hover:bg-indigo-600 hover:text-white'
+                                            }`}
+                                    >
+                                        {formatTimeString(time)}
+                                        {isHeld && <span className="block text-[10px] font-normal">{t('booking.held')}</span>}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {/* Confirmação e Pagamento */}
+                {selectedTime && selectedService && (
+                    <div className="mt-6 p-6 bg-indigo-900 bg-opacity-30 border border-indigo-600 rounded-xl shadow-lg flex flex-col sm:flex-row justify-between items-center">
+                        <div className="text-white mb-4 sm:mb-0">
+                            <p className="text-lg font-semibold">{t('booking.selected')}</p>
+                            <p className="text-2xl font-bold">{formatTimeString(selectedTime)} - {formattedDate}</p>
+                            <p className="text-indigo-200 mt-1">
+                                {selectedService.name} ({selectedService.durationMinutes} min){hold && hold.barberId && ` ${t('booking.withBarber', { barber: getBarberName(hold.barberId) })}`}
+                            </p>
+                            {priceQuote ? (
+                                <div className="text-sm mt-1">
+                                    {priceQuote.discounts.length > 0 && (
+                                        <>
+                                            <p className="text-indigo-300">{t('booking.basePrice')} <span className="line-through">{formatPrice(priceQuote.basePrice)}</span></p>
+                                            {priceQuote.discounts.map(discount => (
+                                                <p key={discount.source} className="text-green-300">{getDiscountLabel(discount)}: -{formatPrice(discount.amount)}</p>
+                                            ))}
+                                        </>
+                                    )}
+                                    <p className="text-indigo-200 font-semibold">{t('booking.finalPrice', { amount: formatPrice(priceQuote.finalPrice) })}</p>
+                                </div>
+                            ) : (
+                                <p className="text-indigo-300 text-sm mt-1">{t('booking.rescheduleNoCost')}</p>
+                            )}
+                            {priceQuote && (
+                                coupon ? (
+                                    <p className="text-sm mt-1 text-green-300">
+                                        🏷️ {t('booking.couponApplied', { code: coupon.code })}{coupon.description ? ` (${coupon.description})` : ''}.{' '}
+                                        <button onClick={handleRemoveCoupon} className="text-indigo-300 hover:text-indigo-200 underline">{t('booking.removeCoupon')}</button>
+                                    </p>
+                                ) : (
+                                    <form onSubmit={handleApplyCoupon} className="flex items-center gap-2 mt-2 text-sm">
+                                        <input
+                                            type="text"
+                                            value={couponCode}
+                                            onChange={(e) => setCouponCode(e.target.value)}
+                                            placeholder={t('booking.couponPlaceholder')}
+                                            className="px-2 py-1 rounded bg-gray-800 border border-gray-600 text-white uppercase w-40"
+                                        />
+                                        <button
+                                            type="submit"
+                                            disabled={isApplyingCoupon || !couponCode.trim()}
+                                            className="px-3 py-1 rounded bg-indigo-700 hover:bg-indigo-600 text-white disabled:opacity-50"
+                                        >
+                                            {isApplyingCoupon ? t('booking.applyingCoupon') : t('booking.applyCoupon')}
+                                        </button>
+                                    </form>
+                                )
+                            )}
+                            {couponError && <p className="text-red-400 text-sm mt-1">{couponError}</p>}
+                            {!rescheduleTarget && isLoyaltyService(selectedService.id, loyalty) && getLoyaltyProgress(userProfile, loyalty, now).rewards > 0 && (
+                                <p className="text-green-300 text-sm mt-1">🎁 {t('booking.rewardAvailable')}</p>
+                            )}
+                            {hold && (
+                                <p className="text-yellow-300 text-sm mt-1">
+                                    {t('booking.holdCountdown', { time: formatCountdown(hold.expiresAt - now) })}
+                                </p>
+                            )}
+                            {/* Repetição: cria uma série de agendamentos no mesmo horário */}
+                            {!rescheduleTarget && (
+                                <div className="mt-3 text-sm">
+                                    <div className="flex flex-wrap items-center gap-2">
+                                        <label htmlFor="recurrence-interval" className="text-indigo-200">🔁</label>
+                                        <select
+                                            id="recurrence-interval"
+                                            value={recurrence.intervalWeeks}
+                                            onChange={(e) => setRecurrence(current => ({ ...current, intervalWeeks: Number(e.target.value) }))}
+                                            disabled={isBooking}
+                                            className="p-1 bg-gray-800 border border-indigo-600 rounded-lg text-white"
+                                        >
+                                            {RECURRENCE_OPTIONS.map(intervalWeeks => <option key={intervalWeeks} value={intervalWeeks}>{getRecurrenceLabel(intervalWeeks)}</option>)}
+                                        </select>
+                                        {recurrence.intervalWeeks > 0 && (
+                                            <select
+                                                value={recurrence.occurrences}
+                                                onChange={(e) => setRecurrence(current => ({ ...current, occurrences: Number(e.target.value) }))}
+                                                disabled={isBooking}
+                                                className="p-1 bg-gray-800 border border-indigo-600 rounded-lg text-white"
+                                            >
+                                                {Array.from({ length: MAX_SERIES_OCCURRENCES - 1 }, (_, index) => index + 2).map(count => (
+                                                    <option key={count} value={count}>{t('booking.seriesCount', { count })}</option>
+                                                ))}
+                                            </select>
+                                        )}
+                                    </div>
+                                    {recurrence.intervalWeeks > 0 && (
+                                        <>
+                                            <p className="text-indigo-300 text-xs mt-2">{t('booking.seriesPayment')}</p>
+                                            {hold && seriesPreview && (
+                                                <ul className="mt-2 space-y-1 text-xs">
+                                                    {seriesPreview.map(occurrence => (
+                                                        <li key={occurrence.date} className={occurrence.conflict ? 'text-red-300' : 'text-green-300'}>
+                                                            {occurrence.conflict ? '⚠️' : '✅'} {formatDateString(occurrence.date, { weekday: 'short', day: '2-digit', month: 'short' })}
+                                                            {occurrence.conflict && ` · ${t('booking.seriesConflict', { reason: getSeriesConflictLabel(occurrence) })}`}
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            )}
+                                        </>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                        <button
+                            onClick={rescheduleTarget ? handleReschedule : handlePaymentAndBooking}
+                            disabled={isBooking || !hold}
+                            className="w-full sm:w-auto flex items-center justify-center py-3 px-6 rounded-lg text-lg font-bold text-white bg-green-600 hover:bg-green-700 transition duration-200 shadow-xl shadow-green-600/40 disabled:opacity-50 disabled:cursor-wait"
+                        >
+                            {isBooking ? (
+                                <>
+                                    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                                    </svg>
+                                    {t('common.processing')}
+                                </>
+                            ) : rescheduleTarget ? t('booking.confirmReschedule') : t('booking.confirmAndPay')}
+                        </button>
+                    </div>
+                )}
+                {pendingAppointment && pendingAppointment.status === 'pending_payment' && (
+                    <PixCheckout
+                        db={db}
+                        shopId={shopId}
+                        appointment={pendingAppointment}
+                        pixSettings={pixSettings}
+                        onClose={() => setCurrentPage('dashboard')}
+                    />
+                )}
+                {pendingAppointment && pendingAppointment.status === 'confirmed' && (
+                    <p className="text-indigo-300 text-center mt-4">{t('booking.seriesBooking')}</p>
+                )}
+                {error && <p className="text-red-400 text-center mt-4">{error}</p>}
+                
+                <button
+                    onClick={() => setCurrentPage('dashboard')}
+                    className="mt-6 w-full py-2 text-indigo-400 hover:text-indigo-300 transition duration-150"
+                >
+                    {t('common.backToDashboard')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+
+const DashboardScreen = ({ db, shopId, auth, shop, shops, userProfile, staffMember, appointments, otherShopAppointments, waitlist, policy, pixSettings, loyalty, pricingSettings, setCurrentPage, onReschedule, onBookAgain, onSwitchShop }) => {
+    const [cancellingId, setCancellingId] = useState(null);
+    const [respondingId, setRespondingId] = useState(null); // Inscrição da lista de espera sendo aceita ou recusada
+    const [payingId, setPayingId] = useState(null); // Agendamento com o checkout PIX aberto
+    const [showVerification, setShowVerification] = useState(false);
+    const [actionError, setActionError] = useState('');
+    const [historyLimit, setHistoryLimit] = useState(HISTORY_PAGE_SIZE);
+    const loyaltyProgress = getLoyaltyProgress(userProfile, loyalty);
+
+    // `appointments` já vem filtrado pelo usuário logado (consulta por userId na coleção privada)
+    const upcomingAppointments = useMemo(() => {
+        const now = Date.now();
+        return appointments
+            .filter(app => isAppointmentActive(app, now))
+            .map(app => ({
+                ...app,
+                startsAt: getAppointmentStartMs(app), // Instante do horário, no fuso da barbearia
+            }))
+            .filter(app => app.startsAt >= now) // Apenas agendamentos futuros
+            .sort((a, b) => a.startsAt - b.startsAt); // Ordenar por mais próximo
+    }, [appointments]);
+
+    // Histórico: tudo o que não está nos próximos cortes (horários passados, cancelados e PIX vencidos),
+    // do mais recente para o mais antigo
+    const pastAppointments = useMemo(() => {
+        const upcomingIds = new Set(upcomingAppointments.map(app => app.id));
+        return appointments
+            .filter(app => !upcomingIds.has(app.id))
+            .map(app => ({ ...app, startsAt: getAppointmentStartMs(app) }))
+            .sort((a, b) => b.startsAt - a.startsAt);
+    }, [appointments, upcomingAppointments]);
+
+    // Próximos horários do cliente nas outras unidades. Remarcar e cancelar acontecem no painel da unidade
+    const otherShopsUpcoming = useMemo(() => {
+        const now = Date.now();
+        return otherShopAppointments
+            .filter(app => isAppointmentActive(app, now))
+            .map(app => ({ ...app, startsAt: getAppointmentStartMs(app) }))
+            .filter(app => app.startsAt >= now)
+            .sort((a, b) => a.startsAt - b.startsAt);
+    }, [otherShopAppointments]);
+
+    // O checkout fecha sozinho quando o pagamento é confirmado (o agendamento sai de 'pending_payment')
+    const payingAppointment = upcomingAppointments.find(app => app.id === payingId && app.status === 'pending_payment');
+
+    const handleCancel = async (app) => {
+        let refund = { type: 'none', amount: 0 };
+
+        if (app.status === 'pending_payment') {
+            // Ainda não pago: desistir só libera o horário, sem passar pela política de cancelamento
+            if (!window.confirm(t('dashboard.confirmAbandon', { time: formatTimeString(app.time) }))) return;
+        } else {
+            const check = checkChangeAllowed(app, policy, 'cancel');
+            if (!check.allowed) {
+                setActionError(check.reason);
+                return;
+            }
+
+            refund = getCancellationRefund(app, policy, appointments);
+            const refundMessage = refund.amount > 0
+                ? refund.type === 'credit'
+                    ? t('dashboard.refundCredit', { amount: formatPrice(refund.amount) })
+                    : t('dashboard.refundReversal', { amount: formatPrice(refund.amount) })
+                : t('dashboard.refundNone');
+            if (!window.confirm(t('dashboard.confirmCancel', { time: formatTimeString(app.time), refund: refundMessage }))) return;
+        }
+
+        setCancellingId(app.id);
+        setActionError('');
+        try {
+            await cancelAppointment(db, shopId, app, CUSTOMER_REFUNDS_ON_SERVER ? null : refund);
+        } catch (err) {
+            console.error('Erro ao cancelar agendamento:', err);
+            setActionError(t('dashboard.cancelFailed'));
+        } finally {
+            setCancellingId(null);
+        }
+    };
+
+    // Aceitar a vaga da lista de espera segue o pagamento de um agendamento novo: crédito ou PIX
+    const handleAcceptOffer = async (entry) => {
+        const pricing = getWaitlistOfferPricing(entry, pricingSettings);
+        const credit = userProfile.credit || 0;
+        const useCredit = credit >= pricing.finalPrice
+            && window.confirm(t('booking.confirmCredit', { amount: formatPrice(credit) }));
+
+        if (!useCredit && !pixSettings.key) {
+            setActionError(t('booking.pixNotConfigured'));
+            return;
+        }
+
+        setRespondingId(entry.id);
+        setActionError('');
+        try {
+            const paymentExpiresAt = useCredit ? null : getPaymentExpiresAt(pixSettings);
+            const appointmentId = await acceptWaitlistOffer(db, shopId, entry, { pricing, useCredit, paymentExpiresAt });
+            if (!useCredit) setPayingId(appointmentId);
+        } catch (err) {
+            if (err.code === SLOT_TAKEN_ERROR) {
+                setActionError(t('dashboard.offerTaken'));
+            } else if (err.code === INSUFFICIENT_CREDIT_ERROR) {
+                setActionError(t('booking.creditChanged'));
+            } else {
+                console.error('Erro ao aceitar vaga da lista de espera:', err);
+                setActionError(t('dashboard.acceptOfferFailed'));
+            }
+        } finally {
+            setRespondingId(null);
+        }
+    };
+
+    const handleLeaveWaitlist = async (entry) => {
+        const message = entry.status === 'offered'
+            ? t('dashboard.confirmDeclineOffer', { time: formatTimeString(entry.offer.time) })
+            : t('dashboard.confirmLeaveWaitlist');
+        if (!window.confirm(message)) return;
+
+        setRespondingId(entry.id);
+        setActionError('');
+        try {
+            await leaveWaitlist(db, shopId, entry);
+        } catch (err) {
+            console.error('Erro ao sair da lista de espera:', err);
+            setActionError(t('waitlist.leaveFailed'));
+        } finally {
+            setRespondingId(null);
+        }
+    };
+
+    // Cancela esta ocorrência e as seguintes da série (para pular só uma, basta cancelar aquela)
+    const handleCancelSeries = async (app) => {
+        const occurrences = upcomingAppointments.filter(item => item.series && item.series.id === app.series.id && item.startsAt >= app.startsAt);
+        if (!window.confirm(t('dashboard.confirmCancelSeries', { count: occurrences.length }))) return;
+
+        setCancellingId(app.id);
+        setActionError('');
+        try {
+            const { cancelled, refunded, kept } = await cancelSeries(db, shopId, occurrences, policy, appointments);
+            if (kept.length > 0) {
+                const keptList = kept.map(item => t('dashboard.seriesKeptItem', {
+                    time: formatTimeString(item.time),
+                    date: formatDateString(item.date, { day: '2-digit', month: 'short' }),
+                })).join(', ');
+                setActionError(`${t('dashboard.seriesCancelled', { count: cancelled })} ${t('dashboard.seriesKept', { count: kept.length, list: keptList })}`);
+            } else if (refunded > 0) {
+                setActionError(t('dashboard.seriesRefunded', { amount: formatPrice(refunded) }));
+            }
+        } catch (err) {
+            console.error('Erro ao cancelar série:', err);
+            setActionError(t('dashboard.cancelSeriesFailed'));
+        } finally {
+            setCancellingId(null);
+        }
+    };
+
+    const handleDownloadReceipt = (app) => {
+        downloadReceipt(app, {
+            shopName: shop.name,
+            statusLabel: t(APPOINTMENT_STATUSES[getAppointmentStatus(app)].labelKey),
+        });
+    };
+
+    const handleReschedule = (app) => {
+        const check = checkChangeAllowed(app, policy, 'reschedule');
+        if (!check.allowed) {
+            setActionError(check.reason);
+            return;
+        }
+        setActionError('');
+        onReschedule(app);
+    };
+
+    const formattedWhatsapp = userProfile.whatsapp ? formatPhone(userProfile.whatsapp) : t('dashboard.notProvided');
+
+    return (
+        <div className="p-6 bg-gray-900 min-h-screen text-white">
+            <header className="flex justify-between items-center mb-6 pb-4 border-b border-indigo-700">
+                <div className="flex items-center">
+                    {shop.logoUrl && <img src={shop.logoUrl} alt={shop.name} className="h-12 w-12 mr-4 rounded-full object-cover" />}
+                    <div>
+                        <h1 className="text-3xl font-bold text-indigo-400">👋 {t('dashboard.greeting', { name: userProfile.name.split(' ')[0] })}</h1>
+                        <p className="text-sm text-gray-400">
+                            {shop.name}{shop.address ? ` · 📍 ${shop.address}` : ''}
+                        </p>
+                    </div>
+                </div>
+                <div className="flex items-center space-x-4">
+                    {shops.length > 1 && (
+                        <select
+                            value={shop.id}
+                            onChange={(e) => onSwitchShop(shops.find(item => item.id === e.target.value))}
+                            aria-label={t('dashboard.shop')}
+                            className="bg-gray-700 border border-gray-600 rounded-lg text-white text-sm py-2 px-3"
+                        >
+                            {shops.map(item => <option key={item.id} value={item.id}>{item.name}</option>)}
+                        </select>
+                    )}
+                    {staffMember && (
+                        <button
+                            onClick={() => setCurrentPage('admin')}
+                            className="text-indigo-400 hover:text-indigo-300 font-semibold transition duration-150"
+                        >
+                            📋 {t('dashboard.staffAgenda')}
+                        </button>
+                    )}
+                    <button
+                        onClick={() => setCurrentPage('schedule')}
+                        className="flex items-center bg-indigo-600 text-white py-2 px-4 rounded-lg font-semibold hover:bg-indigo-500 transition duration-200 shadow-md shadow-indigo-500/50"
+                    >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M10 3a1 1 0 011 1v5h5a1 1 0 110 2h-5v5a1 1 0 11-2 0v-5H4a1 1 0 110-2h5V4a1 1 0 011-1z" clipRule="evenodd" /></svg>
+                        {t('dashboard.newAppointment')}
+                    </button>
+                </div>
+            </header>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                {/* Cartão de Perfil */}
+                <div className="lg:col-span-1 bg-gray-800 p-6 rounded-xl shadow-xl border border-gray-700 h-fit">
+                    <h3 className="text-xl font-bold text-indigo-400 mb-4">👤 {t('dashboard.profile')}</h3>
+                    <p className="text-gray-300">
+                        <span className="font-semibold block">{t('dashboard.name')}</span> {userProfile.name}
+                    </p>
+                    <p className="text-gray-300 mt-2">
+                        <span className="font-semibold block">{t('dashboard.whatsapp')}</span> {formattedWhatsapp}
+                    </p>
+                    {userProfile.credit > 0 && (
+                        <p className="text-gray-300 mt-2">
+                            <span className="font-semibold block">{t('dashboard.credit')}</span> {formatPrice(userProfile.credit)}
+                        </p>
+                    )}
+                    <p className="text-xs text-gray-500 mt-4">
+                        {getReminderConsent(userProfile) ? t('dashboard.reminderNumber') : t('dashboard.remindersOff')}
+                    </p>
+                    <button
+                        onClick={() => setCurrentPage('profile')}
+                        className="mt-3 text-sm text-indigo-400 hover:text-indigo-300 font-medium transition duration-150"
+                    >
+                        ✏️ {t('dashboard.editProfile')}
+                    </button>
+                    {loyalty.enabled && (
+                        <div className="mt-4 p-3 rounded-lg bg-gray-700">
+                            <p className="text-sm font-semibold text-gray-200">🎟️ {t('dashboard.loyaltyCard')}</p>
+                            <div className="flex flex-wrap gap-1 mt-2">
+                                {Array.from({ length: loyalty.stampsRequired }, (_, index) => (
+                                    <span
+                                        key={index}
+                                        className={`w-6 h-6 rounded-full flex items-center justify-center text-xs ${index < loyaltyProgress.cardStamps ? 'bg-indigo-500 text-white' : 'bg-gray-600 text-gray-400'}`}
+                                    >
+                                        {index < loyaltyProgress.cardStamps ? '✂' : index + 1}
+                                    </span>
+                                ))}
+                            </div>
+                            <p className="text-xs text-gray-400 mt-2">
+                                {t('dashboard.loyaltyProgress', { stamps: loyaltyProgress.cardStamps, count: loyalty.stampsRequired })}
+                            </p>
+                            {loyaltyProgress.rewards > 0 && (
+                                <p className="text-sm text-green-400 mt-2">
+                                    🎁 {t('dashboard.loyaltyRewards', { count: loyaltyProgress.rewards })}
+                                </p>
+                            )}
+                            {loyaltyProgress.nextExpiresAt && (
+                                <p className="text-xs text-gray-500 mt-1">
+                                    {t('dashboard.loyaltyExpires', { date: formatZonedDateTime(loyaltyProgress.nextExpiresAt, { day: '2-digit', month: '2-digit', year: 'numeric' }) })}
+                                </p>
+                            )}
+                        </div>
+                    )}
+                    {userProfile.identityVerifiedAt ? (
+                        <p className="text-sm text-green-400 mt-4">
+                            ✅ {t('dashboard.verified', { identity: userProfile.verifiedPhone || userProfile.verifiedEmail })}
+                        </p>
+                    ) : auth && (
+                        <button
+                            onClick={() => setShowVerification(true)}
+                            className="mt-4 w-full py-2 rounded-lg border border-indigo-500 text-indigo-300 text-sm hover:bg-indigo-900 transition duration-150"
+                        >
+                            🔒 {t('verification.protectTitle')}
+                        </button>
+                    )}
+                </div>
+
+                {/* Cartão de Agendamentos */}
+                <div className="lg:col-span-2 bg-gray-800 p-6 rounded-xl shadow-xl border border-gray-700">
+                    {actionError && <p className="text-red-400 text-sm mb-4">{actionError}</p>}
+
+                    {/* Lista de espera: vagas oferecidas primeiro, com prazo para aceitar */}
+                    {waitlist.length > 0 && (
+                        <div className="mb-6">
+                            <h3 className="text-xl font-bold text-indigo-400 mb-4">⏳ {t('dashboard.waitlist', { count: waitlist.length })}</h3>
+                            <div className="space-y-4">
+                                {[...waitlist].sort((a, b) => a.date.localeCompare(b.date)).map(entry => {
+                                    const isOffered = entry.status === 'offered' && entry.offer.expiresAt > Date.now();
+                                    return (
+                                        <div key={entry.id} className={`p-4 rounded-lg bg-gray-700 border-l-4 flex justify-between items-center ${isOffered ? 'border-green-500' : 'border-yellow-500'}`}>
+                                            <div>
+                                                <p className="text-lg font-bold text-white">
+                                                    {isOffered ? `${formatTimeString(entry.offer.time)} · ` : ''}{formatDateString(entry.date, { day: '2-digit', month: 'long' })}
+                                                </p>
+                                                <p className="text-xs text-indigo-300 mt-1">
+                                                    {entry.service} · {entry.durationMinutes} min ({formatPrice(isOffered ? getWaitlistOfferPricing(entry, pricingSettings).finalPrice : entry.price)})
+                                                </p>
+                                                {isOffered ? (
+                                                    <p className="text-xs text-green-300">
+                                                        {t('dashboard.offer', { barber: entry.offer.barberName, time: formatZonedDateTime(entry.offer.expiresAt, { hour: '2-digit', minute: '2-digit' }, entry.timeZone) })}
+                                                    </p>
+                                                ) : (
+                                                    <p className="text-xs text-gray-400">
+                                                        {entry.status === 'offered'
+                                                            ? t('dashboard.offerExpired')
+                                                            : `${t(WAITLIST_STATUSES.waiting.labelKey)}${entry.windowStart || entry.windowEnd ? ` (${t('dashboard.waitlistWindow', {
+                                                                start: entry.windowStart ? formatTimeString(entry.windowStart) : t('waitlist.dayStart'),
+                                                                end: entry.windowEnd ? formatTimeString(entry.windowEnd) : t('waitlist.dayEnd'),
+                                                            })})` : ''}`}
+                                                    </p>
+                                                )}
+                                            </div>
+                                            <div className="flex space-x-3 text-sm">
+                                                {isOffered && (
+                                                    <button
+                                                        onClick={() => handleAcceptOffer(entry)}
+                                                        disabled={respondingId === entry.id}
+                                                        className="text-green-400 hover:text-green-300 font-semibold disabled:opacity-50"
+                                                    >
+                                                        {t('dashboard.accept')}
+                                                    </button>
+                                                )}
+                                                <button
+                                                    onClick={() => handleLeaveWaitlist(entry)}
+                                                    disabled={respondingId === entry.id}
+                                                    className="text-red-400 hover:text-red-300 disabled:opacity-50"
+                                                >
+                                                    {isOffered ? t('dashboard.decline') : t('dashboard.leave')}
+                                                </button>
+                                            </div>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    )}
 
-    // Lógica SIMULADA do WhatsApp
-    const whatsappMessage = `*🤖 Lembrete de Agendamento - Barbearia* Olá, ${appointment.userName}!
-Seu agendamento para o corte está confirmado para:
-🗓️ *Data:* ${formattedDate}
-⏰ *Hora:* ${formattedTime}
-📍 Estamos te esperando!`;
+                    <h3 className="text-xl font-bold text-indigo-400 mb-4">🗓️ {t('dashboard.upcoming', { count: upcomingAppointments.length })}</h3>
+                    
+                    {upcomingAppointments.length === 0 ? (
+                        <div className="text-center py-10 bg-gray-700 rounded-lg">
+                            <p className="text-gray-400 text-lg">{t('dashboard.noUpcoming')}</p>
+                            <button
+                                onClick={() => setCurrentPage('schedule')}
+                                className="mt-4 text-indigo-400 hover:text-indigo-300 font-medium"
+                            >
+                                {t('dashboard.bookNow')}
+                            </button>
+                        </div>
+                    ) : (
+                        <div className="space-y-4">
+                            {upcomingAppointments.map((app, index) => (
+                                <div key={app.id} className="p-4 rounded-lg bg-gray-700 border-l-4 border-indigo-500 flex justify-between items-center transition duration-150 hover:bg-gray-600">
+                                    <div>
+                                        <p className="text-lg font-bold text-white">{formatTimeString(app.time)}</p>
+                                        <p className="text-sm text-gray-300">
+                                            {formatDateString(app.date, { day: '2-digit', month: 'long', year: 'numeric' })}
+                                        </p>
+                                        <p className="text-xs text-indigo-300 mt-1">{app.service} · {app.durationMinutes || LEGACY_DURATION_MINUTES} min ({formatPrice(app.price)})</p>
+                                        {app.barberName && <p className="text-xs text-gray-400">{t('booking.withBarber', { barber: app.barberName })}</p>}
+                                        {app.series && (
+                                            <p className="text-xs text-indigo-200 mt-1">
+                                                🔁 {getRecurrenceLabel(app.series.intervalWeeks)}
+                                                {app.paymentMethod === 'on_site' && !app.paid ? ` · ${t('dashboard.payOnSite')}` : ''}
+                                            </p>
+                                        )}
+                                    </div>
+                                    <div className="flex flex-col items-end space-y-2">
+                                        <span className={`text-xs font-semibold px-3 py-1 rounded-full text-white ${APPOINTMENT_STATUSES[getAppointmentStatus(app)].badgeClass}`}>
+                                            {t(APPOINTMENT_STATUSES[getAppointmentStatus(app)].labelKey)}
+                                        </span>
+                                        <div className="flex space-x-3 text-sm">
+                                            {app.status === 'pending_payment' ? (
+                                                <button
+                                                    onClick={() => setPayingId(app.id)}
+                                                    disabled={cancellingId === app.id}
+                                                    className="text-green-400 hover:text-green-300 font-semibold disabled:opacity-50"
+                                                >
+                                                    {t('dashboard.payWithPix')}
+                                                </button>
+                                            ) : (
+                                                <button
+                                                    onClick={() => handleReschedule(app)}
+                                                    disabled={cancellingId === app.id}
+                                                    className="text-indigo-300 hover:text-indigo-200 disabled:opacity-50"
+                                                >
+                                                    {t('dashboard.reschedule')}
+                                                </button>
+                                            )}
+                                            <button
+                                                onClick={() => handleCancel(app)}
+                                                disabled={cancellingId === app.id}
+                                                title={app.series ? t('dashboard.skipTitle') : undefined}
+                                                className="text-red-400 hover:text-red-300 disabled:opacity-50"
+                                            >
+                                                {cancellingId === app.id ? t('dashboard.cancelling') : app.status === 'pending_payment' ? t('dashboard.abandon') : app.series ? t('dashboard.skip') : t('dashboard.cancel')}
+                                            </button>
+                                            {app.series && (
+                                                <button
+                                                    onClick={() => handleCancelSeries(app)}
+                                                    disabled={cancellingId === app.id}
+                                                    className="text-red-400 hover:text-red-300 disabled:opacity-50"
+                                                >
+                                                    {t('dashboard.cancelSeries')}
+                                                </button>
+                                            )}
+                                        </div>
+                                        {app.status !== 'pending_payment' && (
+                                            <AddToCalendarLinks appointment={app} shopName={shop.name} className="text-xs" />
+                                        )}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
 
-    return (
-        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-50">
-            <div className="bg-gray-800 p-6 rounded-xl shadow-2xl max-w-lg w-full transform transition-all border border-indigo-500">
-                <h3 className="text-2xl font-bold mb-4 text-indigo-400">🔔 Lembrete de Agendamento</h3>
-                <p className="text-gray-300 mb-6">
-                    Seu agendamento foi salvo. O sistema enviaria este lembrete automaticamente no dia:
-                </p>
+                    {otherShopsUpcoming.length > 0 && (
+                        <>
+                            <h3 className="text-xl font-bold text-indigo-400 mt-8 mb-4">🏪 {t('dashboard.otherShops', { count: otherShopsUpcoming.length })}</h3>
+                            <div className="space-y-3">
+                                {otherShopsUpcoming.map(app => {
+                                    const appShop = shops.find(item => item.id === app.shopId);
+                                    return (
+                                        <div key={`${app.shopId}/${app.id}`} className="p-4 rounded-lg bg-gray-700 border-l-4 border-indigo-300 flex justify-between items-center">
+                                            <div>
+                                                <p className="text-sm font-bold text-white">
+                                                    {formatDateString(app.date, { day: '2-digit', month: 'long', year: 'numeric' })} · {formatTimeString(app.time)}
+                                                </p>
+                                                <p className="text-xs text-indigo-300 mt-1">{app.service} · {appShop.name}</p>
+                                                {app.barberName && <p className="text-xs text-gray-400">{t('booking.withBarber', { barber: app.barberName })}</p>}
+                                            </div>
+                                            <button
+                                                onClick={() => onSwitchShop(appShop)}
+                                                className="text-sm text-indigo-300 hover:text-indigo-200 font-semibold"
+                                            >
+                                                {t('dashboard.openShop')}
+                                            </button>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        </>
+                    )}
 
-                <div className="bg-green-800 p-4 rounded-lg shadow-md mb-6 border border-green-600">
-                    <h4 className="font-semibold text-lg text-white mb-2 flex items-center">
-                        <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 mr-2 text-green-300" viewBox="0 0 0 0" fill="currentColor">
-                            <path d="M2 5a2 2 0 012-2h7a2 2 0 012 2v4a2 2 0 01-2 2H9l-3 4v-4H4a2 2 0 01-2-2V5z" />
-                        </svg>
-                        Mensagem WhatsApp (Simulada)
-                    </h4>
-                    <pre className="text-sm whitespace-pre-wrap text-green-100 bg-green-900 p-3 rounded">{whatsappMessage}</pre>
-                    <p className="mt-2 text-xs text-green-200 italic">
-                        Para o envio real, seria necessário integrar uma API de WhatsApp (como Twilio ou Z-APIs).
-                    </p>
+                    {pastAppointments.length > 0 && (
+                        <>
+                            <h3 className="text-xl font-bold text-indigo-400 mt-8 mb-4">📜 {t('dashboard.history', { count: pastAppointments.length })}</h3>
+                            <div className="space-y-3">
+                                {pastAppointments.slice(0, historyLimit).map(app => {
+                                    const status = getAppointmentStatus(app);
+                                    return (
+                                        <div key={app.id} className="p-4 rounded-lg bg-gray-700 border-l-4 border-gray-500 flex justify-between items-center">
+                                            <div>
+                                                <p className="text-sm font-bold text-white">
+                                                    {formatDateString(app.date, { day: '2-digit', month: 'short', year: 'numeric' })} · {formatTimeString(app.time)}
+                                                </p>
+                                                <p className="text-xs text-indigo-300 mt-1">{app.service} ({formatPrice(app.price)})</p>
+                                                {app.barberName && <p className="text-xs text-gray-400">{t('booking.withBarber', { barber: app.barberName })}</p>}
+                                                <p className="text-xs text-gray-400">{t('dashboard.payment', { payment: describePayment(app) })}</p>
+                                            </div>
+                                            <div className="flex flex-col items-end space-y-2">
+                                                <span className={`text-xs font-semibold px-3 py-1 rounded-full text-white ${APPOINTMENT_STATUSES[status].badgeClass}`}>
+                                                    {t(APPOINTMENT_STATUSES[status].labelKey)}
+                                                </span>
+                                                <div className="flex space-x-3 text-sm">
+                                                    <button
+                                                        onClick={() => handleDownloadReceipt(app)}
+                                                        className="text-gray-300 hover:text-white"
+                                                    >
+                                                        {t('dashboard.receipt')}
+                                                    </button>
+                                                    <button
+                                                        onClick={() => onBookAgain(app)}
+                                                        className="text-indigo-300 hover:text-indigo-200 font-semibold"
+                                                    >
+                                                        {t('dashboard.bookAgain')}
+                                                    </button>
+                                                </div>
+                                            </div>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                            {pastAppointments.length > historyLimit && (
+                                <button
+                                    onClick={() => setHistoryLimit(limit => limit + HISTORY_PAGE_SIZE)}
+                                    className="mt-4 w-full text-sm text-indigo-400 hover:text-indigo-300 font-medium"
+                                >
+                                    {t('dashboard.showMore')}
+                                </button>
+                            )}
+                        </>
+                    )}
                 </div>
-
-                <button
-                    onClick={onClose}
-                    className="w-full bg-indigo-600 text-white py-3 rounded-lg font-semibold hover:bg-indigo-500 transition duration-200 shadow-lg shadow-indigo-500/50"
-                >
-                    Entendi! Ir para o Painel
-                </button>
             </div>
+
+            {payingAppointment && (
+                <PixCheckout
+                    db={db}
+                    shopId={shopId}
+                    appointment={payingAppointment}
+                    pixSettings={pixSettings}
+                    onClose={() => setPayingId(null)}
+                />
+            )}
+            {showVerification && (
+                <AccountVerification
+                    db={db}
+                    shopId={shopId}
+                    auth={auth}
+                    defaultPhone={userProfile.whatsapp}
+                    onClose={() => setShowVerification(false)}
+                />
+            )}
         </div>
     );
 };
 
-const AuthScreen = ({ db, userId, onProfileComplete }) => {
-    const [name, setName] = useState('');
-    const [whatsapp, setWhatsapp] = useState('');
-    const [isLoading, setIsLoading] = useState(false);
+
+// Meu perfil: dados do cliente, consentimento dos lembretes e direitos do titular (LGPD)
+const ProfileScreen = ({ db, shopId, auth, userId, shops, userProfile, appointments, waitlist, schedule, setCurrentPage, onAccountDeleted }) => {
+    const [name, setName] = useState(userProfile.name);
+    const [phoneFields, setPhoneFields] = useState(() => splitPhone(userProfile.whatsapp));
+    const [reminderConsent, setReminderConsent] = useState(() => getReminderConsent(userProfile));
+    const [isSaving, setIsSaving] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
+    const [isDeleting, setIsDeleting] = useState(false);
     const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
 
-    const handleSubmit = async (e) => {
+    const handleSave = async (e) => {
         e.preventDefault();
         setError('');
-        setIsLoading(true);
-
-        const formattedWhatsapp = formatWhatsapp(whatsapp);
+        setSuccess('');
 
-        // 1. Validação de Nome: Requer pelo menos nome e sobrenome (2 palavras)
-        if (!name || name.trim().split(/\s+/).length < 2) {
-            setError('Por favor, preencha o nome completo (nome e sobrenome).');
-            setIsLoading(false);
+        const phone = parsePhone(phoneFields.number, phoneFields.country);
+        if (!isFullName(name)) {
+            setError(t('auth.nameRequired'));
             return;
         }
-
-        // 2. Validação de WhatsApp: Requer exatamente 11 dígitos (DD + 9XXXXXXXX)
-        if (formattedWhatsapp.length !== 11) {
-            setError('O número de WhatsApp deve ter 11 dígitos (DD + 9XXXX-XXXX).');
-            setIsLoading(false);
+        if (!phone) {
+            setError(t('auth.whatsappInvalid'));
             return;
         }
 
+        setIsSaving(true);
         try {
-            const userProfileRef = doc(db, getUserProfileCollectionPath(userId), 'data');
-            await setDoc(userProfileRef, {
-                name: name.trim(),
-                whatsapp: formattedWhatsapp,
-                profileComplete: true,
-                createdAt: serverTimestamp(),
-            }, { merge: true });
-
-            onProfileComplete({ name: name.trim(), whatsapp: formattedWhatsapp, profileComplete: true });
-
+            const changes = { name: name.trim(), whatsapp: phone.e164 };
+            if (reminderConsent !== getReminderConsent(userProfile)) {
+                Object.assign(changes, buildReminderConsent(userProfile, reminderConsent, 'profile'));
+            }
+            await saveCustomerProfile(db, shopId, userId, changes, appointments, waitlist);
+            setPhoneFields(splitPhone(phone.e164));
+            setSuccess(t('profile.saved'));
         } catch (err) {
             console.error('Erro ao salvar perfil:', err);
-            setError('Falha ao salvar o perfil. Tente novamente.');
+            setError(t('auth.saveFailed'));
         } finally {
-            setIsLoading(false);
+            setIsSaving(false);
         }
     };
 
-    return (
-        <div className="flex flex-col items-center justify-center min-h-screen bg-gray-900 p-4">
-            <div className="bg-gray-800 p-8 rounded-xl shadow-2xl w-full max-w-md border border-indigo-700">
-                {/* Título sem "SaaS" */}
-                <h2 className="text-3xl font-extrabold text-white mb-4 text-center">💈 Bem-vindo(a) à Barbearia</h2>
-                <p className="text-gray-400 mb-6 text-center">Complete seu cadastro para agendar seu corte.</p>
+    const handleExport = async () => {
+        setError('');
+        setIsExporting(true);
+        try {
+            await exportCustomerData(db, userId, shops);
+        } catch (err) {
+            console.error('Erro ao exportar os dados:', err);
+            setError(t('profile.exportFailed'));
+        } finally {
+            setIsExporting(false);
+        }
+    };
 
-                <form onSubmit={handleSubmit} className="space-y-4">
+    const handleDelete = async () => {
+        if (!window.confirm(t('profile.deleteConfirm'))) return;
+        setError('');
+        setSuccess('');
+        setIsDeleting(true);
+        try {
+            await deleteCustomerAccount(db, auth, userId, shops);
+            onAccountDeleted();
+            setCurrentPage('dashboard');
+        } catch (err) {
+            if (err.code === ACCOUNT_HAS_BOOKINGS_ERROR) {
+                setError(err.message);
+            } else {
+                console.error('Erro ao excluir a conta:', err);
+                setError(t('profile.deleteFailed'));
+            }
+            setIsDeleting(false);
+        }
+    };
+
+    return (
+        <div className="flex flex-col items-center min-h-screen bg-gray-900 p-4 text-white">
+            <div className="w-full max-w-lg space-y-6">
+                <form onSubmit={handleSave} className="bg-gray-800 p-6 rounded-xl shadow-2xl border border-indigo-700 space-y-4">
+                    <h2 className="text-2xl font-bold text-indigo-400">👤 {t('profile.title')}</h2>
                     <div>
-                        <label htmlFor="name" className="block text-sm font-medium text-gray-300">Nome Completo</label>
+                        <label htmlFor="profile-name" className="block text-sm font-medium text-gray-300">{t('auth.nameLabel')}</label>
                         <input
-                            id="name"
+                            id="profile-name"
                             type="text"
                             value={name}
                             onChange={(e) => setName(e.target.value)}
-                            placeholder="Seu nome e sobrenome"
                             className="mt-1 block w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white focus:ring-indigo-500 focus:border-indigo-500 transition duration-150"
                             required
                         />
                     </div>
                     <div>
-                        <label htmlFor="whatsapp" className="block text-sm font-medium text-gray-300">WhatsApp (com DDD)</label>
-                        <input
-                            id="whatsapp"
-                            type="tel"
-                            value={whatsapp}
-                            onChange={(e) => setWhatsapp(e.target.value)}
-                            placeholder="Ex: 5511987654321 (11 dígitos)"
-                            className="mt-1 block w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white focus:ring-indigo-500 focus:border-indigo-500 transition duration-150"
-                            required
-                        />
+                        <label htmlFor="profile-whatsapp" className="block text-sm font-medium text-gray-300">{t('auth.whatsappLabel')}</label>
+                        <PhoneInput id="profile-whatsapp" value={phoneFields} onChange={setPhoneFields} />
+                    </div>
+                    <div>
+                        <label className="flex items-start space-x-2 text-sm text-gray-300">
+                            <input
+                                type="checkbox"
+                                checked={reminderConsent}
+                                onChange={(e) => setReminderConsent(e.target.checked)}
+                                className="mt-1 rounded bg-gray-700 border-gray-600 text-indigo-600 focus:ring-indigo-500"
+                            />
+                            <span>{t('auth.reminderConsent')}</span>
+                        </label>
+                        {/* Perfis anteriores ao consentimento não têm data */}
+                        {userProfile.reminderConsentAt && (
+                            <p className="text-xs text-gray-500 mt-1 ml-6">
+                                {t(userProfile.reminderConsent ? 'profile.consentGrantedAt' : 'profile.consentWithdrawnAt', {
+                                    date: formatZonedDateTime(userProfile.reminderConsentAt, { dateStyle: 'short', timeStyle: 'short' }, schedule.timeZone),
+                                })}
+                            </p>
+                        )}
                     </div>
 
-                    {error && <p className="text-red-400 text-sm mt-3">{error}</p>}
+                    {error && <p className="text-red-400 text-sm">{error}</p>}
+                    {success && <p className="text-green-400 text-sm">{success}</p>}
 
                     <button
                         type="submit"
-                        disabled={isLoading}
-                        className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-lg font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                        disabled={isSaving}
+                        className="w-full py-3 rounded-lg font-semibold text-white bg-indigo-600 hover:bg-indigo-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
                     >
-                        {isLoading ? (
-                            <>
-                                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                </svg>
-                                Salvando...
-                            </>
-                        ) : 'Salvar e Continuar'}
+                        {isSaving ? t('common.saving') : t('profile.save')}
                     </button>
                 </form>
+
+                {/* Direitos do titular: cópia dos dados e exclusão da conta, em todas as unidades */}
+                <section className="bg-gray-800 p-6 rounded-xl shadow-2xl border border-gray-700 space-y-4">
+                    <h3 className="text-xl font-bold text-indigo-400">🔒 {t('profile.privacyTitle')}</h3>
+                    <p className="text-sm text-gray-400">{t('profile.privacyIntro')}</p>
+                    <button
+                        onClick={handleExport}
+                        disabled={isExporting}
+                        className="w-full py-2 rounded-lg font-semibold bg-gray-700 hover:bg-gray-600 transition duration-150 disabled:opacity-50"
+                    >
+                        ⬇️ {isExporting ? t('common.processing') : t('profile.export')}
+                    </button>
+                    <p className="text-sm text-gray-400">{t('profile.deleteIntro')}</p>
+                    <button
+                        onClick={handleDelete}
+                        disabled={isDeleting}
+                        className="w-full py-2 rounded-lg font-semibold text-red-300 border border-red-500 hover:bg-red-900 transition duration-150 disabled:opacity-50"
+                    >
+                        🗑️ {isDeleting ? t('common.processing') : t('profile.delete')}
+                    </button>
+                </section>
+
+                <button
+                    onClick={() => setCurrentPage('dashboard')}
+                    className="w-full py-2 text-indigo-400 hover:text-indigo-300 transition duration-150"
+                >
+                    {t('common.backToDashboard')}
+                </button>
             </div>
-            <p className="text-xs text-gray-500 mt-4">ID do Usuário: {userId}</p>
         </div>
     );
 };
 
-const ScheduleGrid = ({ db, userId, userProfile, setCurrentPage, onBookingConfirmed }) => {
-    const [selectedDate, setSelectedDate] = useState(new Date());
-    const [selectedTime, setSelectedTime] = useState(null);
-    const [appointments, setAppointments] = useState([]);
-    const [isBooking, setIsBooking] = useState(false);
+
+const AdminScreen = ({ db, shopId, userId, staffMember, appointments, barbers, schedule, loyalty, setCurrentPage }) => {
+    const [view, setView] = useState('day'); // 'day' ou 'week'
+    const [selectedDate, setSelectedDate] = useState(() => getTodayDateString(schedule.timeZone)); // YYYY-MM-DD no fuso da barbearia
+    // Barbeiros veem a própria agenda por padrão; administradores veem todos
+    const [barberFilter, setBarberFilter] = useState(() => (staffMember.role === 'barber' && staffMember.barberId) || ANY_BARBER);
+    const [blocks, setBlocks] = useState([]);
+    const [legacyCount, setLegacyCount] = useState(0); // Agendamentos ainda na coleção pública antiga
+    const [updatingId, setUpdatingId] = useState(null);
     const [error, setError] = useState('');
+    const [blockForm, setBlockForm] = useState({ barberId: '', time: '', durationMinutes: schedule.slotMinutes, reason: t('admin.defaultBlockReason') });
+    const [isBlocking, setIsBlocking] = useState(false);
+    const [isMigrating, setIsMigrating] = useState(false);
 
     useEffect(() => {
-        // Listener de Agendamentos em tempo real
-        const appointmentsRef = collection(db, getAppointmentsCollectionPath());
-        // Não usamos orderBy para evitar a necessidade de índice, e filtramos/ordenamos no cliente
-        const q = query(appointmentsRef);
-
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const fetchedAppointments = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
-            setAppointments(fetchedAppointments);
+        // Listener dos bloqueios manuais: a agenda mostra os bloqueios junto com os agendamentos
+        const blocksRef = collection(db, getBlocksCollectionPath(shopId));
+        const unsubscribe = onSnapshot(query(blocksRef), (snapshot) => {
+            setBlocks(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
         }, (err) => {
-            console.error("Erro ao carregar agendamentos:", err);
-            // Em produção, isso seria um erro de segurança/rede
+            console.error("Erro ao carregar bloqueios:", err);
         });
 
         return () => unsubscribe();
-    }, [db]);
+    }, [db, shopId]);
 
-    const isToday = (date) => {
-        const today = new Date();
-        return date.toDateString() === today.toDateString();
-    };
+    useEffect(() => {
+        // Agendamentos antigos continuam na coleção pública até a equipe migrá-los
+        const legacyRef = collection(db, getLegacyAppointmentsCollectionPath(shopId));
+        const unsubscribe = onSnapshot(query(legacyRef), (snapshot) => {
+            setLegacyCount(snapshot.size);
+        }, (err) => {
+            console.error("Erro ao verificar agendamentos antigos:", err);
+        });
 
-    const getAvailableSlots = useCallback((date) => {
-        const timeSlots = [];
-        // Horários de funcionamento: 9:00h às 18:00h, agendamentos a cada 60 minutos
-        for (let hour = 9; hour <= 17; hour++) {
-            // 18:00h não é um slot, pois o serviço leva 60 minutos
-            if (hour < 18) {
-                timeSlots.push(`${hour < 10 ? '0' : ''}${hour}:00`);
-            }
-        }
+        return () => unsubscribe();
+    }, [db, shopId]);
 
-        const dateString = date.toISOString().split('T')[0];
-        const now = new Date();
+    const days = useMemo(
+        () => Array.from({ length: view === 'day' ? 1 : 7 }, (_, index) => addDays(selectedDate, index)),
+        [selectedDate, view]
+    );
 
-        return timeSlots.filter(time => {
-            const isBooked = appointments.some(app => app.date === dateString && app.time === time);
-            if (isBooked) return false;
+    const visibleBarbers = barberFilter === ANY_BARBER ? barbers : barbers.filter(barber => barber.id === barberFilter);
 
-            // Bloquear horários passados ou o slot atual se for hoje
-            if (isToday(date)) {
-                const [h, m] = time.split(':').map(Number);
-                const slotTime = new Date(date.getFullYear(), date.getMonth(), date.getDate(), h, m);
-                // O slot deve ser pelo menos 1 hora no futuro
-                return slotTime.getTime() > now.getTime() + 60 * 60 * 1000;
-            }
+    /**
+     * Agendamentos e bloqueios de um barbeiro em uma data, em ordem de horário.
+     */
+    const getEntries = (barberId, dateString) => {
+        const appointmentEntries = appointments
+            .filter(app => (app.barberId || LEGACY_BARBER_ID) === barberId && app.date === dateString)
+            .map(app => ({
+                key: app.id,
+                type: 'appointment',
+                time: app.time,
+                durationMinutes: app.durationMinutes || LEGACY_DURATION_MINUTES,
+                appointment: app,
+            }));
 
-            return true;
-        });
-    }, [appointments]);
+        const blockEntries = blocks
+            .filter(block => block.barberId === barberId && block.date === dateString)
+            .map(block => ({
+                key: block.id,
+                type: 'block',
+                blockId: block.id,
+                reason: block.reason,
+                slotIds: block.slotIds,
+                time: [...block.times].sort()[0],
+                durationMinutes: block.times.length * schedule.slotMinutes,
+            }));
 
-    const availableSlots = useMemo(() => getAvailableSlots(selectedDate), [selectedDate, getAvailableSlots]);
+        return [...appointmentEntries, ...blockEntries].sort((a, b) => a.time.localeCompare(b.time));
+    };
 
-    const handleDateChange = (days) => {
-        const newDate = new Date(selectedDate);
-        newDate.setDate(selectedDate.getDate() + days);
-        if (newDate.getTime() < new Date().setHours(0, 0, 0, 0)) return; // Não permitir voltar para o passado
+    const handleDateChange = (step) => {
+        setSelectedDate(addDays(selectedDate, step * days.length));
+    };
 
-        setSelectedDate(newDate);
-        setSelectedTime(null);
-        setError('');
+    // Agenda em .ics dos próximos horários do barbeiro filtrado (ou de todos), para importar no calendário do celular
+    const handleExportAgenda = () => {
+        const today = getTodayDateString(schedule.timeZone);
+        const agenda = appointments.filter(app => app.date >= today
+            && isAppointmentActive(app)
+            && (barberFilter === ANY_BARBER || (app.barberId || LEGACY_BARBER_ID) === barberFilter));
+        if (agenda.length === 0) {
+            setError(t('admin.nothingToExport'));
+            return;
+        }
+
+        const barber = barbers.find(item => item.id === barberFilter);
+        const calendarName = barber ? t('admin.barberCalendar', { barber: barber.name }) : t('admin.shopCalendar');
+        const ics = buildAgendaIcs(agenda, { calendarName, fallbackDurationMinutes: LEGACY_DURATION_MINUTES });
+        downloadIcs(ics, `agenda-${barber ? barber.id : 'barbearia'}-${today}.ics`);
     };
 
-    const handleSelectTime = (time) => {
-        setSelectedTime(time);
+    const handleStatusChange = async (app, status) => {
+        if (status === 'cancelled' && !window.confirm(t(app.paid ? 'admin.confirmCancelPaid' : 'admin.confirmCancel', { customer: app.userName, time: formatTimeString(app.time) }))) return;
+
+        setUpdatingId(app.id);
         setError('');
+        try {
+            await updateAppointmentStatus(db, shopId, app, status, userId, loyalty);
+        } catch (err) {
+            console.error('Erro ao atualizar status:', err);
+            setError(err.message || t('admin.statusFailed'));
+        } finally {
+            setUpdatingId(null);
+        }
     };
 
-    const handlePaymentAndBooking = async () => {
-        if (!selectedTime) {
-            setError('Por favor, selecione um horário.');
+    const blockDateString = days[0];
+    const blockDayHours = getDayHours(schedule, blockDateString);
+    const blockTimes = blockDayHours.closed ? [] : getStartTimes(blockDayHours, Number(blockForm.durationMinutes), schedule.slotMinutes);
+
+    const handleBlock = async (e) => {
+        e.preventDefault();
+        const barberId = blockForm.barberId || (visibleBarbers[0] && visibleBarbers[0].id);
+        if (!barberId || !blockForm.time) {
+            setError(t('admin.blockMissing'));
             return;
         }
 
-        // SIMULAÇÃO DE PAGAMENTO:
-        // Valor de R$ 10,00
-        if (!window.confirm(`Simulação de Pagamento: O valor de R$ 10,00 será cobrado. Pressione OK para simular o pagamento e confirmar o agendamento.`)) {
-            setError('Pagamento cancelado ou falhou. O agendamento não foi concluído.');
-            return;
+        setIsBlocking(true);
+        setError('');
+        try {
+            await blockSlots(db, shopId, {
+                barberId,
+                date: blockDateString,
+                times: getSlotTimes(blockForm.time, Number(blockForm.durationMinutes), schedule.slotMinutes),
+                reason: blockForm.reason.trim() || t('admin.blockedByStaff'),
+                userId,
+            });
+            setBlockForm(form => ({ ...form, time: '' }));
+        } catch (err) {
+            if (err.code === SLOT_TAKEN_ERROR) {
+                setError(t('admin.blockTaken'));
+            } else {
+                console.error('Erro ao bloquear horário:', err);
+                setError(t('admin.blockFailed'));
+            }
+        } finally {
+            setIsBlocking(false);
         }
-        
-        // Pagamento SIMULADO bem-sucedido!
-        
-        setIsBooking(true);
+    };
+
+    const handleRetryMessage = async (app, message) => {
         setError('');
+        try {
+            await retryQueuedMessage(db, shopId, app.id, message.id);
+        } catch (err) {
+            console.error('Erro ao reenviar mensagem:', err);
+            setError(t('admin.retryFailed'));
+        }
+    };
 
-        const newAppointment = {
-            userId: userId,
-            userName: userProfile.name,
-            whatsapp: userProfile.whatsapp,
-            date: selectedDate.toISOString().split('T')[0],
-            time: selectedTime,
-            service: 'Corte Clássico',
-            price: 10.00,
-            paid: true,
-            createdAt: serverTimestamp(),
-        };
+    const handleMigrate = async () => {
+        if (!window.confirm(t('admin.confirmMigrate', { count: legacyCount }))) return;
 
+        setIsMigrating(true);
+        setError('');
         try {
-            const appointmentsRef = collection(db, getAppointmentsCollectionPath());
-            const docRef = await addDoc(appointmentsRef, newAppointment);
-            
-            // Sucesso! Chamar a notificação e limpar o estado.
-            onBookingConfirmed({ ...newAppointment, id: docRef.id });
+            await migrateLegacyAppointments(db, shopId, schedule);
+        } catch (err) {
+            console.error('Erro ao migrar agendamentos:', err);
+            setError(t('admin.migrateFailed'));
+        } finally {
+            setIsMigrating(false);
+        }
+    };
 
+    const handleUnblock = async (block) => {
+        setUpdatingId(block.blockId);
+        setError('');
+        try {
+            await unblockSlots(db, shopId, block);
         } catch (err) {
-            console.error('Erro ao salvar agendamento:', err);
-            setError('Falha ao registrar o agendamento no sistema. Tente novamente.');
+            console.error('Erro ao desbloquear horário:', err);
+            setError(t('admin.unblockFailed'));
         } finally {
-            setIsBooking(false);
+            setUpdatingId(null);
         }
     };
 
-    const formattedDate = selectedDate.toLocaleDateString('pt-BR', { weekday: 'long', day: '2-digit', month: 'long', year: 'numeric' });
+    const renderEntry = (entry, showBarber) => {
+        const endTime = minutesToTime(timeToMinutes(entry.time) + entry.durationMinutes);
 
-    return (
-        <div className="p-6 bg-gray-900 min-h-screen">
-            <h2 className="text-3xl font-extrabold text-white mb-6 border-b border-indigo-700 pb-2">🗓️ Agendar Horário</h2>
-            <div className="max-w-4xl mx-auto">
-                {/* Seletor de Data */}
-                <div className="flex items-center justify-between bg-gray-800 p-4 rounded-xl shadow-lg mb-6">
-                    <button
-                        onClick={() => handleDateChange(-1)}
-                        disabled={selectedDate.getTime() <= new Date().setHours(0, 0, 0, 0)}
-                        className="p-2 rounded-full bg-indigo-600 hover:bg-indigo-500 disabled:bg-gray-700 disabled:cursor-not-allowed transition duration-150"
-                    >
-                        <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" /></svg>
-                    </button>
-                    <h3 className="text-xl font-semibold text-white text-center flex-grow">{formattedDate}</h3>
+        if (entry.type === 'block') {
+            return (
+                <div key={entry.key} className="p-3 rounded-lg bg-gray-900 border-l-4 border-yellow-600">
+                    <p className="font-bold text-white">{formatTimeString(entry.time)} - {formatTimeString(endTime)}</p>
+                    <p className="text-sm text-yellow-300">🔒 {entry.reason}</p>
                     <button
-                        onClick={() => handleDateChange(1)}
-                        className="p-2 rounded-full bg-indigo-600 hover:bg-indigo-500 transition duration-150"
+                        onClick={() => handleUnblock(entry)}
+                        disabled={updatingId === entry.blockId}
+                        className="mt-2 text-xs text-indigo-300 hover:text-indigo-200 disabled:opacity-50"
                     >
-                        <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" /></svg>
+                        {t('admin.unblock')}
                     </button>
                 </div>
+            );
+        }
 
-                {/* Grid de Horários */}
-                <div className="bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-700">
-                    <h4 className="text-xl font-bold text-indigo-400 mb-4">Horários Disponíveis (Corte - 60 min)</h4>
-                    {availableSlots.length === 0 ? (
-                        <p className="text-gray-400 text-center py-8">Nenhum horário disponível para esta data. Tente outro dia.</p>
-                    ) : (
-                        <div className="grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 gap-3">
-                            {availableSlots.map(time => (
-                                <button
-                                    key={time}
-                                    onClick={() => handleSelectTime(time)}
-                                    className={`py-3 px-2 rounded-lg text-sm font-medium transition duration-200 
-                                        ${selectedTime === time 
-                                            ? 'bg-indigo-500 text-white shadow-lg shadow-indigo-500/50 transform scale-105' 
-                                            : 'bg-gray-700 text-gray-300 hover:bg-indigo-600 hover:text-white'
-                                        }`}
-                                >
-                                    {time}
-                                </button>
-                            ))}
-                        </div>
-                    )}
+        const app = entry.appointment;
+        const status = getAppointmentStatus(app);
+        return (
+            <div key={entry.key} className={`p-3 rounded-lg bg-gray-700 border-l-4 border-indigo-500 ${status === 'cancelled' ? 'opacity-50' : ''}`}>
+                <div className="flex justify-between items-start">
+                    <div>
+                        <p className="font-bold text-white">{formatTimeString(entry.time)} - {formatTimeString(endTime)}</p>
+                        <p className="text-sm text-gray-200">{app.userName}</p>
+                        {app.whatsapp && (
+                            <a href={`https://wa.me/${toWhatsappAddress(app.whatsapp)}`} target="_blank" rel="noreferrer" className="text-xs text-green-400 hover:text-green-300">
+                                {t('admin.whatsapp', { number: formatPhone(app.whatsapp) })}
+                            </a>
+                        )}
+                        <p className="text-xs text-indigo-300">{app.service}{showBarber && app.barberName ? ` · ${app.barberName}` : ''}</p>
+                        {app.series && (
+                            <p className="text-xs text-gray-400">
+                                🔁 {getRecurrenceLabel(app.series.intervalWeeks)}{app.paymentMethod === 'on_site' && !app.paid ? ` · ${t('admin.chargeOnSite', { amount: formatPrice(app.price) })}` : ''}
+                            </p>
+                        )}
+                        {app.paymentMethod === 'loyalty' && <p className="text-xs text-green-300">🎁 {t('admin.loyaltyReward')}</p>}
+                    </div>
+                    <span className={`text-xs font-semibold px-2 py-1 rounded-full text-white ${APPOINTMENT_STATUSES[status].badgeClass}`}>
+                        {t(APPOINTMENT_STATUSES[status].labelKey)}
+                    </span>
                 </div>
+                {app.messages && app.messages.length > 0 && (
+                    <div className="flex flex-wrap gap-x-3 gap-y-1 mt-2 text-xs text-gray-400">
+                        {app.messages.filter(message => message.status !== 'skipped').map(message => (
+                            <span key={message.id} title={message.lastError || t(MESSAGE_STATUSES[message.status].labelKey)}>
+                                {MESSAGE_STATUSES[message.status].icon} {t(MESSAGE_TYPES[message.type].labelKey)}
+                                {message.status === 'failed' && (
+                                    <button onClick={() => handleRetryMessage(app, message)} className="ml-1 text-indigo-300 hover:text-indigo-200">
+                                        {t('admin.retry')}
+                                    </button>
+                                )}
+                            </span>
+                        ))}
+                    </div>
+                )}
+                {STATUS_TRANSITIONS[status].length > 0 && (
+                    <div className="flex flex-wrap gap-2 mt-2">
+                        {STATUS_TRANSITIONS[status].map(nextStatus => (
+                            <button
+                                key={nextStatus}
+                                onClick={() => handleStatusChange(app, nextStatus)}
+                                disabled={updatingId === app.id}
+                                className="text-xs px-2 py-1 rounded bg-gray-600 text-white hover:bg-indigo-600 disabled:opacity-50"
+                            >
+                                {t(APPOINTMENT_STATUSES[nextStatus].actionKey)}
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+        );
+    };
 
-                {/* Confirmação e Pagamento */}
-                {selectedTime && (
-                    <div className="mt-6 p-6 bg-indigo-900 bg-opacity-30 border border-indigo-600 rounded-xl shadow-lg flex flex-col sm:flex-row justify-between items-center">
-                        <div className="text-white mb-4 sm:mb-0">
-                            <p className="text-lg font-semibold">Agendamento Selecionado:</p>
-                            <p className="text-2xl font-bold">{selectedTime} - {formattedDate}</p>
-                            {/* Valor R$ 10,00 */}
-                            <p className="text-indigo-300 text-sm mt-1">Valor do Agendamento: R$ 10,00</p>
-                        </div>
+    const formattedRange = view === 'day'
+        ? formatDateString(selectedDate, { weekday: 'long', day: '2-digit', month: 'long', year: 'numeric' })
+        : t('admin.weekRange', { start: formatDateString(days[0], { day: '2-digit', month: 'short' }), end: formatDateString(days[6], { day: '2-digit', month: 'short', year: 'numeric' }) });
+
+    return (
+        <div className="p-6 bg-gray-900 min-h-screen text-white">
+            <header className="flex flex-wrap justify-between items-center gap-4 mb-6 pb-4 border-b border-indigo-700">
+                <h1 className="text-3xl font-bold text-indigo-400">📋 {t('dashboard.staffAgenda')}</h1>
+                <div className="flex items-center space-x-4">
+                    {/* Receita e indicadores ficam só com os administradores */}
+                    {staffMember.role === 'admin' && (
                         <button
-                            onClick={handlePaymentAndBooking}
-                            disabled={isBooking}
-                            className="w-full sm:w-auto flex items-center justify-center py-3 px-6 rounded-lg text-lg font-bold text-white bg-green-600 hover:bg-green-700 transition duration-200 shadow-xl shadow-green-600/40 disabled:opacity-50 disabled:cursor-wait"
+                            onClick={() => setCurrentPage('reports')}
+                            className="px-4 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 text-sm font-semibold"
                         >
-                            {isBooking ? (
-                                <>
-                                    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                    </svg>
-                                    Processando...
-                                </>
-                            ) : 'Confirmar e Pagar (Simulado)'}
+                            📊 {t('admin.reports')}
                         </button>
-                    </div>
-                )}
-                {error && <p className="text-red-400 text-center mt-4">{error}</p>}
-                
-                <button
-                    onClick={() => setCurrentPage('dashboard')}
-                    className="mt-6 w-full py-2 text-indigo-400 hover:text-indigo-300 transition duration-150"
-                >
-                    Voltar para o Painel
-                </button>
+                    )}
+                    <button
+                        onClick={() => setCurrentPage('dashboard')}
+                        className="text-indigo-400 hover:text-indigo-300 transition duration-150"
+                    >
+                        {t('common.backToDashboard')}
+                    </button>
+                </div>
+            </header>
+
+            {legacyCount > 0 && (
+                <div className="flex flex-wrap items-center justify-between gap-4 bg-yellow-900 border border-yellow-600 p-4 rounded-xl mb-6">
+                    <p className="text-sm text-yellow-100">
+                        {t('admin.legacyWarning', { count: legacyCount })}
+                    </p>
+                    <button
+                        onClick={handleMigrate}
+                        disabled={isMigrating}
+                        className="px-4 py-2 rounded-lg bg-yellow-600 hover:bg-yellow-500 text-sm font-semibold disabled:opacity-50"
+                    >
+                        {isMigrating ? t('admin.migrating') : t('admin.migrate')}
+                    </button>
+                </div>
+            )}
+
+            {/* Navegação e filtros */}
+            <div className="flex flex-wrap items-center justify-between gap-4 bg-gray-800 p-4 rounded-xl shadow-lg mb-6">
+                <div className="flex items-center space-x-2">
+                    <button onClick={() => handleDateChange(-1)} className="px-3 py-1 rounded-lg bg-indigo-600 hover:bg-indigo-500">‹</button>
+                    <button onClick={() => setSelectedDate(getTodayDateString(schedule.timeZone))} className="px-3 py-1 rounded-lg bg-gray-700 hover:bg-gray-600 text-sm">{t('admin.today')}</button>
+                    <button onClick={() => handleDateChange(1)} className="px-3 py-1 rounded-lg bg-indigo-600 hover:bg-indigo-500">›</button>
+                    <span className="ml-2 font-semibold">{formattedRange}</span>
+                </div>
+                <div className="flex items-center space-x-2">
+                    <select
+                        value={barberFilter}
+                        onChange={(e) => setBarberFilter(e.target.value)}
+                        className="px-3 py-1 bg-gray-700 border border-gray-600 rounded-lg text-white"
+                    >
+                        <option value={ANY_BARBER}>{t('admin.allBarbers')}</option>
+                        {barbers.map(barber => <option key={barber.id} value={barber.id}>{barber.name}</option>)}
+                    </select>
+                    {['day', 'week'].map(option => (
+                        <button
+                            key={option}
+                            onClick={() => setView(option)}
+                            className={`px-3 py-1 rounded-lg text-sm ${view === option ? 'bg-indigo-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+                        >
+                            {t(REPORT_PERIODS[option].labelKey)}
+                        </button>
+                    ))}
+                    <button
+                        onClick={handleExportAgenda}
+                        title={t('admin.exportAgendaTitle')}
+                        className="px-3 py-1 rounded-lg bg-gray-700 hover:bg-gray-600 text-sm"
+                    >
+                        📅 {t('admin.exportAgenda')}
+                    </button>
+                </div>
             </div>
+
+            {error && <p className="text-red-400 text-center mb-4">{error}</p>}
+
+            {view === 'day' ? (
+                <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+                    {visibleBarbers.map(barber => {
+                        const entries = getEntries(barber.id, blockDateString);
+                        return (
+                            <div key={barber.id} className="bg-gray-800 p-4 rounded-xl shadow-xl border border-gray-700">
+                                <h3 className="text-lg font-bold text-indigo-400 mb-3">💇 {barber.name} ({entries.filter(entry => entry.type === 'appointment').length})</h3>
+                                {entries.length === 0 ? (
+                                    <p className="text-gray-400 text-sm">{t('admin.noAppointments')}</p>
+                                ) : (
+                                    <div className="space-y-3">{entries.map(entry => renderEntry(entry, false))}</div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-7 gap-3">
+                    {days.map(dateString => {
+                        const entries = visibleBarbers.flatMap(barber => getEntries(barber.id, dateString))
+                            .sort((a, b) => a.time.localeCompare(b.time));
+                        return (
+                            <div key={dateString} className="bg-gray-800 p-3 rounded-xl border border-gray-700">
+                                <button
+                                    onClick={() => { setSelectedDate(dateString); setView('day'); }}
+                                    className="w-full text-left font-semibold text-indigo-300 hover:text-indigo-200 mb-2"
+                                >
+                                    {formatDateString(dateString, { weekday: 'short', day: '2-digit', month: '2-digit' })}
+                                </button>
+                                <div className="space-y-2">{entries.map(entry => renderEntry(entry, true))}</div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            {/* Bloqueio manual (encaixe de cliente presencial) */}
+            {view === 'day' && (
+                <form onSubmit={handleBlock} className="mt-6 bg-gray-800 p-4 rounded-xl border border-gray-700 flex flex-wrap items-end gap-3">
+                    <h3 className="w-full text-lg font-bold text-indigo-400">🔒 {t('admin.blockTitle')}</h3>
+                    {blockDayHours.closed ? (
+                        <p className="text-gray-400 text-sm">{t('admin.closedDay')}</p>
+                    ) : (
+                        <>
+                            <select
+                                value={blockForm.barberId || (visibleBarbers[0] ? visibleBarbers[0].id : '')}
+                                onChange={(e) => setBlockForm(form => ({ ...form, barberId: e.target.value }))}
+                                className="px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+                            >
+                                {visibleBarbers.map(barber => <option key={barber.id} value={barber.id}>{barber.name}</option>)}
+                            </select>
+                            <select
+                                value={blockForm.durationMinutes}
+                                onChange={(e) => setBlockForm(form => ({ ...form, durationMinutes: Number(e.target.value), time: '' }))}
+                                className="px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+                            >
+                                {[1, 2, 3, 4, 6, 8].map(count => (
+                                    <option key={count} value={count * schedule.slotMinutes}>{count * schedule.slotMinutes} min</option>
+                                ))}
+                            </select>
+                            <select
+                                value={blockForm.time}
+                                onChange={(e) => setBlockForm(form => ({ ...form, time: e.target.value }))}
+                                className="px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+                            >
+                                <option value="">{t('admin.blockTime')}</option>
+                                {blockTimes.map(time => <option key={time} value={time}>{formatTimeString(time)}</option>)}
+                            </select>
+                            <input
+                                type="text"
+                                value={blockForm.reason}
+                                onChange={(e) => setBlockForm(form => ({ ...form, reason: e.target.value }))}
+                                placeholder={t('admin.blockReason')}
+                                className="flex-grow px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+                            />
+                            <button
+                                type="submit"
+                                disabled={isBlocking}
+                                className="px-4 py-2 rounded-lg bg-yellow-600 hover:bg-yellow-500 font-semibold disabled:opacity-50"
+                            >
+                                {isBlocking ? t('admin.blocking') : t('admin.block')}
+                            </button>
+                        </>
+                    )}
+                </form>
+            )}
         </div>
     );
 };
 
 
-const DashboardScreen = ({ userId, userProfile, appointments, setCurrentPage }) => {
-    const upcomingAppointments = useMemo(() => {
-        const now = new Date();
-        return appointments
-            .filter(app => app.userId === userId) // Filtrar apenas os agendamentos do usuário logado
-            .map(app => {
-                const dateTime = new Date(app.date + 'T' + app.time + ':00');
-                return {
-                    ...app,
-                    dateTime,
-                };
-            })
-            .filter(app => app.dateTime.getTime() >= now.getTime()) // Apenas agendamentos futuros
-            .sort((a, b) => a.dateTime.getTime() - b.dateTime.getTime()); // Ordenar por mais próximo
-    }, [appointments, userId]);
-
-    const formattedWhatsapp = userProfile.whatsapp ? `+${userProfile.whatsapp.replace(/(\d{2})(\d{2})(\d{5})(\d{4})/, '$1 ($2) $3-$4')}` : 'Não informado';
+const ReportsScreen = ({ appointments, barbers, schedule, setCurrentPage }) => {
+    const today = getTodayDateString(schedule.timeZone);
+    const [from, setFrom] = useState(() => `${today.slice(0, 7)}-01`);
+    const [to, setTo] = useState(today);
+    const [period, setPeriod] = useState('day');
+
+    const isRangeValid = Boolean(from && to && from <= to);
+    const reports = useMemo(
+        () => (isRangeValid ? buildReports(appointments, { from, to, schedule, barbers }) : null),
+        [appointments, from, to, schedule, barbers, isRangeValid]
+    );
+
+    const thisMonthStart = `${today.slice(0, 7)}-01`;
+    const lastMonthEnd = addDays(thisMonthStart, -1);
+    const shortcuts = [
+        { label: t('reports.thisMonth'), from: thisMonthStart, to: today },
+        { label: t('reports.lastMonth'), from: `${lastMonthEnd.slice(0, 7)}-01`, to: lastMonthEnd },
+        { label: t('reports.last90Days'), from: addDays(today, -89), to: today },
+    ];
+
+    const formatRate = (rate) => (rate === null ? '—' : `${Math.round(rate * 100)}%`);
+    // Percentual com uma casa decimal para a planilha (vazio quando não há base de cálculo)
+    const toPercent = (rate) => (rate === null ? null : Math.round(rate * 1000) / 10);
+    const formatPeriodKey = (key) => {
+        if (period === 'month') return formatDateString(`${key}-01`, { month: 'long', year: 'numeric' });
+        const label = formatDateString(key, { day: '2-digit', month: '2-digit', year: 'numeric' });
+        return period === 'week' ? t('reports.weekOf', { date: label }) : label;
+    };
+    const exportCsv = (name, header, rows) => downloadCsv(buildCsv(header, rows), `${name}-${from}-a-${to}.csv`);
+
+    // Dias da semana a partir de segunda, e as horas que têm expediente em algum dia do período
+    const heatmapWeekdays = [1, 2, 3, 4, 5, 6, 0];
+    const cellHours = reports ? reports.occupancy.heatmap.map(cell => cell.hour) : [];
+    const heatmapHours = cellHours.length > 0
+        ? Array.from({ length: Math.max(...cellHours) - Math.min(...cellHours) + 1 }, (_, index) => Math.min(...cellHours) + index)
+        : [];
+    const getHeatmapCell = (weekday, hour) => reports.occupancy.heatmap.find(cell => cell.weekday === weekday && cell.hour === hour) || null;
+
+    const renderExportButton = (onClick) => (
+        <button onClick={onClick} className="px-3 py-1 rounded-lg bg-gray-700 hover:bg-gray-600 text-sm">
+            ⬇️ {t('reports.exportCsv')}
+        </button>
+    );
+
+    // Receita por serviço ou por barbeiro
+    const renderGroupTable = (title, groupLabel, rows, fileName) => (
+        <section className="bg-gray-800 p-4 rounded-xl shadow-xl border border-gray-700">
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-bold text-indigo-400">{title}</h3>
+                {renderExportButton(() => exportCsv(fileName, [groupLabel, t('reports.appointments'), t('reports.revenueBrl')], rows.map(row => [row.label, row.count, row.revenue])))}
+            </div>
+            {rows.length === 0 ? (
+                <p className="text-sm text-gray-400">{t('reports.noRevenue')}</p>
+            ) : (
+                <table className="w-full text-sm">
+                    <tbody>
+                        {rows.map(row => (
+                            <tr key={row.key} className="border-t border-gray-700">
+                                <td className="py-2">{row.label}</td>
+                                <td className="py-2 text-right text-gray-400">{row.count}</td>
+                                <td className="py-2 text-right font-semibold">{formatPrice(row.revenue)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </section>
+    );
 
     return (
         <div className="p-6 bg-gray-900 min-h-screen text-white">
-            <header className="flex justify-between items-center mb-6 pb-4 border-b border-indigo-700">
-                <h1 className="text-3xl font-bold text-indigo-400">👋 Olá, {userProfile.name.split(' ')[0]}!</h1>
+            <header className="flex flex-wrap justify-between items-center gap-4 mb-6 pb-4 border-b border-indigo-700">
+                <h1 className="text-3xl font-bold text-indigo-400">📊 {t('admin.reports')}</h1>
                 <button
-                    onClick={() => setCurrentPage('schedule')}
-                    className="flex items-center bg-indigo-600 text-white py-2 px-4 rounded-lg font-semibold hover:bg-indigo-500 transition duration-200 shadow-md shadow-indigo-500/50"
+                    onClick={() => setCurrentPage('admin')}
+                    className="text-indigo-400 hover:text-indigo-300 transition duration-150"
                 >
-                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M10 3a1 1 0 011 1v5h5a1 1 0 110 2h-5v5a1 1 0 11-2 0v-5H4a1 1 0 110-2h5V4a1 1 0 011-1z" clipRule="evenodd" /></svg>
-                    Novo Agendamento
+                    {t('reports.backToAgenda')}
                 </button>
             </header>
 
-            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-                {/* Cartão de Perfil */}
-                <div className="lg:col-span-1 bg-gray-800 p-6 rounded-xl shadow-xl border border-gray-700 h-fit">
-                    <h3 className="text-xl font-bold text-indigo-400 mb-4">👤 Meu Perfil</h3>
-                    <p className="text-gray-300">
-                        <span className="font-semibold block">Nome:</span> {userProfile.name}
-                    </p>
-                    <p className="text-gray-300 mt-2">
-                        <span className="font-semibold block">WhatsApp:</span> {formattedWhatsapp}
-                    </p>
-                    <p className="text-xs text-gray-500 mt-4">Este é o número que receberá o lembrete.</p>
-                </div>
+            {/* Período dos relatórios */}
+            <div className="flex flex-wrap items-center gap-4 bg-gray-800 p-4 rounded-xl shadow-lg mb-6">
+                <label className="text-sm text-gray-300">
+                    {t('reports.from')} <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="ml-1 px-2 py-1 bg-gray-700 border border-gray-600 rounded-lg text-white" />
+                </label>
+                <label className="text-sm text-gray-300">
+                    {t('reports.to')} <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="ml-1 px-2 py-1 bg-gray-700 border border-gray-600 rounded-lg text-white" />
+                </label>
+                {shortcuts.map(shortcut => (
+                    <button
+                        key={shortcut.label}
+                        onClick={() => { setFrom(shortcut.from); setTo(shortcut.to); }}
+                        className={`px-3 py-1 rounded-lg text-sm ${from === shortcut.from && to === shortcut.to ? 'bg-indigo-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+                    >
+                        {shortcut.label}
+                    </button>
+                ))}
+            </div>
 
-                {/* Cartão de Agendamentos */}
-                <div className="lg:col-span-2 bg-gray-800 p-6 rounded-xl shadow-xl border border-gray-700">
-                    <h3 className="text-xl font-bold text-indigo-400 mb-4">🗓️ Próximos Cortes ({upcomingAppointments.length})</h3>
-                    
-                    {upcomingAppointments.length === 0 ? (
-                        <div className="text-center py-10 bg-gray-700 rounded-lg">
-                            <p className="text-gray-400 text-lg">Você não tem agendamentos futuros.</p>
-                            <button
-                                onClick={() => setCurrentPage('schedule')}
-                                className="mt-4 text-indigo-400 hover:text-indigo-300 font-medium"
-                            >
-                                Clique aqui para agendar!
-                            </button>
+            {!reports ? (
+                <p className="text-red-400 text-center">{t('reports.invalidRange')}</p>
+            ) : (
+                <div className="space-y-6">
+                    {/* Resumo */}
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                        {[
+                            { label: t('reports.revenue'), value: formatPrice(reports.revenue.total) },
+                            { label: t('reports.occupancy'), value: formatRate(reports.occupancy.rate) },
+                            { label: t('reports.newReturning'), value: `${reports.customers.newCount} / ${reports.customers.returningCount}` },
+                            { label: t('reports.noShows'), value: formatRate(reports.attendance.noShowRate) },
+                            { label: t('reports.cancellations'), value: formatRate(reports.attendance.cancellationRate) },
+                        ].map(card => (
+                            <div key={card.label} className="bg-gray-800 p-4 rounded-xl border border-gray-700">
+                                <p className="text-xs text-gray-400">{card.label}</p>
+                                <p className="text-2xl font-bold text-white">{card.value}</p>
+                            </div>
+                        ))}
+                    </div>
+
+                    {/* Receita e clientes por período */}
+                    <section className="bg-gray-800 p-4 rounded-xl shadow-xl border border-gray-700">
+                        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                            <h3 className="text-lg font-bold text-indigo-400">💰 {t(`reports.revenueBy.${period}`)}</h3>
+                            <div className="flex items-center space-x-2">
+                                {Object.entries(REPORT_PERIODS).map(([option, { labelKey }]) => (
+                                    <button
+                                        key={option}
+                                        onClick={() => setPeriod(option)}
+                                        className={`px-3 py-1 rounded-lg text-sm ${period === option ? 'bg-indigo-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+                                    >
+                                        {t(labelKey)}
+                                    </button>
+                                ))}
+                                {renderExportButton(() => exportCsv(
+                                    `receita-por-${period === 'day' ? 'dia' : period === 'week' ? 'semana' : 'mes'}`,
+                                    [t(REPORT_PERIODS[period].labelKey), t('reports.appointments'), t('reports.newCustomers'), t('reports.returningCustomers'), t('reports.revenueBrl')],
+                                    reports.revenue.byPeriod[period].map(row => [period === 'month' ? row.key : formatDateString(row.key, { day: '2-digit', month: '2-digit', year: 'numeric' }), row.appointments, row.newCustomers, row.returningCustomers, row.revenue])
+                                ))}
+                            </div>
                         </div>
-                    ) : (
-                        <div className="space-y-4">
-                            {upcomingAppointments.map((app, index) => (
-                                <div key={app.id} className="p-4 rounded-lg bg-gray-700 border-l-4 border-indigo-500 flex justify-between items-center transition duration-150 hover:bg-gray-600">
-                                    <div>
-                                        <p className="text-lg font-bold text-white">
-                                            {app.dateTime.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })}
-                                        </p>
-                                        <p className="text-sm text-gray-300">
-                                            {app.dateTime.toLocaleDateString('pt-BR', { day: '2-digit', month: 'long', year: 'numeric' })}
-                                        </p>
-                                        <p className="text-xs text-indigo-300 mt-1">{app.service} (R$ {app.price.toFixed(2).replace('.', ',')})</p>
-                                    </div>
-                                    <span className="text-xs font-semibold px-3 py-1 bg-green-600 rounded-full text-white">
-                                        {app.paid ? 'Pago' : 'Pendente'}
-                                    </span>
-                                </div>
+                        {reports.revenue.byPeriod[period].length === 0 ? (
+                            <p className="text-sm text-gray-400">{t('reports.noAppointments')}</p>
+                        ) : (
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-gray-400 text-left">
+                                        <th className="py-2 font-normal">{t(REPORT_PERIODS[period].labelKey)}</th>
+                                        <th className="py-2 font-normal text-right">{t('reports.appointments')}</th>
+                                        <th className="py-2 font-normal text-right">{t('reports.new')}</th>
+                                        <th className="py-2 font-normal text-right">{t('reports.returning')}</th>
+                                        <th className="py-2 font-normal text-right">{t('reports.revenue')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {reports.revenue.byPeriod[period].map(row => (
+                                        <tr key={row.key} className="border-t border-gray-700">
+                                            <td className="py-2">{formatPeriodKey(row.key)}</td>
+                                            <td className="py-2 text-right">{row.appointments}</td>
+                                            <td className="py-2 text-right">{row.newCustomers}</td>
+                                            <td className="py-2 text-right">{row.returningCustomers}</td>
+                                            <td className="py-2 text-right font-semibold">{formatPrice(row.revenue)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </section>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        {renderGroupTable(`✂️ ${t('reports.revenueByService')}`, t('reports.service'), reports.revenue.byService, 'receita-por-servico')}
+                        {renderGroupTable(`💈 ${t('reports.revenueByBarber')}`, t('reports.barber'), reports.revenue.byBarber, 'receita-por-barbeiro')}
+                    </div>
+
+                    {/* Mapa de calor: ocupação por dia da semana e hora */}
+                    <section className="bg-gray-800 p-4 rounded-xl shadow-xl border border-gray-700">
+                        <div className="flex items-center justify-between mb-3">
+                            <h3 className="text-lg font-bold text-indigo-400">🔥 {t('reports.busiestTimes')}</h3>
+                            {renderExportButton(() => exportCsv(
+                                'ocupacao-por-hora',
+                                [t('reports.weekday'), t('reports.hour'), t('reports.capacityMinutes'), t('reports.bookedMinutes'), t('reports.occupancyPercent')],
+                                heatmapWeekdays.flatMap(weekday => heatmapHours
+                                    .map(hour => getHeatmapCell(weekday, hour))
+                                    .filter(Boolean)
+                                    .map(cell => [formatWeekday(weekday), minutesToTime(cell.hour * 60), cell.capacityMinutes, cell.bookedMinutes, toPercent(cell.rate)]))
                             ))}
                         </div>
-                    )}
+                        {heatmapHours.length === 0 ? (
+                            <p className="text-sm text-gray-400">{t('reports.neverOpen')}</p>
+                        ) : (
+                            <div className="overflow-x-auto">
+                                <table className="text-xs text-center">
+                                    <thead>
+                                        <tr>
+                                            <th></th>
+                                            {heatmapHours.map(hour => <th key={hour} className="px-1 pb-1 font-normal text-gray-400">{hour}h</th>)}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {heatmapWeekdays.map(weekday => (
+                                            <tr key={weekday}>
+                                                <td className="pr-2 text-right text-gray-400">{formatWeekday(weekday)}</td>
+                                                {heatmapHours.map(hour => {
+                                                    const cell = getHeatmapCell(weekday, hour);
+                                                    return (
+                                                        <td key={hour} className="p-0.5">
+                                                            <div
+                                                                title={cell ? t('reports.bookedOf', { booked: cell.bookedMinutes, capacity: cell.capacityMinutes }) : t('availability.closed')}
+                                                                className={`w-10 py-2 rounded ${cell && cell.rate !== null ? getOccupancyLevel(cell.rate).className : 'bg-gray-900 text-gray-600'}`}
+                                                            >
+                                                                {cell ? formatRate(cell.rate) : ''}
+                                                            </div>
+                                                        </td>
+                                                    );
+                                                })}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                <div className="flex flex-wrap gap-3 mt-3 text-xs text-gray-400">
+                                    {OCCUPANCY_LEVELS.map(level => (
+                                        <span key={level.min} className="flex items-center">
+                                            <span className={`inline-block w-3 h-3 rounded mr-1 ${level.className}`}></span>
+                                            {t(level.labelKey)}
+                                        </span>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                    </section>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        {/* Ocupação por data */}
+                        <section className="bg-gray-800 p-4 rounded-xl shadow-xl border border-gray-700">
+                            <div className="flex items-center justify-between mb-3">
+                                <h3 className="text-lg font-bold text-indigo-400">📈 {t('reports.occupancyByDay')}</h3>
+                                {renderExportButton(() => exportCsv(
+                                    'ocupacao-por-dia',
+                                    [t('reports.date'), t('reports.capacityMinutes'), t('reports.bookedMinutes'), t('reports.occupancyPercent')],
+                                    reports.occupancy.byDate.map(day => [formatDateString(day.date, { day: '2-digit', month: '2-digit', year: 'numeric' }), day.capacityMinutes, day.bookedMinutes, toPercent(day.rate)])
+                                ))}
+                            </div>
+                            <div className="space-y-1 max-h-80 overflow-y-auto">
+                                {reports.occupancy.byDate.map(day => (
+                                    <div key={day.date} className="flex items-center justify-between text-sm">
+                                        <span className="text-gray-300">{formatDateString(day.date, { weekday: 'short', day: '2-digit', month: '2-digit' })}</span>
+                                        <span className="text-xs text-gray-400">{t('reports.minutesOf', { booked: day.bookedMinutes, capacity: day.capacityMinutes })}</span>
+                                        <span className={`w-14 text-center rounded py-0.5 ${day.rate === null ? 'bg-gray-900 text-gray-600' : getOccupancyLevel(day.rate).className}`}>
+                                            {formatRate(day.rate)}
+                                        </span>
+                                    </div>
+                                ))}
+                            </div>
+                        </section>
+
+                        {/* Faltas e cancelamentos */}
+                        <section className="bg-gray-800 p-4 rounded-xl shadow-xl border border-gray-700">
+                            <div className="flex items-center justify-between mb-3">
+                                <h3 className="text-lg font-bold text-indigo-400">🚫 {t('reports.attendance')}</h3>
+                                {renderExportButton(() => exportCsv(
+                                    'faltas-e-cancelamentos',
+                                    [t('reports.indicator'), t('reports.value')],
+                                    [
+                                        [t('reports.appointments'), reports.attendance.total],
+                                        [t('reports.completed'), reports.attendance.completed],
+                                        [t('reports.noShows'), reports.attendance.no_show],
+                                        [t('reports.cancelled'), reports.attendance.cancelled],
+                                        [t('reports.noShowRate'), toPercent(reports.attendance.noShowRate)],
+                                        [t('reports.cancellationRate'), toPercent(reports.attendance.cancellationRate)],
+                                    ]
+                                ))}
+                            </div>
+                            <table className="w-full text-sm">
+                                <tbody>
+                                    {[
+                                        [t('reports.appointmentsInRange'), reports.attendance.total],
+                                        [t('reports.completed'), reports.attendance.completed],
+                                        [t('reports.noShows'), t('reports.noShowDetail', { count: reports.attendance.no_show, rate: formatRate(reports.attendance.noShowRate) })],
+                                        [t('reports.cancelled'), t('reports.cancelledDetail', { count: reports.attendance.cancelled, rate: formatRate(reports.attendance.cancellationRate) })],
+                                    ].map(([label, value]) => (
+                                        <tr key={label} className="border-t border-gray-700">
+                                            <td className="py-2 text-gray-300">{label}</td>
+                                            <td className="py-2 text-right">{value}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </section>
+                    </div>
                 </div>
-            </div>
+            )}
         </div>
     );
 };
 
 
+// --- BACKEND LOCAL (SEM FIREBASE) ---
+
+/**
+ * Banco local (localStorage deste navegador) usado sem Firebase. Já vem com uma chave PIX de demonstração,
+ * para o fluxo de pagamento funcionar com o webhook simulado.
+ * @returns {object}
+ */
+const createLocalDb = () => createMemoryStore({
+    storage: window.localStorage,
+    storageKey: LOCAL_DATA_STORAGE_KEY,
+    seed: {
+        [`${getSettingsCollectionPath(DEFAULT_SHOP_ID)}/pix`]: { ...DEFAULT_PIX_SETTINGS, key: 'demo@barbearia.local', merchantName: 'Barbearia Demo' },
+    },
+});
+
+/**
+ * UID do cliente no modo local: gerado uma vez e guardado neste navegador (faz o papel do login anônimo).
+ * @returns {string}
+ */
+const getLocalUserId = () => {
+    let localUserId = localStorage.getItem(LOCAL_USER_STORAGE_KEY);
+    if (!localUserId) {
+        localUserId = `local-${crypto.randomUUID()}`;
+        localStorage.setItem(LOCAL_USER_STORAGE_KEY, localUserId);
+    }
+    return localUserId;
+};
+
 // --- APP PRINCIPAL ---
 
-const App = () => {
-    const [db, setDb] = useState(null);
-    const [auth, setAuth] = useState(null);
-    const [userId, setUserId] = useState(null);
+// Telas de uma unidade. Todas recebem o ID dela e passam adiante às funções de dados
+const ShopApp = ({ db, auth, userId, shop, shops, route, navigate, onSwitchShop, locale, onChangeLocale, onAccountDeleted }) => {
+    const shopId = shop.id;
     const [isAuthReady, setIsAuthReady] = useState(false);
+    const [isRecoveringAccount, setIsRecoveringAccount] = useState(false); // Migrando dados da conta anônima
     
     // Estado da Aplicação
-    const [currentPage, setCurrentPage] = useState('dashboard'); // 'auth', 'dashboard', 'schedule'
     const [userProfile, setUserProfile] = useState(null); // { name, whatsapp, profileComplete }
-    const [appointments, setAppointments] = useState([]); // Lista de todos os agendamentos
     const [showNotification, setShowNotification] = useState(null); // Guarda o objeto do agendamento recém-criado
+    const [rescheduleTarget, setRescheduleTarget] = useState(null); // Agendamento sendo remarcado (null = novo agendamento)
 
-    // 1. Inicialização do Firebase e Autenticação
-    useEffect(() => {
-        if (!firebaseConfig) {
-            console.error("Configuração do Firebase não encontrada.");
-            return;
-        }
+    const policy = useSettingsDoc(db, shopId, 'policy', DEFAULT_CANCELLATION_POLICY);
+    const services = useServices(db, shopId);
+    const barbers = useBarbers(db, shopId);
+    const scheduleSettings = useSettingsDoc(db, shopId, 'schedule', DEFAULT_SCHEDULE);
+    // Um fuso inválido no documento quebraria toda a formatação de datas; nesse caso vale o padrão
+    const schedule = useMemo(
+        () => isValidTimeZone(scheduleSettings.timeZone) ? scheduleSettings : { ...scheduleSettings, timeZone: DEFAULT_TIMEZONE },
+        [scheduleSettings]
+    );
+    const pixSettings = useSettingsDoc(db, shopId, 'pix', DEFAULT_PIX_SETTINGS);
+    const loyalty = useSettingsDoc(db, shopId, 'loyalty', DEFAULT_LOYALTY_SETTINGS);
+    const pricingSettings = useSettingsDoc(db, shopId, 'pricing', DEFAULT_PRICING_SETTINGS);
+    const staffMember = useStaffMember(db, shopId, userId);
 
-        const app = initializeApp(firebaseConfig);
-        const firestore = getFirestore(app);
-        const firebaseAuth = getAuth(app);
-        
-        setDb(firestore);
-        setAuth(firebaseAuth);
+    // Agendamentos só são carregados após a autenticação. O cliente lê apenas os próprios;
+    // a lista completa é da equipe (agenda, despacho de lembretes)
+    const hasProfile = Boolean(userProfile);
+    const myAppointments = useAppointments(db, shopId, userId, isAuthReady && hasProfile && Boolean(userId));
+    const staffAppointments = useAppointments(db, shopId, null, isAuthReady && hasProfile && Boolean(staffMember));
 
-        // Listener de estado de autenticação
-        const unsubscribeAuth = onAuthStateChanged(firebaseAuth, (user) => {
-            if (user) {
-                setUserId(user.uid);
-                // Tenta carregar o perfil assim que o usuário estiver autenticado
-                loadUserProfile(firestore, user.uid);
-            } else {
-                // Se não houver usuário, tenta login com o token inicial ou anônimo
-                authenticateUser(firebaseAuth, firestore);
-            }
-        });
+    const myWaitlist = useWaitlist(db, shopId, userId, isAuthReady && hasProfile && Boolean(userId));
+    const staffWaitlist = useWaitlist(db, shopId, null, isAuthReady && hasProfile && Boolean(staffMember));
 
-        const authenticateUser = async (authInstance, dbInstance) => {
-            try {
-                if (initialAuthToken) {
-                    await signInWithCustomToken(authInstance, initialAuthToken);
-                } else {
-                    await signInAnonymously(authInstance);
-                }
-            } catch (error) {
-                console.error("Erro na autenticação:", error);
-            }
-        };
+    // O painel do cliente também mostra os horários dele nas outras unidades
+    const otherShops = useMemo(() => shops.filter(item => item.id !== shop.id), [shops, shop]);
+    const otherShopAppointments = useOtherShopsAppointments(db, userId, otherShops, isAuthReady && hasProfile);
 
-        const loadUserProfile = async (dbInstance, uid) => {
-            try {
-                // Obtém a referência do documento de perfil
-                const docRef = doc(dbInstance, getUserProfileCollectionPath(uid), 'data');
-                const docSnap = await getDoc(docRef);
-                
-                if (docSnap.exists() && docSnap.data().profileComplete) {
-                    setUserProfile(docSnap.data());
-                } else {
-                    // Se o perfil não estiver completo, leva para a tela de Auth
-                    setCurrentPage('auth');
-                }
-                setIsAuthReady(true);
-            } catch (error) {
-                console.error("Erro ao carregar perfil:", error);
-                setIsAuthReady(true); // Permite a renderização mesmo com erro
-            }
-        };
+    // A fila de lembretes é despachada pelo servidor; na simulação, cada sessão despacha o que enxerga
+    // (a equipe, tudo; o cliente, os próprios agendamentos), e dá para testar o fluxo completo num navegador só
+    useMessageDispatcher(db, messagingProvider, staffMember ? staffAppointments : myAppointments, MESSAGING_SIMULATION, shop, getAppointmentsCollectionPath(shopId));
+    useMessageDispatcher(db, messagingProvider, staffMember ? staffWaitlist : myWaitlist, MESSAGING_SIMULATION, shop, getWaitlistCollectionPath(shopId));
 
-        return () => unsubscribeAuth();
-    }, []);
+    // As vagas da lista de espera são oferecidas pelo servidor; no modo local, o navegador faz esse papel
+    useWaitlistProcessor(db, shopId, staffMember ? staffWaitlist : myWaitlist, schedule, barbers, USE_LOCAL_BACKEND);
 
+    // Repetições das séries com a primeira ocorrência recém-confirmada; no deploy, quem agenda é o servidor
+    useSeriesRepeatsBooking(db, shopId, staffMember ? staffAppointments : myAppointments, schedule, USE_LOCAL_BACKEND && isAuthReady && hasProfile);
 
-    // 2. Listener de Agendamentos (só roda após a autenticação)
+    // 1. Listener do Perfil em tempo real (o crédito muda ao cancelar ou usar em um agendamento)
     useEffect(() => {
-        if (!db || !isAuthReady || !userProfile) return; // Espera o DB e o Perfil
+        if (!db || !userId) return;
 
-        // Listener de Agendamentos em tempo real para o Dashboard
-        const appointmentsRef = collection(db, getAppointmentsCollectionPath());
-        const q = query(appointmentsRef); // Sem filtro, o ScheduleGrid irá filtrar
-
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const fetchedAppointments = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
-            setAppointments(fetchedAppointments);
-        }, (err) => {
-            console.error("Erro ao carregar agendamentos:", err);
+        // Obtém a referência do documento de perfil
+        const docRef = doc(db, getUserProfileCollectionPath(userId, shopId), 'data');
+        const unsubscribe = onSnapshot(docRef, (docSnap) => {
+            if (docSnap.exists() && docSnap.data().profileComplete) {
+                setUserProfile(docSnap.data());
+            } else {
+                // Sem perfil completo, qualquer rota mostra a tela de Auth (e volta para a rota pedida depois)
+                setUserProfile(null);
+            }
+            setIsAuthReady(true);
+        }, (error) => {
+            console.error("Erro ao carregar perfil:", error);
+            setIsAuthReady(true); // Permite a renderização mesmo com erro
         });
 
         return () => unsubscribe();
-    }, [db, isAuthReady, userProfile]);
+    }, [db, shopId, userId]);
+
+    // O idioma guardado no perfil vale em qualquer aparelho em que o cliente entrar
+    const profileLocale = userProfile ? userProfile.locale : null;
+    useEffect(() => {
+        if (isSupportedLocale(profileLocale)) onChangeLocale(profileLocale);
+    }, [profileLocale, onChangeLocale]);
+
+    // 2. Conta verificada: conclui o login por link de e-mail e, depois de entrar numa conta que já
+    // existia, migra para ela o perfil e os agendamentos da conta anônima deste navegador.
+    // A transferência é da unidade em que foi pedida (transferências antigas, sem `shopId`, são da padrão)
+    useEffect(() => {
+        if (!db || !auth || !userId) return;
+
+        const pending = readPendingTransfer();
+        if (pending && pending.fromUid !== userId && (pending.shopId || DEFAULT_SHOP_ID) === shopId) {
+            setIsRecoveringAccount(true);
+            claimAccountTransfer(auth, shopId, pending)
+                // Concluída ou expirada (os dados continuam na conta anônima), a transferência não é tentada de novo
+                .then(() => localStorage.removeItem(PENDING_TRANSFER_STORAGE_KEY))
+                .catch(err => {
+                    console.error("Erro ao migrar a conta anônima:", err);
+                    // Recusada não adianta tentar de novo; falhas de rede são refeitas no próximo acesso
+                    if (TRANSFER_REJECTED_ERRORS.includes(err.code)) localStorage.removeItem(PENDING_TRANSFER_STORAGE_KEY);
+                })
+                .finally(() => setIsRecoveringAccount(false));
+            return;
+        }
+
+        completeEmailLinkVerification(db, shopId, auth)
+            .catch(err => console.error("Erro ao concluir o login por e-mail:", err));
+    }, [db, auth, userId, shopId]);
     
     // Função de callback para atualização de perfil
+    // A URL continua a mesma: quem chegou por um link direto segue para a tela do link
     const handleProfileComplete = (profileData) => {
         setUserProfile(profileData);
-        setCurrentPage('dashboard');
+    };
+
+    // Troca de idioma: a interface muda na hora; com perfil, os próximos lembretes também passam a sair nele
+    const handleChangeLocale = (nextLocale) => {
+        onChangeLocale(nextLocale);
+        if (!userProfile) return;
+        saveCustomerProfile(db, shopId, userId, { locale: nextLocale }, myAppointments, myWaitlist)
+            .catch(err => console.error("Erro ao salvar o idioma:", err));
     };
 
     // Função de callback para agendamento confirmado
     const handleBookingConfirmed = (newAppointment) => {
         setShowNotification(newAppointment);
-        setCurrentPage('dashboard');
+        navigate('dashboard');
     }
 
+    // Remarcação: abre o grid de horários em modo de remarcação para o agendamento escolhido
+    const handleStartReschedule = (appointment) => {
+        setRescheduleTarget(appointment);
+        navigate('schedule');
+    };
+
+    const handleRescheduled = (updatedAppointment) => {
+        setRescheduleTarget(null);
+        handleBookingConfirmed(updatedAppointment);
+    };
+
+    // "Agendar de novo": abre o grid com o serviço e o barbeiro de um agendamento do histórico
+    const handleBookAgain = (appointment) => {
+        setRescheduleTarget(null);
+        navigate('schedule', { servico: appointment.serviceId || appointment.service, barbeiro: appointment.barberId });
+    };
+
+    // Sair do grid (pelo app ou pelo botão voltar do navegador) encerra uma remarcação em andamento
+    useEffect(() => {
+        if (route.page !== 'schedule') setRescheduleTarget(null);
+    }, [route.page]);
+
+    // Pré-seleções do grid vindas da URL, como /agendar?data=2026-10-24&servico=corte&barbeiro=joao
+    // (links de divulgação e "Agendar de novo"). O serviço pode vir pelo ID ou pelo nome
+    const bookingPreset = useMemo(() => {
+        if (route.page !== 'schedule') return null;
+        const { data, servico, barbeiro } = route.params;
+        return {
+            date: data && isValidDateString(data) ? data : null,
+            service: servico || null,
+            barberId: barbeiro || null,
+        };
+    }, [route]);
+
     // Lógica de Renderização
     let content;
 
     if (!isAuthReady) {
-        content = <LoadingScreen message="Inicializando sistema..." />;
+        content = <LoadingScreen message={t('common.initializing')} />;
+    } else if (isRecoveringAccount) {
+        content = <LoadingScreen message={t('auth.recoveringAccount')} />;
     } else if (!userProfile || !userProfile.profileComplete) {
-        content = <AuthScreen db={db} userId={userId} onProfileComplete={handleProfileComplete} />;
+        content = <AuthScreen db={db} auth={auth} userId={userId} shop={shop} shops={shops} onProfileComplete={handleProfileComplete} />;
     } else {
-        switch (currentPage) {
+        switch (route.page) {
             case 'schedule':
                 content = (
                     <ScheduleGrid
                         db={db}
+                        shopId={shopId}
                         userId={userId}
                         userProfile={userProfile}
-                        setCurrentPage={setCurrentPage}
+                        services={services}
+                        barbers={barbers}
+                        schedule={schedule}
+                        pixSettings={pixSettings}
+                        loyalty={loyalty}
+                        pricingSettings={pricingSettings}
+                        appointments={myAppointments}
+                        waitlist={myWaitlist}
+                        setCurrentPage={navigate}
                         onBookingConfirmed={handleBookingConfirmed}
+                        rescheduleTarget={rescheduleTarget}
+                        onRescheduled={handleRescheduled}
+                        preset={bookingPreset}
+                    />
+                );
+                break;
+            case 'profile':
+                content = (
+                    <ProfileScreen
+                        db={db}
+                        shopId={shopId}
+                        auth={auth}
+                        userId={userId}
+                        shops={shops}
+                        userProfile={userProfile}
+                        appointments={myAppointments}
+                        waitlist={myWaitlist}
+                        schedule={schedule}
+                        setCurrentPage={navigate}
+                        onAccountDeleted={onAccountDeleted}
                     />
                 );
                 break;
+            case 'reports':
+                // Relatórios são dos administradores; o resto da equipe cai na agenda, e clientes no painel
+                if (staffMember && staffMember.role === 'admin') {
+                    content = (
+                        <ReportsScreen
+                            appointments={staffAppointments}
+                            barbers={barbers}
+                            schedule={schedule}
+                            setCurrentPage={navigate}
+                        />
+                    );
+                    break;
+                }
+                // falls through
+            case 'admin':
+                // Página restrita à equipe; clientes caem no painel
+                if (staffMember) {
+                    content = (
+                        <AdminScreen
+                            db={db}
+                            shopId={shopId}
+                            userId={userId}
+                            staffMember={staffMember}
+                            appointments={staffAppointments}
+                            barbers={barbers}
+                            schedule={schedule}
+                            loyalty={loyalty}
+                            setCurrentPage={navigate}
+                        />
+                    );
+                    break;
+                }
+                // falls through
             case 'dashboard':
             default:
                 content = (
                     <DashboardScreen
-                        userId={userId}
+                        db={db}
+                        shopId={shopId}
+                        auth={auth}
+                        shop={shop}
+                        shops={shops}
                         userProfile={userProfile}
-                        appointments={appointments}
-                        setCurrentPage={setCurrentPage}
+                        staffMember={staffMember}
+                        appointments={myAppointments}
+                        otherShopAppointments={otherShopAppointments}
+                        waitlist={myWaitlist}
+                        policy={policy}
+                        pixSettings={pixSettings}
+                        loyalty={loyalty}
+                        pricingSettings={pricingSettings}
+                        setCurrentPage={navigate}
+                        onReschedule={handleStartReschedule}
+                        onBookAgain={handleBookAgain}
+                        onSwitchShop={onSwitchShop}
                     />
                 );
                 break;
@@ -637,9 +5869,11 @@ const App = () => {
     return (
         <div className="min-h-screen bg-gray-900 font-sans">
             {content}
+            <LanguageSwitcher locale={locale} onChange={handleChangeLocale} />
             {showNotification && (
                 <NotificationDisplay 
                     appointment={showNotification} 
+                    shop={shop}
                     onClose={() => setShowNotification(null)} 
                 />
             )}
@@ -647,4 +5881,147 @@ const App = () => {
     );
 };
 
+const App = () => {
+    const [db, setDb] = useState(null);
+    const [auth, setAuth] = useState(null);
+    const [userId, setUserId] = useState(null);
+
+    const [locale, setLocale] = useState(getInitialLocale);
+    // Idioma em que as telas já renderizam: t() e os formatos de timezone.js e phone.js usam o idioma ativo,
+    // trocado no efeito abaixo antes de as telas renderizarem de novo
+    const [renderedLocale, setRenderedLocale] = useState(null);
+
+    const [route, navigate] = useRoute(); // Tela, unidade e parâmetros da URL (ver router.js)
+    const shops = useShops(db);
+    const shop = useMemo(() => shops && resolveShop(shops, route.shopSlug), [shops, route.shopSlug]);
+
+    // 1. Inicialização do Firebase e Autenticação
+    useEffect(() => {
+        if (USE_LOCAL_BACKEND) {
+            const localDb = createLocalDb();
+            const localUserId = getLocalUserId();
+            // Na demonstração, VITE_LOCAL_ADMIN libera a Agenda da Equipe para o usuário local
+            if (import.meta.env.VITE_LOCAL_ADMIN === 'true') {
+                setDoc(doc(localDb, getStaffCollectionPath(DEFAULT_SHOP_ID), localUserId), { role: 'admin', name: 'Administrador (demo)' }, { merge: true })
+                    .catch(err => console.error("Erro ao cadastrar administrador local:", err));
+            }
+            setDb(localDb);
+            setUserId(localUserId);
+            return;
+        }
+
+        const app = initializeApp(firebaseConfig);
+        const firestore = getFirestore(app);
+        const firebaseAuth = getAuth(app);
+
+        if (USE_FIREBASE_EMULATORS) {
+            connectAuthEmulator(firebaseAuth, `http://${FIREBASE_EMULATOR_HOST}:9099`, { disableWarnings: true });
+            connectFirestoreEmulator(firestore, FIREBASE_EMULATOR_HOST, 8080);
+            connectFunctionsEmulator(getFunctions(app), FIREBASE_EMULATOR_HOST, 5001);
+            // O emulador não valida o reCAPTCHA do login por SMS
+            firebaseAuth.settings.appVerificationDisabledForTesting = true;
+        }
+        
+        setDb(firestore);
+        setAuth(firebaseAuth);
+
+        // Listener de estado de autenticação
+        const unsubscribeAuth = onAuthStateChanged(firebaseAuth, (user) => {
+            if (user) {
+                // O listener de perfil (abaixo) carrega o perfil assim que o usuário estiver autenticado
+                setUserId(user.uid);
+            } else {
+                // Se não houver usuário, tenta login com o token inicial ou anônimo
+                authenticateUser(firebaseAuth, firestore);
+            }
+        });
+
+        const authenticateUser = async (authInstance, dbInstance) => {
+            try {
+                if (initialAuthToken) {
+                    await signInWithCustomToken(authInstance, initialAuthToken);
+                } else {
+                    await signInAnonymously(authInstance);
+                }
+            } catch (error) {
+                console.error("Erro na autenticação:", error);
+            }
+        };
+
+        return () => unsubscribeAuth();
+    }, []);
+
+    // Endereço sem unidade (ou com uma desconhecida): passa a mostrar o da unidade aberta, sem empilhar no histórico
+    useEffect(() => {
+        if (!shop) return;
+        const shopSlug = getShopRouteSlug(shop);
+        if (shopSlug !== route.shopSlug) navigate(route.page, route.params, { shopSlug, replace: true });
+    }, [shop, route, navigate]);
+
+    useLayoutEffect(() => {
+        setActiveLocale(locale);
+        setRenderedLocale(locale);
+    }, [locale]);
+
+    // Idioma da página e dos SMS e e-mails de verificação
+    useEffect(() => {
+        document.documentElement.lang = locale;
+        if (auth) auth.languageCode = locale;
+    }, [locale, auth]);
+
+    const handleChangeLocale = useCallback((nextLocale) => {
+        setLocale(nextLocale);
+        localStorage.setItem(LOCALE_STORAGE_KEY, nextLocale);
+    }, []);
+
+    // Marca da unidade: cores do app, título da aba e unidade que abre na próxima visita
+    useEffect(() => {
+        if (!shop) return;
+        applyShopTheme(shop.theme);
+        document.title = shop.name;
+        localStorage.setItem(LAST_SHOP_STORAGE_KEY, shop.id);
+    }, [shop]);
+
+    const handleSwitchShop = (nextShop) => {
+        navigate('dashboard', {}, { shopSlug: getShopRouteSlug(nextShop) });
+    };
+
+    // Conta excluída: com o Firebase, a sessão anônima nova vem pelo onAuthStateChanged; no modo local,
+    // o navegador passa a usar outro usuário
+    const handleAccountDeleted = () => {
+        if (!USE_LOCAL_BACKEND) return;
+        localStorage.removeItem(LOCAL_USER_STORAGE_KEY);
+        setUserId(getLocalUserId());
+    };
+
+    // Primeira renderização, antes de o idioma ativo ser definido
+    if (!renderedLocale) return null;
+
+    if (!shop) {
+        return (
+            <div className="min-h-screen bg-gray-900 font-sans">
+                <LoadingScreen message={t('common.initializing')} />
+            </div>
+        );
+    }
+
+    // A `key` remonta as telas ao trocar de unidade, sem estado nem listeners da anterior
+    return (
+        <ShopApp
+            key={shop.id}
+            db={db}
+            auth={auth}
+            userId={userId}
+            shop={shop}
+            shops={shops}
+            route={route}
+            navigate={navigate}
+            onSwitchShop={handleSwitchShop}
+            locale={renderedLocale}
+            onChangeLocale={handleChangeLocale}
+            onAccountDeleted={handleAccountDeleted}
+        />
+    );
+};
+
 export default App;
\ No newline at end of file
@@ -0,0 +1,230 @@
+// Exportação para calendários: arquivo iCalendar (RFC 5545) de um agendamento ou da agenda de um barbeiro,
+// e link do Google Agenda, com os textos no idioma da interface. Os horários vão no relógio da barbearia (TZID com VTIMEZONE), como no app,
+// então o celular mostra o horário certo mesmo se o cliente estiver em outro fuso.
+
+import { DEFAULT_TIMEZONE, zonedTimeToMs, getZonedDateTime, getTimeZoneTransitions } from './timezone.js';
+import { t } from './i18n.js';
+import { downloadFile } from './receipt.js';
+
+const PRODUCT_ID = '-//Barbearia Agendamento//Agenda//PT-BR';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Texto de propriedade: barra invertida, ponto e vírgula, vírgula e quebras de linha são escapados
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const encoder = new TextEncoder();
+
+// Linhas com mais de 75 octetos são dobradas; a continuação começa com um espaço (que também conta)
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const charBytes = encoder.encode(char).length;
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+// O arquivo usa CRLF em todas as linhas, inclusive na última
+const serialize = (lines) => `${lines.map(foldLine).join('\r\n')}\r\n`;
+
+// 'YYYY-MM-DD' e 'HH:MM' viram 'YYYYMMDDTHHMM00' (hora local, usada com TZID)
+const formatLocalDateTime = (date, time) => `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+
+// Campos UTC de um instante no formato de data e hora do iCalendar
+const formatUtcFields = (ms) => {
+    const date = new Date(ms);
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`;
+};
+
+const formatOffset = (offsetMs) => {
+    const minutes = Math.abs(offsetMs) / 60000;
+    return `${offsetMs < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+};
+
+/**
+ * Componente VTIMEZONE com os deslocamentos do fuso entre dois instantes (os dos eventos do arquivo).
+ * @param {string} timeZone
+ * @param {number} startMs
+ * @param {number} endMs
+ * @returns {string[]}
+ */
+const buildTimeZoneLines = (timeZone, startMs, endMs) => {
+    const { initialOffsetMs, transitions } = getTimeZoneTransitions(startMs - DAY_MS, endMs + DAY_MS, timeZone);
+    // O horário de verão é sempre o deslocamento maior do ano
+    const year = new Date(startMs).getUTCFullYear();
+    const standardOffsetMs = Math.min(...getTimeZoneTransitions(Date.UTC(year, 0, 1), Date.UTC(year, 11, 31), timeZone)
+        .transitions.map(transition => transition.offsetToMs), initialOffsetMs);
+    const observance = (dtstart, offsetFromMs, offsetToMs) => {
+        const type = offsetToMs > standardOffsetMs ? 'DAYLIGHT' : 'STANDARD';
+        return [
+            `BEGIN:${type}`,
+            `DTSTART:${dtstart}`,
+            `TZOFFSETFROM:${formatOffset(offsetFromMs)}`,
+            `TZOFFSETTO:${formatOffset(offsetToMs)}`,
+            `END:${type}`,
+        ];
+    };
+
+    return [
+        'BEGIN:VTIMEZONE',
+        `TZID:${timeZone}`,
+        ...observance('19700101T000000', initialOffsetMs, initialOffsetMs),
+        // Cada mudança começa no relógio local de antes dela
+        ...transitions.flatMap(({ at, offsetFromMs, offsetToMs }) => observance(formatUtcFields(at + offsetFromMs), offsetFromMs, offsetToMs)),
+        'END:VTIMEZONE',
+    ];
+};
+
+/**
+ * Início e fim do agendamento no relógio da barbearia.
+ * @param {object} appointment
+ * @param {number} fallbackDurationMinutes
+ * @returns {{ timeZone: string, startMs: number, endMs: number, start: string, end: string }}
+ */
+const getEventTimes = (appointment, fallbackDurationMinutes) => {
+    const timeZone = appointment.timeZone || DEFAULT_TIMEZONE;
+    const startMs = zonedTimeToMs(appointment.date, appointment.time, timeZone);
+    const endMs = startMs + (appointment.durationMinutes || fallbackDurationMinutes) * 60 * 1000;
+    const end = getZonedDateTime(endMs, timeZone);
+    return {
+        timeZone,
+        startMs,
+        endMs,
+        start: formatLocalDateTime(appointment.date, appointment.time),
+        end: formatLocalDateTime(end.date, end.time),
+    };
+};
+
+/**
+ * Linhas de um VEVENT. O UID é o ID do agendamento, e a SEQUENCE acompanha as remarcações:
+ * importar de novo depois de remarcar atualiza o evento em vez de duplicar.
+ * O fim vai como DURATION: na volta do horário de verão, o relógio local do fim pode ser "antes" do início.
+ * @param {object} appointment
+ * @param {{ summary: string, description: string, reminderMinutes: number, fallbackDurationMinutes: number, now: number }} event
+ * @returns {string[]}
+ */
+const buildEventLines = (appointment, { summary, description, reminderMinutes, fallbackDurationMinutes, now }) => {
+    const { timeZone, start } = getEventTimes(appointment, fallbackDurationMinutes);
+    return [
+        'BEGIN:VEVENT',
+        `UID:${appointment.id}@barbearia-agendamento`,
+        `DTSTAMP:${formatUtcFields(now)}Z`,
+        `SEQUENCE:${appointment.rescheduleCount || 0}`,
+        `DTSTART;TZID=${timeZone}:${start}`,
+        `DURATION:PT${appointment.durationMinutes || fallbackDurationMinutes}M`,
+        `SUMMARY:${escapeText(summary)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        'STATUS:CONFIRMED',
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(summary)}`,
+        `TRIGGER:-PT${reminderMinutes}M`,
+        'END:VALARM',
+        'END:VEVENT',
+    ];
+};
+
+const buildCalendar = (events, { calendarName = null } = {}) => {
+    const zones = new Map(); // Fuso -> intervalo dos eventos nele
+    events.forEach(({ appointment, fallbackDurationMinutes }) => {
+        const { timeZone, startMs, endMs } = getEventTimes(appointment, fallbackDurationMinutes);
+        const range = zones.get(timeZone) || { startMs, endMs };
+        zones.set(timeZone, { startMs: Math.min(range.startMs, startMs), endMs: Math.max(range.endMs, endMs) });
+    });
+
+    return serialize([
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        ...(calendarName ? [`X-WR-CALNAME:${escapeText(calendarName)}`] : []),
+        ...[...zones.entries()].flatMap(([timeZone, { startMs, endMs }]) => buildTimeZoneLines(timeZone, startMs, endMs)),
+        ...events.flatMap(({ appointment, ...event }) => buildEventLines(appointment, event)),
+        'END:VCALENDAR',
+    ]);
+};
+
+const describeForCustomer = (appointment, shopName) => [
+    t('calendar.eventAt', { service: appointment.service, shop: shopName }),
+    appointment.barberName ? t('calendar.eventBarber', { barber: appointment.barberName }) : null,
+    t('calendar.eventManage'),
+].filter(Boolean).join('\n');
+
+/**
+ * Arquivo .ics do agendamento do cliente, com um lembrete antes do horário.
+ * @param {object} appointment Agendamento (com `id`)
+ * @param {{ shopName: string, reminderMinutes?: number, fallbackDurationMinutes?: number, now?: number }} options
+ *        `fallbackDurationMinutes`: duração dos agendamentos antigos, sem `durationMinutes`
+ * @returns {string}
+ */
+export const buildAppointmentIcs = (appointment, { shopName, reminderMinutes = 60, fallbackDurationMinutes = 60, now = Date.now() }) =>
+    buildCalendar([{
+        appointment,
+        summary: `${appointment.service} · ${shopName}`,
+        description: describeForCustomer(appointment, shopName),
+        reminderMinutes,
+        fallbackDurationMinutes,
+        now,
+    }]);
+
+/**
+ * Arquivo .ics com a agenda de um barbeiro (ou da barbearia toda), para importar no calendário do celular.
+ * @param {object[]} appointments Agendamentos ativos, cada um com `id`
+ * @param {{ calendarName: string, reminderMinutes?: number, fallbackDurationMinutes?: number, now?: number }} options
+ * @returns {string}
+ */
+export const buildAgendaIcs = (appointments, { calendarName, reminderMinutes = 15, fallbackDurationMinutes = 60, now = Date.now() }) =>
+    buildCalendar(appointments.map(appointment => ({
+        appointment,
+        summary: `${appointment.service} · ${appointment.userName}`,
+        description: [
+            appointment.barberName ? t('calendar.eventBarber', { barber: appointment.barberName }) : null,
+            appointment.whatsapp ? `WhatsApp: ${appointment.whatsapp}` : null,
+        ].filter(Boolean).join('\n'),
+        reminderMinutes,
+        fallbackDurationMinutes,
+        now,
+    })), { calendarName });
+
+/**
+ * Link que abre o Google Agenda com o evento do agendamento preenchido.
+ * @param {object} appointment
+ * @param {{ shopName: string, fallbackDurationMinutes?: number }} options
+ * @returns {string}
+ */
+export const getGoogleCalendarUrl = (appointment, { shopName, fallbackDurationMinutes = 60 }) => {
+    const { timeZone, start, end } = getEventTimes(appointment, fallbackDurationMinutes);
+    const params = new URLSearchParams({
+        action: 'TEMPLATE',
+        text: `${appointment.service} · ${shopName}`,
+        dates: `${start}/${end}`,
+        ctz: timeZone,
+        details: describeForCustomer(appointment, shopName),
+    });
+    return `https://calendar.google.com/calendar/render?${params.toString()}`;
+};
+
+/**
+ * Baixa o conteúdo como arquivo .ics.
+ * @param {string} content
+ * @param {string} fileName
+ */
+export const downloadIcs = (content, fileName) => downloadFile(content, fileName, 'text/calendar;charset=utf-8');
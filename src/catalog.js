@@ -0,0 +1,13 @@
+// Catálogo padrão de serviços, usado enquanto a coleção de serviços do Firestore estiver vazia. O servidor confere
+// o preço dos agendamentos pelo mesmo catálogo (functions/appointments.js).
+
+/**
+ * Catálogo usado enquanto a coleção de serviços do Firestore estiver vazia.
+ * Durações devem ser múltiplas da granularidade da agenda (`slotMinutes`).
+ */
+export const DEFAULT_SERVICES = [
+    { id: 'corte', name: 'Corte Clássico', durationMinutes: 60, price: 10.00, order: 1 },
+    { id: 'barba', name: 'Barba', durationMinutes: 30, price: 8.00, order: 2 },
+    { id: 'corte-barba', name: 'Corte + Barba', durationMinutes: 90, price: 16.00, order: 3 },
+    { id: 'infantil', name: 'Corte Infantil', durationMinutes: 30, price: 8.00, order: 4 },
+];
@@ -0,0 +1,32 @@
+// Exportação dos relatórios em CSV no formato que o Excel em português abre direto:
+// separador ';', decimais com vírgula e BOM UTF-8 (sem ele, os acentos chegam quebrados).
+
+import { downloadFile } from './receipt.js';
+
+const SEPARATOR = ';';
+
+const formatCell = (value) => {
+    if (value == null) return '';
+    if (typeof value === 'number') return String(Math.round(value * 100) / 100).replace('.', ',');
+
+    let text = String(value);
+    // Texto começando com = + - @ vira fórmula na planilha; o apóstrofo faz a célula ficar como texto
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Monta o CSV. Números saem com até duas casas decimais.
+ * @param {string[]} header Títulos das colunas
+ * @param {Array<Array<string|number|null>>} rows
+ * @returns {string}
+ */
+export const buildCsv = (header, rows) =>
+    [header, ...rows].map(row => row.map(formatCell).join(SEPARATOR)).join('\r\n');
+
+/**
+ * Baixa o conteúdo como arquivo CSV.
+ * @param {string} content
+ * @param {string} fileName
+ */
+export const downloadCsv = (content, fileName) => downloadFile(`\uFEFF${content}`, fileName, 'text/csv;charset=utf-8');
@@ -0,0 +1,133 @@
+// Camada de acesso a dados: a mesma API do Firestore (doc, collection, query, where, onSnapshot,
+// runTransaction...) com dois backends. Com um `db` do Firestore, as chamadas vão para o Firebase;
+// com um banco criado por createMemoryStore, ficam em memória (e no localStorage, se configurado).
+// O app importa daqui, nunca direto de 'firebase/firestore'.
+
+import * as firestore from 'firebase/firestore';
+import * as memory from './memoryStore.js';
+
+export { createMemoryStore } from './memoryStore.js';
+
+const backendOf = (value) => (memory.isMemoryStore(value) ? memory : firestore);
+
+const isConstraint = (value) => value && (value.type === 'where' || value.type === 'orderBy');
+
+// Restrições e serverTimestamp são criados sem saber o backend: só viram objetos do Firestore na hora de usar
+const toFirestoreConstraint = (constraint) => constraint.type === 'where'
+    ? firestore.where(constraint.field, constraint.op, constraint.value)
+    : firestore.orderBy(constraint.field, constraint.direction);
+
+const toFirestoreData = (value) => {
+    if (value === memory.SERVER_TIMESTAMP) return firestore.serverTimestamp();
+    if (Array.isArray(value)) return value.map(toFirestoreData);
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toFirestoreData(item)]));
+    }
+    return value;
+};
+
+// --- REFERÊNCIAS E CONSULTAS ---
+
+export const doc = (parent, ...segments) => backendOf(parent).doc(parent, ...segments);
+
+export const collection = (db, ...segments) => backendOf(db).collection(db, ...segments);
+
+/**
+ * Filtro de consulta (mesma assinatura do Firestore).
+ * @param {string} field
+ * @param {string} op '==', '!=', '<', '<=', '>', '>=', 'in', 'not-in', 'array-contains' ou 'array-contains-any'
+ * @param {*} value
+ * @returns {{ type: 'where', field: string, op: string, value: * }}
+ */
+export const where = (field, op, value) => ({ type: 'where', field, op, value });
+
+/**
+ * Ordenação de consulta (mesma assinatura do Firestore).
+ * @param {string} field
+ * @param {'asc'|'desc'} [direction]
+ * @returns {{ type: 'orderBy', field: string, direction: string }}
+ */
+export const orderBy = (field, direction = 'asc') => ({ type: 'orderBy', field, direction });
+
+export const query = (ref, ...constraints) => memory.isMemoryStore(ref)
+    ? memory.query(ref, ...constraints)
+    : firestore.query(ref, ...constraints.map(constraint => (isConstraint(constraint) ? toFirestoreConstraint(constraint) : constraint)));
+
+/**
+ * Valor que vira o horário da gravação. No backend em memória é guardado em ms.
+ * @returns {object}
+ */
+export const serverTimestamp = () => memory.SERVER_TIMESTAMP;
+
+// --- LEITURA E ESCRITA ---
+
+export const getDoc = (ref) => backendOf(ref).getDoc(ref);
+
+export const getDocs = (ref) => backendOf(ref).getDocs(ref);
+
+export const setDoc = (ref, data, options) => memory.isMemoryStore(ref)
+    ? memory.setDoc(ref, data, options)
+    : firestore.setDoc(ref, toFirestoreData(data), options || {});
+
+export const updateDoc = (ref, data) => memory.isMemoryStore(ref)
+    ? memory.updateDoc(ref, data)
+    : firestore.updateDoc(ref, toFirestoreData(data));
+
+export const deleteDoc = (ref) => backendOf(ref).deleteDoc(ref);
+
+export const addDoc = (collectionRef, data) => memory.isMemoryStore(collectionRef)
+    ? memory.addDoc(collectionRef, data)
+    : firestore.addDoc(collectionRef, toFirestoreData(data));
+
+/**
+ * Escuta um documento ou uma consulta em tempo real (mesma semântica nos dois backends).
+ * @param {object} ref
+ * @param {(snapshot: object) => void} onNext
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} Cancela a escuta
+ */
+export const onSnapshot = (ref, onNext, onError) => backendOf(ref).onSnapshot(ref, onNext, onError);
+
+/**
+ * Lote de escritas aplicado de uma vez (todas ou nenhuma). No Firestore, cada lote aceita até 500 escritas.
+ * @param {object} db
+ * @returns {{ set: Function, update: Function, delete: Function, commit: () => Promise<void> }}
+ */
+export const writeBatch = (db) => {
+    if (memory.isMemoryStore(db)) return memory.writeBatch(db);
+
+    const batch = firestore.writeBatch(db);
+    const wrapper = {
+        set: (ref, data, options) => {
+            batch.set(ref, toFirestoreData(data), options || {});
+            return wrapper;
+        },
+        update: (ref, data) => {
+            batch.update(ref, toFirestoreData(data));
+            return wrapper;
+        },
+        delete: (ref) => {
+            batch.delete(ref);
+            return wrapper;
+        },
+        commit: () => batch.commit(),
+    };
+    return wrapper;
+};
+
+/**
+ * Transação com leituras antes das escritas; refeita automaticamente se os dados lidos mudarem.
+ * @param {object} db
+ * @param {(transaction: object) => Promise<*>} updateFunction
+ * @returns {Promise<*>}
+ */
+export const runTransaction = (db, updateFunction) => {
+    if (memory.isMemoryStore(db)) return memory.runTransaction(db, updateFunction);
+
+    return firestore.runTransaction(db, (transaction) => updateFunction({
+        get: (ref) => transaction.get(ref),
+        set: (ref, data, options) => transaction.set(ref, toFirestoreData(data), options || {}),
+        update: (ref, data) => transaction.update(ref, toFirestoreData(data)),
+        delete: (ref) => transaction.delete(ref),
+    }));
+};
@@ -0,0 +1,109 @@
+// Idiomas do app: catálogos de textos (src/locales), idioma ativo da interface e formatação de valores
+// com Intl no idioma escolhido. As datas e horários ficam em timezone.js, que usa o idioma ativo.
+
+import { MESSAGES as PT_BR_MESSAGES } from './locales/pt-BR.js';
+import { MESSAGES as EN_MESSAGES } from './locales/en.js';
+import { MESSAGES as ES_MESSAGES } from './locales/es.js';
+
+/**
+ * Idiomas disponíveis, com o nome exibido no seletor (no próprio idioma).
+ */
+export const LOCALES = {
+    'pt-BR': { label: 'Português', messages: PT_BR_MESSAGES },
+    en: { label: 'English', messages: EN_MESSAGES },
+    es: { label: 'Español', messages: ES_MESSAGES },
+};
+
+export const DEFAULT_LOCALE = 'pt-BR';
+
+// Os preços são sempre em reais; o idioma muda só a forma de escrever (R$ 10,00 / R$10.00 / 10,00 R$)
+const CURRENCY = 'BRL';
+
+// Idioma da interface. App troca o idioma num efeito, antes de as telas renderizarem no idioma novo
+let activeLocale = DEFAULT_LOCALE;
+
+/**
+ * Confere se o idioma tem catálogo.
+ * @param {string} locale
+ * @returns {boolean}
+ */
+export const isSupportedLocale = (locale) => Object.prototype.hasOwnProperty.call(LOCALES, locale);
+
+/**
+ * Idioma disponível mais próximo de uma lista de preferências (ex.: navigator.languages).
+ * 'es-AR' vira 'es' e 'pt-PT' vira 'pt-BR'; sem nenhum parecido, o padrão.
+ * @param {readonly string[]} preferred
+ * @returns {string}
+ */
+export const matchLocale = (preferred) => {
+    for (const tag of preferred) {
+        if (isSupportedLocale(tag)) return tag;
+        const language = tag.split('-')[0].toLowerCase();
+        const match = Object.keys(LOCALES).find(locale => locale.split('-')[0] === language);
+        if (match) return match;
+    }
+    return DEFAULT_LOCALE;
+};
+
+/**
+ * Troca o idioma da interface. Idiomas sem catálogo usam o padrão.
+ * @param {string} locale
+ */
+export const setActiveLocale = (locale) => {
+    activeLocale = isSupportedLocale(locale) ? locale : DEFAULT_LOCALE;
+};
+
+/**
+ * Idioma da interface.
+ * @returns {string}
+ */
+export const getActiveLocale = () => activeLocale;
+
+// Intl.PluralRules e Intl.NumberFormat são caros de criar; guardamos um por idioma
+const pluralRules = new Map();
+const currencyFormatters = new Map();
+
+const selectPlural = (locale, count) => {
+    if (!pluralRules.has(locale)) pluralRules.set(locale, new Intl.PluralRules(locale));
+    return pluralRules.get(locale).select(count);
+};
+
+/**
+ * Texto do catálogo de um idioma. Chaves que faltam no catálogo usam o português.
+ * `{nome}` é trocado por `params.nome`; textos com plural são objetos { one, other }, escolhidos por `params.count`.
+ * @param {string} locale
+ * @param {string} key
+ * @param {Object<string, string|number>} [params]
+ * @returns {string}
+ */
+export const translate = (locale, key, params = {}) => {
+    const messages = (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).messages;
+    let message = key in messages ? messages[key] : PT_BR_MESSAGES[key];
+    if (message === undefined) {
+        console.warn(`Texto sem tradução: ${key}`);
+        return key;
+    }
+    if (typeof message === 'object') message = message[selectPlural(locale, params.count)] || message.other;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+/**
+ * Texto do catálogo no idioma da interface (ver translate).
+ * @param {string} key
+ * @param {Object<string, string|number>} [params]
+ * @returns {string}
+ */
+export const t = (key, params) => translate(activeLocale, key, params);
+
+/**
+ * Formata um valor em reais no idioma (ex.: 10 => "R$ 10,00" em português, "R$10.00" em inglês).
+ * @param {number} value
+ * @param {string} [locale] Por padrão, o da interface
+ * @returns {string}
+ */
+export const formatCurrency = (value, locale = activeLocale) => {
+    if (!currencyFormatters.has(locale)) {
+        currencyFormatters.set(locale, new Intl.NumberFormat(locale, { style: 'currency', currency: CURRENCY, currencyDisplay: 'narrowSymbol' }));
+    }
+    return currencyFormatters.get(locale).format(value);
+};
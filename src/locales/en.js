@@ -0,0 +1,442 @@
+// Textos em inglês. Mesmas chaves de pt-BR.js.
+
+export const MESSAGES = {
+    // --- GERAL ---
+    'common.close': 'Close',
+    'common.language': 'Language',
+    'common.sending': 'Sending...',
+    'common.saving': 'Saving...',
+    'common.userId': 'User ID: {id}',
+    'common.loading': 'loading...',
+    'common.processing': 'Processing...',
+    'common.backToDashboard': 'Back to Dashboard',
+    'common.initializing': 'Starting up...',
+
+    // --- MENSAGENS DO WHATSAPP (messaging.js) ---
+    'whatsapp.defaultShopName': 'Barbershop',
+    'whatsapp.serviceLine': '💈 *Service:* {service}',
+    'whatsapp.barberLine': '💇 *Barber:* {barber}',
+    'whatsapp.dateLine': '🗓️ *Date:* {date}',
+    'whatsapp.timeLine': '⏰ *Time:* {time}',
+    'whatsapp.addressLine': '🏠 *Address:* {address}',
+    'whatsapp.waitingForYou': '📍 See you soon!',
+    'whatsapp.confirmation.title': '*💈 Appointment Confirmed - {shop}* Hi, {name}!',
+    'whatsapp.confirmation.intro': 'Your appointment is confirmed for:',
+    'whatsapp.confirmation.series': { one: '🔁 Repeats every week at the same time (the next ones are in the app).', other: '🔁 Repeats every {count} weeks at the same time (the next ones are in the app).' },
+    'whatsapp.reminder.title': '*🤖 Appointment Reminder - {shop}* Hi, {name}!',
+    'whatsapp.reminder24h.intro': 'Your appointment is tomorrow:',
+    'whatsapp.reminder24h.footer': 'Need to reschedule? Open the app ahead of time.',
+    'whatsapp.reminder1h.intro': 'Your appointment is in 1 hour:',
+    'whatsapp.cancellation.title': '*❌ Appointment Cancelled - {shop}* Hi, {name}.',
+    'whatsapp.cancellation.intro': 'The appointment below was cancelled:',
+    'whatsapp.cancellation.credit': '💰 {amount} went back to you as credit.',
+    'whatsapp.cancellation.refund': '💰 {amount} will be refunded.',
+    'whatsapp.cancellation.footer': 'Whenever you like, just book again in the app.',
+    'whatsapp.waitlistOffer.title': '*⏳ A Slot Opened Up - {shop}* Hi, {name}!',
+    'whatsapp.waitlistOffer.intro': 'A time you were waiting for is now free:',
+    'whatsapp.waitlistOffer.footer': 'Confirm in the app by {time}. After that, the slot goes to the next person in line.',
+
+    // --- AGENDAMENTOS E REGRAS ---
+    'errors.slotTaken': 'This time slot was just booked by another customer.',
+    'errors.someSlotsTaken': 'One of these time slots is already taken.',
+    'errors.waitlistSlotTaken': 'The slot was taken before it could be offered.',
+    'errors.couponEmpty': 'Enter the coupon code.',
+    'errors.couponChanged': 'This coupon\'s discount has changed. Apply the coupon again to see the updated price.',
+    'errors.insufficientCredit': 'Not enough credit for this appointment.',
+    'errors.paymentShort': 'Amount received ({amount}) is less than the amount charged ({price}).',
+    'errors.insufficientStamps': 'Not enough stamps for the free haircut.',
+    'errors.statusTransition': 'Cannot change from "{from}" to "{to}".',
+    'policy.statusLocked': 'This appointment is "{status}" and can no longer be changed.',
+    'policy.tooLate': 'Changes are only allowed up to {hours}h before the appointment. Contact the barbershop on WhatsApp.',
+    'policy.rescheduleLimit': { one: 'This appointment has already been rescheduled {count} time, the barbershop\'s limit.', other: 'This appointment has already been rescheduled {count} times, the barbershop\'s limit.' },
+    'availability.plenty': 'Many times',
+    'availability.few': 'Few times',
+    'availability.full': 'Fully booked',
+    'availability.closed': 'Closed',
+    'appointmentStatuses.pending_payment': 'Awaiting payment',
+    'appointmentStatuses.expired': 'Payment expired',
+    'appointmentStatuses.confirmed': 'Confirmed',
+    'appointmentStatuses.checked_in': 'Checked in',
+    'appointmentStatuses.completed': 'Completed',
+    'appointmentStatuses.no_show': 'No-show',
+    'appointmentStatuses.cancelled': 'Cancelled',
+    'appointmentActions.confirmed': 'Confirm payment',
+    'appointmentActions.checked_in': 'Check in',
+    'appointmentActions.completed': 'Complete',
+    'appointmentActions.no_show': 'No-show',
+    'appointmentActions.cancelled': 'Cancel',
+    'waitlistStatuses.waiting': 'Waiting for a slot',
+    'waitlistStatuses.offered': 'Slot offered',
+    'waitlistStatuses.accepted': 'Slot accepted',
+    'waitlistStatuses.declined': 'Slot declined',
+    'waitlistStatuses.expired': 'Expired',
+    'waitlistStatuses.left': 'Left the list',
+    'recurrence.none': 'Does not repeat',
+    'recurrence.every': { one: 'Every week', other: 'Every {count} weeks' },
+    'series.closed': 'Barbershop closed',
+    'series.closedWithReason': 'Barbershop closed ({reason})',
+    'series.outsideHours': 'Outside opening hours on this day',
+    'series.slotTaken': 'Time slot taken',
+    'series.serviceUnavailable': 'Service unavailable',
+    'occupancy.below25': 'Under 25%',
+    'occupancy.25to50': '25% to 50%',
+    'occupancy.50to75': '50% to 75%',
+    'occupancy.75plus': '75% or more',
+    'coupons.invalid': 'Invalid coupon.',
+    'coupons.notYetValid': 'This coupon is valid from {date}.',
+    'coupons.expired': 'This coupon has expired.',
+    'coupons.wrongService': 'This coupon does not apply to the selected service.',
+    'coupons.soldOut': 'This coupon has run out.',
+    'coupons.customerLimit': 'You have already used this coupon the maximum number of times.',
+    'pricing.coupon': 'Coupon {code}',
+    'pricing.loyalty': 'Loyalty card (free haircut)',
+    'errors.appointmentGone': 'Appointment not found or already cancelled.',
+    'errors.appointmentNotFound': 'Appointment not found.',
+
+    // --- CONFIRMAÇÃO, CALENDÁRIO E PIX ---
+    'calendar.addTo': 'Add to calendar:',
+    'calendar.icsFile': '.ics file',
+    'calendar.google': 'Google Calendar',
+    'notification.title': 'Appointment Reminder',
+    'notification.intro': 'Your appointment has been saved. This confirmation goes to your WhatsApp, and you will get reminders 24 hours and 1 hour before:',
+    'notification.whatsapp': 'WhatsApp message',
+    'notification.whatsappMock': 'WhatsApp message (Simulated)',
+    'notification.mockProvider': 'Simulated provider: messages show up in the browser console. When deployed, the server sends them through Twilio or Z-API.',
+    'notification.series': 'Repeats',
+    'notification.seriesConflict': '{reason}: not booked',
+    'notification.seriesBooked': '{time}, pay at the barbershop',
+    'notification.close': 'Got it! Go to my dashboard',
+    'pix.title': 'Pay with PIX',
+    'pix.expired': 'The payment deadline has passed and the time slot was released. If you already paid, the appointment is confirmed as soon as the PIX arrives (or the amount comes back as credit if the slot was taken).',
+    'pix.qrCodeAlt': 'PIX QR code',
+    'pix.copyPaste': 'PIX copy and paste code',
+    'pix.copy': 'Copy code',
+    'pix.copied': 'Code copied!',
+    'pix.copyFailed': 'Could not copy. Select the code and copy it manually.',
+    'pix.countdown': 'Pay within {time} to secure your time slot.',
+    'pix.waiting': 'Waiting for payment confirmation...',
+    'pix.simulate': 'Simulate PIX received (webhook)',
+    'pix.simulating': 'Simulating...',
+    'pix.simulateFailed': 'Failed to simulate the payment. Please try again.',
+    'pix.payLater': 'Pay later (the slot stays reserved until the deadline)',
+    'calendar.freeCount': { one: '{count} free', other: '{count} free' },
+
+    // --- CADASTRO E CONTA ---
+    'verification.success': 'Account protected! You can now recover your appointments on any device.',
+    'verification.wrongCode': 'Wrong code. Check the SMS and try again.',
+    'verification.phoneRequired': 'Enter a valid phone number (with area code, or with + and the country code).',
+    'verification.sendCodeFailed': 'Could not send the code. Check the number and try again.',
+    'verification.confirmCodeFailed': 'Could not confirm the code. Please try again.',
+    'verification.sendLinkFailed': 'Could not send the link. Check the email address and try again.',
+    'verification.recoverTitle': 'Recover my account',
+    'verification.protectTitle': 'Protect my account',
+    'verification.recoverIntro': 'Confirm the phone or email you verified before to see your profile and appointments again.',
+    'verification.protectIntro': 'Confirm your phone or email. If you switch devices or clear your browser, just sign in with it to recover your profile and appointments.',
+    'verification.methodPhone': 'Phone (SMS)',
+    'verification.methodEmail': 'Email',
+    'verification.phoneLabel': 'Phone',
+    'verification.sendCode': 'Send code by SMS',
+    'verification.codeLabel': 'Code sent to {phone}',
+    'verification.confirming': 'Confirming...',
+    'verification.confirmCode': 'Confirm code',
+    'verification.changeNumber': 'Change number',
+    'verification.linkSentPrefix': 'We sent a link to',
+    'verification.linkSentSuffix': 'Open the link on this same device and browser to finish.',
+    'verification.emailLabel': 'Email',
+    'verification.emailPlaceholder': 'you@example.com',
+    'verification.sendLink': 'Send sign-in link',
+    'verification.notNow': 'Not now',
+    'auth.nameRequired': 'Please enter your full name (first and last name).',
+    'auth.whatsappInvalid': 'Invalid WhatsApp number. Choose the country and enter the number with area code (or with + and the country code).',
+    'auth.saveFailed': 'Failed to save your profile. Please try again.',
+    'auth.welcome': 'Welcome · {shop}',
+    'auth.intro': 'Complete your sign-up to book your haircut.',
+    'auth.prefilled': 'We filled this in with your details from {shop}. Check and save.',
+    'auth.nameLabel': 'Full Name',
+    'auth.namePlaceholder': 'Your first and last name',
+    'auth.whatsappLabel': 'WhatsApp',
+    'auth.submit': 'Save and Continue',
+    'auth.recover': 'Already signed up on another device? Recover my account',
+    'auth.recoveringAccount': 'Recovering your account...',
+
+    // --- AGENDAR ---
+    'booking.paidAfterTaken': 'The payment arrived after the time slot was taken. {amount} came back as credit.',
+    'booking.pendingCancelled': 'The appointment was cancelled. Choose another time.',
+    'booking.holdExpired': 'Your {minutes}-minute hold has expired. Select the time again.',
+    'booking.noOpenDays': 'The barbershop is not open in the next {days} days.',
+    'booking.couponFailed': 'Failed to validate the coupon. Please try again.',
+    'waitlist.windowTooShort': 'The time window must be at least {minutes} minutes long.',
+    'waitlist.joinFailed': 'Failed to join the waitlist. Please try again.',
+    'waitlist.leaveFailed': 'Failed to leave the waitlist. Please try again.',
+    'booking.slotTaken': 'This time slot was just booked by another customer. Choose another time.',
+    'booking.selectTime': 'Please select a time.',
+    'booking.holdFailed': 'Failed to hold the time slot. Please try again.',
+    'booking.confirmReward': 'Your loyalty card is complete! Press OK to use your free haircut on this appointment.',
+    'booking.confirmCredit': 'You have {amount} in credit. Press OK to use your credit on this appointment.',
+    'booking.pixNotConfigured': 'The barbershop has not set up PIX payments yet. Contact the barbershop to book.',
+    'booking.seriesBooking': 'Booking the series repeats...',
+    'booking.creditChanged': 'Your credit no longer covers this appointment. Try again to pay normally.',
+    'booking.rewardChanged': 'Your loyalty card no longer has enough stamps for the free haircut. Try again to pay normally.',
+    'booking.couponRemoved': '{reason} The coupon was removed; check the price and confirm again.',
+    'booking.saveFailed': 'Failed to save the appointment. Please try again.',
+    'booking.rescheduleFailed': 'Failed to reschedule the appointment. Please try again.',
+    'booking.title': 'Book an Appointment',
+    'booking.rescheduleTitle': 'Reschedule Appointment',
+    'booking.rescheduling': 'Rescheduling the {time} appointment on {date}. The payment ({payment}) is kept.',
+    'payment.paid': 'Paid',
+    'payment.pending': 'Pending',
+    'booking.openingHours': 'Open: {open} to {close}',
+    'booking.break': 'break {start}-{end}',
+    'booking.shopTimeZone': 'Times in the barbershop\'s time zone ({timeZone})',
+    'booking.closeCalendar': 'Close calendar',
+    'booking.showMonth': 'See the month',
+    'booking.chooseService': 'Choose a Service',
+    'booking.availableTimes': 'Available Times ({service} - {minutes} min)',
+    'booking.changeService': 'Change service',
+    'booking.anyBarber': 'Any available',
+    'booking.noTimes': 'No times available on this date. Try another day.',
+    'booking.heldTitle': 'Another customer is finishing payment for this time',
+    'booking.held': 'On hold',
+    'booking.selected': 'Selected Appointment:',
+    'booking.withBarber': 'with {barber}',
+    'booking.basePrice': 'Service price:',
+    'booking.finalPrice': 'Appointment Price: {amount}',
+    'booking.rescheduleNoCost': 'No extra cost: the payment for the original appointment is kept.',
+    'booking.couponApplied': 'Coupon {code} applied',
+    'booking.removeCoupon': 'Remove',
+    'booking.couponPlaceholder': 'Discount coupon',
+    'booking.applyCoupon': 'Apply',
+    'booking.applyingCoupon': 'Checking...',
+    'booking.rewardAvailable': 'Loyalty card complete: when you confirm, you can use your free haircut.',
+    'booking.holdCountdown': 'Time slot held for you for {time}',
+    'waitlist.joined': 'You are on this day\'s waitlist ({service}).',
+    'waitlist.joinedWindow': 'You are on this day\'s waitlist ({service}, between {start} and {end}).',
+    'waitlist.offerInfo': 'If a time opens up, it is held for you for {minutes} minutes and we let you know on WhatsApp.',
+    'waitlist.leave': 'Leave the waitlist',
+    'waitlist.intro': 'Join the waitlist: if a time opens up, it will be offered to you.',
+    'waitlist.from': 'From',
+    'waitlist.to': 'to',
+    'waitlist.dayStart': 'opening time',
+    'waitlist.dayEnd': 'closing time',
+    'waitlist.join': 'Join the waitlist',
+    'waitlist.joining': 'Joining...',
+    'booking.seriesCount': { one: '{count} appointment', other: '{count} appointments' },
+    'booking.seriesPayment': 'You only pay for the first appointment now; the rest are booked once the payment is confirmed and paid at the barbershop.',
+    'booking.seriesConflict': '{reason} (will not be booked)',
+    'booking.confirmReschedule': 'Confirm Reschedule',
+    'booking.confirmAndPay': 'Confirm and Pay with PIX',
+
+    // --- PAINEL DO CLIENTE ---
+    'dashboard.confirmAbandon': 'Give up the {time} appointment? Nothing has been charged.',
+    'dashboard.refundCredit': '{amount} will come back as credit for your next appointment.',
+    'dashboard.refundReversal': '{amount} will be refunded by the barbershop.',
+    'dashboard.refundNone': 'This cancellation does not refund the amount paid.',
+    'dashboard.confirmCancel': 'Cancel the {time} appointment? {refund}',
+    'dashboard.cancelFailed': 'Failed to cancel the appointment. Please try again.',
+    'dashboard.offerTaken': 'The offer expired and the time slot was taken by another customer.',
+    'dashboard.acceptOfferFailed': 'Failed to accept the slot. Please try again.',
+    'dashboard.confirmDeclineOffer': 'Decline the {time} slot? It goes to the next person on the waitlist.',
+    'dashboard.confirmLeaveWaitlist': 'Leave this day\'s waitlist?',
+    'dashboard.confirmCancelSeries': { one: 'Cancel the last appointment in this series? Paid appointments follow the cancellation policy.', other: 'Cancel the {count} remaining appointments in this series? Paid appointments follow the cancellation policy.' },
+    'dashboard.seriesCancelled': { one: '{count} appointment cancelled.', other: '{count} appointments cancelled.' },
+    'dashboard.seriesKeptItem': '{time} on {date}',
+    'dashboard.seriesKept': { one: '{list} can no longer be cancelled in the app.', other: '{list} can no longer be cancelled in the app.' },
+    'dashboard.seriesRefunded': 'Series cancelled. {amount} was returned according to the cancellation policy.',
+    'dashboard.cancelSeriesFailed': 'Failed to cancel the series. Some appointments may have been cancelled; check the list.',
+    'dashboard.notProvided': 'Not provided',
+    'dashboard.greeting': 'Hi, {name}!',
+    'dashboard.shop': 'Location',
+    'dashboard.staffAgenda': 'Staff Schedule',
+    'dashboard.newAppointment': 'New Appointment',
+    'dashboard.profile': 'My Profile',
+    'dashboard.name': 'Name:',
+    'dashboard.whatsapp': 'WhatsApp:',
+    'dashboard.credit': 'Credit:',
+    'dashboard.reminderNumber': 'This is the number that will get the reminder.',
+    'dashboard.loyaltyCard': 'Loyalty card',
+    'dashboard.loyaltyProgress': '{stamps} of {count} stamps: at {count}, your next haircut is free.',
+    'dashboard.loyaltyRewards': { one: 'You have {count} free haircut: use it when booking.', other: 'You have {count} free haircuts: use them when booking.' },
+    'dashboard.loyaltyExpires': 'Your oldest stamp expires on {date}.',
+    'dashboard.verified': 'Verified account ({identity})',
+    'dashboard.waitlist': 'Waitlist ({count})',
+    'dashboard.offer': 'A time opened up with {barber}! Held for you until {time}.',
+    'dashboard.offerExpired': 'Offer expired: the time went to the next person in line.',
+    'dashboard.waitlistWindow': '{start} to {end}',
+    'dashboard.accept': 'Accept',
+    'dashboard.decline': 'Decline',
+    'dashboard.leave': 'Leave',
+    'dashboard.upcoming': 'Upcoming Appointments ({count})',
+    'dashboard.noUpcoming': 'You have no upcoming appointments.',
+    'dashboard.bookNow': 'Click here to book!',
+    'dashboard.payOnSite': 'pay at the barbershop',
+    'dashboard.payWithPix': 'Pay with PIX',
+    'dashboard.reschedule': 'Reschedule',
+    'dashboard.skipTitle': 'Cancels only this appointment; the rest of the series stays',
+    'dashboard.cancelling': 'Cancelling...',
+    'dashboard.abandon': 'Give up',
+    'dashboard.skip': 'Skip',
+    'dashboard.cancel': 'Cancel',
+    'dashboard.cancelSeries': 'Cancel series',
+    'dashboard.otherShops': 'At other locations ({count})',
+    'dashboard.openShop': 'Open location',
+    'dashboard.history': 'History ({count})',
+    'dashboard.payment': 'Payment: {payment}',
+    'dashboard.receipt': 'Receipt',
+    'dashboard.bookAgain': 'Book again',
+    'dashboard.showMore': 'Show more',
+
+    // --- AGENDA DA EQUIPE ---
+    'admin.defaultBlockReason': 'Walk-in customer',
+    'admin.blockedByStaff': 'Blocked by staff',
+    'admin.nothingToExport': 'No upcoming appointments to export.',
+    'admin.barberCalendar': '{barber} schedule',
+    'admin.shopCalendar': 'Barbershop schedule',
+    'admin.confirmCancel': 'Cancel {customer}\'s appointment at {time}?',
+    'admin.confirmCancelPaid': 'Cancel {customer}\'s appointment at {time}? The amount paid goes back to the customer as credit.',
+    'admin.statusFailed': 'Failed to update the status. Please try again.',
+    'admin.blockMissing': 'Choose the barber and the time to block.',
+    'admin.blockTaken': 'One of these times is already taken. Choose another.',
+    'admin.blockFailed': 'Failed to block the time. Please try again.',
+    'admin.retryFailed': 'Failed to resend the message. Please try again.',
+    'admin.confirmMigrate': { one: 'Move {count} old appointment to the private collection?', other: 'Move {count} old appointments to the private collection?' },
+    'admin.migrateFailed': 'Failed to migrate the old appointments. Please try again.',
+    'admin.unblockFailed': 'Failed to unblock the time. Please try again.',
+    'admin.unblock': 'Unblock',
+    'admin.whatsapp': 'WhatsApp: {number}',
+    'admin.chargeOnSite': 'charge {amount} on site',
+    'admin.loyaltyReward': 'Free haircut from the loyalty card',
+    'admin.retry': 'Resend',
+    'admin.weekRange': '{start} to {end}',
+    'admin.reports': 'Reports',
+    'admin.legacyWarning': { one: 'There is {count} appointment in the old public collection, visible to any customer. Migrate it to the private collection.', other: 'There are {count} appointments in the old public collection, visible to any customer. Migrate them to the private collection.' },
+    'admin.migrating': 'Migrating...',
+    'admin.migrate': 'Migrate now',
+    'admin.today': 'Today',
+    'admin.allBarbers': 'All barbers',
+    'admin.exportAgendaTitle': 'Downloads upcoming appointments as an .ics file; export again to update your calendar',
+    'admin.exportAgenda': 'Export schedule (.ics)',
+    'admin.noAppointments': 'No appointments on this day.',
+    'admin.blockTitle': 'Block Time',
+    'admin.closedDay': 'The barbershop is closed on this day.',
+    'admin.blockTime': 'Time',
+    'admin.blockReason': 'Reason',
+    'admin.blocking': 'Blocking...',
+    'admin.block': 'Block',
+    'messageTypes.confirmation': 'Confirmation',
+    'messageTypes.reminder_24h': '24h reminder',
+    'messageTypes.reminder_1h': '1h reminder',
+    'messageTypes.cancellation': 'Cancellation',
+    'messageTypes.waitlist_offer': 'Waitlist offer',
+    'messageStatuses.pending': 'Scheduled',
+    'messageStatuses.sending': 'Sending',
+    'messageStatuses.sent': 'Sent',
+    'messageStatuses.failed': 'Failed',
+    'messageStatuses.skipped': 'Discarded',
+
+    // --- RELATÓRIOS ---
+    'reports.periods.day': 'Day',
+    'reports.periods.week': 'Week',
+    'reports.periods.month': 'Month',
+    'reports.revenueBy.day': 'Revenue and customers by day',
+    'reports.revenueBy.week': 'Revenue and customers by week',
+    'reports.revenueBy.month': 'Revenue and customers by month',
+    'reports.noBarber': 'No barber',
+    'reports.thisMonth': 'This month',
+    'reports.lastMonth': 'Last month',
+    'reports.last90Days': 'Last 90 days',
+    'reports.weekOf': 'Week of {date}',
+    'reports.exportCsv': 'Export CSV',
+    'reports.appointments': 'Appointments',
+    'reports.appointmentsInRange': 'Appointments in the period',
+    'reports.revenue': 'Revenue',
+    'reports.revenueBrl': 'Revenue (R$)',
+    'reports.noRevenue': 'No revenue in the period.',
+    'reports.noAppointments': 'No appointments in the period.',
+    'reports.backToAgenda': 'Back to Schedule',
+    'reports.from': 'From',
+    'reports.to': 'To',
+    'reports.invalidRange': 'Choose a valid period (the start date cannot be after the end date).',
+    'reports.occupancy': 'Occupancy',
+    'reports.newReturning': 'New / returning customers',
+    'reports.noShows': 'No-shows',
+    'reports.cancellations': 'Cancellations',
+    'reports.newCustomers': 'New customers',
+    'reports.returningCustomers': 'Returning customers',
+    'reports.new': 'New',
+    'reports.returning': 'Returning',
+    'reports.revenueByService': 'Revenue by service',
+    'reports.revenueByBarber': 'Revenue by barber',
+    'reports.service': 'Service',
+    'reports.barber': 'Barber',
+    'reports.busiestTimes': 'Busiest times',
+    'reports.weekday': 'Weekday',
+    'reports.hour': 'Hour',
+    'reports.capacityMinutes': 'Available minutes',
+    'reports.bookedMinutes': 'Booked minutes',
+    'reports.occupancyPercent': 'Occupancy (%)',
+    'reports.neverOpen': 'The barbershop was not open in the period.',
+    'reports.bookedOf': '{booked} of {capacity} min booked',
+    'reports.minutesOf': '{booked} of {capacity} min',
+    'reports.occupancyByDay': 'Occupancy by day',
+    'reports.date': 'Date',
+    'reports.attendance': 'No-shows and cancellations',
+    'reports.indicator': 'Metric',
+    'reports.value': 'Value',
+    'reports.completed': 'Completed',
+    'reports.cancelled': 'Cancelled',
+    'reports.noShowRate': 'No-show rate (%)',
+    'reports.cancellationRate': 'Cancellation rate (%)',
+    'reports.noShowDetail': '{count} ({rate} of appointments with an outcome)',
+    'reports.cancelledDetail': '{count} ({rate} of appointments)',
+
+    // --- RECIBO E CALENDÁRIO ---
+    'paymentMethods.pix': 'PIX',
+    'paymentMethods.credit': 'Barbershop credit',
+    'paymentMethods.on_site': 'At the barbershop',
+    'paymentMethods.manual': 'Confirmed by the barbershop',
+    'paymentMethods.loyalty': 'Loyalty card (free haircut)',
+    'paymentMethods.coupon': 'Discount coupon',
+    'receipt.onSiteUnregistered': '{method} (not recorded in the app)',
+    'receipt.unpaid': 'Unpaid',
+    'receipt.unknownMethod': 'Not provided',
+    'receipt.paidOn': '{method} on {date}',
+    'receipt.customer': 'Customer',
+    'receipt.service': 'Service',
+    'receipt.barber': 'Barber',
+    'receipt.date': 'Date',
+    'receipt.time': 'Time',
+    'receipt.status': 'Status',
+    'receipt.basePrice': 'Service price',
+    'receipt.price': 'Amount',
+    'receipt.payment': 'Payment',
+    'receipt.refund': 'Refund',
+    'receipt.refundCredit': '{amount} (credit)',
+    'receipt.refundReversal': '{amount} (reversal)',
+    'receipt.title': 'Receipt - {shop}',
+    'receipt.issued': 'Receipt for appointment {id} · issued on {date}',
+    'receipt.print': 'Print or save as PDF',
+    'calendar.eventAt': '{service} at {shop}',
+    'calendar.eventBarber': 'Barber: {barber}',
+    'calendar.eventManage': 'To cancel or reschedule, use the barbershop app.',
+
+    // --- PERFIL, TELEFONE E DADOS PESSOAIS ---
+    'phone.country': 'Phone country',
+    'phone.placeholder': 'Number with area code',
+    'auth.reminderConsent': 'I want to get reminders of my appointments on WhatsApp.',
+    'dashboard.remindersOff': 'You don\'t get WhatsApp reminders; you can turn them on in "Edit profile".',
+    'dashboard.editProfile': 'Edit profile',
+    'profile.title': 'My profile',
+    'profile.save': 'Save changes',
+    'profile.saved': 'Profile updated. Your upcoming appointments already use the new details.',
+    'profile.consentGrantedAt': 'Reminders allowed on {date}.',
+    'profile.consentWithdrawnAt': 'Reminders declined on {date}.',
+    'profile.privacyTitle': 'Your data (LGPD)',
+    'profile.privacyIntro': 'Download a copy of everything we keep about you: profile, appointments and waitlist, in every location.',
+    'profile.export': 'Download my data (JSON)',
+    'profile.exportFailed': 'Could not download your data. Please try again.',
+    'profile.deleteIntro': 'Deleting your account erases your profile, and past appointments no longer show your name or WhatsApp. This cannot be undone.',
+    'profile.delete': 'Delete my account',
+    'profile.deleteConfirm': 'Delete your account in every location? This cannot be undone.',
+    'profile.deleteHasBookings': 'Cancel your upcoming appointments and leave the waitlist before deleting your account.',
+    'profile.deleteFailed': 'Could not delete the account. Please try again.',
+};
@@ -0,0 +1,442 @@
+// Textos em espanhol. Mesmas chaves de pt-BR.js.
+
+export const MESSAGES = {
+    // --- GERAL ---
+    'common.close': 'Cerrar',
+    'common.language': 'Idioma',
+    'common.sending': 'Enviando...',
+    'common.saving': 'Guardando...',
+    'common.userId': 'ID de usuario: {id}',
+    'common.loading': 'cargando...',
+    'common.processing': 'Procesando...',
+    'common.backToDashboard': 'Volver al panel',
+    'common.initializing': 'Iniciando el sistema...',
+
+    // --- MENSAGENS DO WHATSAPP (messaging.js) ---
+    'whatsapp.defaultShopName': 'Barbería',
+    'whatsapp.serviceLine': '💈 *Servicio:* {service}',
+    'whatsapp.barberLine': '💇 *Barbero:* {barber}',
+    'whatsapp.dateLine': '🗓️ *Fecha:* {date}',
+    'whatsapp.timeLine': '⏰ *Hora:* {time}',
+    'whatsapp.addressLine': '🏠 *Dirección:* {address}',
+    'whatsapp.waitingForYou': '📍 ¡Te esperamos!',
+    'whatsapp.confirmation.title': '*💈 Cita Confirmada - {shop}* ¡Hola, {name}!',
+    'whatsapp.confirmation.intro': 'Tu cita está confirmada para:',
+    'whatsapp.confirmation.series': { one: '🔁 Se repite cada semana a la misma hora (las próximas están en la app).', other: '🔁 Se repite cada {count} semanas a la misma hora (las próximas están en la app).' },
+    'whatsapp.reminder.title': '*🤖 Recordatorio de Cita - {shop}* ¡Hola, {name}!',
+    'whatsapp.reminder24h.intro': 'Tu cita es mañana:',
+    'whatsapp.reminder24h.footer': '¿Necesitas cambiar la hora? Entra en la app con antelación.',
+    'whatsapp.reminder1h.intro': 'Tu cita es dentro de 1 hora:',
+    'whatsapp.cancellation.title': '*❌ Cita Cancelada - {shop}* Hola, {name}.',
+    'whatsapp.cancellation.intro': 'La cita de abajo fue cancelada:',
+    'whatsapp.cancellation.credit': '💰 {amount} volvieron como crédito.',
+    'whatsapp.cancellation.refund': '💰 {amount} serán reembolsados.',
+    'whatsapp.cancellation.footer': 'Cuando quieras, reserva de nuevo en la app.',
+    'whatsapp.waitlistOffer.title': '*⏳ Se Liberó un Horario - {shop}* ¡Hola, {name}!',
+    'whatsapp.waitlistOffer.intro': 'Un horario que esperabas quedó libre:',
+    'whatsapp.waitlistOffer.footer': 'Confirma en la app antes de las {time}. Después, el horario pasa al siguiente de la lista.',
+
+    // --- AGENDAMENTOS E REGRAS ---
+    'errors.slotTaken': 'Este horario acaba de ser reservado por otro cliente.',
+    'errors.someSlotsTaken': 'Alguno de estos horarios ya está ocupado.',
+    'errors.waitlistSlotTaken': 'El horario fue ocupado antes de ser ofrecido.',
+    'errors.couponEmpty': 'Escribe el código del cupón.',
+    'errors.couponChanged': 'El descuento de este cupón cambió. Aplica el cupón de nuevo para ver el precio actualizado.',
+    'errors.insufficientCredit': 'Crédito insuficiente para esta cita.',
+    'errors.paymentShort': 'Monto recibido ({amount}) menor que el cobrado ({price}).',
+    'errors.insufficientStamps': 'Sellos insuficientes para el corte gratis.',
+    'errors.statusTransition': 'No es posible pasar de "{from}" a "{to}".',
+    'policy.statusLocked': 'Esta cita está en estado "{status}" y ya no se puede cambiar.',
+    'policy.tooLate': 'Los cambios solo se permiten hasta {hours} h antes de la cita. Habla con la barbería por WhatsApp.',
+    'policy.rescheduleLimit': { one: 'Esta cita ya fue reprogramada {count} vez, el límite de la barbería.', other: 'Esta cita ya fue reprogramada {count} veces, el límite de la barbería.' },
+    'availability.plenty': 'Varios horarios',
+    'availability.few': 'Pocos horarios',
+    'availability.full': 'Completo',
+    'availability.closed': 'Cerrado',
+    'appointmentStatuses.pending_payment': 'Esperando pago',
+    'appointmentStatuses.expired': 'Pago vencido',
+    'appointmentStatuses.confirmed': 'Confirmada',
+    'appointmentStatuses.checked_in': 'Llegó',
+    'appointmentStatuses.completed': 'Completada',
+    'appointmentStatuses.no_show': 'No asistió',
+    'appointmentStatuses.cancelled': 'Cancelada',
+    'appointmentActions.confirmed': 'Confirmar pago',
+    'appointmentActions.checked_in': 'Registrar llegada',
+    'appointmentActions.completed': 'Completar',
+    'appointmentActions.no_show': 'No vino',
+    'appointmentActions.cancelled': 'Cancelar',
+    'waitlistStatuses.waiting': 'Esperando un horario',
+    'waitlistStatuses.offered': 'Horario ofrecido',
+    'waitlistStatuses.accepted': 'Horario aceptado',
+    'waitlistStatuses.declined': 'Horario rechazado',
+    'waitlistStatuses.expired': 'Vencida',
+    'waitlistStatuses.left': 'Salió de la lista',
+    'recurrence.none': 'No repetir',
+    'recurrence.every': { one: 'Cada semana', other: 'Cada {count} semanas' },
+    'series.closed': 'Barbería cerrada',
+    'series.closedWithReason': 'Barbería cerrada ({reason})',
+    'series.outsideHours': 'Fuera del horario de este día',
+    'series.slotTaken': 'Horario ocupado',
+    'series.serviceUnavailable': 'Servicio no disponible',
+    'occupancy.below25': 'Menos del 25%',
+    'occupancy.25to50': '25% a 50%',
+    'occupancy.50to75': '50% a 75%',
+    'occupancy.75plus': '75% o más',
+    'coupons.invalid': 'Cupón no válido.',
+    'coupons.notYetValid': 'Este cupón es válido a partir del {date}.',
+    'coupons.expired': 'Este cupón venció.',
+    'coupons.wrongService': 'Este cupón no es válido para el servicio elegido.',
+    'coupons.soldOut': 'Este cupón se agotó.',
+    'coupons.customerLimit': 'Ya usaste este cupón el máximo de veces permitido.',
+    'pricing.coupon': 'Cupón {code}',
+    'pricing.loyalty': 'Tarjeta de fidelidad (corte gratis)',
+    'errors.appointmentGone': 'Cita no encontrada o ya cancelada.',
+    'errors.appointmentNotFound': 'Cita no encontrada.',
+
+    // --- CONFIRMAÇÃO, CALENDÁRIO E PIX ---
+    'calendar.addTo': 'Agregar al calendario:',
+    'calendar.icsFile': 'Archivo .ics',
+    'calendar.google': 'Google Calendar',
+    'notification.title': 'Recordatorio de Cita',
+    'notification.intro': 'Tu cita fue guardada. Esta confirmación llega a tu WhatsApp, y recibirás recordatorios 24 horas y 1 hora antes:',
+    'notification.whatsapp': 'Mensaje de WhatsApp',
+    'notification.whatsappMock': 'Mensaje de WhatsApp (Simulado)',
+    'notification.mockProvider': 'Proveedor simulado: los mensajes aparecen en la consola del navegador. En producción, el servidor los envía por Twilio o Z-API.',
+    'notification.series': 'Repeticiones',
+    'notification.seriesConflict': '{reason}: no agendada',
+    'notification.seriesBooked': '{time}, pago en la barbería',
+    'notification.close': '¡Entendido! Ir al panel',
+    'pix.title': 'Pago con PIX',
+    'pix.expired': 'El plazo de pago venció y el horario fue liberado. Si ya pagaste, la cita se confirma en cuanto llegue el PIX (o el valor vuelve como crédito si el horario fue ocupado).',
+    'pix.qrCodeAlt': 'Código QR de PIX',
+    'pix.copyPaste': 'Código PIX para copiar y pegar',
+    'pix.copy': 'Copiar código',
+    'pix.copied': '¡Código copiado!',
+    'pix.copyFailed': 'No se pudo copiar. Selecciona el código y cópialo manualmente.',
+    'pix.countdown': 'Paga en {time} para asegurar tu horario.',
+    'pix.waiting': 'Esperando la confirmación del pago...',
+    'pix.simulate': 'Simular PIX recibido (webhook)',
+    'pix.simulating': 'Simulando...',
+    'pix.simulateFailed': 'No se pudo simular el pago. Inténtalo de nuevo.',
+    'pix.payLater': 'Pagar después (el horario queda reservado hasta que venza el plazo)',
+    'calendar.freeCount': { one: '{count} libre', other: '{count} libres' },
+
+    // --- CADASTRO E CONTA ---
+    'verification.success': '¡Cuenta protegida! Ahora puedes recuperar tus citas en cualquier dispositivo.',
+    'verification.wrongCode': 'Código incorrecto. Revisa el SMS e inténtalo de nuevo.',
+    'verification.phoneRequired': 'Ingresa un teléfono válido (con código de área, o con + y el código del país).',
+    'verification.sendCodeFailed': 'No se pudo enviar el código. Revisa el número e inténtalo de nuevo.',
+    'verification.confirmCodeFailed': 'No se pudo confirmar el código. Inténtalo de nuevo.',
+    'verification.sendLinkFailed': 'No se pudo enviar el enlace. Revisa el correo e inténtalo de nuevo.',
+    'verification.recoverTitle': 'Recuperar mi cuenta',
+    'verification.protectTitle': 'Proteger mi cuenta',
+    'verification.recoverIntro': 'Confirma el teléfono o correo que verificaste antes para volver a ver tu perfil y tus citas.',
+    'verification.protectIntro': 'Confirma tu teléfono o correo. Si cambias de dispositivo o borras el navegador, solo entra con él para recuperar tu perfil y tus citas.',
+    'verification.methodPhone': 'Teléfono (SMS)',
+    'verification.methodEmail': 'Correo',
+    'verification.phoneLabel': 'Teléfono',
+    'verification.sendCode': 'Enviar código por SMS',
+    'verification.codeLabel': 'Código recibido en {phone}',
+    'verification.confirming': 'Confirmando...',
+    'verification.confirmCode': 'Confirmar código',
+    'verification.changeNumber': 'Cambiar número',
+    'verification.linkSentPrefix': 'Enviamos un enlace a',
+    'verification.linkSentSuffix': 'Abre el enlace en este mismo dispositivo y navegador para terminar.',
+    'verification.emailLabel': 'Correo',
+    'verification.emailPlaceholder': 'tu@ejemplo.com',
+    'verification.sendLink': 'Enviar enlace de acceso',
+    'verification.notNow': 'Ahora no',
+    'auth.nameRequired': 'Por favor, escribe tu nombre completo (nombre y apellido).',
+    'auth.whatsappInvalid': 'Número de WhatsApp no válido. Elige el país e ingresa el número con código de área (o con + y el código del país).',
+    'auth.saveFailed': 'No se pudo guardar el perfil. Inténtalo de nuevo.',
+    'auth.welcome': 'Bienvenido(a) · {shop}',
+    'auth.intro': 'Completa tu registro para reservar tu corte.',
+    'auth.prefilled': 'Completamos con tu registro de {shop}. Revisa y guarda.',
+    'auth.nameLabel': 'Nombre completo',
+    'auth.namePlaceholder': 'Tu nombre y apellido',
+    'auth.whatsappLabel': 'WhatsApp',
+    'auth.submit': 'Guardar y continuar',
+    'auth.recover': '¿Ya te registraste en otro dispositivo? Recuperar mi cuenta',
+    'auth.recoveringAccount': 'Recuperando tu cuenta...',
+
+    // --- AGENDAR ---
+    'booking.paidAfterTaken': 'El pago llegó después de que el horario fue ocupado. {amount} volvieron como crédito.',
+    'booking.pendingCancelled': 'La cita fue cancelada. Elige otro horario.',
+    'booking.holdExpired': 'Tu reserva de {minutes} minutos venció. Selecciona el horario de nuevo.',
+    'booking.noOpenDays': 'La barbería no abre en los próximos {days} días.',
+    'booking.couponFailed': 'No se pudo validar el cupón. Inténtalo de nuevo.',
+    'waitlist.windowTooShort': 'La franja horaria debe tener al menos {minutes} minutos.',
+    'waitlist.joinFailed': 'No se pudo entrar en la lista de espera. Inténtalo de nuevo.',
+    'waitlist.leaveFailed': 'No se pudo salir de la lista de espera. Inténtalo de nuevo.',
+    'booking.slotTaken': 'Este horario acaba de ser reservado por otro cliente. Elige otro horario.',
+    'booking.selectTime': 'Por favor, selecciona un horario.',
+    'booking.holdFailed': 'No se pudo reservar el horario. Inténtalo de nuevo.',
+    'booking.confirmReward': '¡Tu tarjeta de fidelidad está completa! Presiona OK para usar el corte gratis en esta cita.',
+    'booking.confirmCredit': 'Tienes {amount} de crédito. Presiona OK para usar el crédito en esta cita.',
+    'booking.pixNotConfigured': 'La barbería aún no configuró los pagos por PIX. Habla con la barbería para reservar.',
+    'booking.seriesBooking': 'Reservando las repeticiones de la serie...',
+    'booking.creditChanged': 'Tu crédito ya no cubre esta cita. Inténtalo de nuevo para pagar normalmente.',
+    'booking.rewardChanged': 'Tu tarjeta de fidelidad ya no tiene sellos para el corte gratis. Inténtalo de nuevo para pagar normalmente.',
+    'booking.couponRemoved': '{reason} El cupón fue eliminado; revisa el precio y confirma de nuevo.',
+    'booking.saveFailed': 'No se pudo registrar la cita. Inténtalo de nuevo.',
+    'booking.rescheduleFailed': 'No se pudo reprogramar la cita. Inténtalo de nuevo.',
+    'booking.title': 'Reservar cita',
+    'booking.rescheduleTitle': 'Reprogramar cita',
+    'booking.rescheduling': 'Reprogramando la cita de las {time} del {date}. El pago ({payment}) se mantiene.',
+    'payment.paid': 'Pagado',
+    'payment.pending': 'Pendiente',
+    'booking.openingHours': 'Horario: {open} a {close}',
+    'booking.break': 'pausa {start}-{end}',
+    'booking.shopTimeZone': 'Horarios en la zona horaria de la barbería ({timeZone})',
+    'booking.closeCalendar': 'Cerrar calendario',
+    'booking.showMonth': 'Ver el mes',
+    'booking.chooseService': 'Elige el servicio',
+    'booking.availableTimes': 'Horarios disponibles ({service} - {minutes} min)',
+    'booking.changeService': 'Cambiar servicio',
+    'booking.anyBarber': 'Cualquiera disponible',
+    'booking.noTimes': 'No hay horarios disponibles en esta fecha. Prueba otro día.',
+    'booking.heldTitle': 'Otro cliente está terminando de pagar este horario',
+    'booking.held': 'Reservado',
+    'booking.selected': 'Cita seleccionada:',
+    'booking.withBarber': 'con {barber}',
+    'booking.basePrice': 'Precio del servicio:',
+    'booking.finalPrice': 'Valor de la cita: {amount}',
+    'booking.rescheduleNoCost': 'Sin costo adicional: se mantiene el pago de la cita original.',
+    'booking.couponApplied': 'Cupón {code} aplicado',
+    'booking.removeCoupon': 'Quitar',
+    'booking.couponPlaceholder': 'Cupón de descuento',
+    'booking.applyCoupon': 'Aplicar',
+    'booking.applyingCoupon': 'Validando...',
+    'booking.rewardAvailable': 'Tarjeta de fidelidad completa: al confirmar, puedes usar el corte gratis.',
+    'booking.holdCountdown': 'Horario reservado para ti por {time}',
+    'waitlist.joined': 'Estás en la lista de espera de este día ({service}).',
+    'waitlist.joinedWindow': 'Estás en la lista de espera de este día ({service}, entre {start} y {end}).',
+    'waitlist.offerInfo': 'Si se libera un horario, queda reservado para ti por {minutes} minutos y te avisamos por WhatsApp.',
+    'waitlist.leave': 'Salir de la lista de espera',
+    'waitlist.intro': 'Entra en la lista de espera: si se libera un horario, te lo ofrecemos.',
+    'waitlist.from': 'De',
+    'waitlist.to': 'a',
+    'waitlist.dayStart': 'apertura',
+    'waitlist.dayEnd': 'cierre',
+    'waitlist.join': 'Entrar en la lista de espera',
+    'waitlist.joining': 'Entrando...',
+    'booking.seriesCount': { one: '{count} cita', other: '{count} citas' },
+    'booking.seriesPayment': 'Ahora pagas solo la primera cita; las siguientes se reservan cuando se confirme el pago y se pagan en la barbería.',
+    'booking.seriesConflict': '{reason} (no se reservará)',
+    'booking.confirmReschedule': 'Confirmar reprogramación',
+    'booking.confirmAndPay': 'Confirmar y pagar con PIX',
+
+    // --- PAINEL DO CLIENTE ---
+    'dashboard.confirmAbandon': '¿Renunciar a la cita de las {time}? No se cobró ningún valor.',
+    'dashboard.refundCredit': '{amount} volverán como crédito para tu próxima cita.',
+    'dashboard.refundReversal': '{amount} serán reembolsados por la barbería.',
+    'dashboard.refundNone': 'Esta cancelación no devuelve el valor pagado.',
+    'dashboard.confirmCancel': '¿Cancelar la cita de las {time}? {refund}',
+    'dashboard.cancelFailed': 'No se pudo cancelar la cita. Inténtalo de nuevo.',
+    'dashboard.offerTaken': 'La oferta venció y el horario ya fue ocupado por otro cliente.',
+    'dashboard.acceptOfferFailed': 'No se pudo aceptar el horario. Inténtalo de nuevo.',
+    'dashboard.confirmDeclineOffer': '¿Rechazar el horario de las {time}? Pasa al siguiente de la lista de espera.',
+    'dashboard.confirmLeaveWaitlist': '¿Salir de la lista de espera de este día?',
+    'dashboard.confirmCancelSeries': { one: '¿Cancelar la última cita de esta serie? Las citas pagadas siguen la política de cancelación.', other: '¿Cancelar las {count} citas restantes de esta serie? Las citas pagadas siguen la política de cancelación.' },
+    'dashboard.seriesCancelled': { one: '{count} cita cancelada.', other: '{count} citas canceladas.' },
+    'dashboard.seriesKeptItem': '{time} del {date}',
+    'dashboard.seriesKept': { one: '{list} ya no se puede cancelar desde la app.', other: '{list} ya no se pueden cancelar desde la app.' },
+    'dashboard.seriesRefunded': 'Serie cancelada. {amount} volvieron según la política de cancelación.',
+    'dashboard.cancelSeriesFailed': 'No se pudo cancelar la serie. Algunas citas pueden haberse cancelado; revisa la lista.',
+    'dashboard.notProvided': 'No informado',
+    'dashboard.greeting': '¡Hola, {name}!',
+    'dashboard.shop': 'Sucursal',
+    'dashboard.staffAgenda': 'Agenda del equipo',
+    'dashboard.newAppointment': 'Nueva cita',
+    'dashboard.profile': 'Mi perfil',
+    'dashboard.name': 'Nombre:',
+    'dashboard.whatsapp': 'WhatsApp:',
+    'dashboard.credit': 'Crédito:',
+    'dashboard.reminderNumber': 'Este es el número que recibirá el recordatorio.',
+    'dashboard.loyaltyCard': 'Tarjeta de fidelidad',
+    'dashboard.loyaltyProgress': '{stamps} de {count} sellos: con {count}, el próximo corte es gratis.',
+    'dashboard.loyaltyRewards': { one: 'Tienes {count} corte gratis: úsalo al reservar.', other: 'Tienes {count} cortes gratis: úsalos al reservar.' },
+    'dashboard.loyaltyExpires': 'El sello más antiguo vence el {date}.',
+    'dashboard.verified': 'Cuenta verificada ({identity})',
+    'dashboard.waitlist': 'Lista de espera ({count})',
+    'dashboard.offer': '¡Horario libre con {barber}! Reservado para ti hasta las {time}.',
+    'dashboard.offerExpired': 'Oferta vencida: el horario pasó al siguiente de la fila.',
+    'dashboard.waitlistWindow': '{start} a {end}',
+    'dashboard.accept': 'Aceptar',
+    'dashboard.decline': 'Rechazar',
+    'dashboard.leave': 'Salir',
+    'dashboard.upcoming': 'Próximas citas ({count})',
+    'dashboard.noUpcoming': 'No tienes citas futuras.',
+    'dashboard.bookNow': '¡Haz clic aquí para reservar!',
+    'dashboard.payOnSite': 'pago en la barbería',
+    'dashboard.payWithPix': 'Pagar con PIX',
+    'dashboard.reschedule': 'Reprogramar',
+    'dashboard.skipTitle': 'Cancela solo esta cita; las demás de la serie siguen',
+    'dashboard.cancelling': 'Cancelando...',
+    'dashboard.abandon': 'Renunciar',
+    'dashboard.skip': 'Saltar',
+    'dashboard.cancel': 'Cancelar',
+    'dashboard.cancelSeries': 'Cancelar serie',
+    'dashboard.otherShops': 'En otras sucursales ({count})',
+    'dashboard.openShop': 'Abrir sucursal',
+    'dashboard.history': 'Historial ({count})',
+    'dashboard.payment': 'Pago: {payment}',
+    'dashboard.receipt': 'Recibo',
+    'dashboard.bookAgain': 'Reservar de nuevo',
+    'dashboard.showMore': 'Mostrar más',
+
+    // --- AGENDA DA EQUIPE ---
+    'admin.defaultBlockReason': 'Cliente sin cita',
+    'admin.blockedByStaff': 'Bloqueado por el equipo',
+    'admin.nothingToExport': 'No hay citas futuras para exportar.',
+    'admin.barberCalendar': 'Agenda de {barber}',
+    'admin.shopCalendar': 'Agenda de la barbería',
+    'admin.confirmCancel': '¿Cancelar la cita de {customer} a las {time}?',
+    'admin.confirmCancelPaid': '¿Cancelar la cita de {customer} a las {time}? El valor pagado vuelve como crédito para el cliente.',
+    'admin.statusFailed': 'No se pudo actualizar el estado. Inténtalo de nuevo.',
+    'admin.blockMissing': 'Elige el barbero y el horario a bloquear.',
+    'admin.blockTaken': 'Alguno de estos horarios ya está ocupado. Elige otro.',
+    'admin.blockFailed': 'No se pudo bloquear el horario. Inténtalo de nuevo.',
+    'admin.retryFailed': 'No se pudo reenviar el mensaje. Inténtalo de nuevo.',
+    'admin.confirmMigrate': { one: '¿Mover {count} cita antigua a la colección privada?', other: '¿Mover {count} citas antiguas a la colección privada?' },
+    'admin.migrateFailed': 'No se pudieron migrar las citas antiguas. Inténtalo de nuevo.',
+    'admin.unblockFailed': 'No se pudo desbloquear el horario. Inténtalo de nuevo.',
+    'admin.unblock': 'Desbloquear',
+    'admin.whatsapp': 'WhatsApp: {number}',
+    'admin.chargeOnSite': 'cobrar {amount} en el local',
+    'admin.loyaltyReward': 'Corte gratis de la tarjeta de fidelidad',
+    'admin.retry': 'Reenviar',
+    'admin.weekRange': '{start} a {end}',
+    'admin.reports': 'Informes',
+    'admin.legacyWarning': { one: 'Hay {count} cita en la colección pública antigua, visible para cualquier cliente. Mígrala a la colección privada.', other: 'Hay {count} citas en la colección pública antigua, visibles para cualquier cliente. Mígralas a la colección privada.' },
+    'admin.migrating': 'Migrando...',
+    'admin.migrate': 'Migrar ahora',
+    'admin.today': 'Hoy',
+    'admin.allBarbers': 'Todos los barberos',
+    'admin.exportAgendaTitle': 'Descarga las próximas citas en un archivo .ics; exporta de nuevo para actualizar el calendario',
+    'admin.exportAgenda': 'Exportar agenda (.ics)',
+    'admin.noAppointments': 'No hay citas este día.',
+    'admin.blockTitle': 'Bloquear horario',
+    'admin.closedDay': 'La barbería está cerrada este día.',
+    'admin.blockTime': 'Horario',
+    'admin.blockReason': 'Motivo',
+    'admin.blocking': 'Bloqueando...',
+    'admin.block': 'Bloquear',
+    'messageTypes.confirmation': 'Confirmación',
+    'messageTypes.reminder_24h': 'Recordatorio 24 h',
+    'messageTypes.reminder_1h': 'Recordatorio 1 h',
+    'messageTypes.cancellation': 'Cancelación',
+    'messageTypes.waitlist_offer': 'Oferta de la lista de espera',
+    'messageStatuses.pending': 'Programado',
+    'messageStatuses.sending': 'Enviando',
+    'messageStatuses.sent': 'Enviado',
+    'messageStatuses.failed': 'Falló',
+    'messageStatuses.skipped': 'Descartado',
+
+    // --- RELATÓRIOS ---
+    'reports.periods.day': 'Día',
+    'reports.periods.week': 'Semana',
+    'reports.periods.month': 'Mes',
+    'reports.revenueBy.day': 'Ingresos y clientes por día',
+    'reports.revenueBy.week': 'Ingresos y clientes por semana',
+    'reports.revenueBy.month': 'Ingresos y clientes por mes',
+    'reports.noBarber': 'Sin barbero',
+    'reports.thisMonth': 'Este mes',
+    'reports.lastMonth': 'Mes pasado',
+    'reports.last90Days': 'Últimos 90 días',
+    'reports.weekOf': 'Semana del {date}',
+    'reports.exportCsv': 'Exportar CSV',
+    'reports.appointments': 'Citas',
+    'reports.appointmentsInRange': 'Citas en el período',
+    'reports.revenue': 'Ingresos',
+    'reports.revenueBrl': 'Ingresos (R$)',
+    'reports.noRevenue': 'Sin ingresos en el período.',
+    'reports.noAppointments': 'Sin citas en el período.',
+    'reports.backToAgenda': 'Volver a la agenda',
+    'reports.from': 'Desde',
+    'reports.to': 'Hasta',
+    'reports.invalidRange': 'Elige un período válido (la fecha inicial no puede ser posterior a la final).',
+    'reports.occupancy': 'Ocupación',
+    'reports.newReturning': 'Clientes nuevos / recurrentes',
+    'reports.noShows': 'Ausencias',
+    'reports.cancellations': 'Cancelaciones',
+    'reports.newCustomers': 'Clientes nuevos',
+    'reports.returningCustomers': 'Clientes recurrentes',
+    'reports.new': 'Nuevos',
+    'reports.returning': 'Recurrentes',
+    'reports.revenueByService': 'Ingresos por servicio',
+    'reports.revenueByBarber': 'Ingresos por barbero',
+    'reports.service': 'Servicio',
+    'reports.barber': 'Barbero',
+    'reports.busiestTimes': 'Horarios más concurridos',
+    'reports.weekday': 'Día de la semana',
+    'reports.hour': 'Hora',
+    'reports.capacityMinutes': 'Minutos disponibles',
+    'reports.bookedMinutes': 'Minutos reservados',
+    'reports.occupancyPercent': 'Ocupación (%)',
+    'reports.neverOpen': 'La barbería no abrió en el período.',
+    'reports.bookedOf': '{booked} de {capacity} min reservados',
+    'reports.minutesOf': '{booked} de {capacity} min',
+    'reports.occupancyByDay': 'Ocupación por día',
+    'reports.date': 'Fecha',
+    'reports.attendance': 'Ausencias y cancelaciones',
+    'reports.indicator': 'Indicador',
+    'reports.value': 'Valor',
+    'reports.completed': 'Completadas',
+    'reports.cancelled': 'Canceladas',
+    'reports.noShowRate': 'Tasa de ausencias (%)',
+    'reports.cancellationRate': 'Tasa de cancelación (%)',
+    'reports.noShowDetail': '{count} ({rate} de las citas con resultado)',
+    'reports.cancelledDetail': '{count} ({rate} de las citas)',
+
+    // --- RECIBO E CALENDÁRIO ---
+    'paymentMethods.pix': 'PIX',
+    'paymentMethods.credit': 'Crédito de la barbería',
+    'paymentMethods.on_site': 'En la barbería',
+    'paymentMethods.manual': 'Confirmado por la barbería',
+    'paymentMethods.loyalty': 'Tarjeta de fidelidad (corte gratis)',
+    'paymentMethods.coupon': 'Cupón de descuento',
+    'receipt.onSiteUnregistered': '{method} (no registrado en la app)',
+    'receipt.unpaid': 'No pagado',
+    'receipt.unknownMethod': 'No informado',
+    'receipt.paidOn': '{method} el {date}',
+    'receipt.customer': 'Cliente',
+    'receipt.service': 'Servicio',
+    'receipt.barber': 'Barbero',
+    'receipt.date': 'Fecha',
+    'receipt.time': 'Hora',
+    'receipt.status': 'Estado',
+    'receipt.basePrice': 'Precio del servicio',
+    'receipt.price': 'Importe',
+    'receipt.payment': 'Pago',
+    'receipt.refund': 'Devolución',
+    'receipt.refundCredit': '{amount} (crédito)',
+    'receipt.refundReversal': '{amount} (reembolso)',
+    'receipt.title': 'Recibo - {shop}',
+    'receipt.issued': 'Recibo de la cita {id} · emitido el {date}',
+    'receipt.print': 'Imprimir o guardar en PDF',
+    'calendar.eventAt': '{service} en {shop}',
+    'calendar.eventBarber': 'Barbero: {barber}',
+    'calendar.eventManage': 'Para cancelar o reprogramar, usa la app de la barbería.',
+
+    // --- PERFIL, TELEFONE E DADOS PESSOAIS ---
+    'phone.country': 'País del teléfono',
+    'phone.placeholder': 'Número con código de área',
+    'auth.reminderConsent': 'Quiero recibir recordatorios de mis citas por WhatsApp.',
+    'dashboard.remindersOff': 'No recibes recordatorios por WhatsApp; puedes activarlos en "Editar perfil".',
+    'dashboard.editProfile': 'Editar perfil',
+    'profile.title': 'Mi perfil',
+    'profile.save': 'Guardar cambios',
+    'profile.saved': 'Perfil actualizado. Tus próximas citas ya usan los nuevos datos.',
+    'profile.consentGrantedAt': 'Recordatorios autorizados el {date}.',
+    'profile.consentWithdrawnAt': 'Recordatorios rechazados el {date}.',
+    'profile.privacyTitle': 'Tus datos (LGPD)',
+    'profile.privacyIntro': 'Descarga una copia de todo lo que guardamos sobre ti: registro, citas y lista de espera, en todas las sedes.',
+    'profile.export': 'Descargar mis datos (JSON)',
+    'profile.exportFailed': 'No se pudieron descargar tus datos. Inténtalo de nuevo.',
+    'profile.deleteIntro': 'Al eliminar la cuenta se borra tu registro y las citas anteriores quedan sin tu nombre ni WhatsApp. No se puede deshacer.',
+    'profile.delete': 'Eliminar mi cuenta',
+    'profile.deleteConfirm': '¿Eliminar tu cuenta en todas las sedes? Esta acción no se puede deshacer.',
+    'profile.deleteHasBookings': 'Cancela tus próximas citas y sal de la lista de espera antes de eliminar la cuenta.',
+    'profile.deleteFailed': 'No se pudo eliminar la cuenta. Inténtalo de nuevo.',
+};
@@ -0,0 +1,444 @@
+// Textos em português, o idioma padrão. Toda chave usada no app existe aqui: os outros catálogos
+// usam este quando falta uma tradução. `{nome}` é trocado pelo parâmetro de mesmo nome, e { one, other }
+// são as formas do plural, escolhidas pelo parâmetro `count` (ver i18n.js).
+
+export const MESSAGES = {
+    // --- GERAL ---
+    'common.close': 'Fechar',
+    'common.language': 'Idioma',
+    'common.sending': 'Enviando...',
+    'common.saving': 'Salvando...',
+    'common.userId': 'ID do Usuário: {id}',
+    'common.loading': 'carregando...',
+    'common.processing': 'Processando...',
+    'common.backToDashboard': 'Voltar para o Painel',
+    'common.initializing': 'Inicializando sistema...',
+
+    // --- MENSAGENS DO WHATSAPP (messaging.js) ---
+    'whatsapp.defaultShopName': 'Barbearia',
+    'whatsapp.serviceLine': '💈 *Serviço:* {service}',
+    'whatsapp.barberLine': '💇 *Barbeiro:* {barber}',
+    'whatsapp.dateLine': '🗓️ *Data:* {date}',
+    'whatsapp.timeLine': '⏰ *Hora:* {time}',
+    'whatsapp.addressLine': '🏠 *Endereço:* {address}',
+    'whatsapp.waitingForYou': '📍 Estamos te esperando!',
+    'whatsapp.confirmation.title': '*💈 Agendamento Confirmado - {shop}* Olá, {name}!',
+    'whatsapp.confirmation.intro': 'Seu agendamento está confirmado para:',
+    'whatsapp.confirmation.series': { one: '🔁 Repete toda semana no mesmo horário (os próximos estão no app).', other: '🔁 Repete a cada {count} semanas no mesmo horário (os próximos estão no app).' },
+    'whatsapp.reminder.title': '*🤖 Lembrete de Agendamento - {shop}* Olá, {name}!',
+    'whatsapp.reminder24h.intro': 'Seu horário é amanhã:',
+    'whatsapp.reminder24h.footer': 'Precisa remarcar? Acesse o app com antecedência.',
+    'whatsapp.reminder1h.intro': 'Seu horário é daqui a 1 hora:',
+    'whatsapp.cancellation.title': '*❌ Agendamento Cancelado - {shop}* Olá, {name}.',
+    'whatsapp.cancellation.intro': 'O agendamento abaixo foi cancelado:',
+    'whatsapp.cancellation.credit': '💰 {amount} voltaram como crédito.',
+    'whatsapp.cancellation.refund': '💰 {amount} serão estornados.',
+    'whatsapp.cancellation.footer': 'Quando quiser, é só agendar de novo pelo app.',
+    'whatsapp.waitlistOffer.title': '*⏳ Abriu uma Vaga - {shop}* Olá, {name}!',
+    'whatsapp.waitlistOffer.intro': 'Um horário que você esperava ficou livre:',
+    'whatsapp.waitlistOffer.footer': 'Confirme pelo app até as {time}. Depois disso, a vaga passa para o próximo da fila.',
+
+    // --- AGENDAMENTOS E REGRAS ---
+    'errors.slotTaken': 'Este horário acabou de ser reservado por outro cliente.',
+    'errors.someSlotsTaken': 'Algum destes horários já está ocupado.',
+    'errors.waitlistSlotTaken': 'A vaga foi ocupada antes de ser oferecida.',
+    'errors.couponEmpty': 'Digite o código do cupom.',
+    'errors.couponChanged': 'O desconto deste cupom mudou. Aplique o cupom de novo para ver o valor atualizado.',
+    'errors.insufficientCredit': 'Crédito insuficiente para este agendamento.',
+    'errors.paymentShort': 'Valor recebido ({amount}) menor que o cobrado ({price}).',
+    'errors.insufficientStamps': 'Carimbos insuficientes para o corte grátis.',
+    'errors.statusTransition': 'Não é possível passar de "{from}" para "{to}".',
+    'policy.statusLocked': 'Este agendamento está com status "{status}" e não pode mais ser alterado.',
+    'policy.tooLate': 'Alterações só são permitidas até {hours}h antes do horário. Fale com a barbearia pelo WhatsApp.',
+    'policy.rescheduleLimit': { one: 'Este agendamento já foi remarcado {count} vez, o limite da barbearia.', other: 'Este agendamento já foi remarcado {count} vezes, o limite da barbearia.' },
+    'availability.plenty': 'Vários horários',
+    'availability.few': 'Poucos horários',
+    'availability.full': 'Lotado',
+    'availability.closed': 'Fechado',
+    'appointmentStatuses.pending_payment': 'Aguardando pagamento',
+    'appointmentStatuses.expired': 'Pagamento expirado',
+    'appointmentStatuses.confirmed': 'Confirmado',
+    'appointmentStatuses.checked_in': 'Chegou',
+    'appointmentStatuses.completed': 'Concluído',
+    'appointmentStatuses.no_show': 'Não compareceu',
+    'appointmentStatuses.cancelled': 'Cancelado',
+    'appointmentActions.confirmed': 'Confirmar pagamento',
+    'appointmentActions.checked_in': 'Check-in',
+    'appointmentActions.completed': 'Concluir',
+    'appointmentActions.no_show': 'Não veio',
+    'appointmentActions.cancelled': 'Cancelar',
+    'waitlistStatuses.waiting': 'Aguardando vaga',
+    'waitlistStatuses.offered': 'Vaga oferecida',
+    'waitlistStatuses.accepted': 'Vaga aceita',
+    'waitlistStatuses.declined': 'Vaga recusada',
+    'waitlistStatuses.expired': 'Expirada',
+    'waitlistStatuses.left': 'Saiu da lista',
+    'recurrence.none': 'Não repetir',
+    'recurrence.every': { one: 'Toda semana', other: 'A cada {count} semanas' },
+    'series.closed': 'Barbearia fechada',
+    'series.closedWithReason': 'Barbearia fechada ({reason})',
+    'series.outsideHours': 'Fora do expediente deste dia',
+    'series.slotTaken': 'Horário ocupado',
+    'series.serviceUnavailable': 'Serviço indisponível',
+    'occupancy.below25': 'Menos de 25%',
+    'occupancy.25to50': '25% a 50%',
+    'occupancy.50to75': '50% a 75%',
+    'occupancy.75plus': '75% ou mais',
+    'coupons.invalid': 'Cupom inválido.',
+    'coupons.notYetValid': 'Este cupom vale a partir de {date}.',
+    'coupons.expired': 'Este cupom expirou.',
+    'coupons.wrongService': 'Este cupom não vale para o serviço escolhido.',
+    'coupons.soldOut': 'Este cupom esgotou.',
+    'coupons.customerLimit': 'Você já usou este cupom o máximo de vezes permitido.',
+    'pricing.coupon': 'Cupom {code}',
+    'pricing.loyalty': 'Cartão fidelidade (corte grátis)',
+    'errors.appointmentGone': 'Agendamento não encontrado ou já cancelado.',
+    'errors.appointmentNotFound': 'Agendamento não encontrado.',
+
+    // --- CONFIRMAÇÃO, CALENDÁRIO E PIX ---
+    'calendar.addTo': 'Adicionar ao calendário:',
+    'calendar.icsFile': 'Arquivo .ics',
+    'calendar.google': 'Google Agenda',
+    'notification.title': 'Lembrete de Agendamento',
+    'notification.intro': 'Seu agendamento foi salvo. Esta confirmação vai para o seu WhatsApp, e você recebe lembretes 24 horas e 1 hora antes do horário:',
+    'notification.whatsapp': 'Mensagem WhatsApp',
+    'notification.whatsappMock': 'Mensagem WhatsApp (Simulada)',
+    'notification.mockProvider': 'Provedor simulado: as mensagens aparecem no console do navegador. No deploy, o servidor envia pelo Twilio ou pela Z-API.',
+    'notification.series': 'Repetições',
+    'notification.seriesConflict': '{reason}: não agendado',
+    'notification.seriesBooked': '{time}, pagamento na barbearia',
+    'notification.close': 'Entendi! Ir para o Painel',
+    'pix.title': 'Pagamento via PIX',
+    'pix.expired': 'O prazo para pagamento expirou e o horário foi liberado. Se você já pagou, o agendamento é confirmado assim que o PIX chegar (ou o valor volta como crédito, se o horário tiver sido ocupado).',
+    'pix.qrCodeAlt': 'QR Code PIX',
+    'pix.copyPaste': 'PIX copia e cola',
+    'pix.copy': 'Copiar código',
+    'pix.copied': 'Código copiado!',
+    'pix.copyFailed': 'Não foi possível copiar. Selecione o código e copie manualmente.',
+    'pix.countdown': 'Pague em {time} para garantir o horário.',
+    'pix.waiting': 'Aguardando confirmação do pagamento...',
+    'pix.simulate': 'Simular PIX recebido (webhook)',
+    'pix.simulating': 'Simulando...',
+    'pix.simulateFailed': 'Falha ao simular o pagamento. Tente novamente.',
+    'pix.payLater': 'Pagar depois (o horário fica reservado até o prazo acabar)',
+    'calendar.freeCount': { one: '{count} livre', other: '{count} livres' },
+
+    // --- CADASTRO E CONTA ---
+    'verification.success': 'Conta protegida! Agora você pode recuperar seus agendamentos em qualquer aparelho.',
+    'verification.wrongCode': 'Código incorreto. Confira o SMS e tente de novo.',
+    'verification.phoneRequired': 'Informe um telefone válido (com DDD, ou com + e o código do país).',
+    'verification.sendCodeFailed': 'Não foi possível enviar o código. Confira o número e tente novamente.',
+    'verification.confirmCodeFailed': 'Não foi possível confirmar o código. Tente novamente.',
+    'verification.sendLinkFailed': 'Não foi possível enviar o link. Confira o e-mail e tente novamente.',
+    'verification.recoverTitle': 'Recuperar minha conta',
+    'verification.protectTitle': 'Proteger minha conta',
+    'verification.recoverIntro': 'Confirme o telefone ou e-mail que você verificou antes para voltar a ver seu perfil e seus agendamentos.',
+    'verification.protectIntro': 'Confirme seu telefone ou e-mail. Se trocar de aparelho ou limpar o navegador, é só entrar com ele para recuperar seu perfil e seus agendamentos.',
+    'verification.methodPhone': 'Telefone (SMS)',
+    'verification.methodEmail': 'E-mail',
+    'verification.phoneLabel': 'Telefone',
+    'verification.sendCode': 'Enviar código por SMS',
+    'verification.codeLabel': 'Código recebido em {phone}',
+    'verification.confirming': 'Confirmando...',
+    'verification.confirmCode': 'Confirmar código',
+    'verification.changeNumber': 'Trocar número',
+    'verification.linkSentPrefix': 'Enviamos um link para',
+    'verification.linkSentSuffix': 'Abra o link neste mesmo aparelho e navegador para concluir.',
+    'verification.emailLabel': 'E-mail',
+    'verification.emailPlaceholder': 'voce@exemplo.com',
+    'verification.sendLink': 'Enviar link de acesso',
+    'verification.notNow': 'Agora não',
+    'auth.nameRequired': 'Por favor, preencha o nome completo (nome e sobrenome).',
+    'auth.whatsappInvalid': 'Número de WhatsApp inválido. Escolha o país e informe o número com DDD (ou com + e o código do país).',
+    'auth.saveFailed': 'Falha ao salvar o perfil. Tente novamente.',
+    'auth.welcome': 'Bem-vindo(a) · {shop}',
+    'auth.intro': 'Complete seu cadastro para agendar seu corte.',
+    'auth.prefilled': 'Preenchemos com o seu cadastro de {shop}. Confira e salve.',
+    'auth.nameLabel': 'Nome Completo',
+    'auth.namePlaceholder': 'Seu nome e sobrenome',
+    'auth.whatsappLabel': 'WhatsApp',
+    'auth.submit': 'Salvar e Continuar',
+    'auth.recover': 'Já tem cadastro em outro aparelho? Recuperar minha conta',
+    'auth.recoveringAccount': 'Recuperando sua conta...',
+
+    // --- AGENDAR ---
+    'booking.paidAfterTaken': 'O pagamento chegou depois que o horário foi ocupado. {amount} voltaram como crédito.',
+    'booking.pendingCancelled': 'O agendamento foi cancelado. Escolha outro horário.',
+    'booking.holdExpired': 'Sua reserva de {minutes} minutos expirou. Selecione o horário novamente.',
+    'booking.noOpenDays': 'A barbearia não tem expediente nos próximos {days} dias.',
+    'booking.couponFailed': 'Falha ao validar o cupom. Tente novamente.',
+    'waitlist.windowTooShort': 'A janela de horário precisa ter pelo menos {minutes} minutos.',
+    'waitlist.joinFailed': 'Falha ao entrar na lista de espera. Tente novamente.',
+    'waitlist.leaveFailed': 'Falha ao sair da lista de espera. Tente novamente.',
+    'booking.slotTaken': 'Este horário acabou de ser reservado por outro cliente. Escolha outro horário.',
+    'booking.selectTime': 'Por favor, selecione um horário.',
+    'booking.holdFailed': 'Falha ao reservar o horário. Tente novamente.',
+    'booking.confirmReward': 'Seu cartão fidelidade está completo! Pressione OK para usar o corte grátis neste agendamento.',
+    'booking.confirmCredit': 'Você tem {amount} de crédito. Pressione OK para usar o crédito neste agendamento.',
+    'booking.pixNotConfigured': 'A barbearia ainda não configurou o recebimento por PIX. Fale com a barbearia para agendar.',
+    'booking.seriesBooking': 'Agendando as repetições da série...',
+    'booking.creditChanged': 'Seu crédito não cobre mais este agendamento. Tente novamente para pagar normalmente.',
+    'booking.rewardChanged': 'Seu cartão fidelidade não tem mais carimbos para o corte grátis. Tente novamente para pagar normalmente.',
+    'booking.couponRemoved': '{reason} O cupom foi removido; confira o valor e confirme de novo.',
+    'booking.saveFailed': 'Falha ao registrar o agendamento no sistema. Tente novamente.',
+    'booking.rescheduleFailed': 'Falha ao remarcar o agendamento. Tente novamente.',
+    'booking.title': 'Agendar Horário',
+    'booking.rescheduleTitle': 'Remarcar Horário',
+    'booking.rescheduling': 'Remarcando o horário de {time} em {date}. O pagamento ({payment}) é mantido.',
+    'payment.paid': 'Pago',
+    'payment.pending': 'Pendente',
+    'booking.openingHours': 'Expediente: {open} às {close}',
+    'booking.break': 'intervalo {start}-{end}',
+    'booking.shopTimeZone': 'Horários no fuso da barbearia ({timeZone})',
+    'booking.closeCalendar': 'Fechar calendário',
+    'booking.showMonth': 'Ver o mês',
+    'booking.chooseService': 'Escolha o Serviço',
+    'booking.availableTimes': 'Horários Disponíveis ({service} - {minutes} min)',
+    'booking.changeService': 'Trocar serviço',
+    'booking.anyBarber': 'Qualquer disponível',
+    'booking.noTimes': 'Nenhum horário disponível para esta data. Tente outro dia.',
+    'booking.heldTitle': 'Outro cliente está finalizando o pagamento deste horário',
+    'booking.held': 'Em reserva',
+    'booking.selected': 'Agendamento Selecionado:',
+    'booking.withBarber': 'com {barber}',
+    'booking.basePrice': 'Preço do serviço:',
+    'booking.finalPrice': 'Valor do Agendamento: {amount}',
+    'booking.rescheduleNoCost': 'Sem custo adicional: o pagamento do agendamento original é mantido.',
+    'booking.couponApplied': 'Cupom {code} aplicado',
+    'booking.removeCoupon': 'Remover',
+    'booking.couponPlaceholder': 'Cupom de desconto',
+    'booking.applyCoupon': 'Aplicar',
+    'booking.applyingCoupon': 'Validando...',
+    'booking.rewardAvailable': 'Cartão fidelidade completo: ao confirmar, você pode usar o corte grátis.',
+    'booking.holdCountdown': 'Horário reservado para você por {time}',
+    'waitlist.joined': 'Você está na lista de espera deste dia ({service}).',
+    'waitlist.joinedWindow': 'Você está na lista de espera deste dia ({service}, entre {start} e {end}).',
+    'waitlist.offerInfo': 'Se um horário abrir, ele fica reservado para você por {minutes} minutos e avisamos pelo WhatsApp.',
+    'waitlist.leave': 'Sair da lista de espera',
+    'waitlist.intro': 'Entre na lista de espera: se um horário abrir, ele é oferecido a você.',
+    'waitlist.from': 'De',
+    'waitlist.to': 'até',
+    'waitlist.dayStart': 'início do expediente',
+    'waitlist.dayEnd': 'fim do expediente',
+    'waitlist.join': 'Entrar na lista de espera',
+    'waitlist.joining': 'Entrando...',
+    'booking.seriesCount': { one: '{count} horário', other: '{count} horários' },
+    'booking.seriesPayment': 'Você paga agora só o primeiro horário; os seguintes são reservados quando o pagamento for confirmado e pagos na barbearia.',
+    'booking.seriesConflict': '{reason} (não será agendado)',
+    'booking.confirmReschedule': 'Confirmar Remarcação',
+    'booking.confirmAndPay': 'Confirmar e Pagar com PIX',
+
+    // --- PAINEL DO CLIENTE ---
+    'dashboard.confirmAbandon': 'Desistir do horário de {time}? Nenhum valor foi cobrado.',
+    'dashboard.refundCredit': '{amount} voltarão como crédito para o próximo agendamento.',
+    'dashboard.refundReversal': '{amount} serão estornados pela barbearia.',
+    'dashboard.refundNone': 'Este cancelamento não gera devolução do valor pago.',
+    'dashboard.confirmCancel': 'Cancelar o horário de {time}? {refund}',
+    'dashboard.cancelFailed': 'Falha ao cancelar o agendamento. Tente novamente.',
+    'dashboard.offerTaken': 'A oferta expirou e o horário já foi ocupado por outro cliente.',
+    'dashboard.acceptOfferFailed': 'Falha ao aceitar a vaga. Tente novamente.',
+    'dashboard.confirmDeclineOffer': 'Recusar o horário de {time}? Ele passa para o próximo da lista de espera.',
+    'dashboard.confirmLeaveWaitlist': 'Sair da lista de espera deste dia?',
+    'dashboard.confirmCancelSeries': { one: 'Cancelar o último horário desta série? Horários pagos seguem a política de cancelamento.', other: 'Cancelar os {count} horários restantes desta série? Horários pagos seguem a política de cancelamento.' },
+    'dashboard.seriesCancelled': { one: '{count} horário cancelado.', other: '{count} horários cancelados.' },
+    'dashboard.seriesKeptItem': '{time} de {date}',
+    'dashboard.seriesKept': { one: '{list} já não pode ser cancelado pelo app.', other: '{list} já não podem ser cancelados pelo app.' },
+    'dashboard.seriesRefunded': 'Série cancelada. {amount} voltaram conforme a política de cancelamento.',
+    'dashboard.cancelSeriesFailed': 'Falha ao cancelar a série. Alguns horários podem ter sido cancelados; confira a lista.',
+    'dashboard.notProvided': 'Não informado',
+    'dashboard.greeting': 'Olá, {name}!',
+    'dashboard.shop': 'Unidade',
+    'dashboard.staffAgenda': 'Agenda da Equipe',
+    'dashboard.newAppointment': 'Novo Agendamento',
+    'dashboard.profile': 'Meu Perfil',
+    'dashboard.name': 'Nome:',
+    'dashboard.whatsapp': 'WhatsApp:',
+    'dashboard.credit': 'Crédito:',
+    'dashboard.reminderNumber': 'Este é o número que receberá o lembrete.',
+    'dashboard.loyaltyCard': 'Cartão fidelidade',
+    'dashboard.loyaltyProgress': '{stamps} de {count} carimbos: com {count}, o próximo corte é grátis.',
+    'dashboard.loyaltyRewards': { one: 'Você tem {count} corte grátis: use ao agendar.', other: 'Você tem {count} cortes grátis: use ao agendar.' },
+    'dashboard.loyaltyExpires': 'O carimbo mais antigo vence em {date}.',
+    'dashboard.verified': 'Conta verificada ({identity})',
+    'dashboard.waitlist': 'Lista de Espera ({count})',
+    'dashboard.offer': 'Horário livre com {barber}! Reservado para você até as {time}.',
+    'dashboard.offerExpired': 'Oferta expirada: o horário passou para o próximo da fila.',
+    'dashboard.waitlistWindow': '{start} às {end}',
+    'dashboard.accept': 'Aceitar',
+    'dashboard.decline': 'Recusar',
+    'dashboard.leave': 'Sair',
+    'dashboard.upcoming': 'Próximos Cortes ({count})',
+    'dashboard.noUpcoming': 'Você não tem agendamentos futuros.',
+    'dashboard.bookNow': 'Clique aqui para agendar!',
+    'dashboard.payOnSite': 'pagamento na barbearia',
+    'dashboard.payWithPix': 'Pagar com PIX',
+    'dashboard.reschedule': 'Remarcar',
+    'dashboard.skipTitle': 'Cancela só este horário; os outros da série continuam',
+    'dashboard.cancelling': 'Cancelando...',
+    'dashboard.abandon': 'Desistir',
+    'dashboard.skip': 'Pular',
+    'dashboard.cancel': 'Cancelar',
+    'dashboard.cancelSeries': 'Cancelar série',
+    'dashboard.otherShops': 'Em outras unidades ({count})',
+    'dashboard.openShop': 'Abrir unidade',
+    'dashboard.history': 'Histórico ({count})',
+    'dashboard.payment': 'Pagamento: {payment}',
+    'dashboard.receipt': 'Recibo',
+    'dashboard.bookAgain': 'Agendar de novo',
+    'dashboard.showMore': 'Mostrar mais',
+
+    // --- AGENDA DA EQUIPE ---
+    'admin.defaultBlockReason': 'Cliente sem agendamento',
+    'admin.blockedByStaff': 'Bloqueado pela equipe',
+    'admin.nothingToExport': 'Nenhum horário futuro para exportar.',
+    'admin.barberCalendar': 'Agenda {barber}',
+    'admin.shopCalendar': 'Agenda da barbearia',
+    'admin.confirmCancel': 'Cancelar o horário de {customer} às {time}?',
+    'admin.confirmCancelPaid': 'Cancelar o horário de {customer} às {time}? O valor pago volta como crédito para o cliente.',
+    'admin.statusFailed': 'Falha ao atualizar o status. Tente novamente.',
+    'admin.blockMissing': 'Escolha o barbeiro e o horário a bloquear.',
+    'admin.blockTaken': 'Algum destes horários já está ocupado. Escolha outro.',
+    'admin.blockFailed': 'Falha ao bloquear o horário. Tente novamente.',
+    'admin.retryFailed': 'Falha ao reenviar a mensagem. Tente novamente.',
+    'admin.confirmMigrate': { one: 'Mover {count} agendamento antigo para a coleção privada?', other: 'Mover {count} agendamentos antigos para a coleção privada?' },
+    'admin.migrateFailed': 'Falha ao migrar os agendamentos antigos. Tente novamente.',
+    'admin.unblockFailed': 'Falha ao desbloquear o horário. Tente novamente.',
+    'admin.unblock': 'Desbloquear',
+    'admin.whatsapp': 'WhatsApp: {number}',
+    'admin.chargeOnSite': 'cobrar {amount} no local',
+    'admin.loyaltyReward': 'Corte grátis do cartão fidelidade',
+    'admin.retry': 'Reenviar',
+    'admin.weekRange': '{start} a {end}',
+    'admin.reports': 'Relatórios',
+    'admin.legacyWarning': { one: 'Há {count} agendamento na coleção pública antiga, visível a qualquer cliente. Migre para a coleção privada.', other: 'Há {count} agendamentos na coleção pública antiga, visível a qualquer cliente. Migre para a coleção privada.' },
+    'admin.migrating': 'Migrando...',
+    'admin.migrate': 'Migrar agora',
+    'admin.today': 'Hoje',
+    'admin.allBarbers': 'Todos os barbeiros',
+    'admin.exportAgendaTitle': 'Baixa os próximos horários em um arquivo .ics; exporte de novo para atualizar o calendário',
+    'admin.exportAgenda': 'Exportar agenda (.ics)',
+    'admin.noAppointments': 'Nenhum agendamento neste dia.',
+    'admin.blockTitle': 'Bloquear Horário',
+    'admin.closedDay': 'A barbearia está fechada neste dia.',
+    'admin.blockTime': 'Horário',
+    'admin.blockReason': 'Motivo',
+    'admin.blocking': 'Bloqueando...',
+    'admin.block': 'Bloquear',
+    'messageTypes.confirmation': 'Confirmação',
+    'messageTypes.reminder_24h': 'Lembrete 24h',
+    'messageTypes.reminder_1h': 'Lembrete 1h',
+    'messageTypes.cancellation': 'Cancelamento',
+    'messageTypes.waitlist_offer': 'Oferta da lista de espera',
+    'messageStatuses.pending': 'Agendada',
+    'messageStatuses.sending': 'Enviando',
+    'messageStatuses.sent': 'Enviada',
+    'messageStatuses.failed': 'Falhou',
+    'messageStatuses.skipped': 'Descartada',
+
+    // --- RELATÓRIOS ---
+    'reports.periods.day': 'Dia',
+    'reports.periods.week': 'Semana',
+    'reports.periods.month': 'Mês',
+    'reports.revenueBy.day': 'Receita e clientes por dia',
+    'reports.revenueBy.week': 'Receita e clientes por semana',
+    'reports.revenueBy.month': 'Receita e clientes por mês',
+    'reports.noBarber': 'Sem barbeiro',
+    'reports.thisMonth': 'Este mês',
+    'reports.lastMonth': 'Mês passado',
+    'reports.last90Days': 'Últimos 90 dias',
+    'reports.weekOf': 'Semana de {date}',
+    'reports.exportCsv': 'Exportar CSV',
+    'reports.appointments': 'Agendamentos',
+    'reports.appointmentsInRange': 'Agendamentos no período',
+    'reports.revenue': 'Receita',
+    'reports.revenueBrl': 'Receita (R$)',
+    'reports.noRevenue': 'Nenhuma receita no período.',
+    'reports.noAppointments': 'Nenhum agendamento no período.',
+    'reports.backToAgenda': 'Voltar para a Agenda',
+    'reports.from': 'De',
+    'reports.to': 'Até',
+    'reports.invalidRange': 'Escolha um período válido (a data inicial não pode ser depois da final).',
+    'reports.occupancy': 'Ocupação',
+    'reports.newReturning': 'Clientes novos / recorrentes',
+    'reports.noShows': 'Faltas',
+    'reports.cancellations': 'Cancelamentos',
+    'reports.newCustomers': 'Clientes novos',
+    'reports.returningCustomers': 'Clientes recorrentes',
+    'reports.new': 'Novos',
+    'reports.returning': 'Recorrentes',
+    'reports.revenueByService': 'Receita por serviço',
+    'reports.revenueByBarber': 'Receita por barbeiro',
+    'reports.service': 'Serviço',
+    'reports.barber': 'Barbeiro',
+    'reports.busiestTimes': 'Horários mais cheios',
+    'reports.weekday': 'Dia da semana',
+    'reports.hour': 'Hora',
+    'reports.capacityMinutes': 'Minutos disponíveis',
+    'reports.bookedMinutes': 'Minutos agendados',
+    'reports.occupancyPercent': 'Ocupação (%)',
+    'reports.neverOpen': 'A barbearia não abriu no período.',
+    'reports.bookedOf': '{booked} de {capacity} min agendados',
+    'reports.minutesOf': '{booked} de {capacity} min',
+    'reports.occupancyByDay': 'Ocupação por dia',
+    'reports.date': 'Data',
+    'reports.attendance': 'Faltas e cancelamentos',
+    'reports.indicator': 'Indicador',
+    'reports.value': 'Valor',
+    'reports.completed': 'Concluídos',
+    'reports.cancelled': 'Cancelados',
+    'reports.noShowRate': 'Taxa de faltas (%)',
+    'reports.cancellationRate': 'Taxa de cancelamento (%)',
+    'reports.noShowDetail': '{count} ({rate} dos atendimentos com desfecho)',
+    'reports.cancelledDetail': '{count} ({rate} dos agendamentos)',
+
+    // --- RECIBO E CALENDÁRIO ---
+    'paymentMethods.pix': 'PIX',
+    'paymentMethods.credit': 'Crédito da barbearia',
+    'paymentMethods.on_site': 'Na barbearia',
+    'paymentMethods.manual': 'Confirmado pela barbearia',
+    'paymentMethods.loyalty': 'Cartão fidelidade (corte grátis)',
+    'paymentMethods.coupon': 'Cupom de desconto',
+    'receipt.onSiteUnregistered': '{method} (não registrado no app)',
+    'receipt.unpaid': 'Não pago',
+    'receipt.unknownMethod': 'Não informado',
+    'receipt.paidOn': '{method} em {date}',
+    'receipt.customer': 'Cliente',
+    'receipt.service': 'Serviço',
+    'receipt.barber': 'Barbeiro',
+    'receipt.date': 'Data',
+    'receipt.time': 'Horário',
+    'receipt.status': 'Situação',
+    'receipt.basePrice': 'Preço do serviço',
+    'receipt.price': 'Valor',
+    'receipt.payment': 'Pagamento',
+    'receipt.refund': 'Devolução',
+    'receipt.refundCredit': '{amount} (crédito)',
+    'receipt.refundReversal': '{amount} (estorno)',
+    'receipt.title': 'Recibo - {shop}',
+    'receipt.issued': 'Recibo do agendamento {id} · emitido em {date}',
+    'receipt.print': 'Imprimir ou salvar em PDF',
+    'calendar.eventAt': '{service} em {shop}',
+    'calendar.eventBarber': 'Barbeiro: {barber}',
+    'calendar.eventManage': 'Para cancelar ou remarcar, use o app da barbearia.',
+
+    // --- PERFIL, TELEFONE E DADOS PESSOAIS ---
+    'phone.country': 'País do telefone',
+    'phone.placeholder': 'Número com DDD',
+    'auth.reminderConsent': 'Quero receber lembretes dos meus horários pelo WhatsApp.',
+    'dashboard.remindersOff': 'Você não recebe lembretes pelo WhatsApp; dá para ativar em "Editar perfil".',
+    'dashboard.editProfile': 'Editar perfil',
+    'profile.title': 'Meu perfil',
+    'profile.save': 'Salvar alterações',
+    'profile.saved': 'Perfil atualizado. Os próximos horários já usam os novos dados.',
+    'profile.consentGrantedAt': 'Lembretes autorizados em {date}.',
+    'profile.consentWithdrawnAt': 'Lembretes recusados em {date}.',
+    'profile.privacyTitle': 'Seus dados (LGPD)',
+    'profile.privacyIntro': 'Baixe uma cópia de tudo o que guardamos sobre você: cadastro, agendamentos e lista de espera, em todas as unidades.',
+    'profile.export': 'Baixar meus dados (JSON)',
+    'profile.exportFailed': 'Não foi possível baixar seus dados. Tente novamente.',
+    'profile.deleteIntro': 'Ao excluir a conta, seu cadastro é apagado e os atendimentos anteriores ficam sem seu nome e WhatsApp. Não dá para desfazer.',
+    'profile.delete': 'Excluir minha conta',
+    'profile.deleteConfirm': 'Excluir sua conta em todas as unidades? Esta ação não pode ser desfeita.',
+    'profile.deleteHasBookings': 'Cancele seus próximos horários e saia da lista de espera antes de excluir a conta.',
+    'profile.deleteFailed': 'Não foi possível excluir a conta. Tente novamente.',
+};
@@ -0,0 +1,332 @@
+// Banco de dados em memória com a mesma API do Firestore usada pelo app: referências, consultas com where,
+// onSnapshot em tempo real e transações. Usado quando o Firebase não está configurado (demonstração,
+// desenvolvimento local e testes automatizados sem rede).
+// Com `storage` (ex.: localStorage), os dados sobrevivem ao recarregamento e são sincronizados entre abas.
+
+const MEMORY_STORE = Symbol('memoryStore');
+
+// Como no Firestore, uma transação que leu documentos alterados por outra escrita é refeita
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+const ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Valor que vira o horário da gravação (equivalente ao serverTimestamp do Firestore). Guardado em ms.
+ */
+export const SERVER_TIMESTAMP = Object.freeze({ __sentinel: 'serverTimestamp' });
+
+const createId = () => Array.from({ length: 20 }, () => ID_CHARS[Math.floor(Math.random() * ID_CHARS.length)]).join('');
+
+// Cópia profunda: quem lê não altera o banco por engano (e o formato fica o mesmo que vai para o storage)
+const clone = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+const resolveSentinels = (value, now) => {
+    if (value === SERVER_TIMESTAMP) return now;
+    if (Array.isArray(value)) return value.map(item => resolveSentinels(item, now));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveSentinels(item, now)]));
+    }
+    return value;
+};
+
+const joinPath = (segments) => segments.join('/').split('/').filter(Boolean).join('/');
+
+const parentPath = (path) => path.split('/').slice(0, -1).join('/');
+
+// --- BANCO ---
+
+const persist = (store) => {
+    if (!store.storage) return;
+    try {
+        store.storage.setItem(store.storageKey, JSON.stringify(Object.fromEntries(store.docs)));
+    } catch (err) {
+        console.error('Erro ao salvar os dados locais:', err);
+    }
+};
+
+const load = (store, seed) => {
+    let saved = null;
+    try {
+        saved = store.storage ? JSON.parse(store.storage.getItem(store.storageKey)) : null;
+    } catch {
+        saved = null;
+    }
+    store.docs = new Map(Object.entries(saved || seed).map(([path, data]) => [path, clone(data)]));
+};
+
+/**
+ * Cria um banco em memória.
+ * @param {{ storage?: Storage, storageKey?: string, seed?: Object<string, object> }} [options]
+ *        `seed`: documentos iniciais por caminho (ex.: { 'artifacts/app/public/data/settings/pix': { key: '...' } }),
+ *        usados quando o storage ainda não tem dados
+ * @returns {object} Passado como `db` para as funções deste módulo (e para as de dataStore.js)
+ */
+export const createMemoryStore = ({ storage = null, storageKey = 'memoryStore', seed = {} } = {}) => {
+    const store = { [MEMORY_STORE]: true, storage, storageKey, docs: new Map(), versions: new Map(), listeners: new Set() };
+    load(store, seed);
+
+    // Outra aba gravou: recarrega, invalida transações em andamento que leram o que mudou e avisa os listeners
+    if (storage && typeof window !== 'undefined') {
+        window.addEventListener('storage', (event) => {
+            if (event.key !== storageKey) return;
+            const previous = store.docs;
+            load(store, {});
+            const changedPaths = [...new Set([...previous.keys(), ...store.docs.keys()])]
+                .filter(path => JSON.stringify(previous.get(path)) !== JSON.stringify(store.docs.get(path)));
+            changedPaths.forEach(path => store.versions.set(path, (store.versions.get(path) || 0) + 1));
+            store.listeners.forEach(listener => {
+                if (changedPaths.some(listener.affects)) listener.notify();
+            });
+        });
+    }
+    return store;
+};
+
+/**
+ * Indica se o banco (ou a referência) é do backend em memória.
+ * @param {*} value db, referência ou consulta
+ * @returns {boolean}
+ */
+export const isMemoryStore = (value) => Boolean(value && (value[MEMORY_STORE] || (value.store && value.store[MEMORY_STORE])));
+
+/**
+ * Aplica escritas de uma vez (atômico) e avisa os listeners afetados.
+ * @param {object} store
+ * @param {{ type: 'set'|'update'|'delete', path: string, data?: object, merge?: boolean }[]} writes
+ */
+const commit = (store, writes) => {
+    const now = Date.now();
+    const next = new Map(store.docs);
+
+    // Aplica numa cópia: se uma escrita falhar, nenhuma é gravada
+    writes.forEach(({ type, path, data, merge }) => {
+        const current = next.get(path);
+        if (type === 'delete') {
+            next.delete(path);
+        } else if (type === 'update') {
+            if (!current) throw Object.assign(new Error(`Documento não encontrado: ${path}`), { code: 'not-found' });
+            next.set(path, { ...current, ...clone(resolveSentinels(data, now)) });
+        } else {
+            const resolved = clone(resolveSentinels(data, now));
+            next.set(path, merge && current ? { ...current, ...resolved } : resolved);
+        }
+    });
+
+    const changedPaths = new Set(writes.map(({ path }) => path));
+    store.docs = next;
+    changedPaths.forEach(path => store.versions.set(path, (store.versions.get(path) || 0) + 1));
+    persist(store);
+    // Como no Firestore, os listeners são avisados de forma assíncrona
+    queueMicrotask(() => store.listeners.forEach(listener => {
+        if ([...changedPaths].some(listener.affects)) listener.notify();
+    }));
+};
+
+// --- REFERÊNCIAS E CONSULTAS ---
+
+/**
+ * Referência a um documento: doc(db, caminho, ...segmentos) ou doc(referênciaDeColeção) com ID gerado.
+ * @returns {{ type: 'doc', store: object, path: string, id: string }}
+ */
+export const doc = (parent, ...segments) => {
+    const store = parent[MEMORY_STORE] ? parent : parent.store;
+    const basePath = parent[MEMORY_STORE] ? '' : parent.path;
+    const path = segments.length > 0 ? joinPath([basePath, ...segments]) : joinPath([basePath, createId()]);
+    return { type: 'doc', store, path, id: path.split('/').pop() };
+};
+
+/**
+ * Referência a uma coleção.
+ * @returns {{ type: 'collection', store: object, path: string, id: string }}
+ */
+export const collection = (store, ...segments) => {
+    const path = joinPath(segments);
+    return { type: 'collection', store, path, id: path.split('/').pop() };
+};
+
+/**
+ * Consulta sobre uma coleção. Aceita os filtros criados por dataStore.where e a ordenação de dataStore.orderBy.
+ * @param {object} ref Coleção ou consulta
+ * @param {...{ type: 'where'|'orderBy' }} constraints
+ * @returns {object}
+ */
+export const query = (ref, ...constraints) => ({
+    type: 'query',
+    store: ref.store,
+    path: ref.path,
+    constraints: [...(ref.constraints || []), ...constraints],
+});
+
+const getField = (data, field) => field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const COMPARATORS = {
+    '==': (a, b) => JSON.stringify(a) === JSON.stringify(b),
+    '!=': (a, b) => a !== undefined && JSON.stringify(a) !== JSON.stringify(b),
+    '<': (a, b) => a !== undefined && a < b,
+    '<=': (a, b) => a !== undefined && a <= b,
+    '>': (a, b) => a !== undefined && a > b,
+    '>=': (a, b) => a !== undefined && a >= b,
+    'in': (a, b) => b.some(item => COMPARATORS['=='](a, item)),
+    'not-in': (a, b) => a !== undefined && !b.some(item => COMPARATORS['=='](a, item)),
+    'array-contains': (a, b) => Array.isArray(a) && a.some(item => COMPARATORS['=='](item, b)),
+    'array-contains-any': (a, b) => Array.isArray(a) && a.some(item => b.some(value => COMPARATORS['=='](item, value))),
+};
+
+const matches = (data, constraints) => constraints
+    .filter(constraint => constraint.type === 'where')
+    .every(({ field, op, value }) => COMPARATORS[op](getField(data, field), value));
+
+const sortDocs = (docs, constraints) => {
+    const orderings = constraints.filter(constraint => constraint.type === 'orderBy');
+    if (orderings.length === 0) return docs.sort((a, b) => a.id.localeCompare(b.id));
+    return docs.sort((a, b) => {
+        for (const { field, direction } of orderings) {
+            const left = getField(a.data(), field);
+            const right = getField(b.data(), field);
+            if (left === right) continue;
+            const order = left < right ? -1 : 1;
+            return direction === 'desc' ? -order : order;
+        }
+        return 0;
+    });
+};
+
+// --- SNAPSHOTS ---
+
+const createDocSnapshot = (store, path) => {
+    const data = store.docs.get(path);
+    return {
+        id: path.split('/').pop(),
+        ref: { type: 'doc', store, path, id: path.split('/').pop() },
+        exists: () => data !== undefined,
+        data: () => clone(data),
+    };
+};
+
+const createQuerySnapshot = (ref) => {
+    const constraints = ref.constraints || [];
+    const docs = sortDocs(
+        [...ref.store.docs.keys()]
+            .filter(path => parentPath(path) === ref.path && matches(ref.store.docs.get(path), constraints))
+            .map(path => createDocSnapshot(ref.store, path)),
+        constraints
+    );
+    return { docs, size: docs.length, empty: docs.length === 0, forEach: (callback) => docs.forEach(callback) };
+};
+
+const createSnapshot = (ref) => ref.type === 'doc' ? createDocSnapshot(ref.store, ref.path) : createQuerySnapshot(ref);
+
+// --- LEITURA E ESCRITA ---
+
+export const getDoc = async (ref) => createDocSnapshot(ref.store, ref.path);
+
+export const getDocs = async (ref) => createQuerySnapshot(ref);
+
+export const setDoc = async (ref, data, options = {}) => commit(ref.store, [{ type: 'set', path: ref.path, data, merge: Boolean(options.merge) }]);
+
+export const updateDoc = async (ref, data) => commit(ref.store, [{ type: 'update', path: ref.path, data }]);
+
+export const deleteDoc = async (ref) => commit(ref.store, [{ type: 'delete', path: ref.path }]);
+
+export const addDoc = async (collectionRef, data) => {
+    const ref = doc(collectionRef);
+    await setDoc(ref, data);
+    return ref;
+};
+
+/**
+ * Escuta um documento ou uma consulta. O primeiro snapshot chega de forma assíncrona e os seguintes
+ * só quando o resultado muda, como no Firestore.
+ * @param {object} ref Documento, coleção ou consulta
+ * @param {(snapshot: object) => void} onNext
+ * @returns {() => void} Cancela a escuta
+ */
+export const onSnapshot = (ref, onNext) => {
+    const store = ref.store;
+    let lastSerialized = null;
+    const listener = {
+        affects: (path) => ref.type === 'doc' ? path === ref.path : parentPath(path) === ref.path,
+        notify: () => {
+            if (!store.listeners.has(listener)) return;
+            const snapshot = createSnapshot(ref);
+            const serialized = JSON.stringify(ref.type === 'doc'
+                ? snapshot.data() ?? null
+                : snapshot.docs.map(docSnap => [docSnap.id, docSnap.data()]));
+            if (serialized === lastSerialized) return;
+            lastSerialized = serialized;
+            onNext(snapshot);
+        },
+    };
+
+    store.listeners.add(listener);
+    queueMicrotask(listener.notify);
+    return () => store.listeners.delete(listener);
+};
+
+/**
+ * Lote de escritas sem leituras: aplicadas todas juntas (ou nenhuma) no `commit`.
+ * @param {object} store
+ * @returns {{ set: Function, update: Function, delete: Function, commit: () => Promise<void> }}
+ */
+export const writeBatch = (store) => {
+    const writes = [];
+    const batch = {
+        set: (ref, data, options = {}) => {
+            writes.push({ type: 'set', path: ref.path, data, merge: Boolean(options.merge) });
+            return batch;
+        },
+        update: (ref, data) => {
+            writes.push({ type: 'update', path: ref.path, data });
+            return batch;
+        },
+        delete: (ref) => {
+            writes.push({ type: 'delete', path: ref.path });
+            return batch;
+        },
+        commit: async () => {
+            if (writes.length > 0) commit(store, writes);
+        },
+    };
+    return batch;
+};
+
+/**
+ * Executa `updateFunction` numa transação: as escritas só são aplicadas no fim, todas juntas, e a
+ * transação é refeita se um documento lido mudou no meio do caminho (outra aba ou outra chamada assíncrona).
+ * @param {object} store
+ * @param {(transaction: object) => Promise<*>} updateFunction
+ * @returns {Promise<*>} O valor retornado por `updateFunction`
+ */
+export const runTransaction = async (store, updateFunction) => {
+    for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+        const readVersions = new Map();
+        const writes = [];
+        const transaction = {
+            get: async (ref) => {
+                if (writes.length > 0) throw new Error('Transações precisam fazer todas as leituras antes das escritas.');
+                readVersions.set(ref.path, store.versions.get(ref.path) || 0);
+                return createDocSnapshot(store, ref.path);
+            },
+            set: (ref, data, options = {}) => {
+                writes.push({ type: 'set', path: ref.path, data, merge: Boolean(options.merge) });
+                return transaction;
+            },
+            update: (ref, data) => {
+                writes.push({ type: 'update', path: ref.path, data });
+                return transaction;
+            },
+            delete: (ref) => {
+                writes.push({ type: 'delete', path: ref.path });
+                return transaction;
+            },
+        };
+
+        const result = await updateFunction(transaction);
+        const isStale = [...readVersions].some(([path, version]) => (store.versions.get(path) || 0) !== version);
+        if (!isStale) {
+            if (writes.length > 0) commit(store, writes);
+            return result;
+        }
+    }
+    throw Object.assign(new Error('Transação abortada: os dados mudaram durante várias tentativas.'), { code: 'aborted' });
+};
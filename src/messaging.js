@@ -0,0 +1,340 @@
+// Lembretes por WhatsApp: modelos de mensagem, fila de envio guardada em cada agendamento
+// e o provedor simulado. Os provedores reais (Twilio e Z-API) ficam no servidor, com as credenciais (ver functions/).
+
+import { getAppointmentStartMs, formatDateString, formatTimeString, formatZonedDateTime } from './timezone.js';
+import { DEFAULT_LOCALE, isSupportedLocale, translate, formatCurrency } from './i18n.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Tentativas de envio antes de a mensagem ser dada como falha, e espera entre elas
+export const MAX_SEND_ATTEMPTS = 4;
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000];
+
+// Uma mensagem 'sending' há mais tempo que isso é considerada abandonada (aba fechada no meio do envio)
+const SENDING_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Tipos de mensagem, com a chave do rótulo no catálogo (ver i18n.js). Lembretes têm `offsetMs`: quanto tempo antes do horário são enviados.
+ */
+export const MESSAGE_TYPES = {
+    confirmation: { labelKey: 'messageTypes.confirmation' },
+    reminder_24h: { labelKey: 'messageTypes.reminder_24h', offsetMs: 24 * HOUR_MS },
+    reminder_1h: { labelKey: 'messageTypes.reminder_1h', offsetMs: HOUR_MS },
+    cancellation: { labelKey: 'messageTypes.cancellation' },
+    waitlist_offer: { labelKey: 'messageTypes.waitlist_offer' },
+};
+
+const REMINDER_TYPES = ['reminder_24h', 'reminder_1h'];
+
+/**
+ * Status de uma mensagem da fila, com a chave do rótulo exibido para a equipe.
+ */
+export const MESSAGE_STATUSES = {
+    pending: { labelKey: 'messageStatuses.pending', icon: '🕒' },
+    sending: { labelKey: 'messageStatuses.sending', icon: '📤' },
+    sent: { labelKey: 'messageStatuses.sent', icon: '✅' },
+    failed: { labelKey: 'messageStatuses.failed', icon: '⚠️' },
+    skipped: { labelKey: 'messageStatuses.skipped', icon: '➖' },
+};
+
+// --- MODELOS ---
+
+// Data e hora saem como estão no agendamento (já são o relógio da barbearia), escritas no idioma da mensagem
+const describeAppointment = (appointment, locale) => {
+    const price = typeof appointment.price === 'number' ? ` (${formatCurrency(appointment.price, locale)})` : '';
+    return [
+        `${translate(locale, 'whatsapp.serviceLine', { service: appointment.service })}${price}`,
+        appointment.barberName ? translate(locale, 'whatsapp.barberLine', { barber: appointment.barberName }) : null,
+        translate(locale, 'whatsapp.dateLine', { date: formatDateString(appointment.date, { weekday: 'long', day: '2-digit', month: 'long' }, locale) }),
+        translate(locale, 'whatsapp.timeLine', { time: formatTimeString(appointment.time, locale) }),
+    ];
+};
+
+// Endereço da unidade, quando cadastrado
+const describeShopAddress = (shop, locale) => shop.address ? translate(locale, 'whatsapp.addressLine', { address: shop.address }) : null;
+
+/**
+ * Modelos de mensagem por tipo. Cada um recebe o agendamento no momento do envio (então uma remarcação
+ * já aparece nos lembretes seguintes), a unidade, com nome e endereço atuais, e o idioma do cliente.
+ * Devolvem as linhas da mensagem; linhas null ficam de fora.
+ */
+export const MESSAGE_TEMPLATES = {
+    confirmation: (appointment, shop, locale) => [
+        translate(locale, 'whatsapp.confirmation.title', { shop: shop.name, name: appointment.userName }),
+        translate(locale, 'whatsapp.confirmation.intro'),
+        ...describeAppointment(appointment, locale),
+        describeShopAddress(shop, locale),
+        appointment.series ? translate(locale, 'whatsapp.confirmation.series', { count: appointment.series.intervalWeeks }) : null,
+        translate(locale, 'whatsapp.waitingForYou'),
+    ],
+    reminder_24h: (appointment, shop, locale) => [
+        translate(locale, 'whatsapp.reminder.title', { shop: shop.name, name: appointment.userName }),
+        translate(locale, 'whatsapp.reminder24h.intro'),
+        ...describeAppointment(appointment, locale),
+        translate(locale, 'whatsapp.reminder24h.footer'),
+    ],
+    reminder_1h: (appointment, shop, locale) => [
+        translate(locale, 'whatsapp.reminder.title', { shop: shop.name, name: appointment.userName }),
+        translate(locale, 'whatsapp.reminder1h.intro'),
+        ...describeAppointment(appointment, locale),
+        describeShopAddress(shop, locale),
+        translate(locale, 'whatsapp.waitingForYou'),
+    ],
+    cancellation: (appointment, shop, locale) => [
+        translate(locale, 'whatsapp.cancellation.title', { shop: shop.name, name: appointment.userName }),
+        translate(locale, 'whatsapp.cancellation.intro'),
+        ...describeAppointment(appointment, locale),
+        appointment.refund && appointment.refund.amount > 0
+            ? translate(locale, appointment.refund.type === 'credit' ? 'whatsapp.cancellation.credit' : 'whatsapp.cancellation.refund', {
+                amount: formatCurrency(appointment.refund.amount, locale),
+            })
+            : null,
+        translate(locale, 'whatsapp.cancellation.footer'),
+    ],
+    // Recebe a inscrição na lista de espera, com a vaga oferecida em `offer`
+    waitlist_offer: (entry, shop, locale) => [
+        translate(locale, 'whatsapp.waitlistOffer.title', { shop: shop.name, name: entry.userName }),
+        translate(locale, 'whatsapp.waitlistOffer.intro'),
+        ...describeAppointment({ ...entry, ...entry.offer }, locale),
+        translate(locale, 'whatsapp.waitlistOffer.footer', {
+            time: formatZonedDateTime(entry.offer.expiresAt, { hour: '2-digit', minute: '2-digit' }, entry.timeZone, locale),
+        }),
+    ],
+};
+
+/**
+ * Texto de uma mensagem para o agendamento, no idioma guardado nele (`locale`, o do cliente ao agendar;
+ * agendamentos antigos, sem idioma, recebem em português).
+ * @param {string} type Ver MESSAGE_TYPES
+ * @param {object} appointment
+ * @param {{ name: string, address?: string }|null} [shop] Unidade do agendamento; sem ela, sai só "Barbearia"
+ * @returns {string}
+ */
+export const renderMessage = (type, appointment, shop = null) => {
+    const locale = isSupportedLocale(appointment.locale) ? appointment.locale : DEFAULT_LOCALE;
+    const shopInfo = { name: translate(locale, 'whatsapp.defaultShopName'), address: '', ...shop };
+    return MESSAGE_TEMPLATES[type](appointment, shopInfo, locale).filter(line => line !== null).join('\n');
+};
+
+/**
+ * Número no formato aceito pelos provedores (DDI + número, só dígitos).
+ * Os números são guardados em E.164 (ver phone.js); os de cadastros antigos, sem DDI (DD + número), são brasileiros.
+ * @param {string} whatsapp
+ * @returns {string}
+ */
+export const toWhatsappAddress = (whatsapp) => {
+    const text = String(whatsapp || '');
+    const digits = text.replace(/\D/g, '');
+    if (text.startsWith('+')) return digits;
+    return digits.length <= 11 ? `55${digits}` : digits;
+};
+
+// --- FILA ---
+
+const createMessage = (type, sendAt, now) => ({
+    id: `${type}_${now}`,
+    type,
+    sendAt,
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    sentAt: null,
+    providerMessageId: null,
+});
+
+// Lembretes só com o consentimento do cliente (`reminderConsent`); agendamentos anteriores a ele não têm o campo
+const hasReminderConsent = (appointment) => appointment.reminderConsent !== false;
+
+// Lembretes do agendamento que ainda estão no futuro
+const buildReminders = (appointment, now) => {
+    if (!hasReminderConsent(appointment)) return [];
+    const startsAt = getAppointmentStartMs(appointment);
+    return REMINDER_TYPES
+        .map(type => createMessage(type, startsAt - MESSAGE_TYPES[type].offsetMs, now))
+        .filter(message => message.sendAt > now);
+};
+
+/**
+ * Fila inicial de um agendamento: confirmação imediata e os lembretes que ainda estão no futuro.
+ * Nas repetições de uma série só vão os lembretes: a confirmação da primeira ocorrência já avisa da série.
+ * @param {object} appointment
+ * @param {number} now
+ * @returns {object[]}
+ */
+export const buildMessageQueue = (appointment, now = Date.now()) => {
+    if (appointment.series && appointment.series.index > 0) return buildReminders(appointment, now);
+    return [createMessage('confirmation', now, now), ...buildReminders(appointment, now)];
+};
+
+/**
+ * Descarta as mensagens que ainda não saíram (mantém o histórico das enviadas).
+ * @param {object[]} messages
+ * @param {number} now
+ * @returns {object[]}
+ */
+export const skipPendingMessages = (messages = [], now = Date.now()) => messages.map(message =>
+    message.status === 'pending' ? { ...message, status: 'skipped', skippedAt: now } : message
+);
+
+/**
+ * Fila após uma remarcação: lembretes do horário antigo são descartados e uma nova confirmação
+ * e novos lembretes são agendados para o novo horário.
+ * @param {object[]} messages
+ * @param {object} appointment Agendamento já com o novo horário
+ * @param {number} now
+ * @returns {object[]}
+ */
+export const rescheduleMessageQueue = (messages, appointment, now = Date.now()) => [
+    ...skipPendingMessages(messages, now),
+    createMessage('confirmation', now, now),
+    ...buildReminders(appointment, now),
+];
+
+/**
+ * Fila após um cancelamento: descarta os lembretes e agenda o aviso de cancelamento.
+ * @param {object[]} messages
+ * @param {number} now
+ * @returns {object[]}
+ */
+export const cancelMessageQueue = (messages, now = Date.now()) => [
+    ...skipPendingMessages(messages, now),
+    createMessage('cancellation', now, now),
+];
+
+/**
+ * Fila de uma inscrição na lista de espera ao receber uma vaga: descarta o aviso de uma oferta anterior
+ * que ainda não saiu e agenda o aviso da nova.
+ * @param {object[]} messages
+ * @param {number} now
+ * @returns {object[]}
+ */
+export const waitlistOfferMessageQueue = (messages, now = Date.now()) => [
+    ...skipPendingMessages(messages, now),
+    createMessage('waitlist_offer', now, now),
+];
+
+/**
+ * Fila depois que o cliente muda o consentimento dos lembretes (agendamento já com o novo `reminderConsent`):
+ * sem consentimento, os lembretes pendentes são descartados; com ele, os que faltam são agendados.
+ * @param {object[]} messages
+ * @param {object} appointment
+ * @param {number} now
+ * @returns {object[]}
+ */
+export const updateReminderQueue = (messages = [], appointment, now = Date.now()) => {
+    const isPendingReminder = (message) => REMINDER_TYPES.includes(message.type) && message.status === 'pending';
+    if (!hasReminderConsent(appointment)) {
+        return messages.map(message => isPendingReminder(message) ? { ...message, status: 'skipped', skippedAt: now } : message);
+    }
+    const pendingTypes = messages.filter(isPendingReminder).map(message => message.type);
+    return [...messages, ...buildReminders(appointment, now).filter(message => !pendingTypes.includes(message.type))];
+};
+
+/**
+ * Fila do agendamento depois de uma gravação, pela mudança entre as duas versões: confirmação e lembretes ao confirmar,
+ * aviso ao cancelar, lembretes descartados quando o atendimento acontece (ou o cliente falta), fila refeita na remarcação
+ * e lembretes ajustados ao consentimento. No deploy quem chama é o servidor (onAppointmentWritten), e os clientes
+ * não gravam `messages`; no modo local, o próprio app.
+ * @param {object|null} before Agendamento antes da gravação (null na criação)
+ * @param {object} after Agendamento depois da gravação, com a fila atual
+ * @param {number} now
+ * @returns {object[]|null} Nova fila, ou null se a gravação não muda a fila
+ */
+export const syncMessageQueue = (before, after, now = Date.now()) => {
+    const messages = after.messages || [];
+    const previousStatus = before ? before.status : null;
+
+    if (after.status !== previousStatus) {
+        if (after.status === 'confirmed') return [...messages, ...buildMessageQueue(after, now)];
+        if (after.status === 'cancelled') return cancelMessageQueue(messages, now);
+        if (after.status === 'pending_payment') return null;
+        return skipPendingMessages(messages, now);
+    }
+    if (after.status !== 'confirmed') return null;
+    if (['barberId', 'date', 'time'].some(field => before[field] !== after[field])) {
+        return rescheduleMessageQueue(messages, after, now);
+    }
+    if (before.reminderConsent !== after.reminderConsent) return updateReminderQueue(messages, after, now);
+    return null;
+};
+
+/**
+ * A mensagem deve ser enviada agora? Inclui envios abandonados no meio do caminho.
+ * @param {object} message
+ * @param {number} now
+ * @returns {boolean}
+ */
+export const isMessageDue = (message, now = Date.now()) =>
+    (message.status === 'pending' && message.sendAt <= now)
+    || (message.status === 'sending' && now - message.claimedAt > SENDING_TIMEOUT_MS);
+
+/**
+ * Reserva a mensagem para envio (conta uma tentativa). Lembretes de um horário que já passou (ou de um
+ * cliente que retirou o consentimento), avisos de uma vaga que não está mais oferecida e qualquer mensagem
+ * de um documento anonimizado (conta excluída) são descartados em vez de enviados.
+ * @param {object} message
+ * @param {object} appointment Agendamento (ou inscrição na lista de espera, para 'waitlist_offer')
+ * @param {number} now
+ * @returns {object}
+ */
+export const claimMessage = (message, appointment, now = Date.now()) => {
+    if (appointment.anonymizedAt) return { ...message, status: 'skipped', skippedAt: now };
+    if (REMINDER_TYPES.includes(message.type) && (getAppointmentStartMs(appointment) <= now || !hasReminderConsent(appointment))) {
+        return { ...message, status: 'skipped', skippedAt: now };
+    }
+    if (message.type === 'waitlist_offer' && !(appointment.status === 'offered' && appointment.offer.expiresAt > now)) {
+        return { ...message, status: 'skipped', skippedAt: now };
+    }
+    return { ...message, status: 'sending', attempts: message.attempts + 1, claimedAt: now };
+};
+
+/**
+ * Registra o resultado do envio. Em caso de erro, reagenda a mensagem até MAX_SEND_ATTEMPTS.
+ * @param {object} message Mensagem em 'sending'
+ * @param {{ providerMessageId?: string, error?: string }} result
+ * @param {number} now
+ * @returns {object}
+ */
+export const applySendResult = (message, result, now = Date.now()) => {
+    if (!result.error) {
+        return { ...message, status: 'sent', sentAt: now, providerMessageId: result.providerMessageId || null, lastError: null };
+    }
+    if (message.attempts >= MAX_SEND_ATTEMPTS) {
+        return { ...message, status: 'failed', lastError: result.error };
+    }
+    return { ...message, status: 'pending', sendAt: now + RETRY_DELAYS_MS[message.attempts - 1], lastError: result.error };
+};
+
+/**
+ * Recoloca uma mensagem que falhou na fila, com as tentativas zeradas (reenvio manual pela equipe).
+ * @param {object} message
+ * @param {number} now
+ * @returns {object}
+ */
+export const retryMessage = (message, now = Date.now()) => ({ ...message, status: 'pending', sendAt: now, attempts: 0 });
+
+// --- PROVEDORES ---
+// Todo provedor expõe { name, send({ to, text }) => Promise<{ id }> } e rejeita a promise quando o envio falha.
+// No navegador só existe o simulado; Twilio e Z-API estão em functions/providers.js.
+
+/**
+ * Provedor simulado: não sai nada da máquina. As mensagens vão para `outbox` e para o console.
+ * @param {{ failRate?: number, log?: Function }} [options] `failRate` (0 a 1) simula falhas para testar as retentativas
+ * @returns {object}
+ */
+export const createMockProvider = ({ failRate = 0, log = console.info } = {}) => {
+    const outbox = [];
+
+    return {
+        name: 'mock',
+        outbox,
+        send: async ({ to, text }) => {
+            if (Math.random() < failRate) throw new Error('Falha simulada do provedor de mensagens.');
+
+            const id = `mock_${Date.now()}_${outbox.length}`;
+            outbox.push({ id, to, text, sentAt: Date.now() });
+            log(`[WhatsApp simulado] para +${to}:\n${text}`);
+            return { id };
+        },
+    };
+};
@@ -0,0 +1,83 @@
+// Confirmação do pagamento PIX: leitura da notificação do webhook da API Pix e as alterações que a confirmação grava.
+// Em produção quem confirma é o servidor (functions/payments.js, chamado pelo PSP); o app usa as mesmas funções
+// na confirmação manual da equipe e no modo local, que simula o webhook.
+
+// O txid é o ID do agendamento (letras e números); qualquer outra coisa é descartada antes de virar caminho de documento
+const TXID_PATTERN = /^[A-Za-z0-9]{1,35}$/;
+
+/**
+ * Lê os PIX recebidos numa notificação do webhook da API Pix (`{ pix: [{ txid, valor, endToEndId, horario }] }`).
+ * @param {object} body
+ * @param {number} [now] Usado quando o PSP não informa o horário
+ * @returns {{ txid: string, method: 'pix', amount: number, endToEndId: string|null, paidAt: number }[]}
+ */
+export const parsePixWebhook = (body, now = Date.now()) => ((body && Array.isArray(body.pix)) ? body.pix : [])
+    .filter(pix => pix && typeof pix.txid === 'string' && TXID_PATTERN.test(pix.txid))
+    .map(pix => ({
+        txid: pix.txid,
+        method: 'pix',
+        amount: Number(pix.valor),
+        endToEndId: pix.endToEndId || null,
+        paidAt: Date.parse(pix.horario) || now,
+    }));
+
+/**
+ * Indica se o valor recebido não cobre a cobrança do agendamento.
+ * @param {object} appointment Agendamento aguardando pagamento
+ * @param {number} amount
+ * @returns {boolean}
+ */
+export const isPaymentShort = (appointment, amount) => !(amount >= appointment.payment.amount);
+
+/**
+ * Horário de cada slot do agendamento, tirado do ID do slot (`{barberId}_{date}_{time}`, ver getSlotId em schedule.js).
+ * @param {{ barberId: string, date: string, slotIds: string[] }} appointment
+ * @returns {string[]}
+ */
+export const getSlotTimesFromIds = (appointment) => {
+    const prefix = `${appointment.barberId}_${appointment.date}_`;
+    return appointment.slotIds.map(slotId => slotId.slice(prefix.length));
+};
+
+/**
+ * Monta a confirmação do pagamento de um agendamento aguardando PIX. Se outro cliente já tomou o horário
+ * (pagamento depois do prazo) ou o servidor recusou o preço, o agendamento é cancelado e o valor volta como crédito (`refund`).
+ * Os slots, o crédito e a fila de mensagens ficam com quem grava: os documentos e o carimbo de data do servidor mudam
+ * entre o app e o servidor, e no deploy a fila é montada pelo servidor a cada gravação (ver syncMessageQueue).
+ * @param {object} appointment Agendamento aguardando pagamento
+ * @param {{ method: string, amount: number, endToEndId?: string|null, paidAt: number, confirmedBy: string }} received
+ * @param {boolean} isRejected Algum dos slots está ocupado por outro agendamento, ou o preço não confere
+ * @param {number} now
+ * @returns {{ result: 'confirmed'|'refunded', update: object, refund: { type: 'credit', amount: number }|null }}
+ */
+export const buildPaymentConfirmation = (appointment, { method, amount, endToEndId = null, paidAt, confirmedBy }, isRejected, now) => {
+    const payment = { ...appointment.payment, status: 'paid', method, amount, paidAt, endToEndId, confirmedBy };
+
+    if (isRejected) {
+        const refund = { type: 'credit', amount };
+        return {
+            result: 'refunded',
+            refund,
+            update: {
+                status: 'cancelled',
+                paid: true,
+                payment,
+                cancelledAt: now,
+                cancelledBy: confirmedBy,
+                refund,
+                statusHistory: [...(appointment.statusHistory || []), { status: 'cancelled', at: now, by: confirmedBy }],
+            },
+        };
+    }
+
+    return {
+        result: 'confirmed',
+        refund: null,
+        update: {
+            status: 'confirmed',
+            paid: true,
+            payment,
+            statusHistory: [...(appointment.statusHistory || []), { status: 'confirmed', at: now, by: confirmedBy }],
+        },
+    };
+};
@@ -0,0 +1,130 @@
+// Telefones internacionais: o WhatsApp do cliente é guardado no formato E.164 (+5511987654321).
+// O cliente escolhe o país e digita o número nacional; quem digita com "+" (ou "00") informa o DDI no próprio número.
+// Cadastros antigos guardavam só os dígitos de um número brasileiro (DDD + número), lidos como do Brasil.
+
+import { getActiveLocale } from './i18n.js';
+
+/**
+ * Países do seletor: DDI, tamanhos válidos do número nacional, prefixo de discagem nacional (o 0 antes do
+ * código de área, que não entra no E.164) e máscaras de exibição por tamanho. Sem máscara, o número sai
+ * em grupos de 3 dígitos.
+ */
+export const PHONE_COUNTRIES = {
+    BR: { dialCode: '55', lengths: [10, 11], trunkPrefix: '0', masks: { 10: '(##) ####-####', 11: '(##) #####-####' } },
+    AR: { dialCode: '54', lengths: [10, 11], trunkPrefix: '0', masks: { 10: '## ####-####', 11: '# ## ####-####' } },
+    CL: { dialCode: '56', lengths: [9], masks: { 9: '# #### ####' } },
+    CO: { dialCode: '57', lengths: [10], masks: { 10: '### ### ####' } },
+    MX: { dialCode: '52', lengths: [10], masks: { 10: '## #### ####' } },
+    PY: { dialCode: '595', lengths: [9], trunkPrefix: '0', masks: { 9: '### ### ###' } },
+    PE: { dialCode: '51', lengths: [9], masks: { 9: '### ### ###' } },
+    UY: { dialCode: '598', lengths: [8], trunkPrefix: '0', masks: { 8: '#### ####' } },
+    US: { dialCode: '1', lengths: [10], masks: { 10: '(###) ###-####' } },
+    CA: { dialCode: '1', lengths: [10], masks: { 10: '(###) ###-####' } },
+    PT: { dialCode: '351', lengths: [9], masks: { 9: '### ### ###' } },
+    ES: { dialCode: '34', lengths: [9], masks: { 9: '### ## ## ##' } },
+    FR: { dialCode: '33', lengths: [9], trunkPrefix: '0', masks: { 9: '# ## ## ## ##' } },
+    IT: { dialCode: '39', lengths: [9, 10] }, // Na Itália o 0 do código de área faz parte do número
+    DE: { dialCode: '49', lengths: [10, 11], trunkPrefix: '0' },
+    GB: { dialCode: '44', lengths: [10], trunkPrefix: '0', masks: { 10: '#### ######' } },
+};
+
+export const DEFAULT_PHONE_COUNTRY = 'BR';
+
+// Limites do E.164 para números de países fora da lista (DDI + número)
+const E164_MIN_DIGITS = 8;
+const E164_MAX_DIGITS = 15;
+
+// Intl.DisplayNames é caro de criar; guardamos um por idioma
+const regionNames = new Map();
+
+/**
+ * Nome do país no idioma da interface (ex.: 'BR' => "Brasil" / "Brazil").
+ * @param {string} country Chave de PHONE_COUNTRIES
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export const getCountryName = (country, locale = getActiveLocale()) => {
+    if (!regionNames.has(locale)) regionNames.set(locale, new Intl.DisplayNames(locale, { type: 'region' }));
+    return regionNames.get(locale).of(country) || country;
+};
+
+const parseNational = (digits, country) => {
+    const { dialCode, lengths, trunkPrefix } = PHONE_COUNTRIES[country];
+    const nationalNumber = trunkPrefix && digits.startsWith(trunkPrefix) ? digits.slice(trunkPrefix.length) : digits;
+    return lengths.includes(nationalNumber.length) ? { e164: `+${dialCode}${nationalNumber}`, country, nationalNumber } : null;
+};
+
+const parseInternational = (digits, preferredCountry) => {
+    // Países que dividem o DDI (+1): vale o escolhido no seletor, se for um deles
+    const countries = Object.keys(PHONE_COUNTRIES)
+        .filter(country => digits.startsWith(PHONE_COUNTRIES[country].dialCode))
+        .sort((a, b) => (b === preferredCountry) - (a === preferredCountry));
+    if (countries.length > 0) {
+        for (const country of countries) {
+            const { dialCode, lengths } = PHONE_COUNTRIES[country];
+            const nationalNumber = digits.slice(dialCode.length);
+            if (lengths.includes(nationalNumber.length)) return { e164: `+${digits}`, country, nationalNumber };
+        }
+        return null;
+    }
+    // País fora da lista: só dá para conferir o tamanho
+    return digits.length >= E164_MIN_DIGITS && digits.length <= E164_MAX_DIGITS
+        ? { e164: `+${digits}`, country: null, nationalNumber: null }
+        : null;
+};
+
+/**
+ * Lê e valida um número digitado (ou guardado).
+ * Com "+" ou "00" na frente, o DDI vem no próprio número; sem, o número é do país escolhido, com ou sem
+ * o prefixo de discagem nacional. Números do país escolhido com o DDI e sem o "+" (5511987654321) também valem.
+ * @param {string} input
+ * @param {string} [country] País do seletor (chave de PHONE_COUNTRIES)
+ * @returns {{ e164: string, country: string|null, nationalNumber: string|null }|null} null se o número não é válido
+ */
+export const parsePhone = (input, country = DEFAULT_PHONE_COUNTRY) => {
+    const text = String(input || '').trim();
+    const digits = text.replace(/\D/g, '');
+    if (!digits) return null;
+
+    if (text.startsWith('+')) return parseInternational(digits, country);
+    if (text.startsWith('00')) return parseInternational(digits.slice(2), country);
+
+    const { dialCode } = PHONE_COUNTRIES[country];
+    return parseNational(digits, country)
+        || (digits.startsWith(dialCode) ? parseNational(digits.slice(dialCode.length), country) : null);
+};
+
+const applyMask = (digits, mask) => {
+    let index = 0;
+    return mask.replace(/#/g, () => digits[index++]);
+};
+
+/**
+ * Número para exibição, com DDI (ex.: "+55 (11) 98765-4321"). Números que não são válidos saem como estão.
+ * @param {string} phone E.164 ou, em cadastros antigos, DDD + número brasileiro
+ * @returns {string}
+ */
+export const formatPhone = (phone) => {
+    const parsed = parsePhone(phone);
+    if (!parsed) return String(phone || '');
+    if (!parsed.country) return parsed.e164;
+
+    const { dialCode, masks = {} } = PHONE_COUNTRIES[parsed.country];
+    const { nationalNumber } = parsed;
+    const national = masks[nationalNumber.length]
+        ? applyMask(nationalNumber, masks[nationalNumber.length])
+        : nationalNumber.replace(/(\d{3})(?=\d)/g, '$1 ');
+    return `+${dialCode} ${national}`;
+};
+
+/**
+ * País e número nacional de um número guardado, para preencher o seletor e o campo (ex.: ao editar o perfil).
+ * Números de países fora da lista vão inteiros para o campo, com o "+".
+ * @param {string} [phone]
+ * @returns {{ country: string, number: string }}
+ */
+export const splitPhone = (phone) => {
+    const parsed = parsePhone(phone);
+    if (!parsed) return { country: DEFAULT_PHONE_COUNTRY, number: phone || '' };
+    return parsed.country ? { country: parsed.country, number: parsed.nationalNumber } : { country: DEFAULT_PHONE_COUNTRY, number: parsed.e164 };
+};
@@ -0,0 +1,88 @@
+// PIX: geração do BR Code (payload EMV do "copia e cola", também usado no QR Code).
+// Segue o Manual de Padrões para Iniciação do Pix do Banco Central.
+
+const PIX_GUI = 'br.gov.bcb.pix';
+
+// Limites de tamanho dos campos definidos pelo padrão
+const MAX_MERCHANT_NAME_LENGTH = 25;
+const MAX_MERCHANT_CITY_LENGTH = 15;
+const MAX_TXID_LENGTH = 25;
+const MAX_MERCHANT_ACCOUNT_LENGTH = 99;
+
+/**
+ * CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF), em 4 dígitos hexadecimais maiúsculos.
+ * @param {string} payload
+ * @returns {string}
+ */
+export const crc16 = (payload) => {
+    let crc = 0xFFFF;
+    for (let i = 0; i < payload.length; i++) {
+        crc ^= payload.charCodeAt(i) << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+            crc &= 0xFFFF;
+        }
+    }
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+};
+
+/**
+ * Campo EMV: ID, tamanho com 2 dígitos e valor.
+ * @param {string} id
+ * @param {string} value
+ * @returns {string}
+ */
+const emvField = (id, value) => `${id}${String(value.length).padStart(2, '0')}${value}`;
+
+/**
+ * Remove acentos e caracteres fora do conjunto aceito pelos leitores de BR Code.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+const sanitizeText = (text, maxLength) => String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9 .,@/+\-*$%:]/g, '')
+    .trim()
+    .slice(0, maxLength);
+
+/**
+ * Normaliza um identificador de transação (txid): só letras e números, até 25 caracteres.
+ * @param {string} txid
+ * @returns {string}
+ */
+export const sanitizeTxid = (txid) => String(txid || '').replace(/[^A-Za-z0-9]/g, '').slice(0, MAX_TXID_LENGTH);
+
+/**
+ * Monta o BR Code de uma cobrança PIX com valor e txid.
+ * @param {{ key: string, merchantName: string, merchantCity: string, amount: number, txid: string, description?: string }} charge
+ *        `key`: chave PIX do recebedor (e-mail, telefone, CPF/CNPJ ou aleatória)
+ * @returns {string} Payload pronto para o "copia e cola" e para o QR Code
+ */
+export const buildPixPayload = ({ key, merchantName, merchantCity, amount, txid, description }) => {
+    if (!key) throw new Error('Chave PIX não configurada.');
+
+    const accountWithoutDescription = emvField('00', PIX_GUI) + emvField('01', key);
+    // A descrição é opcional e só entra se couber no campo de conta do recebedor
+    const descriptionSpace = MAX_MERCHANT_ACCOUNT_LENGTH - accountWithoutDescription.length - 4;
+    const safeDescription = descriptionSpace > 0 ? sanitizeText(description, descriptionSpace) : '';
+    const merchantAccount = accountWithoutDescription + (safeDescription ? emvField('02', safeDescription) : '');
+
+    const payload = [
+        emvField('00', '01'), // Versão do payload
+        emvField('01', '12'), // Uso único: cada agendamento tem seu próprio txid
+        emvField('26', merchantAccount),
+        emvField('52', '0000'), // Categoria do estabelecimento (não informada)
+        emvField('53', '986'), // Moeda: real
+        emvField('54', amount.toFixed(2)),
+        emvField('58', 'BR'),
+        emvField('59', sanitizeText(merchantName, MAX_MERCHANT_NAME_LENGTH)),
+        emvField('60', sanitizeText(merchantCity, MAX_MERCHANT_CITY_LENGTH)),
+        emvField('62', emvField('05', sanitizeTxid(txid) || '***')),
+    ].join('');
+
+    // O CRC cobre o payload inteiro, incluindo o ID e o tamanho do próprio campo do CRC
+    const withCrcHeader = `${payload}6304`;
+    return withCrcHeader + crc16(withCrcHeader);
+};
@@ -0,0 +1,52 @@
+// Política de cancelamento e remarcação (documento settings/policy) e a devolução de um cancelamento.
+// O app usa a devolução para mostrar ao cliente quanto volta antes de cancelar; quem lança o valor é o servidor
+// (functions/appointments.js), com a mesma conta. No modo local, sem servidor, o próprio app lança.
+
+/**
+ * Política padrão. Pode ser sobrescrita campo a campo no documento `settings/policy` do Firestore.
+ * As regras do Firestore repetem os padrões de `minHoursBeforeChange` e `maxReschedules`.
+ */
+export const DEFAULT_CANCELLATION_POLICY = {
+    minHoursBeforeChange: 2, // Não permite cancelar nem remarcar a menos de 2h do horário
+    maxReschedules: 2, // Remarcações permitidas por agendamento
+    refundType: 'credit', // 'credit' (vira crédito no perfil), 'refund' (estorno feito pela barbearia) ou 'none'
+    refundPercent: 100, // Percentual do valor pago que volta ao cliente
+    maxRefundsPer30Days: 2, // Cancelamentos com devolução por cliente em 30 dias; acima disso não há devolução
+};
+
+const REFUND_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Converte Timestamp do Firestore, Date ou número em ms.
+ * @param {*} value
+ * @returns {number|null}
+ */
+export const toMillis = (value) => {
+    if (!value) return null;
+    if (typeof value === 'number') return value;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    return null;
+};
+
+/**
+ * Calcula a devolução de um cancelamento dentro do prazo.
+ * @param {object} appointment
+ * @param {object} policy
+ * @param {object[]} userAppointments Todos os agendamentos do cliente (para o limite de 30 dias)
+ * @param {number} now
+ * @returns {{ type: 'credit'|'refund'|'none', amount: number }}
+ */
+export const getCancellationRefund = (appointment, policy, userAppointments, now = Date.now()) => {
+    if (!appointment.paid || policy.refundType === 'none') return { type: 'none', amount: 0 };
+
+    const recentRefunds = userAppointments.filter(app =>
+        app.status === 'cancelled'
+        && app.refund && app.refund.amount > 0
+        && now - (toMillis(app.cancelledAt) || 0) < REFUND_WINDOW_MS
+    ).length;
+    if (recentRefunds >= policy.maxRefundsPer30Days) return { type: 'none', amount: 0 };
+
+    const amount = Math.round(appointment.price * policy.refundPercent) / 100;
+    return { type: policy.refundType, amount };
+};
@@ -0,0 +1,161 @@
+// Preço do agendamento: promoções por horário (documento settings/pricing), cupons de desconto e o corte grátis
+// do cartão fidelidade. O detalhamento calculado aqui fica gravado no agendamento (campo `pricing`).
+
+import { formatDateString, getWeekday } from './timezone.js';
+import { t } from './i18n.js';
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const appliesToService = (item, serviceId) => !item.serviceIds || item.serviceIds.length === 0 || item.serviceIds.includes(serviceId);
+
+/**
+ * Normaliza o código digitado pelo cliente (o ID do documento do cupom é o código em maiúsculas).
+ * @param {string} code
+ * @returns {string}
+ */
+export const normalizeCouponCode = (code) => code.trim().toUpperCase().replace(/[^A-Z0-9_-]/g, '');
+
+/**
+ * Desconto de uma promoção ou cupom sobre o valor, nunca maior que ele.
+ * @param {{ type: 'percent'|'fixed', value: number }} discount
+ * @param {number} amount
+ * @returns {number}
+ */
+export const getDiscountAmount = ({ type, value }, amount) =>
+    roundCents(Math.min(amount, type === 'percent' ? amount * value / 100 : value));
+
+/**
+ * Promoção de horário que vale para o agendamento. Se várias valem, fica a de maior desconto (não acumulam).
+ * Uma regra sem `weekdays` vale todos os dias; o horário de início do agendamento precisa estar em [startTime, endTime).
+ * @param {object[]} rules Regras do documento settings/pricing
+ * @param {{ serviceId: string, price: number, date: string, time: string }} booking
+ * @returns {object|null}
+ */
+export const findPricingRule = (rules, { serviceId, price, date, time }) => {
+    const weekday = getWeekday(date);
+    return rules
+        .filter(rule => rule.active !== false
+            && appliesToService(rule, serviceId)
+            && (!rule.weekdays || rule.weekdays.includes(weekday))
+            && (!rule.startTime || time >= rule.startTime)
+            && (!rule.endTime || time < rule.endTime))
+        .reduce((best, rule) => (!best || getDiscountAmount(rule, price) > getDiscountAmount(best, price) ? rule : best), null);
+};
+
+/**
+ * Quantas vezes o mesmo cliente pode usar o cupom (padrão 1; 0 = sem limite).
+ * @param {object} coupon
+ * @returns {number}
+ */
+const getCustomerLimit = (coupon) => (coupon.maxUsesPerCustomer === undefined ? 1 : coupon.maxUsesPerCustomer);
+
+/**
+ * Motivo pelo qual o cupom não vale para o agendamento (no idioma da interface), ou null se ele vale.
+ * As datas de validade (`validFrom`, `validUntil`, YYYY-MM-DD) contam o dia em que o cliente agenda.
+ * @param {object|null} coupon Documento do cupom (null se o código não existe)
+ * @param {{ serviceId: string, today: string, customerUses: number }} context
+ *        `customerUses`: agendamentos do cliente que já usam o cupom
+ * @returns {string|null}
+ */
+export const getCouponError = (coupon, { serviceId, today, customerUses }) => {
+    if (!coupon || coupon.active === false) return t('coupons.invalid');
+    if (coupon.validFrom && today < coupon.validFrom) {
+        return t('coupons.notYetValid', { date: formatDateString(coupon.validFrom, { day: '2-digit', month: '2-digit', year: 'numeric' }) });
+    }
+    if (coupon.validUntil && today > coupon.validUntil) return t('coupons.expired');
+    if (!appliesToService(coupon, serviceId)) return t('coupons.wrongService');
+    if (coupon.maxUses && (coupon.usedCount || 0) >= coupon.maxUses) return t('coupons.soldOut');
+    if (getCustomerLimit(coupon) && customerUses >= getCustomerLimit(coupon)) return t('coupons.customerLimit');
+    return null;
+};
+
+/**
+ * Detalhamento do preço: valor do serviço, descontos aplicados em sequência (promoção de horário,
+ * cupom e corte grátis, cada um sobre o que sobrou do anterior) e valor final.
+ * @param {number} basePrice Preço do serviço no catálogo
+ * @param {{ rule?: object|null, coupon?: object|null, loyaltyReward?: boolean }} [discounts]
+ * @returns {{ basePrice: number, discounts: { source: 'rule'|'coupon'|'loyalty', id: string, label: string, amount: number }[], finalPrice: number }}
+ */
+export const buildPriceBreakdown = (basePrice, { rule = null, coupon = null, loyaltyReward = false } = {}) => {
+    const discounts = [];
+    let finalPrice = basePrice;
+    const addDiscount = (source, id, label, amount) => {
+        if (amount <= 0) return;
+        discounts.push({ source, id, label, amount });
+        finalPrice = roundCents(finalPrice - amount);
+    };
+
+    if (rule) addDiscount('rule', rule.id, rule.label, getDiscountAmount(rule, finalPrice));
+    if (coupon) addDiscount('coupon', coupon.code, `Cupom ${coupon.code}`, getDiscountAmount(coupon, finalPrice));
+    if (loyaltyReward) addDiscount('loyalty', 'loyalty', 'Cartão fidelidade (corte grátis)', finalPrice);
+
+    return { basePrice, discounts, finalPrice };
+};
+
+/**
+ * Promoções por horário (documento `settings/pricing`). Cada regra tem
+ * { id, label, type: 'percent'|'fixed', value, weekdays?, startTime?, endTime?, serviceIds?, active? }, com
+ * `weekdays` no formato de getWeekday (0 = domingo). Ex.: manhãs de dias úteis 20% mais baratas:
+ * { id: 'manha-semana', label: 'Manhã de semana', type: 'percent', value: 20, weekdays: [1, 2, 3, 4, 5], startTime: '09:00', endTime: '12:00' }
+ */
+export const DEFAULT_PRICING_SETTINGS = {
+    rules: [],
+};
+
+/**
+ * Detalhamento do preço do serviço no horário escolhido (ver buildPriceBreakdown), com a promoção de horário que valer.
+ * O app mostra e grava este detalhamento; o servidor refaz a conta para conferir o preço gravado (functions/appointments.js).
+ * @param {{ id: string, price: number }} service
+ * @param {{ date: string, time: string }} slot
+ * @param {object} pricingSettings
+ * @param {{ coupon?: object|null, loyaltyReward?: boolean }} [extras] Cupom aplicado e corte grátis do cartão fidelidade
+ * @returns {object}
+ */
+export const getPriceQuote = (service, { date, time }, pricingSettings, { coupon = null, loyaltyReward = false } = {}) => {
+    const rule = findPricingRule(pricingSettings.rules, { serviceId: service.id, price: service.price, date, time });
+    return buildPriceBreakdown(service.price, { rule, coupon, loyaltyReward });
+};
+
+/**
+ * Rótulo de um desconto do detalhamento no idioma da interface. O `label` gravado fica em português;
+ * só as promoções de horário, com o nome dado pela barbearia, usam o texto gravado.
+ * @param {{ source: 'rule'|'coupon'|'loyalty', id: string, label: string }} discount
+ * @returns {string}
+ */
+export const getDiscountLabel = (discount) => {
+    if (discount.source === 'coupon') return t('pricing.coupon', { code: discount.id });
+    if (discount.source === 'loyalty') return t('pricing.loyalty');
+    return discount.label;
+};
+
+/**
+ * Desconto de cupom do detalhamento, se houver.
+ * @param {object|null} pricing
+ * @returns {{ source: 'coupon', id: string, label: string, amount: number }|null}
+ */
+export const getCouponDiscount = (pricing) => (pricing && pricing.discounts.find(discount => discount.source === 'coupon')) || null;
+
+/**
+ * Confere se o desconto de cupom gravado no detalhamento ainda é o que o cupom dá hoje
+ * (a barbearia pode ter mudado o valor depois que o cliente aplicou o código).
+ * @param {object} pricing
+ * @param {object} coupon Documento atual do cupom
+ * @returns {boolean}
+ */
+export const isCouponDiscountCurrent = (pricing, coupon) => {
+    const index = pricing.discounts.findIndex(discount => discount.source === 'coupon');
+    const amountBefore = pricing.discounts.slice(0, index).reduce((amount, discount) => roundCents(amount - discount.amount), pricing.basePrice);
+    return getDiscountAmount(coupon, amountBefore) === pricing.discounts[index].amount;
+};
+
+/**
+ * Detalhamento das repetições de uma série: o cupom e o corte grátis valem uma vez só,
+ * e as promoções de horário continuam valendo (mesmo dia da semana e horário).
+ * @param {object} pricing Detalhamento do primeiro agendamento
+ * @returns {object}
+ */
+export const getRepeatPricing = (pricing) => {
+    const discounts = pricing.discounts.filter(discount => discount.source === 'rule');
+    const finalPrice = discounts.reduce((amount, discount) => roundCents(amount - discount.amount), pricing.basePrice);
+    return { basePrice: pricing.basePrice, discounts, finalPrice };
+};
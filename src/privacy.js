@@ -0,0 +1,103 @@
+// Direitos do titular (LGPD): cópia dos dados do cliente em JSON e anonimização dos agendamentos
+// (e dos resgates, usos de cupom e transferências de conta) quando ele exclui a conta. Os agendamentos
+// continuam na agenda e nos relatórios da barbearia, mas sem nome, WhatsApp nem o UID do cliente.
+
+import { downloadFile } from './receipt.js';
+
+// Nome que fica nos agendamentos de quem excluiu a conta
+export const DELETED_CUSTOMER_NAME = 'Cliente excluído';
+
+// Prefixo do identificador que substitui o UID nos documentos anonimizados (ver firestore.rules)
+const DELETED_USER_PREFIX = 'deleted-';
+
+/**
+ * Identificador que substitui o UID de uma conta excluída. É o mesmo em todos os documentos dela,
+ * então os relatórios continuam contando um cliente só, sem saber qual.
+ * @returns {string}
+ */
+export const createDeletedUserId = () => `${DELETED_USER_PREFIX}${crypto.randomUUID()}`;
+
+/**
+ * Campos que anonimizam um agendamento ou uma inscrição na lista de espera: sai tudo o que identifica o
+ * cliente (nome, WhatsApp, UID, inclusive no histórico de status). As mensagens que ainda não saíram são
+ * descartadas no envio (ver claimMessage).
+ * @param {object} document Agendamento ou inscrição
+ * @param {string} deletedUserId Ver createDeletedUserId
+ * @param {number} now
+ * @returns {object}
+ */
+export const getAnonymizedFields = (document, deletedUserId, now = Date.now()) => {
+    const replaceUserId = (value) => (value === document.userId ? deletedUserId : value);
+    const fields = { userId: deletedUserId, userName: DELETED_CUSTOMER_NAME, whatsapp: null, anonymizedAt: now };
+
+    if (document.cancelledBy) fields.cancelledBy = replaceUserId(document.cancelledBy);
+    if (document.statusHistory) fields.statusHistory = document.statusHistory.map(entry => ({ ...entry, by: replaceUserId(entry.by) }));
+    // UID da conta anônima de onde o agendamento veio (ver claimAccountTransfer)
+    if (document.migratedFrom) fields.migratedFrom = null;
+    return fields;
+};
+
+/**
+ * Uso de cupom anonimizado. O ID do documento tem o UID (código + '_' + UID), então ele é gravado de novo
+ * com o ID de getCouponUseId(código, deletedUserId) e o antigo é apagado.
+ * @param {object} couponUse
+ * @param {string} deletedUserId
+ * @param {number} now
+ * @returns {object}
+ */
+export const getAnonymizedCouponUse = (couponUse, deletedUserId, now = Date.now()) =>
+    ({ ...couponUse, userId: deletedUserId, anonymizedAt: now });
+
+/**
+ * Transferência de conta anonimizada: as duas contas (anônima de origem e verificada) são da mesma pessoa
+ * e viram o mesmo identificador; o código de reivindicação sai. O ID do documento é o UID da conta
+ * anônima, então ela também é gravada de novo com outro ID.
+ * @param {object} transfer
+ * @param {string} deletedUserId
+ * @param {number} now
+ * @returns {object}
+ */
+export const getAnonymizedTransfer = (transfer, deletedUserId, now = Date.now()) => ({
+    ...transfer,
+    fromUid: deletedUserId,
+    toUid: transfer.toUid ? deletedUserId : null,
+    claimCode: null,
+    anonymizedAt: now,
+});
+
+// Datas do Firestore (Timestamp) viram texto ISO; o resto fica como está
+const toPlainData = (value) => {
+    if (Array.isArray(value)) return value.map(toPlainData);
+    if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlainData(item)]));
+    }
+    return value;
+};
+
+/**
+ * Cópia dos dados do cliente, unidade por unidade (só as em que ele tem cadastro, agendamentos ou inscrições).
+ * @param {{ shop: object, profile: object|null, appointments: object[], waitlist: object[] }[]} records
+ * @param {{ userId: string, exportedAt?: number }} options
+ * @returns {object}
+ */
+export const buildDataExport = (records, { userId, exportedAt = Date.now() }) => ({
+    exportedAt: new Date(exportedAt).toISOString(),
+    userId,
+    shops: records
+        .filter(({ profile, appointments, waitlist }) => profile || appointments.length > 0 || waitlist.length > 0)
+        .map(({ shop, profile, appointments, waitlist }) => toPlainData({
+            shop: { id: shop.id, name: shop.name },
+            profile,
+            appointments,
+            waitlist,
+        })),
+});
+
+/**
+ * Baixa os dados como arquivo JSON.
+ * @param {object} data
+ * @param {string} fileName
+ */
+export const downloadJson = (data, fileName) =>
+    downloadFile(JSON.stringify(data, null, 2), fileName, 'application/json;charset=utf-8');
@@ -0,0 +1,124 @@
+// Recibo do agendamento em HTML imprimível: o cliente baixa o arquivo e imprime ou salva em PDF pelo navegador.
+// O recibo sai no idioma da interface.
+
+import { formatDateString, formatTimeString, formatZonedDateTime } from './timezone.js';
+import { getActiveLocale, t, formatCurrency } from './i18n.js';
+import { getDiscountLabel } from './pricing.js';
+
+/**
+ * Formas de pagamento, com a chave do rótulo exibido no painel e no recibo (ver i18n.js).
+ * 'manual' é o PIX (ou outro pagamento) recebido por fora e confirmado pela equipe.
+ */
+export const PAYMENT_METHODS = {
+    pix: { labelKey: 'paymentMethods.pix' },
+    credit: { labelKey: 'paymentMethods.credit' },
+    on_site: { labelKey: 'paymentMethods.on_site' },
+    manual: { labelKey: 'paymentMethods.manual' },
+    loyalty: { labelKey: 'paymentMethods.loyalty' },
+    coupon: { labelKey: 'paymentMethods.coupon' },
+};
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Descrição do pagamento do agendamento (forma, data e situação).
+ * @param {object} appointment
+ * @returns {string}
+ */
+export const describePayment = (appointment) => {
+    const payment = appointment.payment || null;
+
+    if (!appointment.paid) {
+        if (appointment.paymentMethod === 'on_site') return t('receipt.onSiteUnregistered', { method: t(PAYMENT_METHODS.on_site.labelKey) });
+        return t('receipt.unpaid');
+    }
+
+    const method = payment && payment.method === 'manual' ? 'manual' : appointment.paymentMethod;
+    const label = PAYMENT_METHODS[method] ? t(PAYMENT_METHODS[method].labelKey) : method || t('receipt.unknownMethod');
+    return payment && payment.paidAt
+        ? t('receipt.paidOn', { method: label, date: formatZonedDateTime(payment.paidAt, { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' }, appointment.timeZone) })
+        : label;
+};
+
+/**
+ * HTML completo do recibo.
+ * @param {object} appointment Agendamento (com `id`)
+ * @param {{ shopName: string, statusLabel: string, issuedAt?: number }} options
+ * @returns {string}
+ */
+export const buildReceiptHtml = (appointment, { shopName, statusLabel, issuedAt = Date.now() }) => {
+    const rows = [
+        [t('receipt.customer'), appointment.userName],
+        [t('receipt.service'), appointment.service],
+        [t('receipt.barber'), appointment.barberName],
+        [t('receipt.date'), formatDateString(appointment.date, { weekday: 'long', day: '2-digit', month: 'long', year: 'numeric' })],
+        [t('receipt.time'), formatTimeString(appointment.time)],
+        [t('receipt.status'), statusLabel],
+    ];
+    // Detalhamento do preço (promoção de horário, cupom, corte grátis), gravado nos agendamentos mais novos
+    if (appointment.pricing && appointment.pricing.discounts.length > 0) {
+        rows.push([t('receipt.basePrice'), formatCurrency(appointment.pricing.basePrice)]);
+        appointment.pricing.discounts.forEach(discount => rows.push([getDiscountLabel(discount), `- ${formatCurrency(discount.amount)}`]));
+    }
+    rows.push([t('receipt.price'), formatCurrency(appointment.price)], [t('receipt.payment'), describePayment(appointment)]);
+    if (appointment.refund && appointment.refund.amount > 0) {
+        rows.push([t('receipt.refund'), t(appointment.refund.type === 'credit' ? 'receipt.refundCredit' : 'receipt.refundReversal', { amount: formatCurrency(appointment.refund.amount) })]);
+    }
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(getActiveLocale())}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(t('receipt.title', { shop: shopName }))}</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #111; max-width: 480px; margin: 32px auto; padding: 0 16px; }
+    h1 { font-size: 20px; margin-bottom: 4px; }
+    p { color: #555; font-size: 12px; margin-top: 0; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { text-align: left; padding: 8px 4px; border-bottom: 1px solid #ddd; font-size: 14px; }
+    th { width: 35%; color: #555; font-weight: normal; }
+    button { margin-top: 24px; padding: 8px 16px; }
+    @media print { button { display: none; } }
+</style>
+</head>
+<body>
+<h1>💈 ${escapeHtml(shopName)}</h1>
+<p>${escapeHtml(t('receipt.issued', { id: appointment.id, date: formatZonedDateTime(issuedAt, { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' }, appointment.timeZone) }))}</p>
+<table>
+${rows.filter(([, value]) => value).map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+<button onclick="window.print()">${escapeHtml(t('receipt.print'))}</button>
+</body>
+</html>
+`;
+};
+
+/**
+ * Faz o navegador baixar o conteúdo como arquivo.
+ * @param {string} content
+ * @param {string} fileName
+ * @param {string} mimeType Ex.: 'text/html;charset=utf-8'
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // O download já começou; a URL pode ser liberada em seguida
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Baixa o recibo como arquivo HTML.
+ * @param {object} appointment
+ * @param {{ shopName: string, statusLabel: string }} options Ver buildReceiptHtml
+ */
+export const downloadReceipt = (appointment, options) =>
+    downloadFile(buildReceiptHtml(appointment, options), `recibo-${appointment.date}-${appointment.id}.html`, 'text/html;charset=utf-8');
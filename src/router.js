@@ -0,0 +1,58 @@
+// Rotas do app: cada tela tem um endereço próprio (o botão voltar do navegador navega entre elas),
+// e os parâmetros da URL permitem links diretos, como /agendar?data=2026-10-24&servico=corte.
+// Com várias unidades, o slug da unidade vem antes da tela: /centro/agendar. Sem slug, vale a unidade padrão.
+
+/**
+ * Telas e seus caminhos. "/" e caminhos desconhecidos abrem DEFAULT_PAGE.
+ * A hospedagem precisa devolver o index.html para todos esses caminhos (ver README).
+ */
+export const ROUTES = {
+    dashboard: { path: '/meus-agendamentos' },
+    profile: { path: '/meu-perfil' },
+    schedule: { path: '/agendar' },
+    admin: { path: '/equipe' },
+    reports: { path: '/equipe/relatorios' },
+};
+
+export const DEFAULT_PAGE = 'dashboard';
+
+const findPage = (path) => Object.keys(ROUTES).find(key => ROUTES[key].path === path) || null;
+
+// Slug com escape inválido (ex.: "/%E0/agendar", de um link cortado) vira "sem unidade": abre a unidade padrão
+const decodeShopSlug = (shopSlug) => {
+    try {
+        return decodeURIComponent(shopSlug);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Tela, unidade e parâmetros de um endereço.
+ * O primeiro trecho só é slug de unidade quando o caminho inteiro não é uma tela
+ * (por isso nenhuma unidade pode usar "agendar", "equipe" etc. como slug).
+ * @param {{ pathname: string, search: string }} location Ex.: window.location
+ * @returns {{ page: string, shopSlug: string|null, params: Object<string, string> }}
+ */
+export const parseLocation = ({ pathname, search }) => {
+    const path = pathname.replace(/\/+$/, '');
+    const params = Object.fromEntries(new URLSearchParams(search));
+    const page = findPage(path);
+    if (page || !path) return { page: page || DEFAULT_PAGE, shopSlug: null, params };
+
+    const [, shopSlug, ...rest] = path.split('/');
+    return { page: findPage(rest.length ? `/${rest.join('/')}` : '') || DEFAULT_PAGE, shopSlug: decodeShopSlug(shopSlug), params };
+};
+
+/**
+ * Endereço de uma tela. Parâmetros vazios ficam de fora.
+ * @param {string} page Chave de ROUTES
+ * @param {Object<string, string|null|undefined>} [params]
+ * @param {string|null} [shopSlug] Unidade; sem ela, o endereço é da unidade padrão
+ * @returns {string}
+ */
+export const buildPath = (page, params = {}, shopSlug = null) => {
+    const path = shopSlug ? `/${encodeURIComponent(shopSlug)}${ROUTES[page].path}` : ROUTES[page].path;
+    const search = new URLSearchParams(Object.entries(params).filter(([, value]) => value)).toString();
+    return search ? `${path}?${search}` : path;
+};
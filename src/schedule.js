@@ -0,0 +1,207 @@
+// Agenda da barbearia: slots, barbeiros, expediente e séries. Compartilhado com o servidor (functions/), que agenda as
+// repetições das séries e oferece as vagas da lista de espera pelas mesmas regras que o app mostra ao cliente.
+
+import { DEFAULT_TIMEZONE, addDays, getWeekday } from './timezone.js';
+
+// --- SLOTS ---
+
+// Barbeiro atribuído aos agendamentos criados antes da agenda por barbeiro
+export const LEGACY_BARBER_ID = 'principal';
+
+// Unidade de agenda padrão: cada documento de slot ocupa `slotMinutes`; serviços mais longos ocupam vários slots
+export const DEFAULT_SLOT_MINUTES = 30;
+
+/**
+ * Gera o ID determinístico do documento de um slot. Cada barbeiro tem sua própria agenda.
+ * @param {string} barberId
+ * @param {string} date Data no formato YYYY-MM-DD
+ * @param {string} time Horário no formato HH:MM
+ * @returns {string}
+ */
+export const getSlotId = (barberId, date, time) => `${barberId}_${date}_${time}`;
+
+/**
+ * Converte "HH:MM" em minutos desde a meia-noite.
+ * @param {string} time
+ * @returns {number}
+ */
+export const timeToMinutes = (time) => {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+};
+
+/**
+ * Converte minutos desde a meia-noite em "HH:MM".
+ * @param {number} minutes
+ * @returns {string}
+ */
+export const minutesToTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Lista os horários de início de cada slot ocupado por um serviço.
+ * Ex.: ('09:00', 60, 30) => ['09:00', '09:30']
+ * @param {string} time Horário de início
+ * @param {number} durationMinutes
+ * @param {number} [slotMinutes] Granularidade da agenda
+ * @returns {string[]}
+ */
+export const getSlotTimes = (time, durationMinutes, slotMinutes = DEFAULT_SLOT_MINUTES) => {
+    const start = timeToMinutes(time);
+    const times = [];
+    for (let minutes = start; minutes < start + durationMinutes; minutes += slotMinutes) {
+        times.push(minutesToTime(minutes));
+    }
+    return times;
+};
+
+/**
+ * Indica se o documento de slot ainda ocupa o horário.
+ * Slots confirmados (ou sem status, criados antes das reservas temporárias) ocupam sempre;
+ * reservas temporárias ('held') só ocupam até expirar.
+ * @param {object} slot Dados do documento de slot
+ * @param {number} now Timestamp atual em ms
+ * @returns {boolean}
+ */
+export const isSlotOccupied = (slot, now = Date.now()) => slot.status !== 'held' || slot.expiresAt > now;
+
+// --- BARBEIROS ---
+
+/**
+ * Equipe usada enquanto a coleção de barbeiros do Firestore estiver vazia.
+ * O ID LEGACY_BARBER_ID recebe os agendamentos feitos antes da agenda por barbeiro.
+ */
+export const DEFAULT_BARBERS = [
+    { id: LEGACY_BARBER_ID, name: 'Barbeiro da Casa', order: 1 },
+];
+
+// Opção do seletor de barbeiro que deixa o sistema escolher quem estiver livre
+export const ANY_BARBER = 'any';
+
+// --- HORÁRIO DE FUNCIONAMENTO ---
+
+// Antecedência mínima para agendar: horários que começam antes disso não são oferecidos (nem à lista de espera)
+export const MIN_BOOKING_LEAD_MS = 60 * 60 * 1000;
+
+/**
+ * Configuração padrão da agenda. Pode ser sobrescrita no documento `settings/schedule` do Firestore.
+ * - weeklyHours: expediente por dia da semana (0 = domingo ... 6 = sábado); null = fechado.
+ * - slotMinutes: granularidade da agenda (30 ou 15). Evite trocar com agendamentos futuros já feitos,
+ *   pois os slots gravados usam a granularidade da época do agendamento.
+ * - closedDates: datas fechadas (feriados, folgas), com motivo opcional.
+ * - exceptions: expediente especial em uma data (ex.: abrir mais tarde), substitui o do dia da semana.
+ */
+export const DEFAULT_SCHEDULE = {
+    timeZone: DEFAULT_TIMEZONE, // Fuso IANA da barbearia: datas e horários da agenda são sempre deste relógio
+    slotMinutes: DEFAULT_SLOT_MINUTES,
+    weeklyHours: {
+        0: null,
+        1: { open: '09:00', close: '18:00', breaks: [{ start: '12:00', end: '13:00' }] },
+        2: { open: '09:00', close: '18:00', breaks: [{ start: '12:00', end: '13:00' }] },
+        3: { open: '09:00', close: '18:00', breaks: [{ start: '12:00', end: '13:00' }] },
+        4: { open: '09:00', close: '18:00', breaks: [{ start: '12:00', end: '13:00' }] },
+        5: { open: '09:00', close: '18:00', breaks: [{ start: '12:00', end: '13:00' }] },
+        6: { open: '09:00', close: '14:00', breaks: [] },
+    },
+    closedDates: [], // [{ date: 'YYYY-MM-DD', reason: 'Feriado' }]
+    exceptions: [], // [{ date: 'YYYY-MM-DD', open: 'HH:MM', close: 'HH:MM', breaks: [{ start, end }] }]
+};
+
+/**
+ * Expediente de uma data segundo a configuração.
+ * @param {object} schedule Configuração da agenda (ver DEFAULT_SCHEDULE)
+ * @param {string} dateString Data no formato YYYY-MM-DD, no fuso da barbearia
+ * @returns {{ open: string, close: string, breaks: object[] }|{ closed: true, reason?: string }}
+ */
+export const getDayHours = (schedule, dateString) => {
+    const closedDate = (schedule.closedDates || []).find(closed => closed.date === dateString);
+    if (closedDate) return { closed: true, reason: closedDate.reason };
+
+    const exception = (schedule.exceptions || []).find(exc => exc.date === dateString);
+    const hours = exception || schedule.weeklyHours[getWeekday(dateString)];
+    if (!hours) return { closed: true };
+
+    return { open: hours.open, close: hours.close, breaks: hours.breaks || [] };
+};
+
+/**
+ * Horários de início em que um serviço cabe inteiro no expediente, sem invadir intervalos.
+ * @param {{ open: string, close: string, breaks: object[] }} dayHours Resultado de getDayHours (dia aberto)
+ * @param {number} durationMinutes
+ * @param {number} slotMinutes
+ * @returns {string[]}
+ */
+export const getStartTimes = (dayHours, durationMinutes, slotMinutes) => {
+    const open = timeToMinutes(dayHours.open);
+    const close = timeToMinutes(dayHours.close);
+    const breaks = dayHours.breaks.map(({ start, end }) => ({ start: timeToMinutes(start), end: timeToMinutes(end) }));
+    const times = [];
+
+    for (let minutes = open; minutes + durationMinutes <= close; minutes += slotMinutes) {
+        const end = minutes + durationMinutes;
+        const overlapsBreak = breaks.some(interval => minutes < interval.end && end > interval.start);
+        if (!overlapsBreak) times.push(minutesToTime(minutes));
+    }
+    return times;
+};
+
+// --- SÉRIES ---
+
+// Quantos horários uma série pode ter, contando o primeiro (o mesmo limite de firestore.rules)
+export const MAX_SERIES_OCCURRENCES = 12;
+
+// Campos só da primeira ocorrência (pagamento, fila, histórico, pedido das repetições), que as repetições não copiam
+const FIRST_OCCURRENCE_FIELDS = [
+    'id', 'slotIds', 'startsAt', 'payment', 'messages', 'statusHistory', 'rescheduleCount', 'rescheduledFrom', 'createdAt',
+];
+
+/**
+ * Datas das repetições de uma série, a `intervalWeeks` semanas uma da outra (sem a primeira ocorrência).
+ * @param {string} date Data da primeira ocorrência
+ * @param {number} intervalWeeks
+ * @param {number} occurrences Horários da série, contando o primeiro; acima de MAX_SERIES_OCCURRENCES vale o máximo
+ * @returns {string[]}
+ */
+export const getSeriesDates = (date, intervalWeeks, occurrences) => Array.from(
+    { length: Math.max(Math.min(occurrences, MAX_SERIES_OCCURRENCES) - 1, 0) },
+    (_, index) => addDays(date, (index + 1) * intervalWeeks * 7)
+);
+
+/**
+ * Por que uma repetição não pode ser agendada: barbearia fechada ('closed', com o motivo da data fechada),
+ * horário fora do expediente ('outsideHours') ou slots ocupados na agenda do barbeiro ('slotTaken').
+ * @param {object} schedule Configuração da agenda (ver DEFAULT_SCHEDULE)
+ * @param {{ barberId: string, date: string, time: string, durationMinutes: number }} occurrence
+ * @param {Map<string, object>} slotsById Slots gravados, por ID (ver getSlotId)
+ * @param {number} now
+ * @returns {{ conflict: 'closed'|'outsideHours'|'slotTaken', reason: string|null }|null} null com o horário livre
+ */
+export const getSeriesConflict = (schedule, { barberId, date, time, durationMinutes }, slotsById, now = Date.now()) => {
+    const dayHours = getDayHours(schedule, date);
+    if (dayHours.closed) return { conflict: 'closed', reason: dayHours.reason || null };
+    if (!getStartTimes(dayHours, durationMinutes, schedule.slotMinutes).includes(time)) {
+        return { conflict: 'outsideHours', reason: null };
+    }
+
+    const isTaken = getSlotTimes(time, durationMinutes, schedule.slotMinutes).some(slotTime => {
+        const slot = slotsById.get(getSlotId(barberId, date, slotTime));
+        return slot && isSlotOccupied(slot, now);
+    });
+    return isTaken ? { conflict: 'slotTaken', reason: null } : null;
+};
+
+/**
+ * Repetição de uma série: a primeira ocorrência em outra data, com o mesmo barbeiro, serviço e horário, confirmada
+ * e paga na barbearia. Quem agenda acrescenta o preço da data, os slots, `startsAt` e `createdAt`.
+ * @param {object} appointment Primeira ocorrência (com `id` e `series`)
+ * @param {string} date
+ * @param {number} index Posição na série (1 = primeira repetição)
+ * @returns {object}
+ */
+export const buildSeriesRepeat = (appointment, date, index) => ({
+    ...Object.fromEntries(Object.entries(appointment).filter(([key]) => !FIRST_OCCURRENCE_FIELDS.includes(key))),
+    date,
+    paid: false,
+    paymentMethod: 'on_site',
+    status: 'confirmed',
+    series: { id: appointment.series.id, index, intervalWeeks: appointment.series.intervalWeeks, firstAppointmentId: appointment.id },
+});
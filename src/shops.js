@@ -0,0 +1,54 @@
+// Unidades da rede: cada barbearia tem endereço (slug) próprio, nome, logo, endereço físico e tema de cores.
+// As cores do app (classes "indigo" do Tailwind) vêm das variáveis CSS --brand-*, trocadas pelo tema da unidade.
+
+/**
+ * Temas de cores das unidades: tons 100 a 900 no formato "R G B" das variáveis --brand-* (ver tailwind.config.js).
+ */
+export const SHOP_THEMES = {
+    indigo: {
+        label: 'Índigo',
+        shades: { 100: '224 231 255', 200: '199 210 254', 300: '165 180 252', 400: '129 140 248', 500: '99 102 241', 600: '79 70 229', 700: '67 56 202', 800: '55 48 163', 900: '49 46 129' },
+    },
+    emerald: {
+        label: 'Esmeralda',
+        shades: { 100: '209 250 229', 200: '167 243 208', 300: '110 231 183', 400: '52 211 153', 500: '16 185 129', 600: '5 150 105', 700: '4 120 87', 800: '6 95 70', 900: '6 78 59' },
+    },
+    amber: {
+        label: 'Âmbar',
+        shades: { 100: '254 243 199', 200: '253 230 138', 300: '252 211 77', 400: '251 191 36', 500: '245 158 11', 600: '217 119 6', 700: '180 83 9', 800: '146 64 14', 900: '120 53 15' },
+    },
+    rose: {
+        label: 'Rosa',
+        shades: { 100: '255 228 230', 200: '254 205 211', 300: '253 164 175', 400: '251 113 133', 500: '244 63 94', 600: '225 29 72', 700: '190 18 60', 800: '159 18 57', 900: '136 19 55' },
+    },
+    sky: {
+        label: 'Céu',
+        shades: { 100: '224 242 254', 200: '186 230 253', 300: '125 211 252', 400: '56 189 248', 500: '14 165 233', 600: '2 132 199', 700: '3 105 161', 800: '7 89 133', 900: '12 74 110' },
+    },
+};
+
+export const DEFAULT_SHOP_THEME = 'indigo';
+
+/**
+ * Aplica o tema de cores da unidade na página inteira. Temas desconhecidos usam o padrão.
+ * @param {string} [theme] Chave de SHOP_THEMES
+ */
+export const applyShopTheme = (theme) => {
+    const { shades } = SHOP_THEMES[theme] || SHOP_THEMES[DEFAULT_SHOP_THEME];
+    Object.entries(shades).forEach(([shade, rgb]) => document.documentElement.style.setProperty(`--brand-${shade}`, rgb));
+};
+
+/**
+ * Slug da unidade nos endereços do app (/centro/agendar). Sem `slug`, vale o ID do documento.
+ * @param {{ id: string, slug?: string }} shop
+ * @returns {string}
+ */
+export const getShopSlug = (shop) => shop.slug || shop.id;
+
+/**
+ * Unidade de um slug de endereço.
+ * @param {object[]} shops
+ * @param {string|null} slug
+ * @returns {object|null}
+ */
+export const findShopBySlug = (shops, slug) => (slug && shops.find(shop => getShopSlug(shop) === slug)) || null;
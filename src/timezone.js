@@ -0,0 +1,220 @@
+// Datas e horários no fuso da barbearia.
+// Agendamentos guardam data ('YYYY-MM-DD') e hora ('HH:MM') do relógio da barbearia, mais o fuso IANA
+// em que foram marcados. Para comparar com o relógio atual, convertemos para um instante (ms) com
+// zonedTimeToMs; para exibir, formatamos sempre no fuso da barbearia, nunca no fuso do aparelho.
+// A formatação usa o idioma da interface (ver i18n.js), salvo quando outro é informado.
+
+import { getActiveLocale } from './i18n.js';
+
+export const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intl.DateTimeFormat é caro de criar; guardamos um por fuso
+const partsFormatters = new Map();
+
+const getPartsFormatter = (timeZone) => {
+    if (!partsFormatters.has(timeZone)) {
+        partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+        }));
+    }
+    return partsFormatters.get(timeZone);
+};
+
+/**
+ * Campos do relógio de parede de um instante no fuso informado.
+ * @param {number} ms
+ * @param {string} timeZone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+const getZonedFields = (ms, timeZone) => {
+    const fields = {};
+    getPartsFormatter(timeZone).formatToParts(new Date(ms)).forEach(({ type, value }) => {
+        if (type !== 'literal') fields[type] = Number(value);
+    });
+    return fields;
+};
+
+/**
+ * Diferença (ms) entre o relógio do fuso e UTC no instante informado.
+ * @param {number} ms
+ * @param {string} timeZone
+ * @returns {number}
+ */
+const getTimeZoneOffsetMs = (ms, timeZone) => {
+    const { year, month, day, hour, minute, second } = getZonedFields(ms, timeZone);
+    return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(ms / 1000) * 1000;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const parseDateString = (dateString) => dateString.split('-').map(Number);
+
+/**
+ * Instante (ms) correspondente a data e hora do relógio do fuso.
+ * @param {string} dateString YYYY-MM-DD
+ * @param {string} time HH:MM
+ * @param {string} [timeZone]
+ * @returns {number}
+ */
+export const zonedTimeToMs = (dateString, time, timeZone = DEFAULT_TIMEZONE) => {
+    const [year, month, day] = parseDateString(dateString);
+    const [hour, minute] = time.split(':').map(Number);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Segunda passada: perto de uma mudança de horário de verão o deslocamento muda entre os dois instantes
+    const offset = getTimeZoneOffsetMs(asUtc, timeZone);
+    const correctedOffset = getTimeZoneOffsetMs(asUtc - offset, timeZone);
+    return asUtc - correctedOffset;
+};
+
+/**
+ * Data e hora do relógio do fuso num instante.
+ * @param {number} ms
+ * @param {string} [timeZone]
+ * @returns {{ date: string, time: string }}
+ */
+export const getZonedDateTime = (ms, timeZone = DEFAULT_TIMEZONE) => {
+    const { year, month, day, hour, minute } = getZonedFields(ms, timeZone);
+    return { date: `${year}-${pad(month)}-${pad(day)}`, time: `${pad(hour)}:${pad(minute)}` };
+};
+
+/**
+ * Data de hoje (YYYY-MM-DD) no fuso da barbearia.
+ * @param {string} [timeZone]
+ * @param {number} [now]
+ * @returns {string}
+ */
+export const getTodayDateString = (timeZone = DEFAULT_TIMEZONE, now = Date.now()) => getZonedDateTime(now, timeZone).date;
+
+/**
+ * Soma dias a uma data do calendário (não depende de fuso).
+ * @param {string} dateString YYYY-MM-DD
+ * @param {number} days Pode ser negativo
+ * @returns {string}
+ */
+export const addDays = (dateString, days) => {
+    const [year, month, day] = parseDateString(dateString);
+    return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().split('T')[0];
+};
+
+/**
+ * Dia da semana de uma data do calendário (0 = domingo).
+ * @param {string} dateString YYYY-MM-DD
+ * @returns {number}
+ */
+export const getWeekday = (dateString) => {
+    const [year, month, day] = parseDateString(dateString);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Formata uma data do calendário (ex.: "segunda-feira, 20 de outubro").
+ * Como é só uma data, o resultado é o mesmo em qualquer fuso.
+ * @param {string} dateString YYYY-MM-DD
+ * @param {Intl.DateTimeFormatOptions} options
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export const formatDateString = (dateString, options, locale = getActiveLocale()) => {
+    const [year, month, day] = parseDateString(dateString);
+    return new Intl.DateTimeFormat(locale, { ...options, timeZone: 'UTC' }).format(new Date(Date.UTC(year, month - 1, day, 12)));
+};
+
+/**
+ * Formata um horário do relógio da barbearia no idioma (ex.: "14:30" => "2:30 PM" em inglês).
+ * Como é só um horário, o resultado é o mesmo em qualquer fuso.
+ * @param {string} time HH:MM
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export const formatTimeString = (time, locale = getActiveLocale()) => {
+    const [hour, minute] = time.split(':').map(Number);
+    return new Intl.DateTimeFormat(locale, { hour: '2-digit', minute: '2-digit', timeZone: 'UTC' }).format(new Date(Date.UTC(1970, 0, 1, hour, minute)));
+};
+
+/**
+ * Formata um instante no fuso da barbearia.
+ * @param {number} ms
+ * @param {Intl.DateTimeFormatOptions} options
+ * @param {string} [timeZone]
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export const formatZonedDateTime = (ms, options, timeZone = DEFAULT_TIMEZONE, locale = getActiveLocale()) =>
+    new Intl.DateTimeFormat(locale, { ...options, timeZone }).format(new Date(ms));
+
+/**
+ * Início do agendamento (ms), no fuso em que foi marcado.
+ * Agendamentos antigos, sem `timeZone`, usam o fuso informado.
+ * @param {{ date: string, time: string, timeZone?: string }} appointment
+ * @param {string} [fallbackTimeZone]
+ * @returns {number}
+ */
+export const getAppointmentStartMs = (appointment, fallbackTimeZone = DEFAULT_TIMEZONE) =>
+    zonedTimeToMs(appointment.date, appointment.time, appointment.timeZone || fallbackTimeZone);
+
+/**
+ * Confere se o nome de fuso IANA é aceito pelo navegador.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Confere se o texto é uma data do calendário existente no formato YYYY-MM-DD (ex.: vinda de um link).
+ * @param {string} dateString
+ * @returns {boolean}
+ */
+export const isValidDateString = (dateString) =>
+    /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(dateString) && addDays(dateString, 0) === dateString;
+
+/**
+ * Mudanças de deslocamento (horário de verão) do fuso num intervalo, com o deslocamento em vigor no início.
+ * Procura dia a dia e depois refina até o minuto; fusos reais mudam no máximo duas vezes por ano.
+ * @param {number} startMs
+ * @param {number} endMs
+ * @param {string} [timeZone]
+ * @returns {{ initialOffsetMs: number, transitions: { at: number, offsetFromMs: number, offsetToMs: number }[] }}
+ */
+export const getTimeZoneTransitions = (startMs, endMs, timeZone = DEFAULT_TIMEZONE) => {
+    // Alinhado ao minuto, para a busca binária andar de minuto em minuto
+    const alignedStartMs = Math.floor(startMs / 60000) * 60000;
+    const initialOffsetMs = getTimeZoneOffsetMs(alignedStartMs, timeZone);
+    const transitions = [];
+    let previousMs = alignedStartMs;
+    let previousOffsetMs = initialOffsetMs;
+
+    for (let ms = alignedStartMs + DAY_MS; previousMs < endMs; ms += DAY_MS) {
+        const offsetMs = getTimeZoneOffsetMs(ms, timeZone);
+        if (offsetMs !== previousOffsetMs) {
+            // A mudança está entre previousMs e ms: busca binária até o minuto
+            let low = previousMs;
+            let high = ms;
+            while (high - low > 60 * 1000) {
+                const middle = Math.floor((low + high) / 2 / 60000) * 60000;
+                if (getTimeZoneOffsetMs(middle, timeZone) === previousOffsetMs) low = middle;
+                else high = middle;
+            }
+            transitions.push({ at: high, offsetFromMs: previousOffsetMs, offsetToMs: offsetMs });
+        }
+        previousMs = ms;
+        previousOffsetMs = offsetMs;
+    }
+    return { initialOffsetMs, transitions };
+};
@@ -0,0 +1,72 @@
+// Lista de espera: as regras das ofertas de vaga, compartilhadas com o servidor (functions/waitlist.js),
+// que oferece as vagas no deploy. No modo local, o navegador faz esse papel.
+
+import { toMillis } from './policy.js';
+import { zonedTimeToMs } from './timezone.js';
+import {
+    ANY_BARBER, MIN_BOOKING_LEAD_MS, getSlotId, timeToMinutes, getSlotTimes, isSlotOccupied, getDayHours, getStartTimes,
+} from './schedule.js';
+
+// Por quantos minutos a vaga oferecida fica reservada para quem está na lista de espera
+export const WAITLIST_OFFER_MINUTES = 30;
+
+// Status das inscrições que continuam na fila
+export const ACTIVE_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+/**
+ * Indica se a inscrição ativa venceu: a data já passou, ou a vaga oferecida não foi aceita a tempo
+ * (a reserva expira junto e o horário volta a ficar livre para o próximo da fila).
+ * @param {object} entry
+ * @param {string} today Data de hoje no fuso da barbearia
+ * @param {number} now
+ * @returns {boolean}
+ */
+export const isWaitlistEntryStale = (entry, today, now) =>
+    entry.date < today || (entry.status === 'offered' && entry.offer.expiresAt <= now);
+
+/**
+ * Inscrições esperando uma vaga, na ordem de inscrição.
+ * @param {object[]} entries Inscrições ativas
+ * @param {string} today
+ * @param {number} now
+ * @returns {object[]}
+ */
+export const getWaitingEntries = (entries, today, now) => entries
+    .filter(entry => entry.status === 'waiting' && !isWaitlistEntryStale(entry, today, now))
+    .sort((a, b) => (toMillis(a.createdAt) ?? Infinity) - (toMillis(b.createdAt) ?? Infinity));
+
+/**
+ * Primeira vaga livre que atende à inscrição: o serviço cabe inteiro na janela de horário pedida,
+ * na agenda do barbeiro escolhido (ou de qualquer um), respeitando a antecedência mínima.
+ * @param {object} entry Inscrição na lista de espera
+ * @param {Map<string, object>} slotsById Slots da data, por ID
+ * @param {Set<string>} claimedSlotIds Slots já oferecidos a alguém nesta rodada
+ * @param {{ schedule: object, barbers: object[] }} context
+ * @param {number} now
+ * @returns {{ barberId: string, barberName: string, time: string, times: string[] }|null}
+ */
+export const findWaitlistOffer = (entry, slotsById, claimedSlotIds, { schedule, barbers }, now = Date.now()) => {
+    const dayHours = getDayHours(schedule, entry.date);
+    if (dayHours.closed) return null;
+
+    const candidates = entry.barberId === ANY_BARBER ? barbers : barbers.filter(barber => barber.id === entry.barberId);
+    const windowStart = entry.windowStart ? timeToMinutes(entry.windowStart) : 0;
+    const windowEnd = entry.windowEnd ? timeToMinutes(entry.windowEnd) : 24 * 60;
+
+    for (const time of getStartTimes(dayHours, entry.durationMinutes, schedule.slotMinutes)) {
+        const start = timeToMinutes(time);
+        if (start < windowStart || start + entry.durationMinutes > windowEnd) continue;
+        if (zonedTimeToMs(entry.date, time, schedule.timeZone) <= now + MIN_BOOKING_LEAD_MS) continue;
+
+        const times = getSlotTimes(time, entry.durationMinutes, schedule.slotMinutes);
+        for (const barber of candidates) {
+            const isFree = times.every(slotTime => {
+                const slotId = getSlotId(barber.id, entry.date, slotTime);
+                const slot = slotsById.get(slotId);
+                return !claimedSlotIds.has(slotId) && !(slot && isSlotOccupied(slot, now));
+            });
+            if (isFree) return { barberId: barber.id, barberName: barber.name, time, times };
+        }
+    }
+    return null;
+};
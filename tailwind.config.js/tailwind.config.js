@@ -5,7 +5,13 @@ export default {
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: {
+      // A cor principal ("indigo") segue o tema da unidade: variáveis --brand-* (index.css e src/shops.js)
+      colors: {
+        indigo: Object.fromEntries([100, 200, 300, 400, 500, 600, 700, 800, 900]
+          .map(shade => [shade, `rgb(var(--brand-${shade}) / <alpha-value>)`])),
+      },
+    },
   },
   plugins: [],
-}
\ No newline at end of file
+}